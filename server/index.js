@@ -7,13 +7,10 @@ require('dotenv').config();
 
 const express = require('express');
 const { initDatabase, getDatabase } = require('./lib/database');
-const axios = require('axios');
 const WebSocket = require('ws');
 const url = require('url');
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
-const kill = require('tree-kill');
 const http = require('http');
 const net = require('net');
 
@@ -38,6 +35,14 @@ const v1AuthRoutes = require('./api/v1/auth');
 const v1ExtensionRoutes = require('./api/v1/extension');
 const authRoutes = require('./routes/auth');
 const adminRoutes = require('./routes/admin');
+const sshProfileRoutes = require('./routes/ssh-profiles');
+const recordingRoutes = require('./routes/recordings');
+const serverFileRoutes = require('./routes/server-files');
+const serverDeployRoutes = require('./routes/server-deploys');
+const deployHookRoutes = require('./routes/deploy-hooks');
+const serverTaskRoutes = require('./routes/server-tasks');
+const serverSecretRoutes = require('./routes/server-secrets');
+const secretRoutes = require('./routes/secrets');
 
 // Service imports
 const { NodeHealthMonitor } = require('./services/health-monitor');
@@ -45,6 +50,23 @@ const { ResourceMonitorService } = require('./services/resource-monitor');
 const { FailoverService } = require('./services/failover');
 const { BackupScheduler } = require('./services/backup-scheduler');
 const { RemoteNodeManager } = require('./services/remote-management');
+const { backupJobs } = require('./services/backup-jobs');
+const runtimeDrivers = require('./services/runtime-drivers');
+const { runtimeWatcher } = require('./services/runtime-watcher');
+const { restartSupervisor } = require('./services/restart-supervisor');
+const serverConsole = require('./services/server-console');
+const { openServerTerminal } = require('./services/server-terminal');
+const wsAuth = require('./services/ws-auth');
+const sshProfiles = require('./services/ssh-profiles');
+const AuditService = require('./services/AuditService');
+const { sessionRecorder } = require('./services/session-recorder');
+const { logStore } = require('./services/log-store');
+const { uploadManager } = require('./services/server-files');
+const { sftpGateway } = require('./services/sftp-gateway');
+const { deployer } = require('./services/deployer');
+const { taskScheduler } = require('./services/task-scheduler');
+const { secretStore } = require('./services/secret-store');
+const CoreOrchestrator = require('./services/CoreOrchestrator');
 
 /**
  * Find an available port starting from startPort
@@ -110,6 +132,9 @@ async function startServer() {
     next();
   });
 
+  // Push webhooks verify their signature over the raw body, so they go before the parsers
+  app.use('/api/deploy-hooks', deployHookRoutes);
+
   // Body parsing
   app.use(express.json({ limit: '200mb' }));
   app.use(express.urlencoded({ limit: '200mb', extended: true }));
@@ -156,9 +181,14 @@ async function startServer() {
   // Mount API routes
   app.use('/api/auth', authRoutes);
   app.use('/api/system', systemRoutes);
+  app.use('/api/servers/:id/files', serverFileRoutes);
+  app.use('/api/servers/:id/deploys', serverDeployRoutes);
+  app.use('/api/servers/:id/tasks', serverTaskRoutes);
+  app.use('/api/servers/:id/secrets', serverSecretRoutes);
   app.use('/api/servers', serverRoutes);
   app.use('/api/network', networkRoutes);
   app.use('/api/backups', backupRoutes);
+  app.use('/api/secrets', secretRoutes);
   app.use('/api/settings', settingsRoutes);
   app.use('/api/nodes', nodeRoutes);
   app.use('/api/ai', aiRoutes);
@@ -168,6 +198,8 @@ async function startServer() {
   app.use('/api/templates', templateRoutes);
   // app.use('/api/control-plane', controlPlaneRoutes); // Removed
   app.use('/api/admin', adminRoutes);
+  app.use('/api/ssh-profiles', sshProfileRoutes);
+  app.use('/api/recordings', recordingRoutes);
   app.use('/api/extension', extensionAuthRoutes.router);
   app.use('/api/extension', extensionApiRoutes);
   app.use('/api/simple-extension', simpleExtensionRoutes.router);
@@ -214,6 +246,12 @@ async function startServer() {
   // WebSocket servers for terminal and console
   const wssTerminal = new WebSocket.Server({ noServer: true });
   const wssConsole = new WebSocket.Server({ noServer: true });
+  const wssBackupJobs = new WebSocket.Server({ noServer: true });
+  const wsServers = {
+    '/api/servers/terminal': wssTerminal,
+    '/api/servers/console': wssConsole,
+    '/api/backups/jobs': wssBackupJobs,
+  };
 
   // Handle WebSocket upgrades
   server.on('upgrade', (request, socket, head) => {
@@ -223,16 +261,26 @@ async function startServer() {
 
       console.log(`[WS] Upgrade request for ${pathname}`);
 
-      if (pathname !== '/api/servers/terminal' && pathname !== '/api/servers/console') {
+      const wss = wsServers[pathname];
+      if (!wss) {
         console.warn(`[WS] Rejecting upgrade for unknown path: ${pathname}`);
         socket.destroy();
         return;
       }
 
-      const wss = pathname === '/api/servers/terminal' ? wssTerminal : wssConsole;
+      // A ticket from POST /api/auth/ws-ticket, or the panel JWT itself
+      const user = wsAuth.authenticateUpgrade(request, parsed.query, pathname);
+      if (!user) {
+        console.warn(`[WS] Rejecting unauthenticated upgrade for ${pathname}`);
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
       wss.handleUpgrade(request, socket, head, (ws) => {
         console.log(`[WS] Handshake successful for ${pathname}`);
         ws.__query = parsed.query || {};
+        ws.__user = user;
         wss.emit('connection', ws, request);
       });
     } catch (err) {
@@ -247,70 +295,118 @@ async function startServer() {
   wssTerminal.on('connection', async (ws, req) => {
     const serverId = ws.__query?.serverId;
     const nodeId = ws.__query?.nodeId;
+    const profileId = ws.__query?.profileId;
     const connectionString = ws.__query?.connectionString;
+    const user = ws.__user;
     const db = getDatabase();
+    const cols = Number(ws.__query?.cols) || 80;
+    const rows = Number(ws.__query?.rows) || 24;
+
+    // Set once the shell is up, when session recording is enabled; output sent from then on is recorded
+    let recording = null;
+    ws.on('close', () => {
+      if (recording) recording.close();
+    });
 
     const send = (payload) => {
+      if (recording && payload.type === 'output') recording.output(payload.data);
       try {
         ws.send(JSON.stringify(payload));
       } catch { }
     };
 
-    // Raw SSH Connection
+    // Raw connection strings used to be passed to the ssh binary; saved profiles replace them
     if (connectionString) {
-      console.log(`[WS:Terminal] Raw SSH Connection: ${connectionString}`);
-      let args = [];
-      let command = 'ssh';
-      const cleanCmd = connectionString.trim();
-      let parts = cleanCmd.split(/\s+/);
-      if (parts[0] === 'ssh') parts.shift();
-      args = parts;
-
-      try {
-        const sshArgs = ['-tt', ...args];
-        const child = spawn(command, sshArgs, {
-          cwd: process.env.HOME,
-          env: process.env,
-          stdio: 'pipe',
-          detached: false
-        });
+      send({ type: 'error', message: 'Raw SSH connections are no longer supported; save an SSH profile and connect with profileId' });
+      ws.close();
+      return;
+    }
 
-        send({ type: 'output', stream: 'stdout', data: `\r\n\x1b[36m> Executing: ssh ${sshArgs.join(' ')}\x1b[0m\r\n` });
+    // Saved SSH profile of the connecting user
+    if (profileId) {
+      const profile = sshProfiles.getProfileForUser(db, profileId, user.id);
+      if (!profile) {
+        send({ type: 'error', message: 'SSH profile not found' });
+        ws.close();
+        return;
+      }
 
-        child.stdout.on('data', (data) => {
-          send({ type: 'output', stream: 'stdout', data: data.toString() });
-        });
+      console.log(`[WS:Terminal] SSH profile ${profile.id} (${profile.username}@${profile.host}:${profile.port}) for user ${user.id}`);
+      send({ type: 'output', stream: 'stdout', data: `\r\n\x1b[36m> Connecting to ${profile.name} (${profile.username}@${profile.host}:${profile.port})...\x1b[0m\r\n` });
 
-        child.stderr.on('data', (data) => {
-          send({ type: 'output', stream: 'stdout', data: data.toString() });
-        });
+      let session = null;
+      let closed = false;
+      ws.on('close', () => {
+        closed = true;
+        if (session) session.conn.end();
+      });
 
-        child.on('close', (code) => {
-          send({ type: 'output', stream: 'stdout', data: `\r\n\x1b[33m> Process exited with code ${code}.\x1b[0m\r\n` });
-          ws.close();
+      try {
+        session = await sshProfiles.openProfileShell(profile, { cols, rows });
+      } catch (e) {
+        send({
+          type: 'error',
+          message: e.code === 'SSH_HOST_KEY_UNVERIFIED'
+            ? `The host key of ${profile.host} no longer matches the saved fingerprint (${e.fingerprint})`
+            : `SSH connection failed: ${e.message}`,
         });
+        ws.close();
+        return;
+      }
+      if (closed) {
+        session.conn.end();
+        return;
+      }
 
-        ws.on('message', (raw) => {
-          try {
-            const msg = JSON.parse(raw.toString());
-            if (msg?.type === 'input') {
-              child.stdin.write(msg.data);
-            }
-          } catch { }
-        });
+      recording = sessionRecorder.begin({
+        kind: 'ssh-profile',
+        profileId: profile.id,
+        user,
+        identity: serverConsole.getUserIdentity(user),
+        title: `${profile.name} (${profile.username}@${profile.host}:${profile.port})`,
+        cols,
+        rows,
+      });
+      AuditService.log(null, 'SSH_PROFILE_SHELL', serverConsole.getUserIdentity(user), `${profile.username}@${profile.host}:${profile.port}`, {
+        profileId: profile.id,
+        userId: user.id,
+        recordingId: recording?.id ?? null,
+      });
 
-        ws.on('close', () => {
-          try { child.kill(); } catch { }
-        });
-      } catch (err) {
-        send({ type: 'error', message: 'Failed to spawn SSH process: ' + err.message });
+      const { conn, stream } = session;
+      stream.on('close', () => {
+        send({ type: 'output', stream: 'stdout', data: '\r\n\x1b[33m> Connection closed.\x1b[0m\r\n' });
+        conn.end();
         ws.close();
-      }
+      }).on('data', (data) => {
+        send({ type: 'output', stream: 'stdout', data: data.toString('utf-8') });
+      });
+      stream.stderr.on('data', (data) => {
+        send({ type: 'output', stream: 'stdout', data: data.toString('utf-8') });
+      });
+
+      ws.on('message', (raw) => {
+        try {
+          const msg = JSON.parse(raw.toString());
+          if (msg?.type === 'input') {
+            stream.write(msg.data);
+            if (recording) recording.input(msg.data);
+          } else if (msg?.type === 'resize') {
+            stream.setWindow(msg.rows, msg.cols, msg.height, msg.width);
+            if (recording) recording.resize(msg.cols, msg.rows);
+          }
+        } catch { }
+      });
       return;
     }
 
     // SSH Node Terminal
     if (nodeId) {
+      if (user.role !== 'admin') {
+        send({ type: 'error', message: 'Node shells are only available to admins' });
+        ws.close();
+        return;
+      }
       console.log(`[WS:Terminal] SSH Connection for node ${nodeId}`);
       try {
         const nodeRow = db.prepare('SELECT * FROM nodes WHERE id = ?').get(nodeId);
@@ -331,6 +427,21 @@ async function startServer() {
             return;
           }
 
+          recording = sessionRecorder.begin({
+            kind: 'node-shell',
+            nodeId: nodeRow.id,
+            user,
+            identity: serverConsole.getUserIdentity(user),
+            title: `${nodeRow.name} (${nodeRow.ip_address})`,
+            cols,
+            rows,
+          });
+          AuditService.log(null, 'NODE_SHELL', serverConsole.getUserIdentity(user), `Shell on node ${nodeRow.name}`, {
+            nodeId: nodeRow.id,
+            userId: user.id,
+            recordingId: recording?.id ?? null,
+          });
+
           stream.on('close', () => {
             send({ type: 'output', stream: 'stdout', data: '\r\n\x1b[33m> Connection closed.\x1b[0m\r\n' });
             ws.close();
@@ -343,8 +454,10 @@ async function startServer() {
               const msg = JSON.parse(raw.toString());
               if (msg?.type === 'input') {
                 stream.write(msg.data);
+                if (recording) recording.input(msg.data);
               } else if (msg?.type === 'resize') {
                 stream.setWindow(msg.rows, msg.cols, msg.height, msg.width);
+                if (recording) recording.resize(msg.cols, msg.rows);
               }
             } catch { }
           });
@@ -385,24 +498,47 @@ async function startServer() {
       return;
     }
 
-    if (!serverRow.path || !fs.existsSync(serverRow.path)) {
-      send({ type: 'error', message: 'Server path does not exist' });
+    if (!serverRoutes.canAccessServer(db, user.id, serverRow, 'control', user.role)) {
+      send({ type: 'error', message: 'Not allowed' });
       ws.close();
       return;
     }
 
-    const shell = 'bash';
-    const shellArgs = ['-i'];
+    // Same protocol as the SSH shell above: { type: 'input', data } and { type: 'resize', rows, cols }
+    console.log(`[WS:Terminal] Opening terminal for server ${serverId} at ${serverRow.path}`);
+
+    let terminal = null;
+    let closed = false;
+    const pendingInput = [];
+    ws.on('message', (raw) => {
+      try {
+        const msg = JSON.parse(raw.toString());
+        if (msg?.type === 'input' && typeof msg.data === 'string') {
+          if (terminal) terminal.write(msg.data);
+          else pendingInput.push(msg.data);
+          if (recording) recording.input(msg.data);
+        } else if (msg?.type === 'resize' && terminal) {
+          terminal.resize(msg.cols, msg.rows);
+          if (recording) recording.resize(msg.cols, msg.rows);
+        }
+      } catch { }
+    });
 
-    console.log(`[WS:Terminal] Spawning shell for server ${serverId} at ${serverRow.path}`);
+    ws.on('close', () => {
+      closed = true;
+      if (terminal) terminal.close();
+    });
 
-    let child;
     try {
-      child = spawn(shell, shellArgs, {
-        cwd: path.resolve(serverRow.path),
-        env: { ...process.env, TERM: 'xterm-256color' },
-        stdio: 'pipe',
-        windowsHide: true,
+      terminal = await openServerTerminal(serverRow, {
+        cols,
+        rows,
+        onData: (data) => send({ type: 'output', stream: 'stdout', data }),
+        onIdle: (ms) => send({ type: 'output', stream: 'stdout', data: `\r\n\x1b[33m> Closing idle terminal after ${Math.max(1, Math.round(ms / 60000))} minute(s).\x1b[0m\r\n` }),
+        onExit: (code) => {
+          send({ type: 'output', stream: 'stdout', data: `\r\n\x1b[33m> Terminal exited${code === null || code === undefined ? '' : ` with code ${code}`}.\x1b[0m\r\n` });
+          try { ws.close(); } catch { }
+        },
       });
     } catch (e) {
       send({ type: 'error', message: e.message });
@@ -410,46 +546,38 @@ async function startServer() {
       return;
     }
 
-    send({ type: 'output', stream: 'stdout', data: `\r\n\x1b[1;36m>>> TERMINAL READY: ${serverRow.name} (${serverRow.path})\x1b[0m\r\n\r\n` });
-
-    const normalizeLines = (str) => str.replace(/\r\n/g, '\n').replace(/\n/g, '\r\n');
-
-    child.stdout?.on('data', (data) => send({ type: 'output', stream: 'stdout', data: normalizeLines(data.toString('utf8')) }));
-    child.stderr?.on('data', (data) => send({ type: 'output', stream: 'stderr', data: normalizeLines(data.toString('utf8')) }));
-
-    child.on('close', (code) => {
-      send({ type: 'output', stream: 'stdout', data: `\n[terminal exited with code ${code}]\n` });
-      try { ws.close(); } catch { }
+    if (closed) {
+      terminal.close();
+      return;
+    }
+    recording = sessionRecorder.begin({
+      kind: 'terminal',
+      serverId: serverRow.id,
+      user,
+      identity: serverConsole.getUserIdentity(user),
+      title: `${serverRow.name} (${terminal.kind})`,
+      cols,
+      rows,
     });
-
-    ws.on('message', (raw) => {
-      try {
-        const msg = JSON.parse(raw.toString());
-        if (msg?.type === 'input' && child?.stdin?.writable) {
-          const processed = msg.data === '\r' ? '\r\n' : msg.data;
-          child.stdin.write(processed);
-        }
-      } catch { }
-    });
-
-    ws.on('close', () => {
-      if (!child || !child.pid) return;
-      try {
-        kill(child.pid, 'SIGTERM', (err) => {
-          if (err) {
-            try { kill(child.pid, 'SIGKILL'); } catch { }
-          }
-        });
-      } catch { }
+    send({ type: 'output', stream: 'stdout', data: `\r\n\x1b[1;36m>>> TERMINAL READY: ${serverRow.name} (${terminal.kind === 'container' ? 'container' : serverRow.path})\x1b[0m\r\n\r\n` });
+    AuditService.log(serverRow.id, 'TERMINAL_OPENED', serverConsole.getUserIdentity(user), `Opened a ${terminal.kind} terminal`, {
+      userId: user.id,
+      kind: terminal.kind,
+      recordingId: recording?.id ?? null,
     });
+    for (const data of pendingInput.splice(0)) terminal.write(data);
   });
 
-  // Console WebSocket handler
+  // Console WebSocket handler: server output out, console commands in.
+  // Client messages: { type: 'command', data } (one command per line) and { type: 'history' }.
   wssConsole.on('connection', (ws) => {
     const serverId = ws.__query?.serverId;
     const db = getDatabase();
 
+    // Set once the console is attached, when session recording is enabled
+    let recording = null;
     const send = (payload) => {
+      if (recording && payload.type === 'output') recording.output(payload.data);
       try { ws.send(JSON.stringify(payload)); } catch { }
     };
 
@@ -459,6 +587,8 @@ async function startServer() {
       return;
     }
 
+    const user = ws.__user;
+
     let serverRow;
     try {
       serverRow = db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
@@ -474,60 +604,138 @@ async function startServer() {
       return;
     }
 
-    const logsDir = path.join(path.resolve(serverRow.path), 'logs');
-    const logFilePath = path.join(logsDir, 'output.log');
-
-    try {
-      fs.mkdirSync(logsDir, { recursive: true });
-      fs.closeSync(fs.openSync(logFilePath, 'a'));
-    } catch (e) {
-      send({ type: 'error', message: e.message });
+    const access = serverConsole.getConsoleAccess(db, user, serverRow);
+    if (!access.canView) {
+      send({ type: 'error', message: 'Not allowed' });
       ws.close();
       return;
     }
 
-    const readLastLines = () => {
-      try {
-        const content = fs.readFileSync(logFilePath, 'utf8');
-        const lines = content.split(/\r?\n/).slice(-200).join('\n');
-        if (lines.trim()) {
-          send({ type: 'output', stream: 'stdout', data: lines + '\n' });
-        }
-      } catch { }
-    };
+    // Output comes from the runtime driver that owns the server (log file, container or node)
+    let handle = null;
+    let closed = false;
+    ws.on('close', () => {
+      closed = true;
+      if (handle) handle.detach();
+      if (recording) recording.close();
+    });
 
-    readLastLines();
-    send({ type: 'output', stream: 'stdout', data: `[console attached] ${serverRow.name}\n` });
+    // Commands are written one at a time, in the order they arrived
+    let queue = Promise.resolve();
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
 
-    let position = 0;
-    try {
-      position = fs.statSync(logFilePath).size;
-    } catch {
-      position = 0;
-    }
+      if (msg?.type === 'history') {
+        send({ type: 'history', commands: serverConsole.getConsoleHistory(serverRow.id, user.id, msg.limit) });
+        return;
+      }
+      if (msg?.type !== 'command' && msg?.type !== 'input') return;
 
-    const pump = () => {
+      if (!access.canSend) {
+        send({ type: 'error', message: 'Not allowed to send console commands' });
+        return;
+      }
+      let commands;
       try {
-        const stat = fs.statSync(logFilePath);
-        if (stat.size < position) position = 0;
-        if (stat.size === position) return;
+        commands = serverConsole.parseConsoleInput(msg.data);
+      } catch (e) {
+        send({ type: 'error', message: e.message });
+        return;
+      }
 
-        const start = position;
-        const end = Math.max(start, stat.size - 1);
-        position = stat.size;
+      queue = queue.then(async () => {
+        for (const command of commands) {
+          if (!handle) {
+            send({ type: 'error', message: 'Console is not attached yet' });
+            return;
+          }
+          try {
+            await serverConsole.sendConsoleCommand(serverRow, user, command, handle);
+            if (recording) recording.input(`${command}\n`);
+            send({ type: 'command', data: command });
+          } catch (e) {
+            send({ type: 'error', message: `Command not sent: ${e.message}` });
+            return;
+          }
+        }
+      });
+    });
 
-        const stream = fs.createReadStream(logFilePath, { start, end });
-        stream.on('data', (chunk) => {
-          send({ type: 'output', stream: 'stdout', data: chunk.toString('utf8') });
+    runtimeDrivers.getDriverForServer(serverRow)
+      .attach(serverRow, { onData: (data) => send({ type: 'output', stream: 'stdout', data }) })
+      .then((h) => {
+        handle = h;
+        if (closed) return handle.detach();
+        recording = sessionRecorder.begin({
+          kind: 'console',
+          serverId: serverRow.id,
+          user,
+          identity: serverConsole.getUserIdentity(user),
+          title: `${serverRow.name} console`,
         });
-      } catch { }
+        if (recording) {
+          AuditService.log(serverRow.id, 'CONSOLE_RECORDED', serverConsole.getUserIdentity(user), 'Console session is being recorded', {
+            userId: user.id,
+            recordingId: recording.id,
+          });
+        }
+        send({ type: 'output', stream: 'stdout', data: `[console attached] ${serverRow.name}\n` });
+        send({ type: 'ready', canSend: access.canSend });
+      })
+      .catch((e) => {
+        send({ type: 'error', message: e.message });
+        ws.close();
+      });
+  });
+
+  // Backup job WebSocket: current jobs on connect, then state changes and progress.
+  // Optional serverId / jobId query params narrow the stream; only jobs of servers the user may
+  // view are sent.
+  wssBackupJobs.on('connection', (ws) => {
+    const serverId = ws.__query?.serverId ? Number(ws.__query.serverId) : null;
+    const jobId = ws.__query?.jobId ? Number(ws.__query.jobId) : null;
+    const user = ws.__user;
+    const db = getDatabase();
+
+    const send = (payload) => {
+      try { ws.send(JSON.stringify(payload)); } catch { }
     };
+    const canView = (id) => {
+      try {
+        const row = db.prepare('SELECT id, panel_user_id FROM servers WHERE id = ?').get(id);
+        return serverRoutes.canAccessServer(db, user.id, row, 'view', user.role);
+      } catch {
+        return false;
+      }
+    };
+    const matches = (job) => (!serverId || Number(job.server_id) === serverId) && (!jobId || Number(job.id) === jobId) && canView(job.server_id);
 
-    const interval = setInterval(pump, 300);
-    pump();
+    try {
+      const jobs = (jobId
+        ? [backupJobs.getJob(jobId)].filter(Boolean)
+        : backupJobs.listJobs({ serverId, status: 'queued,running' })).filter(matches);
+      send({ type: 'snapshot', jobs });
+    } catch (e) {
+      send({ type: 'error', message: e.message });
+    }
+
+    const onJob = (job) => {
+      if (matches(job)) send({ type: 'job', job });
+    };
+    const onProgress = (progress) => {
+      if (matches(progress)) send({ type: 'progress', ...progress });
+    };
+    backupJobs.on('job', onJob);
+    backupJobs.on('progress', onProgress);
 
     ws.on('close', () => {
-      try { clearInterval(interval); } catch { }
+      backupJobs.off('job', onJob);
+      backupJobs.off('progress', onProgress);
     });
   });
 
@@ -539,7 +747,10 @@ async function startServer() {
   const failoverService = new FailoverService();
   const backupScheduler = new BackupScheduler();
 
+  // Finish a master key change before anything resolves secrets
+  secretStore.start();
   healthMonitor.startMonitoring();
+  backupJobs.start();
 
   if (!lowFootprint) {
     resourceMonitor.startMonitoring().catch(() => { });
@@ -555,23 +766,50 @@ async function startServer() {
     }
   }
 
-  // Auto-restart previously running servers
+  // Reconcile server status with what is actually running, then keep it in sync
+  let reconciled = { alive: [], stale: [] };
+  try {
+    reconciled = await runtimeWatcher.reconcileAll();
+    if (reconciled.stale.length > 0) {
+      console.log(`[SERVER] ${reconciled.stale.length} server(s) marked running were no longer running`);
+    }
+  } catch (e) {
+    console.error('[SERVER] Runtime reconciliation failed:', e?.message);
+  }
+  runtimeWatcher.start();
+  restartSupervisor.start();
+  sessionRecorder.start();
+  logStore.start();
+  uploadManager.start();
+  deployer.start();
+  taskScheduler.start();
+  sftpGateway.start().catch((e) => console.error('[SFTP] Failed to start:', e?.message));
+
+  // Copy the output of containers that kept running while the panel was down into their logs
+  try {
+    const db = getDatabase();
+    for (const sid of reconciled.alive) {
+      const row = db.prepare("SELECT * FROM servers WHERE id = ? AND runtime_driver = 'docker'").get(sid);
+      if (row?.path) logStore.followContainer(row);
+    }
+  } catch (e) {
+    console.error('[LOGS] Failed to follow running containers:', e?.message);
+  }
+
+  // Auto-restart servers that were running when the panel went down
   try {
     const db = getDatabase();
     const setRow = db.prepare("SELECT value FROM settings WHERE key = 'autoStart'").get();
     const autoStartEnabled = setRow && String(setRow.value) === 'true';
 
     if (autoStartEnabled) {
-      const rows = db.prepare("SELECT id FROM servers WHERE status = 'running'").all();
-      if (Array.isArray(rows) && rows.length > 0) {
+      // Containers that survived the restart are left running
+      const rows = reconciled.stale;
+      if (rows.length > 0) {
         console.log(`[SERVER] Auto-restarting ${rows.length} server(s)...`);
-        for (const r of rows) {
-          const sid = r?.id;
-          if (!sid) continue;
+        for (const sid of rows) {
           try {
-            await axios.post(`http://localhost:${PORT}/api/servers/${sid}/stop`).catch(() => null);
-            await new Promise((res) => setTimeout(res, 500));
-            await axios.post(`http://localhost:${PORT}/api/servers/${sid}/start`);
+            await CoreOrchestrator.start(sid, { source: 'autostart' });
             console.log(`[SERVER] Auto-restarted server ${sid}`);
           } catch (err) {
             console.error(`[SERVER] Failed to auto-restart server ${sid}:`, err?.message);
@@ -589,6 +827,14 @@ async function startServer() {
     try { healthMonitor.stopMonitoring(); } catch { }
     try { resourceMonitor.stopMonitoring(); } catch { }
     try { failoverService.stopMonitoring(); } catch { }
+    try { restartSupervisor.stop(); } catch { }
+    try { runtimeWatcher.stop(); } catch { }
+    try { sessionRecorder.stop(); } catch { }
+    try { logStore.stop(); } catch { }
+    try { uploadManager.stop(); } catch { }
+    try { sftpGateway.stop(); } catch { }
+    try { deployer.stop(); } catch { }
+    try { taskScheduler.stop(); } catch { }
     server.close(() => {
       console.log('[SERVER] Stopped.');
       process.exit(0);
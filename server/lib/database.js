@@ -407,6 +407,339 @@ function applyMigrations(database) {
         "ALTER TABLE panel_users ADD COLUMN backup_limit INTEGER DEFAULT 3",
         "ALTER TABLE panel_users ADD COLUMN port_limit INTEGER DEFAULT 5"
       ]
+    },
+    {
+      name: '20261019_add_backup_storage_backend',
+      statements: [
+        // 'zip' or 'dedup'; NULL follows the backup.storage setting
+        "ALTER TABLE backup_schedules ADD COLUMN storage TEXT",
+        `INSERT OR IGNORE INTO settings (key, value) VALUES ('backup.storage', 'zip')`
+      ]
+    },
+    {
+      name: '20261019_add_backup_encryption_keys',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS backup_keys (
+          key_id TEXT PRIMARY KEY,
+          key_material TEXT NOT NULL,
+          status TEXT DEFAULT 'active',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          retired_at DATETIME
+        )`,
+        `INSERT OR IGNORE INTO settings (key, value) VALUES ('backup.encryption', 'false')`
+      ]
+    },
+    {
+      name: '20261019_add_backup_destinations',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS backup_destinations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          config TEXT,
+          enabled INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE TABLE IF NOT EXISTS backup_remote_copies (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          backup_id INTEGER NOT NULL,
+          destination_id INTEGER,
+          provider TEXT NOT NULL,
+          remote_name TEXT NOT NULL,
+          remote_ref TEXT NOT NULL,
+          size INTEGER,
+          uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_backup_remote_copies_backup ON backup_remote_copies(backup_id)`,
+        "ALTER TABLE backup_schedules ADD COLUMN destination_id INTEGER"
+      ]
+    },
+    {
+      name: '20261019_add_backup_remote_restore',
+      statements: [
+        "ALTER TABLE backup_remote_copies ADD COLUMN encryption_key_id TEXT",
+        "ALTER TABLE backup_schedules ADD COLUMN keep_local INTEGER"
+      ]
+    },
+    {
+      name: '20261019_add_backup_jobs',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS backup_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id INTEGER NOT NULL,
+          trigger TEXT NOT NULL DEFAULT 'manual',
+          status TEXT NOT NULL DEFAULT 'queued',
+          options TEXT,
+          progress_bytes INTEGER DEFAULT 0,
+          total_bytes INTEGER,
+          backup_id INTEGER,
+          error TEXT,
+          requested_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME,
+          finished_at DATETIME
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_backup_jobs_status ON backup_jobs(status)`,
+        `INSERT OR IGNORE INTO settings (key, value) VALUES ('backup.max_concurrent_jobs', '1')`
+      ]
+    },
+    {
+      name: '20261019_add_backup_job_phase',
+      statements: [
+        // pre_hooks / pause / stopping / archiving / post_hooks / starting while a job runs
+        "ALTER TABLE backup_jobs ADD COLUMN phase TEXT"
+      ]
+    },
+    {
+      name: '20261019_add_backup_verification',
+      statements: [
+        // health: 'healthy' or 'corrupt' after the last verification, NULL when never verified
+        "ALTER TABLE backups ADD COLUMN health TEXT",
+        "ALTER TABLE backups ADD COLUMN verified_at DATETIME",
+        "ALTER TABLE backups ADD COLUMN verify_error TEXT",
+        `CREATE TABLE IF NOT EXISTS backup_drills (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          backup_id INTEGER NOT NULL,
+          server_id INTEGER,
+          schedule_id INTEGER,
+          trigger TEXT NOT NULL DEFAULT 'manual',
+          status TEXT NOT NULL DEFAULT 'running',
+          command TEXT,
+          exit_code INTEGER,
+          output TEXT,
+          error TEXT,
+          duration_ms INTEGER,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_backup_drills_backup ON backup_drills(backup_id)`,
+        `CREATE TABLE IF NOT EXISTS backup_drill_schedules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id INTEGER NOT NULL,
+          cron_expr TEXT NOT NULL,
+          command TEXT,
+          timeout_seconds INTEGER DEFAULT 300,
+          enabled INTEGER DEFAULT 1,
+          last_run DATETIME,
+          last_status TEXT,
+          last_drill_id INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`
+      ]
+    },
+    {
+      name: '20261019_add_backup_gfs_retention',
+      statements: [
+        // Grandfather-father-son tiers; when all are NULL the schedule falls back to retention_days
+        "ALTER TABLE backup_schedules ADD COLUMN keep_last INTEGER",
+        "ALTER TABLE backup_schedules ADD COLUMN keep_daily INTEGER",
+        "ALTER TABLE backup_schedules ADD COLUMN keep_weekly INTEGER",
+        "ALTER TABLE backup_schedules ADD COLUMN keep_monthly INTEGER",
+        "ALTER TABLE backup_schedules ADD COLUMN max_total_mb INTEGER",
+        "ALTER TABLE backups ADD COLUMN pinned INTEGER DEFAULT 0"
+      ]
+    },
+    {
+      name: '20261019_add_server_runtime_driver',
+      statements: [
+        // Driver that owns the running instance (native, docker, remote); NULL while stopped
+        "ALTER TABLE servers ADD COLUMN runtime_driver TEXT"
+      ]
+    },
+    {
+      name: '20261019_add_server_restart_policy',
+      statements: [
+        // never | on-failure | always; see services/restart-supervisor.js
+        "ALTER TABLE servers ADD COLUMN restart_policy TEXT DEFAULT 'never'",
+        "ALTER TABLE servers ADD COLUMN restart_max_retries INTEGER DEFAULT 3",
+        "ALTER TABLE servers ADD COLUMN restart_delay_seconds INTEGER DEFAULT 5",
+        "ALTER TABLE servers ADD COLUMN restart_backoff INTEGER DEFAULT 1",
+        "ALTER TABLE servers ADD COLUMN restart_max_delay_seconds INTEGER DEFAULT 300",
+        "ALTER TABLE servers ADD COLUMN crashloop_threshold INTEGER DEFAULT 5",
+        "ALTER TABLE servers ADD COLUMN crashloop_window_seconds INTEGER DEFAULT 600"
+      ]
+    },
+    {
+      name: '20261019_create_console_history',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS console_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id INTEGER NOT NULL,
+          user_id INTEGER,
+          command TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_console_history_server_user ON console_history(server_id, user_id, id)`
+      ]
+    },
+    {
+      name: '20261019_create_ssh_profiles',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS ssh_profiles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          panel_user_id INTEGER NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL DEFAULT 22,
+          username TEXT NOT NULL,
+          password TEXT,
+          private_key TEXT,
+          passphrase TEXT,
+          host_key TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_ssh_profiles_user ON ssh_profiles(panel_user_id)`
+      ]
+    },
+    {
+      name: '20261019_create_session_recordings',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS session_recordings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          kind TEXT NOT NULL,
+          server_id INTEGER,
+          node_id TEXT,
+          profile_id INTEGER,
+          user_id INTEGER,
+          user_identity TEXT,
+          title TEXT,
+          file_path TEXT,
+          cols INTEGER,
+          rows INTEGER,
+          size_bytes INTEGER DEFAULT 0,
+          duration_ms INTEGER,
+          status TEXT NOT NULL DEFAULT 'recording',
+          truncated INTEGER DEFAULT 0,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          ended_at DATETIME
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_session_recordings_server ON session_recordings(server_id, started_at)`,
+        `CREATE INDEX IF NOT EXISTS idx_session_recordings_started ON session_recordings(started_at)`
+      ]
+    },
+    {
+      name: '20261019_create_file_uploads',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS file_uploads (
+          id TEXT PRIMARY KEY,
+          server_id INTEGER NOT NULL,
+          panel_user_id INTEGER,
+          target_path TEXT NOT NULL,
+          size_bytes INTEGER NOT NULL,
+          overwrite INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (server_id) REFERENCES servers(id) ON DELETE CASCADE
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_file_uploads_server ON file_uploads(server_id)`
+      ]
+    },
+    {
+      name: '20261019_create_panel_api_keys',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS panel_api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          panel_user_id INTEGER NOT NULL REFERENCES panel_users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL UNIQUE,
+          key_hash TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_panel_api_keys_user ON panel_api_keys(panel_user_id)`
+      ]
+    },
+    {
+      name: '20261019_create_server_deploys',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS server_deploys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id INTEGER NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+          trigger TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'running',
+          repo_url TEXT,
+          branch TEXT,
+          commit_sha TEXT,
+          commit_message TEXT,
+          previous_sha TEXT,
+          requested_by TEXT,
+          error TEXT,
+          log_path TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_server_deploys_server ON server_deploys(server_id, id)`,
+        `CREATE TABLE IF NOT EXISTS deploy_webhooks (
+          server_id INTEGER PRIMARY KEY REFERENCES servers(id) ON DELETE CASCADE,
+          secret TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_delivery_at DATETIME
+        )`
+      ]
+    },
+    {
+      name: '20261019_create_server_tasks',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS server_tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id INTEGER NOT NULL REFERENCES servers(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          cron_expr TEXT NOT NULL,
+          timezone TEXT,
+          enabled INTEGER NOT NULL DEFAULT 1,
+          only_if_running INTEGER NOT NULL DEFAULT 0,
+          steps TEXT NOT NULL,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_run_at DATETIME,
+          last_status TEXT,
+          last_error TEXT
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_server_tasks_server ON server_tasks(server_id)`,
+        `CREATE TABLE IF NOT EXISTS server_task_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_id INTEGER NOT NULL REFERENCES server_tasks(id) ON DELETE CASCADE,
+          server_id INTEGER NOT NULL,
+          trigger TEXT NOT NULL,
+          status TEXT NOT NULL,
+          steps TEXT,
+          error TEXT,
+          requested_by TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_server_task_runs_task ON server_task_runs(task_id, id)`
+      ]
+    },
+    {
+      name: '20261019_create_secrets',
+      statements: [
+        `CREATE TABLE IF NOT EXISTS secrets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          server_id INTEGER REFERENCES servers(id) ON DELETE CASCADE,
+          panel_user_id INTEGER REFERENCES panel_users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          current_version INTEGER NOT NULL DEFAULT 1,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_secrets_server_name ON secrets(server_id, name) WHERE server_id IS NOT NULL`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_secrets_shared_name ON secrets(panel_user_id, name) WHERE server_id IS NULL`,
+        `CREATE TABLE IF NOT EXISTS secret_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          secret_id INTEGER NOT NULL REFERENCES secrets(id) ON DELETE CASCADE,
+          version INTEGER NOT NULL,
+          ciphertext TEXT NOT NULL,
+          key_id TEXT NOT NULL,
+          created_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(secret_id, version)
+        )`
+      ]
     }
   ];
 
@@ -140,6 +140,14 @@ function getRuntimesDir() {
   return preferred;
 }
 
+function getRecordingsDir() {
+  return path.join(getAppDir(), 'recordings');
+}
+
+function getUploadsDir() {
+  return path.join(getAppDir(), 'uploads');
+}
+
 function getNetworkCacheDefaultDir() {
   const preferred = path.join(os.tmpdir(), 'turbonox', 'network-cache');
   const legacy = path.join(os.tmpdir(), 'voidhosting', 'network-cache');
@@ -166,5 +174,7 @@ module.exports = {
   getBackupsDir,
   getServersDir,
   getRuntimesDir,
+  getRecordingsDir,
+  getUploadsDir,
   getNetworkCacheDefaultDir,
 };
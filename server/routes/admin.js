@@ -8,6 +8,8 @@ const router = express.Router();
 const bcrypt = require('bcrypt');
 const { getDatabase } = require('../lib/database');
 const { authMiddleware, adminMiddleware, adminRestrictionMiddleware } = require('./auth');
+const AuditService = require('../services/AuditService');
+const { secretStore } = require('../services/secret-store');
 
 // All admin routes require authentication and admin role
 router.use(authMiddleware);
@@ -306,4 +308,22 @@ router.get('/stats', (req, res) => {
     }
 });
 
+/**
+ * POST /api/admin/secrets/rotate-key
+ * Replace the secrets master key and re-encrypt every stored secret
+ */
+router.post('/secrets/rotate-key', (req, res) => {
+    try {
+        const result = secretStore.rotateMasterKey();
+        AuditService.log(null, 'SECRETS_KEY_ROTATED', req.user.email, `Secrets master key rotated (${result.reencrypted} secrets re-encrypted)`, result);
+        res.json({ ok: true, ...result });
+    } catch (error) {
+        if (error.code === 'INVALID_SECRET_REQUEST') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[ADMIN] Rotate secrets key error:', error);
+        res.status(500).json({ error: 'Failed to rotate the secrets key' });
+    }
+});
+
 module.exports = router;
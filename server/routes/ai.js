@@ -1,10 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
 const { getDatabase } = require('../lib/database');
 const { restrictionMiddleware } = require('../utils/restrictions');
+const { logStore } = require('../services/log-store');
 
 function isLocalRequest(req) {
   const ip = req.ip || req.connection?.remoteAddress || '';
@@ -199,13 +198,7 @@ router.post('/analyze-logs', restrictionMiddleware('use_ai'), async (req, res) =
     let logLines = overrideLines;
     if (!logLines) {
       if (!server?.path) return res.status(400).json({ error: 'Missing server path.' });
-      const logPath = path.join(server.path, 'logs', 'output.log');
-      if (!fs.existsSync(logPath)) {
-        logLines = [];
-      } else {
-        const content = fs.readFileSync(logPath, 'utf-8');
-        logLines = content.split(/\r?\n/).slice(-Math.max(20, logWindow));
-      }
+      logLines = logStore.tail(server, Math.max(20, logWindow)).map((entry) => entry.text);
     }
 
     logLines = redactLines(logLines, { enabled: redact, mode: redactMode });
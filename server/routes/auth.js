@@ -9,11 +9,27 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { getDatabase } = require('../lib/database');
+const wsAuth = require('../services/ws-auth');
+const panelApiKeys = require('../services/panel-api-keys');
+const AuditService = require('../services/AuditService');
 
 // JWT secret - use env var or generate a random one per instance
 const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
 const JWT_EXPIRES_IN = '7d';
 
+/**
+ * Verify a JWT and return the user it was issued for. Throws like jwt.verify.
+ */
+function verifyToken(token) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return {
+        id: decoded.id,
+        email: decoded.email,
+        name: decoded.name,
+        role: decoded.role
+    };
+}
+
 /**
  * JWT Middleware - Verifies token and attaches user to request
  */
@@ -24,16 +40,8 @@ function authMiddleware(req, res, next) {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, JWT_SECRET);
-
         // Attach user to request
-        req.user = {
-            id: decoded.id,
-            email: decoded.email,
-            name: decoded.name,
-            role: decoded.role
-        };
+        req.user = verifyToken(authHeader.substring(7));
 
         next();
     } catch (error) {
@@ -230,6 +238,27 @@ router.get('/me', authMiddleware, (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/ws-ticket
+ * Trade the JWT for a short-lived, single-use WebSocket ticket (requires auth).
+ * Optional body: { path } to bind the ticket to one WebSocket endpoint.
+ */
+router.post('/ws-ticket', authMiddleware, (req, res) => {
+    try {
+        const ticket = wsAuth.issueTicket(req.user, { path: req.body?.path || null });
+        res.json({ ok: true, ...ticket });
+    } catch (error) {
+        if (error.code === 'INVALID_WS_PATH') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 'WS_TICKETS_EXHAUSTED') {
+            return res.status(429).json({ error: error.message });
+        }
+        console.error('[AUTH] WS ticket error:', error);
+        res.status(500).json({ error: 'Failed to issue WebSocket ticket' });
+    }
+});
+
 /**
  * PUT /api/auth/me
  * Update current user profile
@@ -355,6 +384,62 @@ router.post('/change-password', authMiddleware, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/auth/api-keys
+ * List the current user's API keys (without the secrets)
+ */
+router.get('/api-keys', authMiddleware, (req, res) => {
+    try {
+        res.json({ ok: true, keys: panelApiKeys.listKeys(getDatabase(), req.user.id) });
+    } catch (error) {
+        console.error('[AUTH] API key list error:', error);
+        res.status(500).json({ error: 'Failed to list API keys' });
+    }
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Create an API key for clients without a browser login (e.g. SFTP). Body: { name }.
+ * The key is only returned in this response.
+ */
+router.post('/api-keys', authMiddleware, (req, res) => {
+    try {
+        const key = panelApiKeys.createKey(getDatabase(), req.user.id, req.body?.name);
+        AuditService.log(null, 'API_KEY_CREATED', `${req.user.name} (${req.user.email})`, `API key '${key.name}' created`, {
+            keyId: key.id,
+            prefix: key.prefix,
+            userId: req.user.id
+        });
+        res.status(201).json({ ok: true, ...key });
+    } catch (error) {
+        if (error.code === 'INVALID_API_KEY_REQUEST') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[AUTH] API key create error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke one of the current user's API keys
+ */
+router.delete('/api-keys/:id', authMiddleware, (req, res) => {
+    try {
+        if (!panelApiKeys.revokeKey(getDatabase(), req.user.id, req.params.id)) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        AuditService.log(null, 'API_KEY_REVOKED', `${req.user.name} (${req.user.email})`, `API key ${req.params.id} revoked`, {
+            keyId: Number(req.params.id),
+            userId: req.user.id
+        });
+        res.json({ ok: true });
+    } catch (error) {
+        console.error('[AUTH] API key revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
 /**
  * POST /api/auth/logout
  * Client-side logout (just returns success)
@@ -431,6 +516,7 @@ router.post('/register', async (req, res) => {
 // Export middleware for use in other routes
 module.exports = router;
 module.exports.authMiddleware = authMiddleware;
+module.exports.verifyToken = verifyToken;
 module.exports.adminMiddleware = adminMiddleware;
 module.exports.adminRestrictionMiddleware = adminRestrictionMiddleware;
 module.exports.JWT_SECRET = JWT_SECRET;
@@ -2,14 +2,45 @@ const express = require('express');
 const router = express.Router();
 const { getDatabase } = require('../lib/database');
 const archiver = require('archiver');
-const unzipper = require('unzipper');
 const fs = require('fs');
 const path = require('path');
 const { getBackupsDir, getServersDir } = require('../lib/paths');
-const crypto = require('crypto');
 const { google } = require('googleapis');
 const AuditService = require('../services/AuditService');
 const { restrictionMiddleware } = require('../utils/restrictions');
+const { stopServer, canAccessServer } = require('./servers');
+const {
+  parseBackupMetadata,
+  getBackupKind,
+  resolveBackupChain,
+  findDependentBackups,
+} = require('../services/backup-chain');
+const { dedupStore } = require('../services/dedup-store');
+const backupCrypto = require('../services/backup-crypto');
+const { authMiddleware, adminMiddleware } = require('./auth');
+const backupDestinations = require('../services/backup-destinations');
+const {
+  buildFileManifest,
+  buildServerSnapshot,
+  backupTimestamp,
+  sanitizeName,
+  isDedupBackup,
+  resolveStorage,
+  resolveEncryptionKey,
+} = require('../services/backup-creator');
+const { backupJobs } = require('../services/backup-jobs');
+const backupHooks = require('../services/backup-hooks');
+const { extractZipToDirectory, extractBackupToDirectory } = require('../services/backup-extractor');
+const backupVerification = require('../services/backup-verification');
+const backupRetention = require('../services/backup-retention');
+const { getUserIdentity: getRequestIdentity } = require('../services/server-console');
+const { GFS_FIELDS } = backupRetention;
+const {
+  prepareUploadArchive,
+  FTP_SETTINGS_KEY,
+  encryptFtpCredentials,
+  decryptFtpCredentials,
+} = backupDestinations;
 
 function getUserIdentity(db, accountId) {
   try {
@@ -82,12 +113,6 @@ const ensureDir = (dirPath) => {
   }
 };
 
-const sanitizeName = (name) => {
-  const safe = String(name || '').trim();
-  if (!safe) return 'restored-server';
-  return safe.replace(/[\\/:*?"<>|]/g, '-').replace(/\s+/g, ' ').trim();
-};
-
 const uniqueServerPath = (baseName) => {
   const serversDir = getServersDir();
   ensureDir(serversDir);
@@ -102,14 +127,184 @@ const uniqueServerPath = (baseName) => {
   return candidate;
 };
 
-const extractZipToDirectory = async (zipPath, destinationDir) => {
-  ensureDir(destinationDir);
-  await fs.createReadStream(zipPath)
-    .pipe(unzipper.Extract({ path: destinationDir }))
-    .promise();
+/**
+ * Zip a directory to destinationPath, encrypting with encryptionKey (a backup_keys row) when given.
+ * Resolves with the size of the written file.
+ */
+const archiveDirectory = (sourceDir, destinationPath, compressionLevel = 6, encryptionKey = null) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(destinationPath);
+  const archive = archiver('zip', { zlib: { level: compressionLevel } });
+  output.on('close', () => resolve(fs.statSync(destinationPath).size));
+  output.on('error', reject);
+  archive.on('error', reject);
+  if (encryptionKey) {
+    const encrypt = backupCrypto.createEncryptStream(encryptionKey);
+    encrypt.on('error', reject);
+    archive.pipe(encrypt).pipe(output);
+  } else {
+    archive.pipe(output);
+  }
+  if (fs.existsSync(sourceDir)) {
+    archive.directory(sourceDir, false);
+  }
+  archive.finalize();
+});
+
+const emptyDirectory = (dirPath) => {
+  ensureDir(dirPath);
+  for (const entry of fs.readdirSync(dirPath)) {
+    fs.rmSync(path.join(dirPath, entry), { recursive: true, force: true });
+  }
+};
+
+const getEncryptionInfo = (backup) => {
+  const meta = parseBackupMetadata(backup);
+  if (meta.encryption?.keyId) return meta.encryption;
+  if (isDedupBackup(backup)) return null;
+  try {
+    const header = backupCrypto.readFileHeader(path.join(getBackupDir(), backup.filename));
+    return header ? { keyId: header.keyId, algorithm: backupCrypto.ALGORITHM } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Throw unless a backup can be decrypted with a key this panel has. Backups that only exist
+ * remotely need at least one copy whose key is available.
+ */
+const assertBackupDecryptable = (backup) => {
+  if (backupDestinations.localBackupExists(backup)) {
+    const encryption = getEncryptionInfo(backup);
+    if (encryption && !backupCrypto.getKey(encryption.keyId)) throw backupCrypto.keyMissingError(encryption.keyId);
+    return;
+  }
+  const copies = backupDestinations.listRemoteCopies(backup.id);
+  if (copies.length && !copies.some((c) => !c.encryption_key_id || backupCrypto.getKey(c.encryption_key_id))) {
+    throw backupCrypto.keyMissingError(copies[0].encryption_key_id);
+  }
 };
 
-// Upload placeholder: supports FTP basic upload and Google Drive placeholder
+const serializeRemoteCopy = (copy) => ({
+  id: copy.id,
+  destination_id: copy.destination_id,
+  destination_name: copy.destination_name || null,
+  provider: copy.provider,
+  remote_name: copy.remote_name,
+  size: copy.size,
+  encryption_key_id: copy.encryption_key_id || null,
+  uploaded_at: copy.uploaded_at,
+});
+
+/**
+ * Restore a backup over an existing local server.
+ * The server is stopped, its current directory is archived as a safety snapshot (kept as a regular backup row),
+ * and the snapshot is extracted back if extraction of the requested backup fails. Errors carry
+ * safetySnapshotId and rolledBack; when the rollback fails too the directory is left half-restored
+ * and the snapshot has to be restored by hand.
+ */
+async function restoreInPlace(db, { backup, server, mode, restoreServerFields, userIdentity }) {
+  await stopServer(server.id, userIdentity);
+
+  ensureDir(getBackupDir());
+  const encryptionKey = resolveEncryptionKey();
+  const snapshotFilename = `${sanitizeName(server.name)}-pre-restore-${backupTimestamp()}.zip${encryptionKey ? '.enc' : ''}`;
+  const snapshotPath = path.join(getBackupDir(), snapshotFilename);
+  const snapshotSize = await archiveDirectory(server.path, snapshotPath, 6, encryptionKey);
+  const snapshotMetadata = {
+    server: buildServerSnapshot(server),
+    createdAt: new Date().toISOString(),
+    sourcePath: server.path,
+    safetySnapshot: { restoreOf: backup.id },
+    encryption: encryptionKey ? { keyId: encryptionKey.key_id, algorithm: backupCrypto.ALGORITHM } : null,
+  };
+  const snapshotId = db.prepare('INSERT INTO backups (server_id, filename, size, metadata) VALUES (?, ?, ?, ?)')
+    .run(server.id, snapshotFilename, snapshotSize, JSON.stringify(snapshotMetadata)).lastInsertRowid;
+
+  try {
+    if (mode === 'clean') {
+      emptyDirectory(server.path);
+    }
+    await extractBackupToDirectory(db, backup, server.path);
+  } catch (err) {
+    console.error(`[BACKUPS] In-place restore of ${backup.filename} failed, rolling back:`, err.message);
+    let rollbackError = null;
+    try {
+      emptyDirectory(server.path);
+      await extractZipToDirectory(snapshotPath, server.path);
+    } catch (rbErr) {
+      rollbackError = rbErr;
+      console.error(`[BACKUPS] Rollback of server ${server.id} to safety snapshot ${snapshotId} failed:`, rbErr.message);
+    }
+    AuditService.log(server.id, 'BACKUP_RESTORE', userIdentity, rollbackError
+      ? `Restore from backup ${backup.filename} failed and could not be rolled back; restore safety snapshot ${snapshotFilename} manually`
+      : `Restore from backup ${backup.filename} failed and was rolled back`, {
+      backupId: backup.id,
+      snapshotId,
+      mode,
+      rolledBack: !rollbackError,
+      error: err.message,
+      rollbackError: rollbackError ? rollbackError.message : null,
+    });
+    const failure = new Error(rollbackError
+      ? `Restore failed (${err.message}) and rolling back to safety snapshot ${snapshotId} failed too (${rollbackError.message}); the server directory is partially restored`
+      : `Restore failed and was rolled back to the safety snapshot: ${err.message}`);
+    failure.safetySnapshotId = snapshotId;
+    failure.rolledBack = !rollbackError;
+    throw failure;
+  }
+
+  let fieldsRestored = false;
+  if (restoreServerFields) {
+    let snap = null;
+    try {
+      snap = backup.metadata ? JSON.parse(backup.metadata)?.server : null;
+    } catch {
+      snap = null;
+    }
+    if (snap && typeof snap === 'object') {
+      const asText = (v) => (v === null || v === undefined || typeof v === 'string' ? v ?? null : JSON.stringify(v));
+      let port = snap.port !== undefined && snap.port !== null ? Number(snap.port) : null;
+      if (port && db.prepare('SELECT id FROM servers WHERE port = ? AND id != ?').get(port, server.id)) {
+        // Keep the current port rather than colliding with another server.
+        port = server.port;
+      }
+      db.prepare(
+        `UPDATE servers SET
+          name = ?, type = ?, command = ?, port = ?, public_access = ?, subdomain = ?, env_vars = ?, repo = ?,
+          runtime = ?, notes = ?, auto_port = ?, launch_script = ?, metadata = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`
+      ).run(
+        snap.name || server.name,
+        snap.type || server.type,
+        snap.command || server.command,
+        port,
+        snap.public_access ? 1 : 0,
+        snap.subdomain || null,
+        asText(snap.env_vars),
+        asText(snap.repo),
+        snap.runtime || null,
+        snap.notes || null,
+        snap.auto_port ? 1 : 0,
+        snap.launch_script || null,
+        asText(snap.metadata),
+        server.id
+      );
+      fieldsRestored = true;
+    }
+  }
+
+  AuditService.log(server.id, 'BACKUP_RESTORE', userIdentity, `Restored backup ${backup.filename} in place (${mode})`, {
+    backupId: backup.id,
+    snapshotId,
+    mode,
+    fieldsRestored,
+  });
+
+  return { snapshotId, snapshotFilename, fieldsRestored };
+}
+
+// Upload to a saved destination (destination_id), or ad hoc via FTP options / the Google Drive queue
 router.post('/:id/upload', async (req, res) => {
   const db = getDatabase();
   const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
@@ -118,10 +313,27 @@ router.post('/:id/upload', async (req, res) => {
   const provider = String(req.body?.provider || '').toLowerCase();
   const options = req.body?.options || {};
 
-  const backupPath = path.join(getBackupDir(), backup.filename);
-  if (!fs.existsSync(backupPath)) return res.status(404).json({ error: 'Backup file missing' });
+  if (!fs.existsSync(path.join(getBackupDir(), backup.filename))) return res.status(404).json({ error: 'Backup file missing' });
 
+  if (req.body?.destination_id) {
+    try {
+      const result = await backupDestinations.uploadBackup(backup, req.body.destination_id);
+      AuditService.log(backup.server_id, 'BACKUP_UPLOAD', getUserIdentity(db, getActiveAccountId(db)), `Backup ${backup.filename} uploaded to ${result.destination.name}`, {
+        destinationId: result.destination.id,
+        provider: result.destination.provider,
+        remoteRef: result.ref,
+      });
+      return res.json({ ok: true, message: `Uploaded to ${result.destination.name}`, copy_id: result.copyId, remote_ref: result.ref });
+    } catch (err) {
+      return res.status(err.code === 'NOT_FOUND' ? 404 : 500).json({ error: err.message });
+    }
+  }
+
+  let exported = null;
   try {
+    exported = await prepareUploadArchive(backup);
+    const backupPath = exported.archivePath;
+
     if (provider === 'ftp') {
       // lightweight FTP upload using basic ftp module if available
       let FtpClient;
@@ -133,6 +345,14 @@ router.post('/:id/upload', async (req, res) => {
       await client.access({ host: options.host, port: options.port || 21, user: options.user, password: options.password, secure: !!options.secure });
       await client.uploadFrom(backupPath, path.basename(backupPath));
       client.close();
+      backupDestinations.recordRemoteCopy({
+        backupId: backup.id,
+        provider: 'ftp',
+        remoteName: path.basename(backupPath),
+        ref: path.basename(backupPath),
+        size: fs.statSync(backupPath).size,
+        archivePath: backupPath,
+      });
 
       AuditService.log(backup.server_id, 'BACKUP_UPLOAD', getUserIdentity(db, getActiveAccountId(db)), `Backup ${backup.filename} uploaded via FTP`);
       return res.json({ ok: true, message: 'Uploaded via FTP' });
@@ -152,8 +372,17 @@ router.post('/:id/upload', async (req, res) => {
           const drive = google.drive({ version: 'v3', auth: oAuth2Client });
 
           const fileMetadata = { name: path.basename(backupPath) };
-          const media = { mimeType: 'application/zip', body: fs.createReadStream(backupPath) };
+          const mimeType = backupPath.endsWith('.enc') ? 'application/octet-stream' : 'application/zip';
+          const media = { mimeType, body: fs.createReadStream(backupPath) };
           const response = await drive.files.create({ resource: fileMetadata, media, fields: 'id' });
+          backupDestinations.recordRemoteCopy({
+            backupId: backup.id,
+            provider: 'gdrive',
+            remoteName: fileMetadata.name,
+            ref: response.data.id,
+            size: fs.statSync(backupPath).size,
+            archivePath: backupPath,
+          });
           AuditService.log(backup.server_id, 'BACKUP_UPLOAD', getUserIdentity(db, getActiveAccountId(db)), `Backup ${backup.filename} uploaded to Google Drive`);
           return res.json({ ok: true, message: 'Uploaded to Google Drive', fileId: response.data.id });
         } catch (err) {
@@ -173,6 +402,109 @@ router.post('/:id/upload', async (req, res) => {
     return res.status(400).json({ error: 'Unsupported provider' });
   } catch (err) {
     return res.status(500).json({ error: err.message });
+  } finally {
+    exported?.cleanup();
+  }
+});
+
+// Saved upload destinations
+router.get('/destinations', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM backup_destinations ORDER BY created_at DESC, id DESC').all();
+    res.json(rows.map(backupDestinations.serializeDestination));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/destinations', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const { name, provider, config = {}, enabled = true } = req.body || {};
+    if (!name || !provider) return res.status(400).json({ error: 'name and provider are required' });
+    if (!backupDestinations.PROVIDERS[String(provider).toLowerCase()]) {
+      return res.status(400).json({ error: `Unsupported provider. Use one of: ${Object.keys(backupDestinations.PROVIDERS).join(', ')}` });
+    }
+    // Credentials are encrypted against the new row's id, so the config is written after the insert
+    const id = db.transaction(() => {
+      const result = db.prepare('INSERT INTO backup_destinations (name, provider, config, enabled) VALUES (?, ?, ?, ?)')
+        .run(String(name).trim(), String(provider).toLowerCase(), '{}', enabled ? 1 : 0);
+      db.prepare('UPDATE backup_destinations SET config = ? WHERE id = ?')
+        .run(JSON.stringify(backupDestinations.sealConfig(result.lastInsertRowid, config || {})), result.lastInsertRowid);
+      return result.lastInsertRowid;
+    })();
+    const row = backupDestinations.getDestinationRow(id);
+    res.json({ message: 'Destination created', destination: backupDestinations.serializeDestination(row) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Test connection settings before saving them
+router.post('/destinations/test', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { provider, config = {} } = req.body || {};
+    const result = await backupDestinations.createDestination(provider, config).testConnection();
+    res.json(result);
+  } catch (e) {
+    res.status(400).json({ error: `Connection failed: ${e.message}` });
+  }
+});
+
+router.patch('/destinations/:id', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const existing = backupDestinations.getDestinationRow(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Destination not found' });
+
+    const name = req.body?.name !== undefined ? String(req.body.name).trim() : existing.name;
+    const enabled = req.body?.enabled !== undefined ? (req.body.enabled ? 1 : 0) : existing.enabled;
+    const config = req.body?.config
+      ? backupDestinations.mergeConfig(backupDestinations.parseConfig(existing), req.body.config)
+      : backupDestinations.parseConfig(existing);
+
+    db.prepare('UPDATE backup_destinations SET name = ?, config = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(name, JSON.stringify(backupDestinations.sealConfig(existing.id, config)), enabled, existing.id);
+    res.json({ message: 'Destination updated', destination: backupDestinations.serializeDestination(backupDestinations.getDestinationRow(existing.id)) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.delete('/destinations/:id', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const existing = backupDestinations.getDestinationRow(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Destination not found' });
+    const copies = db.prepare('SELECT COUNT(*) AS count FROM backup_remote_copies WHERE destination_id = ?').get(existing.id).count;
+    if (copies > 0) {
+      return res.status(409).json({ error: `Destination still holds ${copies} backup copy(ies); delete those backups first` });
+    }
+    db.prepare('UPDATE backup_schedules SET destination_id = NULL WHERE destination_id = ?').run(existing.id);
+    db.prepare('DELETE FROM backup_destinations WHERE id = ?').run(existing.id);
+    res.json({ message: 'Destination deleted' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/destinations/:id/test', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { destination } = backupDestinations.loadDestination(req.params.id);
+    res.json(await destination.testConnection());
+  } catch (e) {
+    if (e.code === 'NOT_FOUND') return res.status(404).json({ error: e.message });
+    res.status(400).json({ error: `Connection failed: ${e.message}` });
+  }
+});
+
+router.get('/destinations/:id/files', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { destination } = backupDestinations.loadDestination(req.params.id);
+    res.json(await destination.list());
+  } catch (e) {
+    res.status(e.code === 'NOT_FOUND' ? 404 : 500).json({ error: e.message });
   }
 });
 
@@ -248,7 +580,16 @@ router.get('/', (req, res) => {
        ORDER BY b.created_at DESC`
     ).all(...ownerIds);
 
-    res.json(rows);
+    const drills = backupVerification.getLatestDrills(rows.map((row) => row.id));
+    res.json(rows.map((row) => {
+      const copies = backupDestinations.listRemoteCopies(row.id);
+      return {
+        ...row,
+        location: backupDestinations.getBackupLocation(row, copies),
+        remote_copies: copies.map(serializeRemoteCopy),
+        last_drill: drills.get(Number(row.id)) || null,
+      };
+    }));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -276,9 +617,17 @@ router.post('/:id/restore', restrictionMiddleware(), async (req, res) => {
       }
     }
 
-    const backupPath = path.join(getBackupDir(), backup.filename);
-    if (!fs.existsSync(backupPath)) {
-      return res.status(404).json({ error: 'Backup file not found on disk' });
+    if (backupDestinations.getBackupLocation(backup) === 'missing') {
+      return res.status(404).json({ error: 'Backup file not found on disk or on any destination' });
+    }
+
+    // Incremental backups need every earlier archive in their chain, and encrypted ones their keys
+    try {
+      for (const link of resolveBackupChain(db, backup)) {
+        assertBackupDecryptable(link);
+      }
+    } catch (err) {
+      return res.status(409).json({ error: err.message, code: err.code || 'CHAIN_BROKEN' });
     }
 
     let backupMetadata = null;
@@ -293,7 +642,30 @@ router.post('/:id/restore', restrictionMiddleware(), async (req, res) => {
       : null;
 
     if (existingServer) {
-      return res.status(400).json({ error: 'Server already exists for this backup. Restore for existing servers is not implemented yet.' });
+      const mode = String(req.body?.mode || '').toLowerCase();
+      if (mode !== 'merge' && mode !== 'clean') {
+        return res.status(400).json({ error: 'Server already exists for this backup. Pass mode "merge" or "clean" to restore it in place.' });
+      }
+      if (existingServer.node_id) {
+        return res.status(400).json({ error: 'In-place restore is only supported for servers on the local node' });
+      }
+
+      const result = await restoreInPlace(db, {
+        backup,
+        server: existingServer,
+        mode,
+        restoreServerFields: Boolean(req.body?.restore_server_fields),
+        userIdentity: getUserIdentity(db, activeAccountId),
+      });
+
+      return res.json({
+        message: 'Backup restored in place successfully',
+        serverId: existingServer.id,
+        serverPath: existingServer.path,
+        mode,
+        safetySnapshotId: result.snapshotId,
+        fieldsRestored: result.fieldsRestored,
+      });
     }
 
     const snap = backupMetadata?.server || {};
@@ -316,7 +688,7 @@ router.post('/:id/restore', restrictionMiddleware(), async (req, res) => {
     const serverPath = uniqueServerPath(desiredName);
     ensureDir(serverPath);
 
-    await extractZipToDirectory(backupPath, serverPath);
+    await extractBackupToDirectory(db, backup, serverPath);
 
     const insertStmt = db.prepare(`
       INSERT INTO servers (
@@ -373,28 +745,64 @@ router.post('/:id/restore', restrictionMiddleware(), async (req, res) => {
     });
     AuditService.log(newServerId, 'BACKUP_RESTORE', getUserIdentity(db, activeAccountId), `Restored from backup ${backup.filename}`);
   } catch (err) {
+    if (err.safetySnapshotId) {
+      return res.status(500).json({ error: err.message, safetySnapshotId: err.safetySnapshotId, rolledBack: err.rolledBack });
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
 // Serve raw backup file for download
-router.get('/:id/file', (req, res) => {
+router.get('/:id/file', async (req, res) => {
   try {
     const db = getDatabase();
     const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
     if (!backup) return res.status(404).send('Not found');
-    const backupPath = path.join(getBackupDir(), backup.filename);
-    if (!fs.existsSync(backupPath)) return res.status(404).send('Not found');
-    res.setHeader('Content-Disposition', `attachment; filename="${backup.filename}"`);
+    let backupPath = path.join(getBackupDir(), backup.filename);
+    const location = backupDestinations.getBackupLocation(backup);
+    if (location === 'missing') return res.status(404).send('Not found');
+    try {
+      assertBackupDecryptable(backup);
+    } catch (err) {
+      return res.status(409).json({ error: err.message, code: err.code });
+    }
+
+    // Only on a destination: stream the remote copy back through a temporary file
+    let fetched = null;
+    if (location === 'remote') {
+      fetched = await backupDestinations.fetchRemoteCopy(backup);
+      backupPath = fetched.filePath;
+      res.on('close', () => fetched.cleanup());
+    }
+
     res.setHeader('Content-Type', 'application/zip');
-    const stream = fs.createReadStream(backupPath);
+    if (!fetched && isDedupBackup(backup)) {
+      // Assemble the zip from the chunk store on the fly
+      const archive = await dedupStore.createZipStream(backup.filename);
+      archive.on('error', (err) => {
+        console.error(`[BACKUPS] Failed to stream ${backup.filename}:`, err.message);
+        res.destroy(err);
+      });
+      res.setHeader('Content-Disposition', `attachment; filename="${path.basename(backup.filename, '.json.gz')}.zip"`);
+      archive.pipe(res);
+      return;
+    }
+    // Encrypted archives are served decrypted
+    const downloadName = fetched ? fetched.copy.remote_name : backup.filename;
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadName.replace(/\.enc$/, '')}"`);
+    const stream = backupCrypto.createPlainReadStream(backupPath);
+    stream.on('error', (err) => {
+      console.error(`[BACKUPS] Failed to stream ${backup.filename}:`, err.message);
+      res.destroy(err);
+    });
     stream.pipe(res);
   } catch (e) {
+    if (res.headersSent) return res.destroy(e);
     res.status(500).send('Error');
   }
 });
 
-router.post('/:serverId', restrictionMiddleware('create_backup'), async (req, res) => {
+router.post('/:serverId(\\d+)', restrictionMiddleware('create_backup'), async (req, res) => {
   const serverId = req.params.serverId;
   const db = getDatabase();
 
@@ -414,164 +822,148 @@ router.post('/:serverId', restrictionMiddleware('create_backup'), async (req, re
       return res.status(403).json({ error: 'Not allowed' });
     }
 
-    const backupDir = getBackupDir();
-    ensureDir(backupDir);
+    // Options: compression_level (0-9), incremental (boolean), storage ('zip' | 'dedup'), encrypt (boolean),
+    // consistency ('live' | 'hooks' | 'stop', overrides the server's backup hooks)
+    const options = {};
+    for (const key of ['compression_level', 'incremental', 'storage', 'encrypt', 'consistency']) {
+      if (req.body?.[key] !== undefined) options[key] = req.body[key];
+    }
+    if (options.consistency && !backupHooks.MODES.includes(String(options.consistency))) {
+      return res.status(400).json({ error: `consistency must be one of ${backupHooks.MODES.join(', ')}` });
+    }
+    const job = backupJobs.enqueue({
+      serverId: server.id,
+      trigger: 'manual',
+      options,
+      requestedBy: getUserIdentity(db, activeAccountId),
+    });
 
+    // async: return the queued job right away and follow it over /api/backups/jobs
+    if (req.body?.async || req.query.async) {
+      return res.status(202).json({ job, message: 'Backup queued' });
+    }
 
-    // Options: compression_level (0-9), incremental (boolean)
-    const compressionLevel = Math.min(9, Math.max(0, Number(req.body?.compression_level ?? 6)));
-    const incremental = Boolean(req.body?.incremental);
+    const finished = await backupJobs.waitFor(job.id);
+    if (finished.status !== 'completed') {
+      return res.status(finished.status === 'cancelled' ? 409 : 500).json({ error: finished.error || `Backup ${finished.status}`, job: finished });
+    }
+    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(finished.backup_id);
+    const meta = parseBackupMetadata(backup);
+    res.json({
+      id: backup.id,
+      job_id: finished.id,
+      filename: backup.filename,
+      size: backup.size,
+      storage: meta.storage || 'zip',
+      encrypted: Boolean(meta.encryption),
+      added_bytes: meta.addedBytes ?? undefined,
+      reused_files: meta.reusedFiles ?? undefined,
+      backup_type: meta.backupType || 'full',
+      parent_id: meta.parentId ?? null,
+      message: 'Backup created successfully'
+    });
+  } catch (err) {
+    if (err.code === 'BACKUP_QUOTA_EXCEEDED') return res.status(403).json({ error: err.message, code: err.code });
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${server.name}-${timestamp}.zip`;
-    const backupPath = path.join(backupDir, filename);
+// Bring an evicted backup back from its newest remote copy
+router.post('/:id/fetch', async (req, res) => {
+  const db = getDatabase();
 
-    const output = fs.createWriteStream(backupPath);
-    const archive = archiver('zip', { zlib: { level: compressionLevel } });
+  const activeAccountId = getActiveAccountId(db);
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
+  }
 
-    output.on('close', () => {
-      const size = archive.pointer();
+  try {
+    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
 
-      try {
-        const metadata = {
-          server: {
-            name: server.name,
-            type: server.type,
-            command: server.command,
-            port: server.port,
-            public_access: server.public_access,
-            subdomain: server.subdomain,
-            env_vars: server.env_vars,
-            repo: server.repo,
-            runtime: server.runtime,
-            notes: server.notes,
-            auto_port: server.auto_port,
-            launch_script: server.launch_script,
-            metadata: server.metadata,
-            node_id: server.node_id,
-          },
-          createdAt: new Date().toISOString(),
-          sourcePath: server.path,
-        };
-
-        // If incremental manifest was generated, include it in metadata
-        try {
-          if (archive && archive._generatedManifest) {
-            metadata.manifest = archive._generatedManifest;
-          }
-        } catch { }
-
-        const insertStmt = db.prepare('INSERT INTO backups (server_id, filename, size, metadata) VALUES (?, ?, ?, ?)');
-        res.json({
-          id: result.lastInsertRowid,
-          filename,
-          size,
-          message: 'Backup created successfully'
-        });
-        AuditService.log(serverId, 'BACKUP_CREATE', getUserIdentity(db, activeAccountId), `Backup ${filename} created`); // removed formatBytes as it's not available
-      } catch (err) {
-        res.status(500).json({ error: err.message });
+    if (backup.server_id) {
+      const attached = db.prepare('SELECT * FROM servers WHERE id = ?').get(backup.server_id);
+      if (attached && !canAccessServerForBackup(db, activeAccountId, attached, 'restore')) {
+        return res.status(403).json({ error: 'Not allowed' });
       }
-    });
+    }
 
-    archive.on('error', (err) => {
-      res.status(500).json({ error: err.message });
-    });
+    const location = backupDestinations.getBackupLocation(backup);
+    if (location === 'missing') return res.status(404).json({ error: 'Backup has no remote copy' });
+    if (location !== 'remote') return res.status(409).json({ error: 'Backup is already stored locally' });
+    try {
+      assertBackupDecryptable(backup);
+    } catch (err) {
+      return res.status(409).json({ error: err.message, code: err.code });
+    }
 
-    archive.pipe(output);
-    if (!incremental) {
-      archive.directory(server.path, false);
-      archive.finalize();
-    } else {
-      // Basic incremental: include files modified since last backup for this server
-      // More robust incremental: compute manifest and include changed/new files based on SHA1 checksum
-      let lastManifest = null;
-      try {
-        const lastRow = db.prepare('SELECT metadata FROM backups WHERE server_id = ? ORDER BY created_at DESC LIMIT 1').get(serverId);
-        if (lastRow && lastRow.metadata) {
-          const meta = JSON.parse(lastRow.metadata);
-          lastManifest = meta.manifest || null;
+    const fetched = await backupDestinations.fetchRemoteCopy(backup);
+    try {
+      if (isDedupBackup(backup)) {
+        // Re-import into the chunk store under the original manifest name
+        const tmpDir = path.join(getBackupDir(), 'tmp', `fetch-${backup.id}-${Date.now()}`);
+        try {
+          await extractZipToDirectory(fetched.filePath, tmpDir);
+          const encryption = getEncryptionInfo(backup);
+          await dedupStore.writeBackup({
+            sourceDir: tmpDir,
+            name: path.basename(backup.filename, '.json.gz'),
+            files: await buildFileManifest(tmpDir),
+            encryptionKey: encryption ? backupCrypto.getKey(encryption.keyId) : null,
+          });
+        } finally {
+          fs.rmSync(tmpDir, { recursive: true, force: true });
         }
-      } catch (e) {
-        lastManifest = null;
+      } else {
+        const target = path.join(getBackupDir(), backup.filename);
+        ensureDir(path.dirname(target));
+        fs.copyFileSync(fetched.filePath, target);
       }
+    } finally {
+      fetched.cleanup();
+    }
 
-      const fileList = [];
-
-      const walk = (dir) => {
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        for (const ent of entries) {
-          const full = path.join(dir, ent.name);
-          const rel = path.relative(server.path, full).replace(/\\/g, '/');
-          try {
-            if (ent.isDirectory()) {
-              walk(full);
-            } else if (ent.isFile()) {
-              const st = fs.statSync(full);
-              fileList.push({ full, rel, mtimeMs: st.mtimeMs, size: st.size });
-            }
-          } catch (e) {
-            // ignore
-          }
-        }
-      };
-
-      walk(server.path);
+    AuditService.log(backup.server_id, 'BACKUP_FETCH', getUserIdentity(db, activeAccountId), `Backup ${backup.filename} fetched from ${fetched.copy.destination_name || fetched.copy.provider}`, {
+      copyId: fetched.copy.id,
+    });
+    res.json({ message: 'Backup fetched', location: backupDestinations.getBackupLocation(backup) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-      const needHash = (file, lastMap) => {
-        if (!lastMap) return true;
-        const last = lastMap[file.rel];
-        if (!last) return true;
-        if (last.size !== file.size) return true;
-        if (last.mtimeMs !== file.mtimeMs) return true;
-        return false;
-      };
+// Drop the local file of a backup that also exists on a destination
+router.post('/:id/evict', (req, res) => {
+  const db = getDatabase();
 
-      const lastMap = (lastManifest || []).reduce((acc, it) => { acc[it.path] = it; return acc; }, {});
-      const newManifest = [];
-
-      for (const f of fileList) {
-        let sha1 = null;
-        if (needHash(f, lastMap)) {
-          try {
-            const hash = crypto.createHash('sha1');
-            const s = fs.createReadStream(f.full);
-            await new Promise((resolve, reject) => {
-              s.on('data', (chunk) => hash.update(chunk));
-              s.on('end', () => { sha1 = hash.digest('hex'); resolve(); });
-              s.on('error', reject);
-            });
-          } catch (e) {
-            continue;
-          }
-        } else {
-          sha1 = lastMap[f.rel].sha1;
-        }
-        newManifest.push({ path: f.rel, mtimeMs: f.mtimeMs, size: f.size, sha1 });
-      }
+  const activeAccountId = getActiveAccountId(db);
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
+  }
 
-      // Determine changed files
-      const changed = newManifest.filter((m) => {
-        const last = lastMap[m.path];
-        if (!last) return true;
-        return last.sha1 !== m.sha1;
-      });
+  try {
+    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
 
-      for (const c of changed) {
-        const fullPath = path.join(server.path, c.path);
-        if (fs.existsSync(fullPath)) {
-          archive.file(fullPath, { name: c.path });
-        }
+    if (backup.server_id) {
+      const attached = db.prepare('SELECT * FROM servers WHERE id = ?').get(backup.server_id);
+      if (attached && !canAccessServerForBackup(db, activeAccountId, attached, 'delete')) {
+        return res.status(403).json({ error: 'Not allowed' });
       }
+    }
 
-      // attach manifest into metadata after finalize via output close handler
-      archive.finalize();
-      // store manifest by listening to output close — we will attach manifest in the output 'close' handler above
-      // to ensure metadata.manifest is saved; to facilitate that, we'll push the manifest into a temporary variable on archive
-      archive._generatedManifest = newManifest;
+    if (backupDestinations.getBackupLocation(backup) !== 'both') {
+      return res.status(409).json({ error: 'Backup needs both a local file and a remote copy to be evicted' });
     }
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+    backupDestinations.evictLocalCopy(backup);
+    if (isDedupBackup(backup)) {
+      dedupStore.collectGarbage(db).catch((err) => console.warn('[BACKUPS] Dedup GC failed:', err.message));
+    }
+    AuditService.log(backup.server_id, 'BACKUP_EVICT', getUserIdentity(db, activeAccountId), `Local copy of backup ${backup.filename} evicted`);
+    res.json({ message: 'Local copy evicted', location: 'remote' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
 });
 
@@ -597,6 +989,14 @@ router.delete('/:id', (req, res) => {
       }
     }
 
+    const dependents = findDependentBackups(db, backup.id);
+    if (dependents.length > 0) {
+      return res.status(409).json({
+        error: `Backup is required by ${dependents.length} incremental backup(s); delete those first`,
+        dependents: dependents.map((d) => d.id),
+      });
+    }
+
     const backupPath = path.join(getBackupDir(), backup.filename);
 
     if (fs.existsSync(backupPath)) {
@@ -606,6 +1006,11 @@ router.delete('/:id', (req, res) => {
     const deleteStmt = db.prepare('DELETE FROM backups WHERE id = ?');
     deleteStmt.run(req.params.id);
     res.json({ message: 'Backup deleted successfully' });
+    if (isDedupBackup(backup)) {
+      dedupStore.collectGarbage(db).catch((err) => console.warn('[BACKUPS] Dedup GC failed:', err.message));
+    }
+    backupDestinations.deleteRemoteCopies(backup.id)
+      .catch((err) => console.warn('[BACKUPS] Failed to delete remote copies:', err.message));
     if (backup.server_id) {
       AuditService.log(backup.server_id, 'BACKUP_DELETE', getUserIdentity(db, activeAccountId), `Backup ${backup.filename} deleted`);
     }
@@ -638,13 +1043,28 @@ router.get('/schedules', (req, res) => {
   }
 });
 
+// keep_local: after a successful upload keep only the newest N local files (null keeps everything).
+// Also used for the GFS retention counts and max_total_mb, where null means the tier is unused.
+const parseOptionalCount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+// GFS tiers (keep_last, keep_daily, keep_weekly, keep_monthly) and the per-server size cap
+const RETENTION_FIELDS = [...GFS_FIELDS, 'max_total_mb'];
+
 router.post('/schedules', restrictionMiddleware('create_backup'), (req, res) => {
   try {
     const db = getDatabase();
-    const { server_id, cron_expr, incremental = 0, compression_level = 6, retention_days = 7, enabled = 1 } = req.body || {};
+    const { server_id, cron_expr, incremental = 0, compression_level = 6, retention_days = 7, enabled = 1, storage = null, destination_id = null, keep_local = null } = req.body || {};
     if (!server_id || !cron_expr) return res.status(400).json({ error: 'server_id and cron_expr required' });
-    const stmt = db.prepare(`INSERT INTO backup_schedules (server_id, cron_expr, incremental, compression_level, retention_days, enabled) VALUES (?, ?, ?, ?, ?, ?)`);
-    const result = stmt.run(server_id, cron_expr, incremental ? 1 : 0, Number(compression_level) || 6, Number(retention_days) || 7, enabled ? 1 : 0);
+    if (destination_id && !backupDestinations.getDestinationRow(destination_id)) {
+      return res.status(400).json({ error: 'Destination not found' });
+    }
+    const retention = RETENTION_FIELDS.map((field) => parseOptionalCount(req.body?.[field]));
+    const stmt = db.prepare(`INSERT INTO backup_schedules (server_id, cron_expr, incremental, compression_level, retention_days, enabled, storage, destination_id, keep_local, ${RETENTION_FIELDS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${RETENTION_FIELDS.map(() => '?').join(', ')})`);
+    const result = stmt.run(server_id, cron_expr, incremental ? 1 : 0, Number(compression_level) || 6, Number(retention_days) || 7, enabled ? 1 : 0, storage ? resolveStorage(db, storage) : null, destination_id || null, parseOptionalCount(keep_local), ...retention);
     res.json({ id: result.lastInsertRowid, message: 'Schedule created' });
   } catch (e) {
     res.status(500).json({ error: e.message });
@@ -660,13 +1080,22 @@ router.patch('/schedules/:id', (req, res) => {
 
     const updates = [];
     const values = [];
-    const allowedFields = ['enabled', 'cron_expr', 'incremental', 'compression_level', 'retention_days'];
+    const allowedFields = ['enabled', 'cron_expr', 'incremental', 'compression_level', 'retention_days', 'storage', 'destination_id', 'keep_local', ...RETENTION_FIELDS];
+    if (req.body.destination_id && !backupDestinations.getDestinationRow(req.body.destination_id)) {
+      return res.status(400).json({ error: 'Destination not found' });
+    }
 
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) {
         updates.push(`${field} = ?`);
         if (field === 'enabled' || field === 'incremental') {
           values.push(req.body[field] ? 1 : 0);
+        } else if (field === 'storage') {
+          values.push(req.body[field] ? resolveStorage(db, req.body[field]) : null);
+        } else if (field === 'destination_id') {
+          values.push(req.body[field] || null);
+        } else if (field === 'keep_local' || RETENTION_FIELDS.includes(field)) {
+          values.push(parseOptionalCount(req.body[field]));
         } else {
           values.push(req.body[field]);
         }
@@ -703,21 +1132,12 @@ router.post('/schedules/:id/run', async (req, res) => {
     const s = db.prepare('SELECT * FROM backup_schedules WHERE id = ?').get(req.params.id);
     if (!s) return res.status(404).json({ error: 'Schedule not found' });
 
-    // Update last_run timestamp
-    db.prepare('UPDATE backup_schedules SET last_run = ? WHERE id = ?').run(new Date().toISOString(), req.params.id);
-
-    // Trigger via scheduler service by POSTing to /api/backups/:serverId
-    const axios = require('axios');
-    const backendPort = process.env.VOID_BACKEND_PORT || process.env.VOID_PORT || 3456;
-
+    // Runs the backup, uploads it to the schedule's destination and records last_run/last_success
+    const { BackupScheduler } = require('../services/backup-scheduler');
     try {
-      await axios.post(`http://localhost:${backendPort}/api/backups/${s.server_id}`, { incremental: s.incremental, compression_level: s.compression_level }, { timeout: 120000 });
-      // Mark success
-      db.prepare('UPDATE backup_schedules SET last_success = 1, last_error = NULL WHERE id = ?').run(req.params.id);
-      res.json({ ok: true });
+      const result = await new BackupScheduler().runSchedule(s);
+      res.json({ ok: true, backup_id: result.backupId, upload: result.upload });
     } catch (err) {
-      // Mark failure with error message
-      db.prepare('UPDATE backup_schedules SET last_success = 0, last_error = ? WHERE id = ?').run(err.message || 'Unknown error', req.params.id);
       res.status(500).json({ error: err.message });
     }
   } catch (e) {
@@ -725,75 +1145,321 @@ router.post('/schedules/:id/run', async (req, res) => {
   }
 });
 
-// Google Drive status check
-router.get('/gdrive/status', (req, res) => {
+// Backup hooks: how a running server is quiesced while it is archived (see services/backup-hooks)
+router.get('/hooks/:serverId', (req, res) => {
   try {
     const db = getDatabase();
-    const tokenRow = db.prepare("SELECT value FROM settings WHERE key = 'gdrive.tokens'").get();
-    const credRow = db.prepare("SELECT value FROM settings WHERE key = 'gdrive.credentials'").get();
-
-    const hasCredentials = Boolean(credRow?.value);
-    const hasTokens = Boolean(tokenRow?.value);
-    let connected = false;
-    let expiresAt = null;
-
-    if (hasTokens) {
-      try {
-        const tokens = JSON.parse(tokenRow.value);
-        connected = true;
-        expiresAt = tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null;
-      } catch { }
-    }
-
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.serverId);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    let meta = {};
+    try {
+      meta = server.metadata ? JSON.parse(server.metadata) : {};
+    } catch { }
+    const hooks = backupHooks.resolveBackupHooks(server);
     res.json({
-      configured: hasCredentials,
-      connected,
-      expires_at: expiresAt
+      server_id: server.id,
+      configured: meta.backup_hooks || null,
+      inherited: !meta.backup_hooks && hooks.mode !== 'live',
+      mode: hooks.mode,
+      pre_commands: hooks.preCommands,
+      pause_seconds: hooks.pauseSeconds,
+      post_commands: hooks.postCommands,
+      restart: hooks.restart,
     });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// Disconnect Google Drive
-router.post('/gdrive/disconnect', (req, res) => {
+// PUT { mode, pre_commands, pause_seconds, post_commands, restart } stores hooks on the server; { clear: true } removes them
+router.put('/hooks/:serverId', (req, res) => {
+  const db = getDatabase();
+
+  const activeAccountId = getActiveAccountId(db);
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
+  }
+
   try {
-    const db = getDatabase();
-    db.prepare("DELETE FROM settings WHERE key = 'gdrive.tokens'").run();
-    res.json({ ok: true, message: 'Google Drive disconnected' });
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.serverId);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (!canAccessServerForBackup(db, activeAccountId, server, 'create')) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    if (req.body?.mode && !backupHooks.MODES.includes(String(req.body.mode))) {
+      return res.status(400).json({ error: `mode must be one of ${backupHooks.MODES.join(', ')}` });
+    }
+
+    let meta = {};
+    try {
+      meta = server.metadata ? JSON.parse(server.metadata) : {};
+    } catch { }
+    if (req.body?.clear) {
+      delete meta.backup_hooks;
+    } else {
+      const hooks = backupHooks.normalizeBackupHooks(req.body);
+      meta.backup_hooks = {
+        mode: hooks.mode,
+        pre_commands: hooks.preCommands,
+        pause_seconds: hooks.pauseSeconds,
+        post_commands: hooks.postCommands,
+        restart: hooks.restart,
+      };
+    }
+    db.prepare('UPDATE servers SET metadata = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(JSON.stringify(meta), server.id);
+    AuditService.log(server.id, 'BACKUP_HOOKS_UPDATE', getUserIdentity(db, activeAccountId), 'Backup hooks updated', meta.backup_hooks || {});
+    res.json({ message: 'Backup hooks saved', backup_hooks: meta.backup_hooks || null });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// FTP credentials management with simple encryption
-const FTP_SETTINGS_KEY = 'ftp.credentials';
+// Verification and restore drills (see services/backup-verification)
+router.post('/:id(\\d+)/verify', async (req, res) => {
+  const db = getDatabase();
 
-function encryptFtpCredentials(data) {
-  // Simple XOR encryption with base64 - not cryptographically secure but obscures stored passwords
-  const key = 'turbonox-ftp-key-2025';
-  const json = JSON.stringify(data);
-  let encrypted = '';
-  for (let i = 0; i < json.length; i++) {
-    encrypted += String.fromCharCode(json.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+  const activeAccountId = getActiveAccountId(db);
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
   }
-  return Buffer.from(encrypted, 'binary').toString('base64');
-}
 
-function decryptFtpCredentials(encrypted) {
   try {
-    const key = 'turbonox-ftp-key-2025';
-    const decoded = Buffer.from(encrypted, 'base64').toString('binary');
-    let decrypted = '';
-    for (let i = 0; i < decoded.length; i++) {
-      decrypted += String.fromCharCode(decoded.charCodeAt(i) ^ key.charCodeAt(i % key.length));
-    }
-    return JSON.parse(decrypted);
-  } catch {
-    return null;
+    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    if (backup.server_id) {
+      const attached = db.prepare('SELECT * FROM servers WHERE id = ?').get(backup.server_id);
+      if (attached && !canAccessServerForBackup(db, activeAccountId, attached, 'view')) {
+        return res.status(403).json({ error: 'Not allowed' });
+      }
+    }
+
+    const result = await backupVerification.verifyBackup(backup, { requestedBy: getUserIdentity(db, activeAccountId) });
+    res.json(result);
+  } catch (err) {
+    // Missing keys or unreachable destinations leave the recorded health untouched
+    if (err.code === 'BACKUP_KEY_MISSING' || err.code === 'REMOTE_FAILED') {
+      return res.status(409).json({ error: err.message, code: err.code });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/:id(\\d+)/drill', authMiddleware, adminMiddleware, async (req, res) => {
+  const db = getDatabase();
+
+  const activeAccountId = getActiveAccountId(db);
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
+  }
+
+  try {
+    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    if (backup.server_id) {
+      const attached = db.prepare('SELECT * FROM servers WHERE id = ?').get(backup.server_id);
+      if (attached && !canAccessServerForBackup(db, activeAccountId, attached, 'restore')) {
+        return res.status(403).json({ error: 'Not allowed' });
+      }
+    }
+
+    const { command = null, timeout_seconds = null } = req.body || {};
+    const drill = await backupVerification.runRestoreDrill(backup, {
+      command,
+      timeoutSeconds: timeout_seconds,
+      requestedBy: getUserIdentity(db, activeAccountId),
+    });
+    res.json(drill);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/drills', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const where = [];
+    const values = [];
+    if (req.query.server_id) {
+      where.push('server_id = ?');
+      values.push(Number(req.query.server_id));
+    }
+    if (req.query.backup_id) {
+      where.push('backup_id = ?');
+      values.push(Number(req.query.backup_id));
+    }
+    values.push(Math.min(500, Math.max(1, Number(req.query.limit) || 50)));
+    const rows = db.prepare(`SELECT * FROM backup_drills ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`).all(...values);
+    res.json(rows);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get('/drills/schedules', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const rows = db.prepare('SELECT * FROM backup_drill_schedules ORDER BY created_at DESC').all();
+    const schedule = require('node-schedule');
+    res.json(rows.map((d) => {
+      let nextRun = null;
+      try {
+        const job = schedule.scheduleJob(d.cron_expr, () => { });
+        if (job) {
+          nextRun = job.nextInvocation()?.toISOString() || null;
+          job.cancel();
+        }
+      } catch { }
+      return { ...d, next_run: nextRun };
+    }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/drills/schedules', authMiddleware, adminMiddleware, restrictionMiddleware('create_backup'), (req, res) => {
+  const db = getDatabase();
+
+  const activeAccountId = getActiveAccountId(db);
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
+  }
+
+  try {
+    const { server_id, cron_expr, command = null, timeout_seconds = backupVerification.DEFAULT_DRILL_TIMEOUT_SECONDS, enabled = 1 } = req.body || {};
+    if (!server_id || !cron_expr) return res.status(400).json({ error: 'server_id and cron_expr required' });
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(server_id);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (!canAccessServerForBackup(db, activeAccountId, server, 'restore')) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    const result = db.prepare('INSERT INTO backup_drill_schedules (server_id, cron_expr, command, timeout_seconds, enabled) VALUES (?, ?, ?, ?, ?)')
+      .run(server.id, cron_expr, command ? String(command).trim() : null, Number(timeout_seconds) || backupVerification.DEFAULT_DRILL_TIMEOUT_SECONDS, enabled ? 1 : 0);
+    res.json({ id: result.lastInsertRowid, message: 'Restore drill schedule created' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
+});
+
+// Drill schedules run commands for their server, so changing one needs restore access to it
+function canManageDrillSchedule(db, schedule) {
+  const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(schedule.server_id);
+  return Boolean(server) && canAccessServerForBackup(db, getActiveAccountId(db), server, 'restore');
 }
 
+router.patch('/drills/schedules/:id', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const existing = db.prepare('SELECT * FROM backup_drill_schedules WHERE id = ?').get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Drill schedule not found' });
+    if (!canManageDrillSchedule(db, existing)) return res.status(403).json({ error: 'Not allowed' });
+
+    const updates = [];
+    const values = [];
+    for (const field of ['enabled', 'cron_expr', 'command', 'timeout_seconds']) {
+      if (req.body[field] === undefined) continue;
+      updates.push(`${field} = ?`);
+      if (field === 'enabled') {
+        values.push(req.body[field] ? 1 : 0);
+      } else if (field === 'command') {
+        values.push(req.body[field] ? String(req.body[field]).trim() : null);
+      } else if (field === 'timeout_seconds') {
+        values.push(Number(req.body[field]) || backupVerification.DEFAULT_DRILL_TIMEOUT_SECONDS);
+      } else {
+        values.push(req.body[field]);
+      }
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    values.push(req.params.id);
+    db.prepare(`UPDATE backup_drill_schedules SET ${updates.join(', ')} WHERE id = ?`).run(...values);
+    const updated = db.prepare('SELECT * FROM backup_drill_schedules WHERE id = ?').get(req.params.id);
+    res.json({ message: 'Restore drill schedule updated', schedule: updated });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.delete('/drills/schedules/:id', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const existing = db.prepare('SELECT * FROM backup_drill_schedules WHERE id = ?').get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Drill schedule not found' });
+    if (!canManageDrillSchedule(db, existing)) return res.status(403).json({ error: 'Not allowed' });
+    db.prepare('DELETE FROM backup_drill_schedules WHERE id = ?').run(req.params.id);
+    res.json({ message: 'Restore drill schedule deleted' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/drills/schedules/:id/run', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const d = db.prepare('SELECT * FROM backup_drill_schedules WHERE id = ?').get(req.params.id);
+    if (!d) return res.status(404).json({ error: 'Drill schedule not found' });
+    if (!canManageDrillSchedule(db, d)) return res.status(403).json({ error: 'Not allowed' });
+    const drill = await backupVerification.runDrillSchedule(d);
+    if (!drill) return res.status(404).json({ error: 'Server has no backups to drill' });
+    res.json(drill);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get('/drills/:id', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const drill = backupVerification.getDrill(req.params.id);
+    if (!drill) return res.status(404).json({ error: 'Drill not found' });
+    res.json(drill);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Google Drive status check
+router.get('/gdrive/status', (req, res) => {
+  try {
+    const db = getDatabase();
+    const tokenRow = db.prepare("SELECT value FROM settings WHERE key = 'gdrive.tokens'").get();
+    const credRow = db.prepare("SELECT value FROM settings WHERE key = 'gdrive.credentials'").get();
+
+    const hasCredentials = Boolean(credRow?.value);
+    const hasTokens = Boolean(tokenRow?.value);
+    let connected = false;
+    let expiresAt = null;
+
+    if (hasTokens) {
+      try {
+        const tokens = JSON.parse(tokenRow.value);
+        connected = true;
+        expiresAt = tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null;
+      } catch { }
+    }
+
+    res.json({
+      configured: hasCredentials,
+      connected,
+      expires_at: expiresAt
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Disconnect Google Drive
+router.post('/gdrive/disconnect', (req, res) => {
+  try {
+    const db = getDatabase();
+    db.prepare("DELETE FROM settings WHERE key = 'gdrive.tokens'").run();
+    res.json({ ok: true, message: 'Google Drive disconnected' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// FTP credentials management (stored obfuscated, see backup-destinations)
 router.get('/ftp/credentials', (req, res) => {
   try {
     const db = getDatabase();
@@ -889,13 +1555,25 @@ router.get('/:id/preview', (req, res) => {
       ? db.prepare('SELECT * FROM servers WHERE id = ?').get(backup.server_id)
       : null;
 
-    // Calculate expiry based on schedule retention
+    const encryption = getEncryptionInfo(backup);
+    const copies = backupDestinations.listRemoteCopies(backup.id);
+
+    let chainLength = 1;
+    let chainError = null;
+    try {
+      chainLength = resolveBackupChain(db, backup).length;
+    } catch (err) {
+      chainError = err.message;
+    }
+
+    // Calculate expiry based on schedule retention; GFS tiers have no fixed expiry
     let expiresAt = null;
+    let retentionPolicy = null;
     if (backup.server_id) {
-      const schedule = db.prepare('SELECT retention_days FROM backup_schedules WHERE server_id = ? LIMIT 1').get(backup.server_id);
-      if (schedule?.retention_days) {
+      retentionPolicy = backupRetention.resolveServerPolicy(db.prepare('SELECT * FROM backup_schedules WHERE server_id = ?').all(backup.server_id));
+      if (retentionPolicy && !retentionPolicy.gfs && !backup.pinned) {
         const created = new Date(backup.created_at);
-        expiresAt = new Date(created.getTime() + schedule.retention_days * 24 * 60 * 60 * 1000).toISOString();
+        expiresAt = new Date(created.getTime() + retentionPolicy.retentionDays * 24 * 60 * 60 * 1000).toISOString();
       }
     }
 
@@ -905,12 +1583,31 @@ router.get('/:id/preview', (req, res) => {
       size: backup.size,
       created_at: backup.created_at,
       expires_at: expiresAt,
+      pinned: Boolean(backup.pinned),
+      retention: retentionPolicy ? (retentionPolicy.gfs ? 'gfs' : 'retention_days') : null,
       server_exists: Boolean(server),
       server_name: server?.name || metadata?.server?.name || 'Unknown',
       server_type: server?.type || metadata?.server?.type || 'unknown',
       original_path: metadata?.sourcePath || null,
-      backup_type: metadata?.manifest ? 'incremental' : 'full',
-      files_count: metadata?.manifest?.length || null,
+      backup_type: getBackupKind(backup),
+      parent_id: metadata?.parentId ?? null,
+      base_id: metadata?.baseId ?? null,
+      chain_length: chainLength,
+      chain_error: chainError,
+      deleted_files_count: Array.isArray(metadata?.tombstones) ? metadata.tombstones.length : 0,
+      files_count: metadata?.manifest?.length || metadata?.fileCount || null,
+      storage: metadata?.storage || 'zip',
+      added_bytes: metadata?.addedBytes ?? null,
+      encrypted: Boolean(encryption),
+      key_id: encryption?.keyId || null,
+      key_available: encryption ? Boolean(backupCrypto.getKey(encryption.keyId)) : null,
+      location: backupDestinations.getBackupLocation(backup, copies),
+      remote_copies: copies.map(serializeRemoteCopy),
+      checksummed: Boolean(metadata?.checksums),
+      health: backup.health || null,
+      verified_at: backup.verified_at || null,
+      verify_error: backup.verify_error || null,
+      last_drill: backupVerification.getLatestDrills([backup.id]).get(Number(backup.id)) || null,
       metadata: metadata?.server || null
     });
   } catch (e) {
@@ -918,31 +1615,323 @@ router.get('/:id/preview', (req, res) => {
   }
 });
 
-// Manual retention cleanup
+// Manual retention cleanup; { dry_run: true } only reports what would be deleted
 router.post('/cleanup', async (req, res) => {
+  try {
+    if (req.body?.dry_run || req.query.dry_run) {
+      const plan = backupRetention.planRetention();
+      return res.json({ ok: true, dry_run: true, deletions: plan.deletions, retained_for_chains: plan.retainedForChains, over_limit: plan.overLimit });
+    }
+    const { BackupScheduler } = require('../services/backup-scheduler');
+    const result = await new BackupScheduler().enforceRetentionPolicies();
+    res.json({
+      ok: true,
+      deleted: result.deleted,
+      retained_for_chains: result.retainedForChains,
+      deletions: result.deletions,
+      over_limit: result.overLimit,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Dry run of retention, optionally for one server
+router.get('/retention/dry-run', (req, res) => {
+  try {
+    const plan = backupRetention.planRetention({ serverId: req.query.server_id ? Number(req.query.server_id) : null });
+    res.json({
+      deletions: plan.deletions,
+      total_bytes: plan.deletions.reduce((sum, d) => sum + (Number(d.size) || 0), 0),
+      retained_for_chains: plan.retainedForChains,
+      over_limit: plan.overLimit,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Pinned backups are never deleted by retention. Backups of a deleted server only by admins
+router.put('/:id(\\d+)/pin', authMiddleware, (req, res) => {
+  const db = getDatabase();
+
+  try {
+    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    const attached = backup.server_id ? db.prepare('SELECT * FROM servers WHERE id = ?').get(backup.server_id) : null;
+    const allowed = attached
+      ? canAccessServer(db, req.user.id, attached, 'backups.delete', req.user.role)
+      : req.user.role === 'admin';
+    if (!allowed) return res.status(403).json({ error: 'Not allowed' });
+
+    const pinned = req.body?.pinned !== false;
+    db.prepare('UPDATE backups SET pinned = ? WHERE id = ?').run(pinned ? 1 : 0, backup.id);
+    AuditService.log(backup.server_id || null, pinned ? 'BACKUP_PIN' : 'BACKUP_UNPIN', getRequestIdentity(req.user), `Backup ${backup.filename} ${pinned ? 'pinned' : 'unpinned'}`);
+    res.json({ id: backup.id, pinned });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Re-encrypt every local zip backup and dedup chunk under keyRow, so retired keys are only
+ * needed for copies that already left the panel. Plaintext backups are encrypted as well.
+ */
+async function reencryptBackups(db, keyRow) {
+  let rewritten = 0;
+  let failed = 0;
+  const rows = db.prepare('SELECT * FROM backups').all().filter((row) => !isDedupBackup(row));
+  for (const row of rows) {
+    const currentPath = path.join(getBackupDir(), row.filename);
+    if (!fs.existsSync(currentPath)) continue;
+    const filename = row.filename.endsWith('.enc') ? row.filename : `${row.filename}.enc`;
+    const targetPath = path.join(getBackupDir(), filename);
+    const tmpPath = `${targetPath}.tmp`;
+    try {
+      if (backupCrypto.readFileHeader(currentPath)?.keyId === keyRow.key_id) continue;
+      await new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(tmpPath);
+        const encrypt = backupCrypto.createEncryptStream(keyRow);
+        const source = backupCrypto.createPlainReadStream(currentPath);
+        for (const stream of [source, encrypt, output]) stream.on('error', reject);
+        output.on('close', resolve);
+        source.pipe(encrypt).pipe(output);
+      });
+      fs.renameSync(tmpPath, targetPath);
+      if (targetPath !== currentPath) fs.rmSync(currentPath, { force: true });
+
+      const meta = parseBackupMetadata(row);
+      meta.encryption = { keyId: keyRow.key_id, algorithm: backupCrypto.ALGORITHM };
+      db.prepare('UPDATE backups SET filename = ?, size = ?, metadata = ? WHERE id = ?')
+        .run(filename, fs.statSync(targetPath).size, JSON.stringify(meta), row.id);
+      rewritten++;
+    } catch (err) {
+      failed++;
+      fs.rmSync(tmpPath, { force: true });
+      console.warn(`[BACKUPS] Failed to re-encrypt ${row.filename}:`, err.message);
+    }
+  }
+
+  for (const row of db.prepare('SELECT * FROM backups').all().filter(isDedupBackup)) {
+    const meta = parseBackupMetadata(row);
+    meta.encryption = { keyId: keyRow.key_id, algorithm: backupCrypto.ALGORITHM };
+    db.prepare('UPDATE backups SET metadata = ? WHERE id = ?').run(JSON.stringify(meta), row.id);
+  }
+  const chunks = await dedupStore.reencryptChunks(keyRow);
+
+  return { archives: rewritten, chunks: chunks.rewritten, failed: failed + chunks.failed };
+}
+
+// Backup encryption settings and panel-managed keys. The keys decrypt every server's backups, so
+// changing them or exporting one is for admins only.
+router.get('/encryption', authMiddleware, (req, res) => {
+  try {
+    const active = backupCrypto.getActiveKey();
+    res.json({
+      enabled: backupCrypto.isEncryptionEnabled(),
+      algorithm: backupCrypto.ALGORITHM,
+      active_key_id: active?.key_id || null,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.put('/encryption', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    if (typeof req.body?.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled (boolean) is required' });
+    }
+    backupCrypto.setEncryptionEnabled(req.body.enabled);
+    AuditService.log(null, 'BACKUP_ENCRYPTION_UPDATE', getRequestIdentity(req.user), `Backup encryption ${req.body.enabled ? 'enabled' : 'disabled'}`);
+    res.json({ ok: true, enabled: req.body.enabled, active_key_id: backupCrypto.getActiveKey()?.key_id || null });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get('/keys', authMiddleware, (req, res) => {
+  try {
+    const db = getDatabase();
+    const usage = {};
+    for (const row of db.prepare('SELECT * FROM backups').all()) {
+      const keyId = getEncryptionInfo(row)?.keyId;
+      if (keyId) usage[keyId] = (usage[keyId] || 0) + 1;
+    }
+    res.json(backupCrypto.listKeys().map((k) => ({ ...k, backups: usage[k.key_id] || 0 })));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Rotate: new backups use a fresh key. Pass reencrypt: true to move existing local backups onto it.
+router.post('/keys/rotate', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const previous = backupCrypto.getActiveKey();
+    const key = backupCrypto.rotateKey();
+    const reencrypted = req.body?.reencrypt ? await reencryptBackups(db, key) : null;
+    AuditService.log(null, 'BACKUP_KEY_ROTATE', getRequestIdentity(req.user), `Backup encryption key rotated to ${key.key_id}`, {
+      previousKeyId: previous?.key_id || null,
+      keyId: key.key_id,
+      reencrypted,
+    });
+    res.json({ ok: true, key_id: key.key_id, previous_key_id: previous?.key_id || null, reencrypted });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get('/keys/:keyId/export', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    const exported = backupCrypto.exportKey(req.params.keyId);
+    if (!exported) return res.status(404).json({ error: 'Key not found' });
+    AuditService.log(null, 'BACKUP_KEY_EXPORT', getRequestIdentity(req.user), `Backup encryption key ${exported.key_id} exported`);
+    res.json(exported);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/keys/import', authMiddleware, adminMiddleware, (req, res) => {
+  try {
+    let key;
+    try {
+      key = backupCrypto.importKey({ keyId: req.body?.key_id, key: req.body?.key });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    AuditService.log(null, 'BACKUP_KEY_IMPORT', getRequestIdentity(req.user), `Backup encryption key ${key.key_id} imported`);
+    res.json({ ok: true, key_id: key.key_id, status: key.status });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Dedup chunk store: logical size of all backups vs bytes actually stored
+router.get('/store/stats', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const stats = await dedupStore.stats(db);
+    res.json({
+      backups: stats.backups,
+      files: stats.files,
+      logical_size: stats.logicalBytes,
+      physical_size: stats.physicalBytes,
+      chunk_size: stats.chunkBytes,
+      manifest_size: stats.manifestBytes,
+      chunks: stats.chunks,
+      unreferenced_chunks: stats.unreferencedChunks,
+      dedup_ratio: stats.dedupRatio,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Re-hash every chunk referenced by one dedup backup (backup_id) or by all of them
+router.post('/store/verify', async (req, res) => {
   try {
     const db = getDatabase();
-    const schedules = db.prepare('SELECT * FROM backup_schedules').all();
-    let deletedCount = 0;
+    let filenames = null;
+    if (req.body?.backup_id) {
+      const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.body.backup_id);
+      if (!backup) return res.status(404).json({ error: 'Backup not found' });
+      if (!isDedupBackup(backup)) return res.status(400).json({ error: 'Backup is not stored in the dedup store' });
+      filenames = [backup.filename];
+    }
+    const result = await dedupStore.verify(db, filenames);
+    res.json({
+      ok: result.ok,
+      checked_chunks: result.checkedChunks,
+      missing_chunks: result.missingChunks,
+      corrupt_chunks: result.corruptChunks,
+      undecryptable_chunks: result.undecryptableChunks,
+      manifests: result.manifests,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/store/gc', async (req, res) => {
+  try {
+    const result = await dedupStore.collectGarbage(getDatabase());
+    res.json({
+      ok: true,
+      skipped: result.skipped,
+      deleted_chunks: result.deletedChunks,
+      deleted_manifests: result.deletedManifests || 0,
+      freed_bytes: result.freedBytes,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    for (const s of schedules) {
-      const days = Number(s.retention_days || 7);
-      if (!Number.isFinite(days) || days <= 0) continue;
+// Backup jobs: every backup runs through the queue; progress is also streamed on the /api/backups/jobs WebSocket
+router.get('/jobs', (req, res) => {
+  try {
+    res.json(backupJobs.listJobs({
+      serverId: req.query.server_id || null,
+      status: req.query.status || null,
+      limit: req.query.limit,
+    }));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-      const oldBackups = db.prepare('SELECT * FROM backups WHERE server_id = ? AND created_at < ?').all(s.server_id, cutoff);
+router.get('/jobs/settings', (req, res) => {
+  try {
+    res.json({ max_concurrent: backupJobs.getConcurrency() });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-      for (const b of oldBackups) {
-        try {
-          const backupPath = path.join(getBackupDir(), b.filename);
-          if (fs.existsSync(backupPath)) fs.unlinkSync(backupPath);
-          db.prepare('DELETE FROM backups WHERE id = ?').run(b.id);
-          deletedCount++;
-        } catch { }
-      }
+router.put('/jobs/settings', authMiddleware, (req, res) => {
+  try {
+    if (req.body?.max_concurrent === undefined) return res.status(400).json({ error: 'max_concurrent required' });
+    res.json({ max_concurrent: backupJobs.setConcurrency(req.body.max_concurrent) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.get('/jobs/:id', (req, res) => {
+  try {
+    const job = backupJobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/jobs/:id/cancel', (req, res) => {
+  const db = getDatabase();
+
+  const activeAccountId = getActiveAccountId(db);
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
+  }
+
+  try {
+    const job = backupJobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(job.server_id);
+    if (server && !canAccessServerForBackup(db, activeAccountId, server, 'create')) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    if (job.status !== 'queued' && job.status !== 'running') {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
     }
 
-    res.json({ ok: true, deleted: deletedCount });
+    const updated = backupJobs.cancel(job.id);
+    AuditService.log(job.server_id, 'BACKUP_JOB_CANCEL', getUserIdentity(db, activeAccountId), `Backup job ${job.id} cancelled`);
+    res.json({ message: job.status === 'running' ? 'Cancellation requested' : 'Job cancelled', job: updated });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
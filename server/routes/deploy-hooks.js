@@ -0,0 +1,44 @@
+/**
+ * Deploy webhook (/api/deploy-hooks/:serverId)
+ *
+ * Receives push events from a git host. There is no panel login: the body must be signed with
+ * the server's webhook secret (HMAC-SHA256 in X-Hub-Signature-256 or X-Gitea-Signature), so
+ * this router is mounted before the JSON body parser and reads the raw body itself. Unknown
+ * servers, servers without a secret and bad signatures all get the same 404.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDatabase } = require('../lib/database');
+const { deployer } = require('../services/deployer');
+
+const MAX_BODY = '5mb';
+
+router.post('/:serverId', express.raw({ type: () => true, limit: MAX_BODY }), (req, res) => {
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const server = getDatabase().prepare('SELECT * FROM servers WHERE id = ?').get(req.params.serverId);
+  if (!server || !deployer.verifyWebhook(server.id, body, req.headers)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  let payload = {};
+  try {
+    const text = body.toString('utf8');
+    // Form-encoded deliveries carry the JSON in a `payload` field
+    payload = JSON.parse(text.startsWith('payload=') ? new URLSearchParams(text).get('payload') : (text || '{}'));
+  } catch {
+    return res.status(400).json({ error: 'Invalid payload' });
+  }
+
+  const event = String(req.headers['x-github-event'] || req.headers['x-gitea-event'] || req.headers['x-gogs-event'] || '');
+  try {
+    const result = deployer.handleWebhook(server, event, payload);
+    res.status(result.status === 'started' || result.status === 'queued' ? 202 : 200).json(result);
+  } catch (e) {
+    const status = e.code === 'DEPLOY_NOT_CONFIGURED' || e.code === 'INVALID_DEPLOY_REQUEST' ? 400 : 500;
+    if (status === 500) console.error('[DEPLOY] Webhook error:', e);
+    res.status(status).json({ error: e.message, code: e.code });
+  }
+});
+
+module.exports = router;
@@ -107,6 +107,8 @@ function listEggsFromDir(dirPath, source) {
         start_command: egg.start_command || '',
         runtime_preset: egg.runtime_preset || '',
         ptdl: egg.ptdl || null,
+        backup_hooks: egg.backup_hooks && typeof egg.backup_hooks === 'object' ? egg.backup_hooks : null,
+        stop: egg.stop && ['string', 'object'].includes(typeof egg.stop) ? egg.stop : null,
         icon: fs.existsSync(path.join(eggDir, 'icon.png')) ? 'icon.png' : null,
         _path: eggDir,
       });
@@ -170,6 +172,8 @@ function convertPtdlToVoidEgg(ptdl) {
     install_command: '',
     start_command: startup,
     variables,
+    // Pterodactyl's config.stop is the console command, or "^C" for SIGINT
+    stop: typeof ptdl?.config?.stop === 'string' && ptdl.config.stop.trim() ? ptdl.config.stop.trim() : null,
     ptdl: {
       exported_at: ptdl?.exported_at || null,
       features: Array.isArray(ptdl?.features) ? ptdl.features : [],
@@ -202,6 +206,8 @@ function writeInstalledEgg(egg) {
     start_command: egg.start_command || '',
     variables: Array.isArray(egg.variables) ? egg.variables : [],
     ptdl: egg.ptdl || null,
+    backup_hooks: egg.backup_hooks && typeof egg.backup_hooks === 'object' ? egg.backup_hooks : null,
+    stop: egg.stop && ['string', 'object'].includes(typeof egg.stop) ? egg.stop : null,
   };
 
   fs.writeFileSync(path.join(eggDir, 'egg.json'), JSON.stringify(normalized, null, 2), 'utf8');
@@ -0,0 +1,168 @@
+/**
+ * Session recording routes
+ *
+ * List, download and replay the terminal and console recordings made by the session recorder,
+ * and manage its settings. Admins see every recording; other users see their own sessions and
+ * the sessions on servers they own. Deleting recordings and changing settings is admin-only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const { getDatabase } = require('../lib/database');
+const { authMiddleware, adminMiddleware } = require('./auth');
+const AuditService = require('../services/AuditService');
+const { KINDS, sessionRecorder } = require('../services/session-recorder');
+const { getUserIdentity } = require('../services/server-console');
+
+router.use(authMiddleware);
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function canViewRecording(db, user, row) {
+  if (user.role === 'admin') return true;
+  if (row.user_id !== null && Number(row.user_id) === Number(user.id)) return true;
+  if (!row.server_id) return false;
+  const server = db.prepare('SELECT panel_user_id FROM servers WHERE id = ?').get(row.server_id);
+  return Boolean(server?.panel_user_id) && Number(server.panel_user_id) === Number(user.id);
+}
+
+function toApiRecording(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    serverId: row.server_id,
+    nodeId: row.node_id,
+    profileId: row.profile_id,
+    userId: row.user_id,
+    user: row.user_identity,
+    title: row.title,
+    cols: row.cols,
+    rows: row.rows,
+    sizeBytes: row.size_bytes,
+    durationMs: row.duration_ms,
+    status: row.status,
+    truncated: Boolean(row.truncated),
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+  };
+}
+
+function loadRecording(req, res) {
+  const db = getDatabase();
+  const row = db.prepare('SELECT * FROM session_recordings WHERE id = ?').get(req.params.id);
+  if (!row || !canViewRecording(db, req.user, row)) {
+    res.status(404).json({ error: 'Recording not found' });
+    return null;
+  }
+  return row;
+}
+
+router.get('/settings', (req, res) => {
+  try {
+    res.json(sessionRecorder.getSettings());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.put('/settings', adminMiddleware, (req, res) => {
+  try {
+    const settings = sessionRecorder.updateSettings(req.body || {});
+    AuditService.log(null, 'RECORDING_SETTINGS_UPDATED', getUserIdentity(req.user), 'Session recording settings changed', settings);
+    res.json(settings);
+  } catch (e) {
+    if (e.code === 'INVALID_RECORDING_SETTINGS') return res.status(400).json({ error: e.message });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Newest first. Filters: serverId, kind, userId, limit, offset
+router.get('/', (req, res) => {
+  const db = getDatabase();
+  const where = [];
+  const params = [];
+
+  if (req.query.serverId) {
+    where.push('server_id = ?');
+    params.push(Number(req.query.serverId));
+  }
+  if (req.query.kind) {
+    if (!KINDS.includes(req.query.kind)) return res.status(400).json({ error: `kind must be one of ${KINDS.join(', ')}` });
+    where.push('kind = ?');
+    params.push(req.query.kind);
+  }
+  if (req.query.userId) {
+    where.push('user_id = ?');
+    params.push(Number(req.query.userId));
+  }
+  if (req.user.role !== 'admin') {
+    where.push('(user_id = ? OR server_id IN (SELECT id FROM servers WHERE panel_user_id = ?))');
+    params.push(req.user.id, req.user.id);
+  }
+
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(req.query.limit) || DEFAULT_LIMIT));
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  try {
+    const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+    const rows = db.prepare(`SELECT * FROM session_recordings ${clause} ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM session_recordings ${clause}`).get(...params).count;
+    res.json({ recordings: rows.map(toApiRecording), total, limit, offset });
+  } catch (e) {
+    console.error('[RECORDING] List error:', e);
+    res.status(500).json({ error: 'Failed to list recordings' });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const row = loadRecording(req, res);
+  if (row) res.json(toApiRecording(row));
+});
+
+// The asciicast file, playable with `asciinema play`
+router.get('/:id/download', (req, res) => {
+  const row = loadRecording(req, res);
+  if (!row) return;
+  if (!row.file_path || !fs.existsSync(row.file_path)) return res.status(410).json({ error: 'Recording file is missing' });
+  res.setHeader('Content-Type', 'application/x-asciicast');
+  res.download(row.file_path, path.basename(row.file_path));
+});
+
+// Header and timed events for a web player: offset/limit page through events, from/to select
+// a time range (seconds) and maxIdle caps pauses (seconds)
+router.get('/:id/events', async (req, res) => {
+  const row = loadRecording(req, res);
+  if (!row) return;
+  if (!row.file_path || !fs.existsSync(row.file_path)) return res.status(410).json({ error: 'Recording file is missing' });
+  try {
+    const page = await sessionRecorder.readEvents(row, {
+      offset: req.query.offset,
+      limit: req.query.limit,
+      from: req.query.from ?? null,
+      to: req.query.to ?? null,
+      maxIdle: req.query.maxIdle ?? null,
+    });
+    res.json({ recording: toApiRecording(row), ...page });
+  } catch (e) {
+    console.error('[RECORDING] Read error:', e);
+    res.status(500).json({ error: 'Failed to read recording' });
+  }
+});
+
+router.delete('/:id', adminMiddleware, (req, res) => {
+  const row = loadRecording(req, res);
+  if (!row) return;
+  if (row.status === 'recording') return res.status(409).json({ error: 'Recording is still in progress' });
+  try {
+    sessionRecorder.remove(row);
+    AuditService.log(row.server_id, 'RECORDING_DELETED', getUserIdentity(req.user), `Deleted ${row.kind} recording ${row.id}`, { recordingId: row.id });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+module.exports = router;
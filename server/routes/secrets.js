@@ -0,0 +1,83 @@
+/**
+ * Shared secret routes (/api/secrets)
+ *
+ * Secrets of the signed-in panel user that any of their servers can reference as
+ * ${secret:NAME} (a server's own secret of the same name wins). Same shape as the per-server
+ * routes in server-secrets: values are write-only and every change adds a version.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authMiddleware, adminRestrictionMiddleware } = require('./auth');
+const { restrictionMiddleware } = require('../utils/restrictions');
+const AuditService = require('../services/AuditService');
+const { secretStore } = require('../services/secret-store');
+const { getUserIdentity } = require('../services/server-console');
+
+router.use(authMiddleware);
+router.use(adminRestrictionMiddleware);
+
+const ERROR_STATUS = {
+  SECRET_NOT_FOUND: 404,
+  INVALID_SECRET_REQUEST: 400,
+  SECRET_KEY_MISSING: 409,
+};
+
+function sendError(res, err) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    console.error('[SECRETS] Error:', err);
+    return res.status(500).json({ error: err.message || 'Secret operation failed' });
+  }
+  res.status(status).json({ error: err.message, code: err.code });
+}
+
+const scopeOf = (req) => ({ userId: req.user.id });
+
+router.get('/', (req, res) => {
+  res.json(secretStore.list(scopeOf(req)));
+});
+
+// { value }
+router.put('/:name', restrictionMiddleware(), (req, res) => {
+  try {
+    const identity = getUserIdentity(req.user);
+    const secret = secretStore.set(scopeOf(req), req.params.name, req.body?.value, identity);
+    AuditService.log(null, 'SECRET_UPDATED', identity, `Shared secret ${secret.name} set (version ${secret.version})`, { name: secret.name, version: secret.version, shared: true });
+    res.json(secret);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.delete('/:name', (req, res) => {
+  if (!secretStore.remove(scopeOf(req), req.params.name)) return res.status(404).json({ error: 'Secret not found' });
+  AuditService.log(null, 'SECRET_DELETED', getUserIdentity(req.user), `Shared secret ${req.params.name} deleted`, { name: req.params.name, shared: true });
+  res.json({ ok: true });
+});
+
+router.get('/:name/versions', (req, res) => {
+  try {
+    res.json(secretStore.versions(scopeOf(req), req.params.name));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.post('/:name/versions/:version/restore', restrictionMiddleware(), (req, res) => {
+  try {
+    const identity = getUserIdentity(req.user);
+    const secret = secretStore.restoreVersion(scopeOf(req), req.params.name, req.params.version, identity);
+    AuditService.log(null, 'SECRET_RESTORED', identity, `Shared secret ${secret.name} restored from version ${req.params.version}`, {
+      name: secret.name,
+      restoredVersion: Number(req.params.version),
+      version: secret.version,
+      shared: true,
+    });
+    res.json(secret);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+module.exports = router;
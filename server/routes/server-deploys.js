@@ -0,0 +1,113 @@
+/**
+ * Server deploy routes (/api/servers/:id/deploys)
+ *
+ * Git deploys of a local server from its `repo` field, see services/deployer. Starting a deploy
+ * or a rollback answers 202 with the new deploy right away; follow it in the server's console
+ * or poll GET /:deployId/log?offset= until `complete`. Managing the push webhook secret needs
+ * the same 'control' access as deploying; the secret is only shown when it is (re)created.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { getDatabase } = require('../lib/database');
+const { authMiddleware, adminRestrictionMiddleware } = require('./auth');
+const { restrictionMiddleware } = require('../utils/restrictions');
+const AuditService = require('../services/AuditService');
+const { deployer } = require('../services/deployer');
+const { getUserIdentity } = require('../services/server-console');
+const { canAccessServer } = require('./servers');
+
+router.use(authMiddleware);
+router.use(adminRestrictionMiddleware);
+
+const ERROR_STATUS = {
+  DEPLOY_NOT_FOUND: 404,
+  DEPLOY_NOT_CONFIGURED: 400,
+  INVALID_DEPLOY_REQUEST: 400,
+  DEPLOY_IN_PROGRESS: 409,
+};
+
+function sendError(res, err) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    console.error('[DEPLOY] Error:', err);
+    return res.status(500).json({ error: err.message || 'Deploy failed' });
+  }
+  res.status(status).json({ error: err.message, code: err.code });
+}
+
+function requireServer(action) {
+  return (req, res, next) => {
+    const db = getDatabase();
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.id);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (!canAccessServer(db, req.user.id, server, action, req.user.role)) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    req.server = server;
+    next();
+  };
+}
+
+// ?limit= (default 20)
+router.get('/', requireServer('view'), (req, res) => {
+  res.json({
+    deploying: deployer.isDeploying(req.server.id),
+    deploys: deployer.list(req.server.id, { limit: req.query.limit }),
+  });
+});
+
+router.post('/', restrictionMiddleware(), requireServer('control'), (req, res) => {
+  try {
+    const { deploy } = deployer.deploy(req.server, { trigger: 'manual', requestedBy: getUserIdentity(req.user) });
+    res.status(202).json(deploy);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { deployId } (default: the last successful deploy before the current commit)
+router.post('/rollback', restrictionMiddleware(), requireServer('control'), (req, res) => {
+  try {
+    const { deploy } = deployer.rollback(req.server, {
+      deployId: req.body?.deployId || null,
+      requestedBy: getUserIdentity(req.user),
+    });
+    res.status(202).json(deploy);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.get('/webhook', requireServer('control'), (req, res) => {
+  res.json({ ...deployer.getWebhook(req.server.id), path: `/api/deploy-hooks/${req.server.id}` });
+});
+
+router.post('/webhook', requireServer('control'), (req, res) => {
+  const webhook = deployer.rotateWebhook(req.server.id);
+  AuditService.log(req.server.id, 'DEPLOY_WEBHOOK_ROTATED', getUserIdentity(req.user), 'Deploy webhook secret created');
+  res.status(201).json({ ...webhook, path: `/api/deploy-hooks/${req.server.id}` });
+});
+
+router.delete('/webhook', requireServer('control'), (req, res) => {
+  if (!deployer.deleteWebhook(req.server.id)) return res.status(404).json({ error: 'No webhook configured' });
+  AuditService.log(req.server.id, 'DEPLOY_WEBHOOK_DELETED', getUserIdentity(req.user), 'Deploy webhook removed');
+  res.json({ ok: true });
+});
+
+router.get('/:deployId', requireServer('view'), (req, res) => {
+  const deploy = deployer.get(req.server.id, req.params.deployId);
+  if (!deploy) return res.status(404).json({ error: 'Deploy not found' });
+  res.json(deploy);
+});
+
+// ?offset= (bytes already read)
+router.get('/:deployId/log', requireServer('view'), (req, res) => {
+  try {
+    res.json(deployer.readLog(req.server.id, req.params.deployId, { offset: req.query.offset }));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+/**
+ * Server file routes (/api/servers/:id/files)
+ *
+ * Browse and edit a local server's directory. Reading needs the 'files.read' permission, changes
+ * need 'files.write' (owners always have both; session members get them from the 'files'
+ * permission category). Every change is audited. Paths are relative to the server directory
+ * and cannot leave it, see services/server-files.
+ *
+ * Uploads: POST /uploads { path, size, overwrite } returns an upload id; PUT /uploads/:uploadId
+ * with ?offset= and the raw chunk as the body appends it (409 with `received` when the offset is
+ * not where the upload stands, so a client resumes from there); the chunk that completes the
+ * size moves the file into place. Downloads answer Range requests.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const path = require('path');
+const { getDatabase } = require('../lib/database');
+const { authMiddleware, adminRestrictionMiddleware } = require('./auth');
+const AuditService = require('../services/AuditService');
+const serverFiles = require('../services/server-files');
+const { uploadManager, MAX_CHUNK_BYTES } = serverFiles;
+const { getUserIdentity } = require('../services/server-console');
+const { canAccessServer } = require('./servers');
+
+router.use(authMiddleware);
+router.use(adminRestrictionMiddleware);
+
+const ERROR_STATUS = {
+  FILE_NOT_FOUND: 404,
+  FILE_EXISTS: 409,
+  INVALID_FILE_REQUEST: 400,
+  PATH_OUTSIDE_SERVER: 403,
+  FILE_TOO_LARGE: 413,
+  UPLOAD_OFFSET_MISMATCH: 409,
+};
+
+function sendError(res, err) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    console.error('[FILES] Error:', err);
+    return res.status(500).json({ error: err.message || 'File operation failed' });
+  }
+  const body = { error: err.message, code: err.code };
+  if (err.received !== undefined) body.received = err.received;
+  res.status(status).json(body);
+}
+
+function requireFiles(action) {
+  return (req, res, next) => {
+    const db = getDatabase();
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.id);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (!canAccessServer(db, req.user.id, server, `files.${action}`, req.user.role)) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    if (server.node_id) return res.status(400).json({ error: 'Files of servers on remote nodes are not available here' });
+    req.server = server;
+    next();
+  };
+}
+
+function audit(req, action, details, metadata = {}) {
+  AuditService.log(req.server.id, action, getUserIdentity(req.user), details, metadata);
+}
+
+// ?path= (default: the server directory)
+router.get('/', requireFiles('read'), (req, res) => {
+  try {
+    res.json(serverFiles.list(req.server, req.query.path || ''));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.get('/content', requireFiles('read'), (req, res) => {
+  try {
+    res.json(serverFiles.readFile(req.server, req.query.path));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { path, content, encoding: 'utf8' | 'base64', overwrite = true }
+router.put('/content', requireFiles('write'), (req, res) => {
+  const { path: filePath, content, encoding = 'utf8', overwrite = true } = req.body || {};
+  try {
+    const file = serverFiles.writeFile(req.server, filePath, content, { encoding, overwrite: overwrite !== false });
+    audit(req, 'FILE_WRITTEN', `Wrote ${file.path}`, { path: file.path, size: file.size });
+    res.json(file);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.get('/download', requireFiles('read'), (req, res) => {
+  let file;
+  try {
+    file = serverFiles.resolveDownload(req.server, req.query.path);
+  } catch (e) {
+    return sendError(res, e);
+  }
+  // send handles Range, If-Range and conditional requests
+  res.download(file.abs, path.basename(file.abs), { dotfiles: 'allow', acceptRanges: true }, (err) => {
+    if (err && !res.headersSent) sendError(res, err);
+  });
+});
+
+// { path, name }
+router.post('/rename', requireFiles('write'), (req, res) => {
+  const { path: filePath, name, overwrite = false } = req.body || {};
+  try {
+    const file = serverFiles.rename(req.server, filePath, name, { overwrite: Boolean(overwrite) });
+    audit(req, 'FILE_RENAMED', `Renamed ${filePath} to ${file.path}`, { from: filePath, to: file.path });
+    res.json(file);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { from, to, overwrite }
+router.post('/move', requireFiles('write'), (req, res) => {
+  const { from, to, overwrite = false } = req.body || {};
+  try {
+    const file = serverFiles.move(req.server, from, to, { overwrite: Boolean(overwrite) });
+    audit(req, 'FILE_MOVED', `Moved ${from} to ${file.path}`, { from, to: file.path });
+    res.json(file);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { from, to, overwrite }
+router.post('/copy', requireFiles('write'), (req, res) => {
+  const { from, to, overwrite = false } = req.body || {};
+  try {
+    const file = serverFiles.copy(req.server, from, to, { overwrite: Boolean(overwrite) });
+    audit(req, 'FILE_COPIED', `Copied ${from} to ${file.path}`, { from, to: file.path });
+    res.json(file);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { paths: [...] }
+router.post('/delete', requireFiles('write'), (req, res) => {
+  const { paths } = req.body || {};
+  try {
+    const deleted = serverFiles.remove(req.server, paths);
+    audit(req, 'FILE_DELETED', `Deleted ${deleted.join(', ')}`, { paths: deleted });
+    res.json({ deleted });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { path }
+router.post('/mkdir', requireFiles('write'), (req, res) => {
+  try {
+    const dir = serverFiles.mkdir(req.server, req.body?.path);
+    audit(req, 'DIRECTORY_CREATED', `Created ${dir.path}`, { path: dir.path });
+    res.status(201).json(dir);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { path, mode: '644' }
+router.post('/chmod', requireFiles('write'), (req, res) => {
+  const { path: filePath, mode } = req.body || {};
+  try {
+    const file = serverFiles.chmod(req.server, filePath, mode);
+    audit(req, 'FILE_PERMISSIONS_CHANGED', `Changed mode of ${file.path} to ${file.mode}`, { path: file.path, mode: file.mode });
+    res.json(file);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { paths: [...], destination: 'archive.zip', overwrite }
+router.post('/compress', requireFiles('write'), async (req, res) => {
+  const { paths, destination, overwrite = false } = req.body || {};
+  try {
+    const archive = await serverFiles.compress(req.server, paths, destination, { overwrite: Boolean(overwrite) });
+    audit(req, 'FILES_COMPRESSED', `Compressed ${archive.files} file(s) into ${archive.path}`, { paths, destination: archive.path, size: archive.size });
+    res.status(201).json(archive);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { path: 'archive.zip', destination: 'dir', overwrite }
+router.post('/decompress', requireFiles('write'), async (req, res) => {
+  const { path: archivePath, destination = '', overwrite = false } = req.body || {};
+  try {
+    const result = await serverFiles.decompress(req.server, archivePath, destination, { overwrite: Boolean(overwrite) });
+    audit(req, 'FILES_DECOMPRESSED', `Extracted ${archivePath} into ${result.path || '/'}`, { path: archivePath, destination: result.path, files: result.files, bytes: result.bytes });
+    res.json(result);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+function loadUpload(req, res) {
+  const row = uploadManager.get(req.params.uploadId);
+  const own = row && Number(row.server_id) === Number(req.server.id)
+    && (req.user.role === 'admin' || Number(row.panel_user_id) === Number(req.user.id));
+  if (!own) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  return row;
+}
+
+// { path, size, overwrite }
+router.post('/uploads', requireFiles('write'), (req, res) => {
+  const { path: filePath, size, overwrite = false } = req.body || {};
+  try {
+    const upload = uploadManager.create(req.server, req.user.id, filePath, size, { overwrite: Boolean(overwrite) });
+    res.status(201).json({ ...upload, maxChunkBytes: MAX_CHUNK_BYTES });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.get('/uploads/:uploadId', requireFiles('write'), (req, res) => {
+  const row = loadUpload(req, res);
+  if (row) res.json(uploadManager.toStatus(row));
+});
+
+router.put(
+  '/uploads/:uploadId',
+  requireFiles('write'),
+  express.raw({ type: () => true, limit: MAX_CHUNK_BYTES }),
+  (req, res) => {
+    const row = loadUpload(req, res);
+    if (!row) return;
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    try {
+      const status = uploadManager.append(req.server, row, req.query.offset, chunk);
+      if (status.file) {
+        audit(req, 'FILE_UPLOADED', `Uploaded ${status.file.path}`, { path: status.file.path, size: status.file.size });
+      }
+      res.json(status);
+    } catch (e) {
+      sendError(res, e);
+    }
+  }
+);
+
+router.delete('/uploads/:uploadId', requireFiles('write'), (req, res) => {
+  const row = loadUpload(req, res);
+  if (!row) return;
+  try {
+    uploadManager.cancel(row);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+module.exports = router;
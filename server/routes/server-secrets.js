@@ -0,0 +1,99 @@
+/**
+ * Server secret routes (/api/servers/:id/secrets)
+ *
+ * Secrets of one server, see services/secret-store. Values are write-only: listings and version
+ * history carry names, versions and who changed them, never the values. Reference a secret from
+ * env_vars as ${secret:NAME}; it is resolved when the server starts. Listing needs 'view' access,
+ * changes 'edit'. PUT /:name { value } adds a version, POST /:name/versions/:version/restore
+ * makes an older one current again.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { getDatabase } = require('../lib/database');
+const { authMiddleware, adminRestrictionMiddleware } = require('./auth');
+const { restrictionMiddleware } = require('../utils/restrictions');
+const AuditService = require('../services/AuditService');
+const { secretStore } = require('../services/secret-store');
+const { getUserIdentity } = require('../services/server-console');
+const { canAccessServer } = require('./servers');
+
+router.use(authMiddleware);
+router.use(adminRestrictionMiddleware);
+
+const ERROR_STATUS = {
+  SECRET_NOT_FOUND: 404,
+  INVALID_SECRET_REQUEST: 400,
+  SECRET_KEY_MISSING: 409,
+};
+
+function sendError(res, err) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    console.error('[SECRETS] Error:', err);
+    return res.status(500).json({ error: err.message || 'Secret operation failed' });
+  }
+  res.status(status).json({ error: err.message, code: err.code });
+}
+
+function requireServer(action) {
+  return (req, res, next) => {
+    const db = getDatabase();
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.id);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (!canAccessServer(db, req.user.id, server, action, req.user.role)) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    req.server = server;
+    next();
+  };
+}
+
+const scopeOf = (req) => ({ serverId: req.server.id });
+
+router.get('/', requireServer('view'), (req, res) => {
+  res.json(secretStore.list(scopeOf(req)));
+});
+
+// { value }
+router.put('/:name', restrictionMiddleware(), requireServer('edit'), (req, res) => {
+  try {
+    const identity = getUserIdentity(req.user);
+    const secret = secretStore.set(scopeOf(req), req.params.name, req.body?.value, identity);
+    AuditService.log(req.server.id, 'SECRET_UPDATED', identity, `Secret ${secret.name} set (version ${secret.version})`, { name: secret.name, version: secret.version });
+    res.json(secret);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.delete('/:name', requireServer('edit'), (req, res) => {
+  if (!secretStore.remove(scopeOf(req), req.params.name)) return res.status(404).json({ error: 'Secret not found' });
+  AuditService.log(req.server.id, 'SECRET_DELETED', getUserIdentity(req.user), `Secret ${req.params.name} deleted`, { name: req.params.name });
+  res.json({ ok: true });
+});
+
+router.get('/:name/versions', requireServer('view'), (req, res) => {
+  try {
+    res.json(secretStore.versions(scopeOf(req), req.params.name));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.post('/:name/versions/:version/restore', restrictionMiddleware(), requireServer('edit'), (req, res) => {
+  try {
+    const identity = getUserIdentity(req.user);
+    const secret = secretStore.restoreVersion(scopeOf(req), req.params.name, req.params.version, identity);
+    AuditService.log(req.server.id, 'SECRET_RESTORED', identity, `Secret ${secret.name} restored from version ${req.params.version}`, {
+      name: secret.name,
+      restoredVersion: Number(req.params.version),
+      version: secret.version,
+    });
+    res.json(secret);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+module.exports = router;
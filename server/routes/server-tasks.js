@@ -0,0 +1,113 @@
+/**
+ * Scheduled task routes (/api/servers/:id/tasks)
+ *
+ * Cron tasks of a server, see services/task-scheduler for the step format. Listing and history
+ * need 'view' access, changes and manual runs 'control'. GET /preview?cron=&timezone= checks an
+ * expression and describes it ("At 04:00, only on Monday") with its next run. POST /:taskId/run
+ * answers 202 with the new run; poll GET /:taskId/runs for its steps.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { getDatabase } = require('../lib/database');
+const { authMiddleware, adminRestrictionMiddleware } = require('./auth');
+const { restrictionMiddleware } = require('../utils/restrictions');
+const AuditService = require('../services/AuditService');
+const { taskScheduler, describeSchedule } = require('../services/task-scheduler');
+const { getUserIdentity } = require('../services/server-console');
+const { canAccessServer } = require('./servers');
+
+router.use(authMiddleware);
+router.use(adminRestrictionMiddleware);
+
+const ERROR_STATUS = {
+  TASK_NOT_FOUND: 404,
+  INVALID_TASK_REQUEST: 400,
+};
+
+function sendError(res, err) {
+  const status = ERROR_STATUS[err.code];
+  if (!status) {
+    console.error('[TASKS] Error:', err);
+    return res.status(500).json({ error: err.message || 'Task operation failed' });
+  }
+  res.status(status).json({ error: err.message, code: err.code });
+}
+
+function requireServer(action) {
+  return (req, res, next) => {
+    const db = getDatabase();
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.id);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (!canAccessServer(db, req.user.id, server, action, req.user.role)) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    req.server = server;
+    next();
+  };
+}
+
+router.get('/', requireServer('view'), (req, res) => {
+  res.json(taskScheduler.list(req.server.id));
+});
+
+router.get('/preview', requireServer('view'), (req, res) => {
+  try {
+    res.json(describeSchedule(req.query.cron, req.query.timezone));
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// { name, cron, timezone, enabled, onlyIfRunning, steps: [...] }
+router.post('/', restrictionMiddleware(), requireServer('control'), (req, res) => {
+  try {
+    const task = taskScheduler.create(req.server.id, req.body || {}, getUserIdentity(req.user));
+    AuditService.log(req.server.id, 'TASK_CREATED', getUserIdentity(req.user), `Task "${task.name}" created (${task.cron})`, { taskId: task.id });
+    res.status(201).json(task);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.get('/:taskId', requireServer('view'), (req, res) => {
+  const task = taskScheduler.get(req.server.id, req.params.taskId);
+  if (!task) return res.status(404).json({ error: 'Task not found' });
+  res.json(task);
+});
+
+router.patch('/:taskId', restrictionMiddleware(), requireServer('control'), (req, res) => {
+  try {
+    const task = taskScheduler.update(req.server.id, req.params.taskId, req.body || {});
+    AuditService.log(req.server.id, 'TASK_UPDATED', getUserIdentity(req.user), `Task "${task.name}" updated`, { taskId: task.id, changes: Object.keys(req.body || {}) });
+    res.json(task);
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+router.delete('/:taskId', requireServer('control'), (req, res) => {
+  const task = taskScheduler.get(req.server.id, req.params.taskId);
+  if (!task || !taskScheduler.remove(req.server.id, req.params.taskId)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  AuditService.log(req.server.id, 'TASK_DELETED', getUserIdentity(req.user), `Task "${task.name}" deleted`, { taskId: task.id });
+  res.json({ ok: true });
+});
+
+router.post('/:taskId/run', restrictionMiddleware(), requireServer('control'), (req, res) => {
+  const row = taskScheduler.getRow(req.server.id, req.params.taskId);
+  if (!row) return res.status(404).json({ error: 'Task not found' });
+  const identity = getUserIdentity(req.user);
+  const { run } = taskScheduler.execute(row, { trigger: 'manual', requestedBy: identity });
+  AuditService.log(req.server.id, 'TASK_RUN', identity, `Task "${row.name}" run manually`, { taskId: row.id, runId: run.id });
+  res.status(202).json(run);
+});
+
+// ?limit= (default 20)
+router.get('/:taskId/runs', requireServer('view'), (req, res) => {
+  if (!taskScheduler.getRow(req.server.id, req.params.taskId)) return res.status(404).json({ error: 'Task not found' });
+  res.json(taskScheduler.listRuns(req.server.id, req.params.taskId, { limit: req.query.limit }));
+});
+
+module.exports = router;
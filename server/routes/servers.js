@@ -1,16 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { getDatabase, getDatabasePath } = require('../lib/database');
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const { getEggsDir, getLegacyAppDir, getRuntimesDir } = require('../lib/paths');
 const { getTemplateById } = require('../services/templates-store');
-const kill = require('tree-kill');
 const crypto = require('crypto');
 const si = require('systeminformation');
 const net = require('net');
-const { RemoteNodeManager } = require('../services/remote-management');
 const { ensureUserForServer, applyFolderAcl, ensureFirewallRule } = require('../services/os-isolation');
 const { jobManager } = require('../services/process-limits');
 const AuditService = require('../services/AuditService');
@@ -19,6 +16,12 @@ const discordNotifier = require('../services/discord-notifier');
 const { authMiddleware, adminRestrictionMiddleware } = require('./auth');
 const { restrictionMiddleware } = require('../utils/restrictions');
 const CoreOrchestrator = require('../services/CoreOrchestrator');
+const runtimeDrivers = require('../services/runtime-drivers');
+const { backupJobs } = require('../services/backup-jobs');
+const { restartSupervisor, parseRestartPolicyInput } = require('../services/restart-supervisor');
+const serverConsole = require('../services/server-console');
+const { logStore } = require('../services/log-store');
+const { secretStore } = require('../services/secret-store');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
@@ -51,6 +54,7 @@ function normalizeServerRowForResponse(row) {
   }
 
   normalized.metadata = JSON.stringify(meta);
+  normalized.restart_state = restartSupervisor.getStatus(row.id);
   return normalized;
 }
 
@@ -268,6 +272,14 @@ function canAccessServer(db, activeAccountId, serverRow, requiredAction = 'view'
   // Check ownership
   if (serverRow.panel_user_id && Number(serverRow.panel_user_id) === Number(activeAccountId)) return true;
 
+  // Categorised actions ('files.read', 'files.write') can also be granted to session members
+  const [category, action] = String(requiredAction).split('.');
+  if (action) {
+    return getAccountSessionPermissions(db, activeAccountId).some(
+      (m) => Number(m.ownerAccountId) === Number(serverRow.owner_account_id) && canFromSession(m.permissions, category, action)
+    );
+  }
+
   return false;
 }
 
@@ -281,14 +293,9 @@ function getUserIdentity(db, accountId) {
   }
 }
 
-// Use centralized ProcessRegistry
-// const runningProcesses = new Map();
-// const stoppingProcesses = new Set();
-const runningProcesses = processRegistry.processes;
-const stoppingProcesses = processRegistry.stopping;
-
 const folderSizeCache = new Map();
 const FOLDER_SIZE_CACHE_TTL_MS = 30_000;
+const MAX_LOG_TAIL = 5000;
 
 const limitBreachCounts = new Map();
 const LIMIT_POLL_INTERVAL_MS = 2000;
@@ -407,16 +414,6 @@ async function allocatePort(db, preferredRange = AUTO_PORT_RANGE) {
   return null;
 }
 
-function extractRssBytes(proc) {
-  const memRssRaw =
-    typeof proc?.memRss === 'number' ? proc.memRss :
-      typeof proc?.mem_rss === 'number' ? proc.mem_rss :
-        typeof proc?.memRssBytes === 'number' ? proc.memRssBytes :
-          0;
-
-  return memRssRaw > 0 && memRssRaw < 1024 * 1024 * 1024 ? memRssRaw * 1024 : memRssRaw;
-}
-
 async function getFolderSizeBytes(rootPath) {
   if (!rootPath) return 0;
   if (!fs.existsSync(rootPath)) return 0;
@@ -460,23 +457,6 @@ async function getFolderSizeBytes(rootPath) {
   return total;
 }
 
-function ensureLogDir(serverPath) {
-  const logPath = path.join(serverPath, 'logs');
-  if (!fs.existsSync(logPath)) {
-    fs.mkdirSync(logPath, { recursive: true });
-  }
-  return logPath;
-}
-
-function appendServerLog(serverPath, line) {
-  try {
-    const logPath = ensureLogDir(serverPath);
-    fs.appendFileSync(path.join(logPath, 'output.log'), line);
-  } catch {
-    // ignore
-  }
-}
-
 function parseEnvVars(server) {
   const raw = server?.env_vars;
   if (!raw) return {};
@@ -489,36 +469,6 @@ function parseEnvVars(server) {
   }
 }
 
-function resolveTemplateVars(input, vars) {
-  const s = String(input || '');
-  if (!s) return s;
-  const map = vars && typeof vars === 'object' ? vars : {};
-  return s.replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (_, key) => {
-    const v = map[key];
-    return v === undefined || v === null ? '' : String(v);
-  });
-}
-
-async function getProcessTreeUsage(pid) {
-  if (!pid || Number.isNaN(Number(pid))) {
-    return { cpu: 0, rssBytes: 0 };
-  }
-
-  const procData = await si.processes();
-  const list = procData?.list || [];
-  const mainPid = Number(pid);
-  const mainProc = list.find(p => Number(p.pid) === mainPid);
-  const childProcs = list.filter(p => {
-    const ppid = typeof p.ppid === 'number' ? p.ppid : (typeof p.parentPid === 'number' ? p.parentPid : null);
-    return ppid !== null && Number(ppid) === mainPid;
-  });
-
-  const procsToSum = (mainProc ? [mainProc] : []).concat(childProcs);
-  const cpu = procsToSum.reduce((sum, p) => sum + (typeof p.cpu === 'number' ? p.cpu : 0), 0);
-  const rssBytes = procsToSum.reduce((sum, p) => sum + extractRssBytes(p), 0);
-  return { cpu, rssBytes };
-}
-
 async function stopServerInternal(serverId, reason, userIdentity) {
   const db = getDatabase();
 
@@ -529,10 +479,8 @@ async function stopServerInternal(serverId, reason, userIdentity) {
     serverRow = null;
   }
 
-  const serverProcessData = runningProcesses.get(serverId);
-  const serverProcess = serverProcessData?.process;
   if (serverRow?.path && reason) {
-    appendServerLog(serverRow.path, `\n[${new Date().toISOString()}] STOP (policy) ${reason}\n`);
+    runtimeDrivers.appendServerLog(serverRow, `STOP (policy) ${reason}`);
     AuditService.log(serverId, 'SERVER_STOP', userIdentity || 'system', `Stopped due to policy: ${reason}`);
   }
 
@@ -550,61 +498,41 @@ async function stopServerInternal(serverId, reason, userIdentity) {
     }
   }
 
-  // Use existing serverProcessData from above
-  const pid = serverProcessData?.process?.pid;
-
-  if (pid) {
+  try {
+    await runtimeDrivers.stopServer(serverRow || serverId, { reason });
+  } catch (err) {
+    console.warn(`[STOP] Policy stop of server ${serverId} failed:`, err.message);
     try {
-      await new Promise((resolve) => {
-        kill(pid, 'SIGTERM', (err) => {
-          if (err) {
-            try {
-              kill(pid, 'SIGKILL');
-            } catch {
-              // ignore
-            }
-          }
-          resolve();
-        });
-      });
+      db.prepare('UPDATE servers SET status = ?, pid = NULL, runtime_driver = NULL WHERE id = ?').run('stopped', serverId);
     } catch {
       // ignore
     }
   }
 
-  try {
-    runningProcesses.delete(serverId);
-  } catch {
-    // ignore
-  }
   try {
     limitBreachCounts.delete(serverId);
   } catch {
     // ignore
   }
-
-  try {
-    db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?').run('stopped', serverId);
-  } catch {
-    // ignore
-  }
 }
 
 async function pollAndEnforceLimits() {
-  if (runningProcesses.size === 0) return;
-
   const db = getDatabase();
-  const entries = Array.from(runningProcesses.entries());
+  let rows;
+  try {
+    rows = db.prepare("SELECT * FROM servers WHERE status = 'running' AND runtime_driver IS NOT NULL").all();
+  } catch {
+    rows = [];
+  }
 
-  for (const [serverId, child] of entries) {
-    let row;
-    try {
-      row = db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-    } catch {
-      row = null;
+  for (const row of rows) {
+    const serverId = String(row.id);
+    const driver = runtimeDrivers.getDriverForServer(row);
+    // Containers get their limits from cgroups; remote nodes enforce their own
+    if (driver.enforcesLimits) {
+      limitBreachCounts.delete(serverId);
+      continue;
     }
-    if (!row) continue;
-    if (row.status !== 'running') continue;
 
     const isolationEnabled = Boolean(row.isolation_enabled);
     const cpuLimit = typeof row.cpu_limit_percent === 'number' ? row.cpu_limit_percent : (row.cpu_limit_percent ? Number(row.cpu_limit_percent) : null);
@@ -617,7 +545,8 @@ async function pollAndEnforceLimits() {
 
     let usage;
     try {
-      usage = await getProcessTreeUsage(child?.process?.pid);
+      const stats = await driver.stats(row);
+      usage = { cpu: stats.cpuPercent, rssBytes: stats.memUsedBytes };
     } catch {
       usage = { cpu: 0, rssBytes: 0 };
     }
@@ -698,6 +627,20 @@ router.post('/:id/install', restrictionMiddleware(), async (req, res) => {
       return res.status(403).json({ error: 'Not allowed' });
     }
 
+    // Re-running the install overwrites server files: with `backup`, take a pre-update backup first
+    if (req.body?.backup) {
+      try {
+        await backupJobs.run({
+          serverId: server.id,
+          trigger: 'pre-update',
+          options: req.body.backup_options || {},
+          requestedBy: getUserIdentity(db, activeAccountId),
+        });
+      } catch (err) {
+        return res.status(500).json({ error: `Pre-update backup failed, install skipped: ${err.message}` });
+      }
+    }
+
     // 6. Install Phase
     await CoreOrchestrator.runInstall(serverId);
     res.json({ message: 'Install finished successfully' });
@@ -765,64 +708,29 @@ router.get('/:id/resources', async (req, res) => {
       return res.status(403).json({ error: 'Not allowed' });
     }
 
-    const trackedProcessData = runningProcesses.get(serverId);
-    const trackedPid = trackedProcessData?.process?.pid ? Number(trackedProcessData.process.pid) : null;
-
-    const dbPid = server.pid ? Number(server.pid) : null;
-    const pid = trackedPid || dbPid;
-    const status = server.status || (pid ? 'running' : 'stopped');
     const timestamp = new Date().toISOString();
-
     const disk = await getDiskForPath(server.path);
+    const driver = runtimeDrivers.getDriverForServer(server);
 
-    if (!pid || Number.isNaN(pid)) {
-      return res.json({
-        server_id: server.id,
-        status: status,
-        pid: null,
-        timestamp,
-        cpu: { usage: 0 },
-        memory: { rss: 0, percentage: 0 },
-        disk,
-      });
-    }
-
-    const [procData, mem] = await Promise.all([
-      si.processes(),
+    const [stats, mem] = await Promise.all([
+      driver.stats(server),
       si.mem(),
     ]);
 
-    const list = procData?.list || [];
-    const mainProc = list.find(p => Number(p.pid) === pid);
-
-    // On Windows when starting with shell=true, the tracked PID can be cmd.exe and the actual workload is a child.
-    const childProcs = list.filter(p => {
-      const ppid = typeof p.ppid === 'number' ? p.ppid : (typeof p.parentPid === 'number' ? p.parentPid : null);
-      return ppid !== null && Number(ppid) === pid;
-    });
-
-    const procsToSum = (mainProc ? [mainProc] : []).concat(childProcs);
-    const foundAny = procsToSum.length > 0;
-
-    if (!foundAny) {
-      // If the DB thinks it's running but we cannot see the process, reconcile state.
+    if (!stats.running) {
+      // If the DB thinks it's running but the runtime does not, reconcile state.
       if (server.status === 'running') {
         try {
-          db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?').run('stopped', serverId);
+          db.prepare('UPDATE servers SET status = ?, pid = NULL, runtime_driver = NULL WHERE id = ?').run('stopped', serverId);
         } catch {
           // ignore
         }
       }
 
-      try {
-        runningProcesses.delete(serverId);
-      } catch {
-        // ignore
-      }
-
       return res.json({
         server_id: server.id,
         status: 'stopped',
+        driver: driver.name,
         pid: null,
         timestamp,
         cpu: { usage: 0 },
@@ -831,28 +739,25 @@ router.get('/:id/resources', async (req, res) => {
       });
     }
 
-    const cpuUsage = procsToSum.reduce((sum, p) => sum + (typeof p.cpu === 'number' ? p.cpu : 0), 0);
-    const rssBytes = procsToSum.reduce((sum, p) => sum + extractRssBytes(p), 0);
-    const memPct = mem?.total ? (rssBytes / mem.total) * 100 : 0;
-
-    const effectivePid = mainProc ? pid : Number(childProcs?.[0]?.pid || pid);
+    const memPct = mem?.total ? (stats.memUsedBytes / mem.total) * 100 : 0;
 
     res.json({
       server_id: server.id,
       status: 'running',
-      pid: effectivePid,
+      driver: driver.name,
+      pid: stats.pid,
       timestamp,
       cpu: {
-        usage: cpuUsage,
+        usage: stats.cpuPercent,
       },
       memory: {
-        rss: rssBytes,
+        rss: stats.memUsedBytes,
         percentage: memPct,
       },
       disk,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.code === 'REMOTE_FAILED' ? 502 : 500).json({ error: err.message });
   }
 });
 
@@ -881,7 +786,7 @@ router.get('/:id', (req, res) => {
       }
     }
 
-    res.json(row);
+    res.json({ ...row, restart_state: restartSupervisor.getStatus(row.id) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1042,7 +947,14 @@ router.post('/', restrictionMiddleware(), async (req, res) => {
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const serializedEnvVars = envVars ? JSON.stringify(envVars) : null;
+    // Variables flagged secret go to the secret store once the server exists
+    let envSplit;
+    try {
+      envSplit = secretStore.splitEnvVars(envVars);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const serializedEnvVars = envVars ? JSON.stringify(envSplit.envVars) : null;
     const serializedRepo = repo ? JSON.stringify(repo) : null;
     const serializedMetadata = metadata ? JSON.stringify(metadata) : null;
 
@@ -1074,6 +986,7 @@ router.post('/', restrictionMiddleware(), async (req, res) => {
     ]);
 
     const lastId = result.lastInsertRowid;
+    secretStore.storeServerSecrets(lastId, envSplit.secrets, serverConsole.getUserIdentity(req.user));
     res.json({ id: lastId, message: 'Server created successfully' });
     AuditService.log(lastId, 'SERVER_CREATE', getUserIdentity(db, activeAccountId), 'Server created using CoreOrchestrator');
   } catch (error) {
@@ -1183,7 +1096,28 @@ router.put('/:id', async (req, res) => {
       }
     }
 
-    const serializedEnvVars = envVars ? JSON.stringify(envVars) : existingServer.env_vars;
+    let restartPolicyColumns;
+    try {
+      restartPolicyColumns = parseRestartPolicyInput(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    // Variables flagged secret go to the secret store; env_vars keeps ${secret:NAME} references
+    let envSplit;
+    try {
+      envSplit = secretStore.splitEnvVars(envVars);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    // Same identity as the secret routes record (a panel user, not an account)
+    const secretIdentity = serverConsole.getUserIdentity(req.user);
+    const changedSecrets = secretStore.storeServerSecrets(serverId, envSplit.secrets, secretIdentity);
+    if (changedSecrets.length) {
+      AuditService.log(serverId, 'SECRET_UPDATED', secretIdentity, `Secret variables updated: ${changedSecrets.join(', ')}`, { names: changedSecrets });
+    }
+
+    const serializedEnvVars = envVars ? JSON.stringify(envSplit.envVars) : existingServer.env_vars;
     const serializedRepo = repo ? JSON.stringify(repo) : existingServer.repo;
     const serializedMetadataInput = metadata ? JSON.stringify(metadata) : existingServer.metadata;
 
@@ -1212,6 +1146,13 @@ router.put('/:id', async (req, res) => {
         runtime_preset = ?,
         install_command = ?,
         start_command = ?,
+        restart_policy = ?,
+        restart_max_retries = ?,
+        restart_delay_seconds = ?,
+        restart_backoff = ?,
+        restart_max_delay_seconds = ?,
+        crashloop_threshold = ?,
+        crashloop_window_seconds = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = ?`
     );
@@ -1240,6 +1181,15 @@ router.put('/:id', async (req, res) => {
       runtimePreset !== undefined ? runtimePreset : existingServer.runtime_preset,
       installCommand !== undefined ? installCommand : existingServer.install_command,
       startCommand !== undefined ? startCommand : existingServer.start_command,
+      ...[
+        'restart_policy',
+        'restart_max_retries',
+        'restart_delay_seconds',
+        'restart_backoff',
+        'restart_max_delay_seconds',
+        'crashloop_threshold',
+        'crashloop_window_seconds',
+      ].map((column) => (column in restartPolicyColumns ? restartPolicyColumns[column] : existingServer[column])),
       serverId,
     ]);
 
@@ -1253,7 +1203,11 @@ router.put('/:id', async (req, res) => {
       // ignore
     }
 
-    res.json({ message: 'Server updated successfully', server: updatedServer, dns: provisionResult });
+    res.json({
+      message: 'Server updated successfully',
+      server: { ...updatedServer, restart_state: restartSupervisor.getStatus(serverId) },
+      dns: provisionResult,
+    });
     AuditService.log(serverId, 'SERVER_EDIT', getUserIdentity(db, activeAccountId), 'Server configuration updated');
   } catch (error) {
     console.error('[SERVER] Failed to update server:', error);
@@ -1275,31 +1229,27 @@ router.post('/:id/start', restrictionMiddleware(), async (req, res) => {
       return res.status(403).json({ error: 'Not allowed' });
     }
 
-    // Remote-node delegation remains
-    if (server.node_id) {
-      // (Keep existing remote logic or refactor later)
-      // For now, only local servers use CoreOrchestrator
-    }
-
-    // 7. Runtime Container Creation & 9. Execution Control
-    const result = await CoreOrchestrator.start(serverId);
-    res.json({ message: 'Server started successfully', containerId: result.containerId });
+    // 7. Runtime Creation & 9. Execution Control, through the server's runtime driver
+    const result = await CoreOrchestrator.start(serverId, { source: 'start' });
+    res.json({
+      message: 'Server started successfully',
+      driver: result.driver,
+      pid: result.pid || null,
+      containerId: result.containerId || null,
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.code === 'REMOTE_FAILED' ? 502 : 500).json({ error: err.message });
   }
 });
 
-// Stop server
-router.post('/:id/stop', restrictionMiddleware(), async (req, res) => {
-  const serverId = req.params.id;
-  const serverProcessData = runningProcesses.get(serverId);
-  const serverProcess = serverProcessData?.process;
-
+/**
+ * Stop a server the same way POST /:id/stop does, through the runtime driver that owns it.
+ * Used by the stop route and by other modules that need a server quiesced (e.g. in-place restore).
+ * Rejects with err.code = 'REMOTE_FAILED' when the remote node could not be reached.
+ */
+async function stopServer(serverId, userIdentity) {
+  serverId = String(serverId);
   const db = getDatabase();
-  const activeAccountId = req.user.id;
-  if (!activeAccountId) {
-    return res.status(400).json({ error: 'No active account set' });
-  }
 
   let serverRow;
   try {
@@ -1307,134 +1257,71 @@ router.post('/:id/stop', restrictionMiddleware(), async (req, res) => {
   } catch {
     serverRow = null;
   }
-
-  if (serverRow && !canAccessServer(db, activeAccountId, serverRow, 'control', req.user.role)) {
-    return res.status(403).json({ error: 'Not allowed' });
-  }
-
-  // Remote-node execution path
-  if (serverRow?.node_id) {
-    try {
-      const remoteManager = new RemoteNodeManager();
-      const result = await remoteManager.stopRemoteServer(serverRow.node_id, String(serverId));
-      try {
-        db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?').run('stopped', serverId);
-      } catch {
-        // ignore
-      }
-      return res.json({ message: 'Server stopped successfully (remote)', remote: true, result: result.data });
-    } catch (error) {
-      return res.status(502).json({ error: error.message || 'Failed to stop server on remote node' });
-    }
+  if (!serverRow) {
+    return { message: 'Server marked as stopped (no running process found)' };
   }
 
-  console.log(`[STOP] Attempting to stop server ${serverId}, PID: ${serverProcess?.pid}`);
+  const driver = runtimeDrivers.getDriverForServer(serverRow);
+  console.log(`[STOP] Attempting to stop server ${serverId} (${driver.name})`);
+  restartSupervisor.reset(serverId);
 
-  if (!serverProcess) {
-    console.log(`[STOP] Server ${serverId} not found in running processes`);
-    // Update database anyway to ensure consistency
-    try {
-      const stmt = db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?');
-      stmt.run('stopped', serverId);
-
-      try {
-        const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-        if (server?.path) {
-          const logPath = path.join(server.path, 'logs');
-          fs.mkdirSync(logPath, { recursive: true });
-          fs.appendFileSync(path.join(logPath, 'output.log'), `\n[${new Date().toISOString()}] STOP requested (no running process found)\n`);
-        }
-      } catch {
-        // ignore
-      }
-
-      res.json({ message: 'Server marked as stopped (no running process found)' });
-      AuditService.log(serverId, 'SERVER_STOP', getUserIdentity(db, activeAccountId), 'Server marked as stopped (no process)');
-    } catch (err) {
-      res.status(500).json({ error: err.message });
-    }
-    return;
+  // Write STOP marker before stopping so it shows immediately in the console stream
+  if (driver.name !== 'remote') {
+    runtimeDrivers.appendServerLog(serverRow, 'STOP requested');
   }
 
   try {
-    // Mark as intentional stop (so the close handler doesn't look like a crash)
-    stoppingProcesses.add(String(serverId));
-
-    // Cleanup Job Object if it exists
-    try {
-      await jobManager.closeServerJob(serverId);
-      console.log(`[STOP] Cleaned up Job Object for server ${serverId}`);
-    } catch (jobError) {
-      console.warn(`[STOP] Failed to cleanup Job Object for server ${serverId}:`, jobError.message);
+    const result = await runtimeDrivers.stopServer(serverRow, { userIdentity });
+    if (driver.name === 'remote') {
+      return { message: 'Server stopped successfully (remote)', remote: true, result: result.result };
     }
-
-    // Write STOP marker before kill so it shows immediately in the console stream
+    if (result.stopped === false) {
+      AuditService.log(serverId, 'SERVER_STOP', userIdentity || 'system', 'Server marked as stopped (no process)');
+      return { message: 'Server marked as stopped (no running process found)' };
+    }
+    AuditService.log(serverId, 'SERVER_STOP', userIdentity || 'system', 'Server stop requested');
+    console.log(`[STOP] Server ${serverId} stopped successfully`);
+    return { message: 'Server stopped successfully' };
+  } catch (error) {
+    if (error.code === 'REMOTE_FAILED') throw error;
+    // Even if the stop failed, don't leave the server looking like it runs
     try {
-      const db = getDatabase();
-      const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-      if (server?.path) {
-        const logPath = path.join(server.path, 'logs');
-        fs.mkdirSync(logPath, { recursive: true });
-        fs.appendFileSync(path.join(logPath, 'output.log'), `\n[${new Date().toISOString()}] STOP requested\n`);
-        AuditService.log(serverId, 'SERVER_STOP', getUserIdentity(db, activeAccountId), 'Server stop requested');
-      }
-    } catch {
-      // ignore
+      db.prepare('UPDATE servers SET status = ?, pid = NULL, runtime_driver = NULL WHERE id = ?').run('stopped', serverId);
+    } catch (dbErr) {
+      console.error(`[STOP] Database cleanup error:`, dbErr);
     }
+    throw new Error('Failed to stop server: ' + error.message);
+  }
+}
 
-    const pid = serverProcess.pid;
-    console.log(`[STOP] Killing process tree for PID ${pid}`);
-
-    // Use tree-kill to properly kill process tree on Windows
-    await new Promise((resolve, reject) => {
-      kill(pid, 'SIGTERM', (err) => {
-        if (err) {
-          console.error(`[STOP] Error killing process ${pid} with SIGTERM:`, err);
-          // Try force kill if normal kill fails
-          kill(pid, 'SIGKILL', (err2) => {
-            if (err2) {
-              console.error(`[STOP] Error killing process ${pid} with SIGKILL:`, err2);
-              reject(err2);
-            } else {
-              console.log(`[STOP] Process ${pid} killed with SIGKILL`);
-              resolve();
-            }
-          });
-        } else {
-          console.log(`[STOP] Process ${pid} killed with SIGTERM`);
-          resolve();
-        }
-      });
-    });
+// Stop server
+router.post('/:id/stop', restrictionMiddleware(), async (req, res) => {
+  const serverId = req.params.id;
+  const db = getDatabase();
+  const activeAccountId = req.user.id;
+  if (!activeAccountId) {
+    return res.status(400).json({ error: 'No active account set' });
+  }
 
-    // Wait a bit for process cleanup
-    await new Promise(resolve => setTimeout(resolve, 500));
+  let serverRow;
+  try {
+    serverRow = db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
+  } catch {
+    serverRow = null;
+  }
 
-    processRegistry.delete(serverId);
-    console.log(`[STOP] Removed server ${serverId} from running processes`);
+  if (serverRow && !canAccessServer(db, activeAccountId, serverRow, 'control', req.user.role)) {
+    return res.status(403).json({ error: 'Not allowed' });
+  }
 
-    const db = getDatabase();
-    try {
-      const stmt = db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?');
-      stmt.run('stopped', serverId);
-      console.log(`[STOP] Server ${serverId} stopped successfully`);
-      res.json({ message: 'Server stopped successfully' });
-    } catch (err) {
-      console.error(`[STOP] Database update error:`, err);
-      res.status(500).json({ error: err.message });
-    }
+  try {
+    const result = await stopServer(serverId, getUserIdentity(db, activeAccountId));
+    res.json(result);
   } catch (error) {
-    // Even if kill failed, clean up our tracking
-    processRegistry.delete(serverId);
-    processRegistry.removeStopping(serverId);
-    const db = getDatabase();
-    try {
-      const stmt = db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?');
-      stmt.run('stopped', serverId);
-    } catch (dbErr) {
-      console.error(`[STOP] Database cleanup error:`, dbErr);
+    if (error.code === 'REMOTE_FAILED') {
+      return res.status(502).json({ error: error.message });
     }
-    res.status(500).json({ error: 'Failed to stop server: ' + error.message });
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -1455,152 +1342,32 @@ router.post('/:id/restart', restrictionMiddleware(), async (req, res) => {
       return res.status(404).json({ error: 'Server not found' });
     }
 
-    AuditService.log(serverId, 'SERVER_RESTART', getUserIdentity(db, activeAccountId), 'Server restart requested');
-
-    // Remote-node execution path
-    if (server.node_id) {
-      if (!canAccessServer(db, activeAccountId, server, 'control', req.user.role)) {
-        return res.status(403).json({ error: 'Not allowed' });
-      }
-
-      try {
-        const remoteManager = new RemoteNodeManager();
-        await remoteManager.stopRemoteServer(server.node_id, String(serverId)).catch(() => null);
-
-        let envVars = null;
-        try {
-          envVars = server.env_vars ? JSON.parse(server.env_vars) : null;
-        } catch {
-          envVars = null;
-        }
-
-        await remoteManager.createRemoteServer(server.node_id, {
-          id: String(server.id),
-          name: server.name,
-          path: server.path,
-          command: server.command,
-          start_command: server.start_command || null,
-          env_vars: envVars,
-        });
-
-        const result = await remoteManager.startRemoteServer(server.node_id, String(serverId));
-        try {
-          const pid = result?.data?.pid ? Number(result.data.pid) : null;
-          db.prepare('UPDATE servers SET status = ?, pid = ? WHERE id = ?').run('running', pid, serverId);
-        } catch {
-          // ignore
-        }
-
-        return res.json({ message: 'Server restarted successfully (remote)', remote: true, result: result.data });
-      } catch (error) {
-        return res.status(502).json({ error: error.message || 'Failed to restart server on remote node' });
-      }
-    }
-
-    try {
-      const logPath = path.join(server.path, 'logs');
-      fs.mkdirSync(logPath, { recursive: true });
-      fs.appendFileSync(path.join(logPath, 'output.log'), `\n[${new Date().toISOString()}] RESTART requested\n`);
-    } catch {
-      // ignore
+    if (!canAccessServer(db, activeAccountId, server, 'control', req.user.role)) {
+      return res.status(403).json({ error: 'Not allowed' });
     }
 
-    if (processRegistry.has(serverId)) {
-      const procData = processRegistry.get(serverId);
-      processRegistry.markStopping(serverId);
-      if (procData?.process?.pid) {
-        await new Promise((resolve) => {
-          kill(procData.process.pid, 'SIGTERM', (err) => {
-            if (err) {
-              try {
-                kill(procData.process.pid, 'SIGKILL');
-              } catch {
-                // ignore
-              }
-            }
-            resolve();
-          });
-        });
-      }
-      processRegistry.delete(serverId);
-      await new Promise(resolve => setTimeout(resolve, 800));
-    }
-
-    // Start again
-    const [cmd, ...args] = server.command.split(' ');
-    const childProcess = spawn(cmd, args, {
-      cwd: server.path,
-      shell: true,
-      env: {
-        ...global.process.env,
-        PYTHONUTF8: global.process.env.PYTHONUTF8 || '1',
-        PYTHONIOENCODING: global.process.env.PYTHONIOENCODING || 'utf-8',
-        LANG: global.process.env.LANG || 'C.UTF-8',
-        LC_ALL: global.process.env.LC_ALL || 'C.UTF-8',
-        TERM: global.process.env.TERM || 'xterm-256color',
-      },
-    });
-
-    try {
-      const logPath = path.join(server.path, 'logs');
-      if (!fs.existsSync(logPath)) {
-        fs.mkdirSync(logPath, { recursive: true });
-      }
-      const logFile = fs.createWriteStream(path.join(logPath, 'output.log'), { flags: 'a' });
-      try {
-        logFile.write(`[${new Date().toISOString()}] START (from restart) requested\n`);
-      } catch {
-        // ignore
-      }
-
-      childProcess.stdout.on('data', (data) => {
-        logFile.write(data);
-      });
-
-      childProcess.stderr.on('data', (data) => {
-        logFile.write(data);
-      });
-
-      childProcess.on('close', (code) => {
-        try {
-          logFile.write(`[${new Date().toISOString()}] Process exited with code ${code}\n`);
-        } catch {
-          // ignore
-        }
-        logFile.end();
-        processRegistry.delete(serverId);
-
-        try {
-          db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?').run('stopped', serverId);
-        } catch {
-          // ignore
-        }
-      });
+    AuditService.log(serverId, 'SERVER_RESTART', getUserIdentity(db, activeAccountId), 'Server restart requested');
 
-      childProcess.on('error', (err) => {
-        try {
-          logFile.write(`[${new Date().toISOString()}] Process error: ${err.message}\n`);
-        } catch {
-          // ignore
-        }
-      });
-    } catch {
-      // ignore log wiring failures
+    if (!server.node_id) {
+      runtimeDrivers.appendServerLog(server, 'RESTART requested');
     }
 
-    processRegistry.set(serverId, {
-      process: childProcess,
-      bridgedPort: null // Restart route currently doesn't implement auto-bridge, would need logic from start route
-    });
-
+    restartSupervisor.reset(serverId);
+    let result;
     try {
-      db.prepare('UPDATE servers SET status = ?, pid = ? WHERE id = ?').run('running', childProcess.pid, serverId);
-    } catch {
-      // ignore
+      result = await runtimeDrivers.restartServer(server, { source: 'restart' });
+    } catch (error) {
+      if (error.code === 'REMOTE_FAILED') {
+        return res.status(502).json({ error: error.message || 'Failed to restart server on remote node' });
+      }
+      throw error;
     }
 
     AuditService.log(serverId, 'SERVER_RESTART', getUserIdentity(db, activeAccountId), 'Server restarted successfully');
-    res.json({ message: 'Server restarted successfully', pid: childProcess.pid });
+    if (result.driver === 'remote') {
+      return res.json({ message: 'Server restarted successfully (remote)', remote: true, result: result.result });
+    }
+    res.json({ message: 'Server restarted successfully', driver: result.driver, pid: result.pid || null, containerId: result.containerId || null });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1633,21 +1400,10 @@ router.delete('/:id', restrictionMiddleware(), (req, res) => {
   }
 
   // Stop if running
-  if (processRegistry.has(serverId)) {
-    const serverProcessData = processRegistry.get(serverId);
-    const pid = serverProcessData?.process?.pid;
-
-    if (pid) {
-      // Use tree-kill for proper cleanup
-      kill(pid, 'SIGTERM', (err) => {
-        if (err) {
-          kill(pid, 'SIGKILL');
-        }
-      });
-    }
-
-    processRegistry.delete(serverId);
-  }
+  restartSupervisor.reset(serverId);
+  runtimeDrivers.killServer(serverRow).catch((err) => {
+    console.warn(`[SERVER] Failed to stop server ${serverId} before delete:`, err.message);
+  });
 
   // Cleanup Job Object if it exists
   try {
@@ -1693,6 +1449,8 @@ router.delete('/:id', restrictionMiddleware(), (req, res) => {
       return res.status(404).json({ error: 'Server not found' });
     }
 
+    logStore.close(serverId);
+
     // Delete server files
     if (serverRow.path && fs.existsSync(serverRow.path)) {
       try {
@@ -1711,7 +1469,7 @@ router.delete('/:id', restrictionMiddleware(), (req, res) => {
 });
 
 // Get server logs
-router.get('/:id/logs', (req, res) => {
+router.get('/:id/logs', async (req, res) => {
   const serverId = req.params.id;
   const db = getDatabase();
 
@@ -1727,40 +1485,68 @@ router.get('/:id/logs', (req, res) => {
       return res.status(404).json({ error: 'Server not found' });
     }
 
-    // Remote-node execution path
-    if (server.node_id) {
-      if (!canAccessServer(db, activeAccountId, server, 'view', req.user.role)) {
-        return res.status(403).json({ error: 'Not allowed' });
-      }
-      const remoteManager = new RemoteNodeManager();
-      remoteManager.getRemoteServerLogs(server.node_id, String(serverId))
-        .then((result) => {
-          const logs = Array.isArray(result?.data?.logs) ? result.data.logs : [];
-          res.json({ logs });
-        })
-        .catch((error) => {
-          res.status(502).json({ error: error.message || 'Failed to fetch logs from remote node' });
-        });
-      return;
-    }
-
     if (!canAccessServer(db, activeAccountId, server, 'view', req.user.role)) {
       return res.status(403).json({ error: 'Not allowed' });
     }
 
-    const logPath = path.join(server.path, 'logs', 'output.log');
-
-    if (!fs.existsSync(logPath)) {
-      return res.json({ logs: [] });
+    const tail = Math.min(MAX_LOG_TAIL, Math.max(1, Number(req.query.tail) || 100));
+    const logs = await runtimeDrivers.getDriverForServer(server).logs(server, { tail });
+    res.json({ logs });
+  } catch (err) {
+    if (err.code === 'REMOTE_FAILED') {
+      return res.status(502).json({ error: err.message || 'Failed to fetch logs from remote node' });
     }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    try {
-      const content = fs.readFileSync(logPath, 'utf-8');
-      const lines = content.split('\n').slice(-100); // Last 100 lines
-      res.json({ logs: lines });
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
+function loadLocalLogServer(req, res) {
+  const db = getDatabase();
+  const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.id);
+  if (!server) {
+    res.status(404).json({ error: 'Server not found' });
+    return null;
+  }
+  if (!canAccessServer(db, req.user.id, server, 'view', req.user.role)) {
+    res.status(403).json({ error: 'Not allowed' });
+    return null;
+  }
+  if (server.node_id || !server.path) {
+    res.status(400).json({ error: 'Log search is not available for servers on remote nodes' });
+    return null;
+  }
+  return server;
+}
+
+// Search the stored log: from/to (ISO), q (regular expression, ignoreCase=true), level (minimum),
+// stream (stdout, stderr, system), limit and cursor (nextCursor of the previous page)
+router.get('/:id/logs/search', (req, res) => {
+  const server = loadLocalLogServer(req, res);
+  if (!server) return;
+  try {
+    res.json(logStore.search(server, {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      q: req.query.q || null,
+      ignoreCase: req.query.ignoreCase === 'true' || req.query.ignoreCase === '1',
+      level: req.query.level || null,
+      stream: req.query.stream || null,
+      limit: req.query.limit,
+      cursor: req.query.cursor ?? null,
+    }));
+  } catch (err) {
+    if (err.code === 'INVALID_LOG_QUERY') return res.status(400).json({ error: err.message });
+    console.error('[LOGS] Search error:', err);
+    res.status(500).json({ error: 'Failed to search logs' });
+  }
+});
+
+// Rotated and current log segments with their time ranges
+router.get('/:id/logs/segments', (req, res) => {
+  const server = loadLocalLogServer(req, res);
+  if (!server) return;
+  try {
+    res.json({ segments: logStore.describeSegments(server) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1777,4 +1563,21 @@ router.get('/:id/audit-logs', (req, res) => {
   }
 });
 
+// The current user's console command history for a server, oldest first
+router.get('/:id/console/history', (req, res) => {
+  try {
+    const db = getDatabase();
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(req.params.id);
+    if (!server) return res.status(404).json({ error: 'Server not found' });
+    if (!serverConsole.getConsoleAccess(db, req.user, server).canView) {
+      return res.status(403).json({ error: 'Not allowed' });
+    }
+    res.json({ commands: serverConsole.getConsoleHistory(server.id, req.user.id, req.query.limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
+module.exports.stopServer = stopServer;
+module.exports.canAccessServer = canAccessServer;
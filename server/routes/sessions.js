@@ -206,6 +206,7 @@ router.post('/', (req, res) => {
     const permissions = {
       servers: { view: true, control: true, edit: true, delete: true },
       backups: { view: true, create: true, restore: true, delete: true },
+      files: { read: true, write: true },
       nodes: { view: true, control: true },
       ai: { analyze: true },
     };
@@ -363,6 +364,7 @@ router.post('/requests/:id/decide', (req, res) => {
       const finalPerms = permissions || {
         servers: { view: true, control: false, edit: false, delete: false },
         backups: { view: true, create: false, restore: false, delete: false },
+        files: { read: false, write: false },
         nodes: { view: true, control: false },
         ai: { analyze: false },
       };
@@ -0,0 +1,165 @@
+/**
+ * SSH profile routes
+ *
+ * Saved SSH targets for the terminal WebSocket (?profileId=). Saving a profile logs in once to
+ * check it: the first attempt answers 409 SSH_HOST_KEY_UNVERIFIED with the server's fingerprint,
+ * and the client saves again with { hostKey: fingerprint } once the user has confirmed it.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDatabase } = require('../lib/database');
+const { authMiddleware } = require('./auth');
+const AuditService = require('../services/AuditService');
+const sshProfiles = require('../services/ssh-profiles');
+const { getUserIdentity } = require('../services/server-console');
+
+router.use(authMiddleware);
+
+async function checkProfile(res, row) {
+  if (!row.host_key) {
+    // Nothing confirmed yet: connect only to learn the fingerprint
+    try {
+      await sshProfiles.verifyProfile(row);
+    } catch (e) {
+      if (e.code === 'SSH_HOST_KEY_UNVERIFIED') {
+        res.status(409).json({ error: 'SSH_HOST_KEY_UNVERIFIED', fingerprint: e.fingerprint, message: e.message });
+        return false;
+      }
+      res.status(400).json({ error: `Connection test failed: ${e.message}` });
+      return false;
+    }
+    res.status(409).json({ error: 'SSH_HOST_KEY_UNVERIFIED', message: 'Confirm the host key fingerprint first' });
+    return false;
+  }
+
+  try {
+    await sshProfiles.verifyProfile(row);
+    return true;
+  } catch (e) {
+    if (e.code === 'SSH_HOST_KEY_UNVERIFIED') {
+      res.status(409).json({
+        error: 'SSH_HOST_KEY_MISMATCH',
+        fingerprint: e.fingerprint,
+        message: `The host key of '${row.host}' does not match the confirmed fingerprint`,
+      });
+      return false;
+    }
+    res.status(400).json({ error: `Connection test failed: ${e.message}` });
+    return false;
+  }
+}
+
+// List the current user's profiles
+router.get('/', (req, res) => {
+  try {
+    const rows = getDatabase().prepare('SELECT * FROM ssh_profiles WHERE panel_user_id = ? ORDER BY name').all(req.user.id);
+    res.json(rows.map(sshProfiles.toPublicProfile));
+  } catch (e) {
+    console.error('[SSH-PROFILES] List error:', e);
+    res.status(500).json({ error: 'Failed to list SSH profiles' });
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const row = sshProfiles.getProfileForUser(getDatabase(), req.params.id, req.user.id);
+  if (!row) return res.status(404).json({ error: 'SSH profile not found' });
+  res.json(sshProfiles.toPublicProfile(row));
+});
+
+router.post('/', async (req, res) => {
+  const db = getDatabase();
+  let columns;
+  try {
+    columns = sshProfiles.parseProfileInput(req.body || {});
+  } catch (e) {
+    return res.status(e.code === 'INVALID_SSH_PROFILE' ? 400 : 500).json({ error: e.message });
+  }
+
+  if (!(await checkProfile(res, columns))) return;
+
+  try {
+    const result = db.prepare(
+      `INSERT INTO ssh_profiles (panel_user_id, name, host, port, username, password, private_key, passphrase, host_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      req.user.id,
+      columns.name,
+      columns.host,
+      columns.port,
+      columns.username,
+      columns.password || null,
+      columns.private_key || null,
+      columns.passphrase || null,
+      columns.host_key
+    );
+    const row = db.prepare('SELECT * FROM ssh_profiles WHERE id = ?').get(result.lastInsertRowid);
+    AuditService.log(null, 'SSH_PROFILE_CREATED', getUserIdentity(req.user), `${row.username}@${row.host}:${row.port}`, {
+      profileId: row.id,
+      userId: req.user.id,
+      hostKey: row.host_key,
+    });
+    res.status(201).json(sshProfiles.toPublicProfile(row));
+  } catch (e) {
+    console.error('[SSH-PROFILES] Create error:', e);
+    res.status(500).json({ error: 'Failed to save SSH profile' });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  const db = getDatabase();
+  const existing = sshProfiles.getProfileForUser(db, req.params.id, req.user.id);
+  if (!existing) return res.status(404).json({ error: 'SSH profile not found' });
+
+  let columns;
+  try {
+    columns = sshProfiles.parseProfileInput(req.body || {}, existing);
+  } catch (e) {
+    return res.status(e.code === 'INVALID_SSH_PROFILE' ? 400 : 500).json({ error: e.message });
+  }
+
+  // A different target needs its host key confirmed again
+  const retargeted = ['host', 'port'].some((c) => columns[c] !== undefined && columns[c] !== existing[c]);
+  if (retargeted && columns.host_key === undefined) columns.host_key = null;
+
+  const connectionChanged = Object.keys(columns).some((c) => c !== 'name');
+  if (connectionChanged && !(await checkProfile(res, { ...existing, ...columns }))) return;
+
+  if (!Object.keys(columns).length) return res.json(sshProfiles.toPublicProfile(existing));
+
+  try {
+    const sets = Object.keys(columns).map((c) => `${c} = ?`).join(', ');
+    db.prepare(`UPDATE ssh_profiles SET ${sets}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`).run(...Object.values(columns), existing.id);
+    const row = db.prepare('SELECT * FROM ssh_profiles WHERE id = ?').get(existing.id);
+    AuditService.log(null, 'SSH_PROFILE_UPDATED', getUserIdentity(req.user), `${row.username}@${row.host}:${row.port}`, {
+      profileId: row.id,
+      userId: req.user.id,
+      fields: Object.keys(columns).filter((c) => !['password', 'private_key', 'passphrase'].includes(c)),
+      credentialsChanged: ['password', 'private_key', 'passphrase'].some((c) => columns[c] !== undefined),
+    });
+    res.json(sshProfiles.toPublicProfile(row));
+  } catch (e) {
+    console.error('[SSH-PROFILES] Update error:', e);
+    res.status(500).json({ error: 'Failed to update SSH profile' });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  const db = getDatabase();
+  const existing = sshProfiles.getProfileForUser(db, req.params.id, req.user.id);
+  if (!existing) return res.status(404).json({ error: 'SSH profile not found' });
+
+  try {
+    db.prepare('DELETE FROM ssh_profiles WHERE id = ?').run(existing.id);
+    AuditService.log(null, 'SSH_PROFILE_DELETED', getUserIdentity(req.user), `${existing.username}@${existing.host}:${existing.port}`, {
+      profileId: existing.id,
+      userId: req.user.id,
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[SSH-PROFILES] Delete error:', e);
+    res.status(500).json({ error: 'Failed to delete SSH profile' });
+  }
+});
+
+module.exports = router;
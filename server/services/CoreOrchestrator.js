@@ -5,6 +5,9 @@ const dockerRuntime = require('./docker-runtime');
 const { getDatabase } = require('../lib/database');
 const AuditService = require('./AuditService');
 const processRegistry = require('./ProcessRegistry');
+const runtimeDrivers = require('./runtime-drivers');
+const { restartSupervisor } = require('./restart-supervisor');
+const { secretStore } = require('./secret-store');
 
 class CoreOrchestrator {
     /**
@@ -55,18 +58,10 @@ class CoreOrchestrator {
     /**
      * 5. Container Specification Build
      */
-    static buildSpecification(serverRow, config) {
-        return {
-            serverId: serverRow.id,
-            image: serverRow.image || config.image,
-            hostPath: serverRow.path,
-            envVars: JSON.parse(serverRow.env_vars || '{}'),
-            cpuLimitPercent: serverRow.cpu_limit_percent,
-            memoryLimitMb: serverRow.memory_limit_mb,
-            diskLimitGb: serverRow.disk_limit_mb ? serverRow.disk_limit_mb / 1024 : null,
-            startCommand: serverRow.start_command,
-            networkName: 'turbonox-net', // Default network
-        };
+    static buildSpecification(serverRow, config = {}) {
+        const spec = runtimeDrivers.buildContainerSpec(serverRow);
+        if (config.image) spec.image = config.image;
+        return spec;
     }
 
     /**
@@ -79,13 +74,16 @@ class CoreOrchestrator {
 
         AuditService.log(serverId, 'SERVER_INSTALL_START', 'system', 'Starting installation phase');
 
+        const envFileName = `install-${serverId}`;
         try {
-            // Create temporary container for install
+            // Create temporary container for install; secret variables go in through an env-file
+            const { envVars, secretEnv } = runtimeDrivers.buildContainerSpec(server);
             const exitCode = await dockerRuntime.runOneOff({
                 image: image || server.image || 'ubuntu:22.04',
                 hostPath: server.path,
                 command: installCmd || server.install_command,
-                envVars: JSON.parse(server.env_vars || '{}'),
+                envVars,
+                secretEnvFile: secretStore.writeEnvFile(envFileName, secretEnv),
                 logFilePath: path.join(server.path, 'logs', 'install.log')
             });
 
@@ -98,55 +96,45 @@ class CoreOrchestrator {
         } catch (err) {
             AuditService.log(serverId, 'SERVER_INSTALL_FAILED', 'system', err.message);
             throw err;
+        } finally {
+            secretStore.removeEnvFile(envFileName);
         }
     }
 
     /**
-     * 7. Runtime Container Creation & 9. Execution Control
+     * 7. Runtime Creation & 9. Execution Control
+     * Dispatched to the server's runtime driver (native process, container or remote node).
      */
-    static async start(serverId) {
-        const db = getDatabase();
-        const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
-        if (!server) throw new Error('Server not found');
-
-        const spec = this.buildSpecification(server, {});
-
-        // 8. Startup Assembly is handled inside dockerRuntime.startContainerForServer
-        const result = await dockerRuntime.startContainerForServer(spec);
-
-        db.prepare('UPDATE servers SET status = ?, pid = ? WHERE id = ?')
-            .run('running', result.containerId, serverId);
+    static async start(serverId, options = {}) {
+        // A manual start clears crash-loop state and any pending automatic restart
+        restartSupervisor.reset(serverId);
+        const result = await runtimeDrivers.startServer(serverId, options);
 
         // 10. Monitoring Loop is handled by the global resource-monitor service
-        // which polls dockerRuntime.getContainerStats
+        // which polls the driver's stats
 
-        AuditService.log(serverId, 'SERVER_START', 'system', 'Server started in container');
+        AuditService.log(serverId, 'SERVER_START', 'system', `Server started (${result.driver})`);
         return result;
     }
 
     /**
      * 11. Control Operations (STOP)
      */
-    static async stop(serverId) {
-        await dockerRuntime.stopContainerForServer(serverId);
-        const db = getDatabase();
-        db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?')
-            .run('stopped', serverId);
-
+    static async stop(serverId, options = {}) {
+        restartSupervisor.reset(serverId);
+        const result = await runtimeDrivers.stopServer(serverId, options);
         AuditService.log(serverId, 'SERVER_STOP', 'system', 'Server stopped');
+        return result;
     }
 
     /**
      * 11. Control Operations (KILL)
      */
     static async kill(serverId) {
-        const name = dockerRuntime.containerNameForServerId(serverId);
-        await dockerRuntime.execDocker(['kill', name]);
-        const db = getDatabase();
-        db.prepare('UPDATE servers SET status = ?, pid = NULL WHERE id = ?')
-            .run('stopped', serverId);
-
+        restartSupervisor.reset(serverId);
+        const result = await runtimeDrivers.killServer(serverId);
         AuditService.log(serverId, 'SERVER_KILL', 'system', 'Server force killed');
+        return result;
     }
 
     /**
@@ -158,8 +146,7 @@ class CoreOrchestrator {
 
         try {
             await this.stop(serverId).catch(() => { });
-            const name = dockerRuntime.containerNameForServerId(serverId);
-            await dockerRuntime.execDocker(['rm', '-f', name]).catch(() => { });
+            await dockerRuntime.removeContainerForServer(serverId).catch(() => { });
 
             // Release resources
             if (server?.path && fs.existsSync(server.path)) {
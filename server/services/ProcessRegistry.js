@@ -1,10 +1,14 @@
 /**
  * ProcessRegistry.js
  * Manages the runtime state of server processes, including port bridging information.
+ * Emits 'exit' ({ serverId, pid, code, signal, intentional }) when a registered process exits.
  */
 
-class ProcessRegistry {
+const EventEmitter = require('events');
+
+class ProcessRegistry extends EventEmitter {
     constructor() {
+        super();
         this.processes = new Map();
         this.stopping = new Set();
     }
@@ -60,6 +64,26 @@ class ProcessRegistry {
         this.stopping.delete(String(serverId));
     }
 
+    /**
+     * Record that a registered process exited: drop its entry (unless a newer process replaced
+     * it) and emit 'exit'. intentional is true when the exit was requested through a stop.
+     * @param {string|number} serverId
+     * @param {ChildProcess} child
+     * @param {object} info
+     * @param {number|null} info.code
+     * @param {string|null} info.signal
+     */
+    reportExit(serverId, child, { code = null, signal = null } = {}) {
+        const id = String(serverId);
+        const current = this.processes.get(id);
+        if (current && current.process !== child) return;
+        // An entry that is already gone was removed by a stop or kill
+        const intentional = !current || this.stopping.has(id);
+        this.processes.delete(id);
+        this.stopping.delete(id);
+        this.emit('exit', { serverId: id, pid: child?.pid || null, code, signal, intentional });
+    }
+
     /**
      * Get all active processes
      */
@@ -35,9 +35,12 @@ class SshService {
                     username: node.ssh_user,
                     password: node.ssh_password,
                     privateKey: node.ssh_key ? Buffer.from(node.ssh_key) : undefined,
+                    passphrase: node.ssh_passphrase || undefined,
                     readyTimeout: 10000,
-                    verifyHostKey: (info) => {
-                        const hash = crypto.createHash('sha256').update(info.key).digest('base64').replace(/=+$/, '');
+                    // ssh2 passes the raw host key. Nodes without a pinned key are accepted unless
+                    // the caller asks for strict checking (saved SSH profiles always do).
+                    hostVerifier: (key) => {
+                        const hash = crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
                         const fingerprint = `SHA256:${hash}`;
 
                         // If user explicitly trusted it in the request or it matches stored key
@@ -45,13 +48,13 @@ class SshService {
                             hostKeyVerified = true;
                             return true;
                         }
+                        if (!node.host_key && !options.strictHostKey) return true;
 
                         // Mismatch or first time
                         hostKeyError = {
                             code: 'SSH_HOST_KEY_UNVERIFIED',
                             fingerprint: fingerprint,
-                            message: `The authenticity of host '${node.ip_address}' can't be established.`,
-                            algo: info.algo
+                            message: `The authenticity of host '${node.ip_address}' can't be established.`
                         };
                         return false;
                     }
@@ -0,0 +1,143 @@
+/**
+ * Backup chain helpers
+ *
+ * Incremental backups only contain the files that changed since their parent, plus a list of
+ * paths deleted since then (tombstones). Restoring one means replaying the chain from its base
+ * full backup, so retention and deletion must never break a chain that is still in use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getBackupsDir } = require('../lib/paths');
+
+function parseBackupMetadata(backup) {
+  if (!backup?.metadata) return {};
+  try {
+    const parsed = JSON.parse(backup.metadata);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 'full' or 'incremental'. Backups created before chains existed only carry a manifest;
+ * those are reported as incremental but have no parent to replay.
+ */
+function getBackupKind(backup) {
+  const meta = parseBackupMetadata(backup);
+  if (meta.backupType === 'full' || meta.backupType === 'incremental') return meta.backupType;
+  return meta.manifest && !meta.safetySnapshot ? 'incremental' : 'full';
+}
+
+function getParentId(backup) {
+  const parentId = parseBackupMetadata(backup).parentId;
+  return parentId === undefined || parentId === null ? null : Number(parentId);
+}
+
+// A link is available if it is on disk or has a copy on a remote destination that can be fetched back
+function backupAvailable(db, backup) {
+  try {
+    if (fs.existsSync(path.join(getBackupsDir(), backup.filename))) return true;
+  } catch {
+    // fall through to remote copies
+  }
+  try {
+    return Boolean(db.prepare('SELECT 1 FROM backup_remote_copies WHERE backup_id = ? LIMIT 1').get(backup.id));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve the archives needed to rebuild a backup, oldest first: [base full, ...incrementals, backup].
+ * Throws when a link is missing from the database, or from both disk and remote destinations.
+ */
+function resolveBackupChain(db, backup) {
+  const chain = [backup];
+  const seen = new Set([Number(backup.id)]);
+  let current = backup;
+
+  while (getBackupKind(current) === 'incremental') {
+    const parentId = getParentId(current);
+    if (parentId === null) break; // legacy incremental without a recorded parent
+    if (seen.has(parentId)) {
+      throw new Error(`Backup chain for ${backup.filename} contains a cycle at backup ${parentId}`);
+    }
+    const parent = db.prepare('SELECT * FROM backups WHERE id = ?').get(parentId);
+    if (!parent) {
+      throw new Error(`Backup chain for ${backup.filename} is broken: parent backup ${parentId} no longer exists`);
+    }
+    seen.add(parentId);
+    chain.unshift(parent);
+    current = parent;
+  }
+
+  for (const link of chain) {
+    if (!backupAvailable(db, link)) {
+      throw new Error(`Backup chain for ${backup.filename} is broken: ${link.filename} is missing on disk and has no remote copy`);
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Find the backup a new incremental should build on: the most recent backup of the server
+ * that has a manifest and a resolvable chain. Returns null when a full backup is needed.
+ */
+function findIncrementalParent(db, serverId) {
+  const rows = db.prepare('SELECT * FROM backups WHERE server_id = ? ORDER BY created_at DESC, id DESC').all(serverId);
+  for (const row of rows) {
+    const meta = parseBackupMetadata(row);
+    if (meta.safetySnapshot || !Array.isArray(meta.manifest)) continue;
+    if (!meta.backupType) continue; // legacy rows cannot anchor a chain
+    try {
+      resolveBackupChain(db, row);
+      return row;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Ids of every backup that one of the given backups needs in order to be restored
+ * (the backups themselves excluded). Unresolvable chains protect whatever links remain.
+ */
+function collectChainDependencies(db, backups) {
+  const required = new Set();
+  for (const b of backups || []) {
+    let current = b;
+    const visited = new Set([Number(b.id)]);
+    while (getBackupKind(current) === 'incremental') {
+      const parentId = getParentId(current);
+      if (parentId === null || visited.has(parentId)) break;
+      visited.add(parentId);
+      required.add(parentId);
+      const parent = db.prepare('SELECT * FROM backups WHERE id = ?').get(parentId);
+      if (!parent) break;
+      current = parent;
+    }
+  }
+  return required;
+}
+
+/**
+ * Backups whose chains run through the given backup id.
+ */
+function findDependentBackups(db, backupId) {
+  const rows = db.prepare('SELECT * FROM backups WHERE id != ?').all(backupId);
+  return rows.filter((row) => collectChainDependencies(db, [row]).has(Number(backupId)));
+}
+
+module.exports = {
+  parseBackupMetadata,
+  getBackupKind,
+  getParentId,
+  resolveBackupChain,
+  findIncrementalParent,
+  collectChainDependencies,
+  findDependentBackups,
+};
@@ -0,0 +1,350 @@
+/**
+ * Backup creation
+ *
+ * Archives a server directory as a zip (full or incremental) or into the dedup chunk store and
+ * records the backup row. Runs inside the backup job queue, which supplies an AbortSignal for
+ * cancellation and an onProgress callback for byte-level progress.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { getDatabase } = require('../lib/database');
+const { getBackupsDir } = require('../lib/paths');
+const AuditService = require('./AuditService');
+const { parseBackupMetadata, findIncrementalParent } = require('./backup-chain');
+const { dedupStore } = require('./dedup-store');
+const backupCrypto = require('./backup-crypto');
+const { packageVerification } = require('./package-verification');
+
+const sanitizeName = (name) => {
+  const safe = String(name || '').trim();
+  if (!safe) return 'restored-server';
+  return safe.replace(/[\\/:*?"<>|]/g, '-').replace(/\s+/g, ' ').trim();
+};
+
+const backupTimestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+const cancelledError = () => {
+  const err = new Error('Backup cancelled');
+  err.code = 'CANCELLED';
+  return err;
+};
+
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha1');
+  const s = fs.createReadStream(filePath);
+  s.on('data', (chunk) => hash.update(chunk));
+  s.on('end', () => resolve(hash.digest('hex')));
+  s.on('error', reject);
+});
+
+/**
+ * Walk a server directory and return [{ path, mtimeMs, size, sha1 }] for every file.
+ * Files whose size and mtime match the previous manifest reuse its sha1 instead of being re-hashed.
+ */
+const buildFileManifest = async (rootDir, previousManifest, signal = null) => {
+  const fileList = [];
+
+  const walk = (dir) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const ent of entries) {
+      const full = path.join(dir, ent.name);
+      const rel = path.relative(rootDir, full).replace(/\\/g, '/');
+      try {
+        if (ent.isDirectory()) {
+          walk(full);
+        } else if (ent.isFile()) {
+          const st = fs.statSync(full);
+          fileList.push({ full, rel, mtimeMs: st.mtimeMs, size: st.size });
+        }
+      } catch (e) {
+        // ignore
+      }
+    }
+  };
+
+  if (fs.existsSync(rootDir)) walk(rootDir);
+
+  const lastMap = (previousManifest || []).reduce((acc, it) => { acc[it.path] = it; return acc; }, {});
+  const manifest = [];
+
+  for (const f of fileList) {
+    if (signal?.aborted) throw cancelledError();
+    const last = lastMap[f.rel];
+    let sha1 = last && last.size === f.size && last.mtimeMs === f.mtimeMs ? last.sha1 : null;
+    if (!sha1) {
+      try {
+        sha1 = await hashFile(f.full);
+      } catch (e) {
+        continue;
+      }
+    }
+    manifest.push({ path: f.rel, mtimeMs: f.mtimeMs, size: f.size, sha1 });
+  }
+
+  return manifest;
+};
+
+const isDedupBackup = (backup) => parseBackupMetadata(backup).storage === 'dedup';
+
+// Storage backend for new backups: 'zip' (self-contained archive) or 'dedup' (chunk store manifest)
+const resolveStorage = (db, requested) => {
+  let value = requested;
+  if (!value) {
+    try {
+      value = db.prepare("SELECT value FROM settings WHERE key = 'backup.storage'").get()?.value;
+    } catch {
+      value = null;
+    }
+  }
+  return String(value || 'zip').toLowerCase() === 'dedup' ? 'dedup' : 'zip';
+};
+
+const findLatestDedupBackup = (db, serverId) => {
+  const rows = db.prepare('SELECT * FROM backups WHERE server_id = ? ORDER BY created_at DESC, id DESC').all(serverId);
+  return rows.find((row) => isDedupBackup(row) && fs.existsSync(path.join(getBackupsDir(), row.filename))) || null;
+};
+
+// Encryption for new backups: the request's `encrypt` flag when given, else the backup.encryption setting
+const resolveEncryptionKey = (requested) => {
+  const enabled = requested === undefined || requested === null ? backupCrypto.isEncryptionEnabled() : Boolean(requested);
+  return enabled ? backupCrypto.ensureActiveKey() : null;
+};
+
+// Server row fields recorded in backup metadata and restorable from it
+// Per-file checksums of the whole tree, checked against the extracted backup by backup-verification
+const CHECKSUM_ALGORITHM = 'sha256';
+
+const buildChecksumManifest = async (rootDir, signal = null) => {
+  const checksums = await packageVerification.generateFileChecksums(rootDir, CHECKSUM_ALGORITHM);
+  if (signal?.aborted) throw cancelledError();
+  return checksums;
+};
+
+const buildServerSnapshot = (server) => ({
+  name: server.name,
+  type: server.type,
+  command: server.command,
+  port: server.port,
+  public_access: server.public_access,
+  subdomain: server.subdomain,
+  env_vars: server.env_vars,
+  repo: server.repo,
+  runtime: server.runtime,
+  notes: server.notes,
+  auto_port: server.auto_port,
+  launch_script: server.launch_script,
+  metadata: server.metadata,
+  node_id: server.node_id,
+});
+
+/**
+ * Write the zip archive of a backup. Incremental archives only hold the given files.
+ * Resolves with the archive size; a cancelled write removes the partial file.
+ */
+const writeZipArchive = ({ sourceDir, backupPath, files, compressionLevel, encryptionKey, signal, onProgress }) => new Promise((resolve, reject) => {
+  const output = fs.createWriteStream(backupPath);
+  const archive = archiver('zip', { zlib: { level: compressionLevel } });
+  let settled = false;
+
+  const fail = (err) => {
+    if (settled) return;
+    settled = true;
+    archive.abort();
+    output.destroy();
+    fs.rmSync(backupPath, { force: true });
+    reject(err);
+  };
+  const onAbort = () => fail(cancelledError());
+  if (signal) {
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  output.on('close', () => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (settled) return;
+    settled = true;
+    resolve(fs.statSync(backupPath).size);
+  });
+  output.on('error', fail);
+  archive.on('error', fail);
+  if (onProgress) archive.on('progress', (p) => onProgress(p.fs.processedBytes));
+
+  if (encryptionKey) {
+    const encrypt = backupCrypto.createEncryptStream(encryptionKey);
+    encrypt.on('error', fail);
+    archive.pipe(encrypt).pipe(output);
+  } else {
+    archive.pipe(output);
+  }
+  if (!files) {
+    if (fs.existsSync(sourceDir)) archive.directory(sourceDir, false);
+  } else {
+    for (const rel of files) {
+      const fullPath = path.join(sourceDir, rel);
+      if (fs.existsSync(fullPath)) archive.file(fullPath, { name: rel });
+    }
+  }
+  archive.finalize();
+});
+
+/**
+ * Back up a server and record the backup row.
+ *
+ * @param {object} server - servers row
+ * @param {object} [options] - { compression_level, incremental, storage, encrypt } as accepted by POST /api/backups/:serverId
+ * @param {object} [context]
+ * @param {string} [context.requestedBy] - audit log identity
+ * @param {AbortSignal} [context.signal]
+ * @param {Function} [context.onProgress] - (processedBytes, totalBytes)
+ */
+async function createBackup(server, options = {}, { requestedBy = 'system', signal = null, onProgress = null } = {}) {
+  const db = getDatabase();
+  const serverId = server.id;
+  const backupDir = getBackupsDir();
+  fs.mkdirSync(backupDir, { recursive: true });
+
+  // Options: compression_level (0-9), incremental (boolean), storage ('zip' | 'dedup')
+  const compressionLevel = Math.min(9, Math.max(0, Number(options.compression_level ?? 6)));
+  const incremental = Boolean(options.incremental);
+  const storage = resolveStorage(db, options.storage);
+  const encryptionKey = resolveEncryptionKey(options.encrypt);
+  const encryption = encryptionKey ? { keyId: encryptionKey.key_id, algorithm: backupCrypto.ALGORITHM } : null;
+
+  if (storage === 'dedup') {
+    // Chunk store backups are always complete: unchanged chunks are shared, so no chain is needed.
+    const previousRow = findLatestDedupBackup(db, serverId);
+    let previous = null;
+    if (previousRow) {
+      try {
+        previous = await dedupStore.readManifest(previousRow.filename);
+      } catch (err) {
+        console.warn(`[BACKUPS] Ignoring unreadable dedup manifest ${previousRow.filename}:`, err.message);
+      }
+    }
+    const manifest = await buildFileManifest(server.path, previous?.files, signal);
+    const checksums = await buildChecksumManifest(server.path, signal);
+    const totalBytes = manifest.reduce((sum, f) => sum + f.size, 0);
+    const written = await dedupStore.writeBackup({
+      sourceDir: server.path,
+      name: `${sanitizeName(server.name)}-${backupTimestamp()}`,
+      files: manifest,
+      previous,
+      compressionLevel,
+      encryptionKey,
+      signal,
+      onProgress: onProgress ? (bytes) => onProgress(bytes, totalBytes) : null,
+    });
+
+    const metadata = {
+      server: buildServerSnapshot(server),
+      createdAt: new Date().toISOString(),
+      sourcePath: server.path,
+      storage: 'dedup',
+      backupType: 'full',
+      fileCount: written.fileCount,
+      logicalSize: written.logicalSize,
+      addedBytes: written.addedBytes,
+      reusedFiles: written.reusedFiles,
+      encryption,
+      checksums,
+    };
+    const result = db.prepare('INSERT INTO backups (server_id, filename, size, metadata) VALUES (?, ?, ?, ?)')
+      .run(serverId, written.filename, written.logicalSize, JSON.stringify(metadata));
+    AuditService.log(serverId, 'BACKUP_CREATE', requestedBy, `Backup ${written.filename} created`, {
+      storage: 'dedup',
+      addedBytes: written.addedBytes,
+    });
+    return {
+      id: result.lastInsertRowid,
+      filename: written.filename,
+      size: written.logicalSize,
+      storage: 'dedup',
+      encrypted: Boolean(encryption),
+      addedBytes: written.addedBytes,
+      reusedFiles: written.reusedFiles,
+      backupType: 'full',
+      parentId: null,
+    };
+  }
+
+  // Every backup records a full sha1 manifest of the tree so the next incremental can diff against it.
+  const latestWithManifest = findIncrementalParent(db, serverId);
+  const parent = incremental ? latestWithManifest : null;
+  const manifest = await buildFileManifest(server.path, latestWithManifest ? parseBackupMetadata(latestWithManifest).manifest : null, signal);
+  // Incrementals record checksums of the full tree too: verification extracts the whole chain
+  const checksums = await buildChecksumManifest(server.path, signal);
+
+  const filename = `${server.name}-${backupTimestamp()}.zip${encryption ? '.enc' : ''}`;
+  const backupPath = path.join(backupDir, filename);
+  const chain = { backupType: 'full', parentId: null, baseId: null, tombstones: [] };
+
+  let files = null;
+  let totalBytes = manifest.reduce((sum, f) => sum + f.size, 0);
+  if (parent) {
+    // Incremental: only files whose sha1 changed since the parent, plus tombstones for deleted paths
+    const parentMeta = parseBackupMetadata(parent);
+    const lastMap = (parentMeta.manifest || []).reduce((acc, it) => { acc[it.path] = it; return acc; }, {});
+    const currentPaths = new Set(manifest.map((m) => m.path));
+    const changed = manifest.filter((m) => {
+      const last = lastMap[m.path];
+      if (!last) return true;
+      return last.sha1 !== m.sha1;
+    });
+
+    files = changed.map((c) => c.path);
+    totalBytes = changed.reduce((sum, f) => sum + f.size, 0);
+    chain.backupType = 'incremental';
+    chain.parentId = parent.id;
+    chain.baseId = parentMeta.backupType === 'full' ? parent.id : (parentMeta.baseId ?? parent.id);
+    chain.tombstones = Object.keys(lastMap).filter((p) => !currentPaths.has(p));
+  }
+
+  const size = await writeZipArchive({
+    sourceDir: server.path,
+    backupPath,
+    files,
+    compressionLevel,
+    encryptionKey,
+    signal,
+    onProgress: onProgress ? (bytes) => onProgress(bytes, totalBytes) : null,
+  });
+
+  const metadata = {
+    server: buildServerSnapshot(server),
+    createdAt: new Date().toISOString(),
+    sourcePath: server.path,
+    manifest,
+    storage: 'zip',
+    encryption,
+    checksums,
+    ...chain,
+  };
+  const result = db.prepare('INSERT INTO backups (server_id, filename, size, metadata) VALUES (?, ?, ?, ?)')
+    .run(serverId, filename, size, JSON.stringify(metadata));
+  AuditService.log(serverId, 'BACKUP_CREATE', requestedBy, `Backup ${filename} created`);
+  return {
+    id: result.lastInsertRowid,
+    filename,
+    size,
+    storage: 'zip',
+    encrypted: Boolean(encryption),
+    backupType: chain.backupType,
+    parentId: chain.parentId,
+  };
+}
+
+module.exports = {
+  createBackup,
+  buildFileManifest,
+  buildChecksumManifest,
+  buildServerSnapshot,
+  backupTimestamp,
+  sanitizeName,
+  isDedupBackup,
+  resolveStorage,
+  resolveEncryptionKey,
+};
@@ -0,0 +1,367 @@
+/**
+ * Backup encryption at rest
+ *
+ * Backups are encrypted with AES-256-GCM in 1 MiB frames so archives of any size can be streamed.
+ * Each file derives its own key from a panel-managed master key (HKDF with a random salt), frame
+ * nonces are counters, and the header plus a final-frame flag are authenticated so truncated,
+ * reordered or tampered files are rejected instead of producing a corrupt zip.
+ *
+ * File layout:
+ *   'TNXBAK' | version u8 | keyId length u8 | keyId | salt[16]
+ *   frames:   ciphertext length u32 | final u8 | ciphertext | tag[16]
+ *
+ * Master keys live in the backup_keys table. Rotation creates a new active key; retired keys stay
+ * available for decryption and can be exported/imported so backups survive a panel reinstall.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+const { getDatabase } = require('../lib/database');
+
+const pipelineAsync = promisify(pipeline);
+
+const MAGIC = Buffer.from('TNXBAK');
+const VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const FRAME_SIZE = 1024 * 1024;
+const SALT_LENGTH = 16;
+const TAG_LENGTH = 16;
+const FRAME_HEADER_LENGTH = 5;
+
+function keyMissingError(keyId) {
+  const err = new Error(
+    `Backup is encrypted with key ${keyId}, which is not available on this panel. Import the key to restore it.`
+  );
+  err.code = 'BACKUP_KEY_MISSING';
+  err.keyId = keyId;
+  return err;
+}
+
+function isEncryptionEnabled() {
+  try {
+    const row = getDatabase().prepare("SELECT value FROM settings WHERE key = 'backup.encryption'").get();
+    return row?.value === 'true' || row?.value === '1';
+  } catch {
+    return false;
+  }
+}
+
+function setEncryptionEnabled(enabled) {
+  const db = getDatabase();
+  if (enabled) ensureActiveKey();
+  db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('backup.encryption', enabled ? 'true' : 'false');
+}
+
+function listKeys() {
+  return getDatabase()
+    .prepare('SELECT key_id, status, created_at, retired_at FROM backup_keys ORDER BY created_at DESC, rowid DESC')
+    .all();
+}
+
+function getActiveKey() {
+  return getDatabase().prepare("SELECT * FROM backup_keys WHERE status = 'active' ORDER BY rowid DESC LIMIT 1").get() || null;
+}
+
+function getKey(keyId) {
+  return getDatabase().prepare('SELECT * FROM backup_keys WHERE key_id = ?').get(keyId) || null;
+}
+
+/**
+ * Create a new active key and retire the current one. Retired keys still decrypt.
+ */
+function rotateKey() {
+  const db = getDatabase();
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const material = crypto.randomBytes(32).toString('base64');
+  db.transaction(() => {
+    db.prepare("UPDATE backup_keys SET status = 'retired', retired_at = CURRENT_TIMESTAMP WHERE status = 'active'").run();
+    db.prepare("INSERT INTO backup_keys (key_id, key_material, status) VALUES (?, ?, 'active')").run(keyId, material);
+  })();
+  return getKey(keyId);
+}
+
+function ensureActiveKey() {
+  return getActiveKey() || rotateKey();
+}
+
+/**
+ * Import an exported key. It becomes the active key only if the panel has none.
+ */
+function importKey({ keyId, key }) {
+  const id = String(keyId || '').trim();
+  if (!/^[a-f0-9]{16}$/.test(id)) throw new Error('key_id must be 16 hex characters');
+  const material = Buffer.from(String(key || ''), 'base64');
+  if (material.length !== 32) throw new Error('key must be a base64 encoded 32 byte key');
+
+  const existing = getKey(id);
+  if (existing) {
+    if (existing.key_material !== material.toString('base64')) {
+      throw new Error(`A different key with id ${id} already exists`);
+    }
+    return existing;
+  }
+  const status = getActiveKey() ? 'retired' : 'active';
+  getDatabase()
+    .prepare('INSERT INTO backup_keys (key_id, key_material, status, retired_at) VALUES (?, ?, ?, ?)')
+    .run(id, material.toString('base64'), status, status === 'retired' ? new Date().toISOString() : null);
+  return getKey(id);
+}
+
+function exportKey(keyId) {
+  const row = getKey(keyId);
+  if (!row) return null;
+  return { key_id: row.key_id, algorithm: ALGORITHM, key: row.key_material, created_at: row.created_at };
+}
+
+function buildHeader(keyId, salt) {
+  const id = Buffer.from(keyId, 'ascii');
+  return Buffer.concat([MAGIC, Buffer.from([VERSION, id.length]), id, salt]);
+}
+
+function deriveFileKey(keyRow, salt) {
+  const master = Buffer.from(keyRow.key_material, 'base64');
+  return Buffer.from(crypto.hkdfSync('sha256', master, salt, Buffer.from('turbonox-backup-v1'), 32));
+}
+
+function frameNonce(index) {
+  const nonce = Buffer.alloc(12);
+  nonce.writeBigUInt64BE(BigInt(index), 4);
+  return nonce;
+}
+
+function sealFrame(fileKey, header, index, plaintext, final) {
+  const cipher = crypto.createCipheriv(ALGORITHM, fileKey, frameNonce(index));
+  const flag = Buffer.from([final ? 1 : 0]);
+  cipher.setAAD(Buffer.concat([header, flag]));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(ct.length, 0);
+  return Buffer.concat([len, flag, ct, cipher.getAuthTag()]);
+}
+
+const authFailedError = () => new Error('Backup failed authentication: the file is corrupt or has been tampered with');
+
+// Frames are sealed at most FRAME_SIZE bytes long, so a larger length is corruption, not a
+// reason to keep buffering
+function checkFrameLength(ctLength) {
+  if (ctLength > FRAME_SIZE) throw authFailedError();
+}
+
+function openFrame(fileKey, header, index, ct, final, tag) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, fileKey, frameNonce(index));
+  decipher.setAAD(Buffer.concat([header, Buffer.from([final ? 1 : 0])]));
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(ct), decipher.final()]);
+  } catch {
+    throw authFailedError();
+  }
+}
+
+/**
+ * Parse a header from the start of buf. Returns null when more bytes are needed.
+ */
+function parseHeader(buf) {
+  if (buf.length < MAGIC.length + 2) return null;
+  if (!buf.subarray(0, MAGIC.length).equals(MAGIC)) throw new Error('Not an encrypted backup');
+  const version = buf[MAGIC.length];
+  if (version !== VERSION) throw new Error(`Unsupported backup encryption version ${version}`);
+  const idLength = buf[MAGIC.length + 1];
+  const total = MAGIC.length + 2 + idLength + SALT_LENGTH;
+  if (buf.length < total) return null;
+  const keyId = buf.subarray(MAGIC.length + 2, MAGIC.length + 2 + idLength).toString('ascii');
+  const salt = buf.subarray(total - SALT_LENGTH, total);
+  return { keyId, salt, header: Buffer.from(buf.subarray(0, total)), length: total };
+}
+
+function createEncryptStream(keyRow = ensureActiveKey()) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const header = buildHeader(keyRow.key_id, salt);
+  const fileKey = deriveFileKey(keyRow, salt);
+  let pending = Buffer.alloc(0);
+  let index = 0;
+  let headerWritten = false;
+
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      if (!headerWritten) {
+        this.push(header);
+        headerWritten = true;
+      }
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+      // Keep at least one byte back so the last frame is always the one flagged final.
+      while (pending.length > FRAME_SIZE) {
+        this.push(sealFrame(fileKey, header, index++, pending.subarray(0, FRAME_SIZE), false));
+        pending = pending.subarray(FRAME_SIZE);
+      }
+      cb();
+    },
+    flush(cb) {
+      if (!headerWritten) this.push(header);
+      this.push(sealFrame(fileKey, header, index++, pending, true));
+      cb();
+    },
+  });
+}
+
+function createDecryptStream() {
+  let buf = Buffer.alloc(0);
+  let state = null;
+  let index = 0;
+  let done = false;
+
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      try {
+        buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+        if (!state) {
+          const parsed = parseHeader(buf);
+          if (!parsed) return cb();
+          const keyRow = getKey(parsed.keyId);
+          if (!keyRow) throw keyMissingError(parsed.keyId);
+          state = { header: parsed.header, fileKey: deriveFileKey(keyRow, parsed.salt) };
+          buf = buf.subarray(parsed.length);
+        }
+        while (buf.length >= FRAME_HEADER_LENGTH) {
+          if (done) throw new Error('Backup has trailing data after its final frame');
+          const ctLength = buf.readUInt32BE(0);
+          checkFrameLength(ctLength);
+          const total = FRAME_HEADER_LENGTH + ctLength + TAG_LENGTH;
+          if (buf.length < total) break;
+          const final = buf[4] === 1;
+          const ct = buf.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + ctLength);
+          const tag = buf.subarray(FRAME_HEADER_LENGTH + ctLength, total);
+          this.push(openFrame(state.fileKey, state.header, index++, ct, final, tag));
+          buf = buf.subarray(total);
+          if (final) done = true;
+        }
+        cb();
+      } catch (err) {
+        cb(err);
+      }
+    },
+    flush(cb) {
+      if (!done || buf.length) return cb(new Error('Backup is truncated: the encrypted file ended early'));
+      cb();
+    },
+  });
+}
+
+function isEncryptedBuffer(buf) {
+  return Buffer.isBuffer(buf) && buf.length >= MAGIC.length && buf.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Header of an encrypted file ({ keyId }), or null when the file is plaintext.
+ */
+function readFileHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buf = Buffer.alloc(MAGIC.length + 2 + 255 + SALT_LENGTH);
+    const read = fs.readSync(fd, buf, 0, buf.length, 0);
+    const head = buf.subarray(0, read);
+    if (!isEncryptedBuffer(head)) return null;
+    const parsed = parseHeader(head);
+    return parsed ? { keyId: parsed.keyId } : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Throw a BACKUP_KEY_MISSING error if filePath is encrypted with a key this panel does not have.
+ */
+function assertDecryptable(filePath) {
+  const header = readFileHeader(filePath);
+  if (header && !getKey(header.keyId)) throw keyMissingError(header.keyId);
+  return header;
+}
+
+/**
+ * Plaintext read stream for a backup file, decrypting when needed.
+ */
+function createPlainReadStream(filePath) {
+  const source = fs.createReadStream(filePath);
+  if (!readFileHeader(filePath)) return source;
+  const decrypt = createDecryptStream();
+  source.on('error', (err) => decrypt.destroy(err));
+  return source.pipe(decrypt);
+}
+
+async function encryptFile(sourcePath, destinationPath, keyRow = ensureActiveKey()) {
+  await pipelineAsync(fs.createReadStream(sourcePath), createEncryptStream(keyRow), fs.createWriteStream(destinationPath));
+  return destinationPath;
+}
+
+async function decryptFile(sourcePath, destinationPath) {
+  await pipelineAsync(fs.createReadStream(sourcePath), createDecryptStream(), fs.createWriteStream(destinationPath));
+  return destinationPath;
+}
+
+function encryptBuffer(plaintext, keyRow = ensureActiveKey()) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const header = buildHeader(keyRow.key_id, salt);
+  const fileKey = deriveFileKey(keyRow, salt);
+  const parts = [header];
+  let offset = 0;
+  let index = 0;
+  while (plaintext.length - offset > FRAME_SIZE) {
+    parts.push(sealFrame(fileKey, header, index++, plaintext.subarray(offset, offset + FRAME_SIZE), false));
+    offset += FRAME_SIZE;
+  }
+  parts.push(sealFrame(fileKey, header, index, plaintext.subarray(offset), true));
+  return Buffer.concat(parts);
+}
+
+function decryptBuffer(buf) {
+  const parsed = parseHeader(buf);
+  if (!parsed) throw new Error('Backup is truncated: the encrypted file ended early');
+  const keyRow = getKey(parsed.keyId);
+  if (!keyRow) throw keyMissingError(parsed.keyId);
+  const fileKey = deriveFileKey(keyRow, parsed.salt);
+  const out = [];
+  let offset = parsed.length;
+  let index = 0;
+  let done = false;
+  while (offset < buf.length) {
+    if (done || buf.length - offset < FRAME_HEADER_LENGTH) throw new Error('Backup has trailing data after its final frame');
+    const ctLength = buf.readUInt32BE(offset);
+    const final = buf[offset + 4] === 1;
+    const ctStart = offset + FRAME_HEADER_LENGTH;
+    const end = ctStart + ctLength + TAG_LENGTH;
+    // Chunks used to be sealed as one frame of any size; only that exact layout may exceed FRAME_SIZE
+    if (!(index === 0 && final && end === buf.length)) checkFrameLength(ctLength);
+    if (end > buf.length) break;
+    out.push(openFrame(fileKey, parsed.header, index++, buf.subarray(ctStart, ctStart + ctLength), final, buf.subarray(ctStart + ctLength, end)));
+    offset = end;
+    if (final) done = true;
+  }
+  if (!done) throw new Error('Backup is truncated: the encrypted file ended early');
+  return Buffer.concat(out);
+}
+
+module.exports = {
+  ALGORITHM,
+  keyMissingError,
+  isEncryptionEnabled,
+  setEncryptionEnabled,
+  listKeys,
+  getActiveKey,
+  getKey,
+  ensureActiveKey,
+  rotateKey,
+  importKey,
+  exportKey,
+  createEncryptStream,
+  createDecryptStream,
+  createPlainReadStream,
+  isEncryptedBuffer,
+  readFileHeader,
+  assertDecryptable,
+  encryptFile,
+  decryptFile,
+  encryptBuffer,
+  decryptBuffer,
+};
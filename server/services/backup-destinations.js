@@ -0,0 +1,713 @@
+/**
+ * Backup upload destinations
+ *
+ * Every provider implements the same interface so uploads, retention and restores do not care
+ * where a backup lives:
+ *
+ *   upload(localPath, remoteName) -> { ref, size }   ref identifies the copy for later calls
+ *   list()                        -> [{ ref, name, size, modifiedAt }]
+ *   download(ref, destinationPath)
+ *   delete(ref)
+ *   testConnection()              -> { ok: true, message }
+ *
+ * Saved destinations live in backup_destinations (provider + JSON config); each uploaded copy is
+ * recorded in backup_remote_copies so it can be fetched back or deleted with its backup. The
+ * credential fields of a config (SECRET_FIELDS) are stored encrypted under the secrets master key
+ * (see secret-store), as { ciphertext, key_id } bound to the destination id and field name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const { Client: SshClient } = require('ssh2');
+const { google } = require('googleapis');
+const { getDatabase } = require('../lib/database');
+const { getBackupsDir } = require('../lib/paths');
+const { S3Client } = require('./s3-client');
+const { parseBackupMetadata } = require('./backup-chain');
+const { dedupStore } = require('./dedup-store');
+const backupCrypto = require('./backup-crypto');
+const { secretStore } = require('./secret-store');
+
+const pipelineAsync = promisify(pipeline);
+
+const SECRET_MASK = '••••••••';
+const SECRET_FIELDS = ['password', 'secret_access_key', 'private_key', 'passphrase'];
+
+const joinRemote = (...parts) => parts
+  .filter((p) => p !== undefined && p !== null && String(p) !== '')
+  .map((p, i) => (i === 0 ? String(p).replace(/\/+$/, '') : String(p).replace(/^\/+|\/+$/g, '')))
+  .join('/') || '/';
+
+class BackupDestination {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  async upload() {
+    throw new Error(`${this.constructor.name} does not implement upload`);
+  }
+
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+
+  async download() {
+    throw new Error(`${this.constructor.name} does not implement download`);
+  }
+
+  async delete() {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  async testConnection() {
+    await this.list();
+    return { ok: true, message: 'Connection successful' };
+  }
+}
+
+class FtpDestination extends BackupDestination {
+  async withClient(fn) {
+    let FtpClient;
+    try { FtpClient = require('basic-ftp'); } catch { FtpClient = null; }
+    if (!FtpClient) throw new Error('FTP client not available');
+
+    const { host, port, user, password, secure } = this.config;
+    if (!host || !user) throw new Error('FTP host and user are required');
+    const client = new FtpClient.Client();
+    client.ftp.verbose = false;
+    try {
+      await client.access({ host, port: port || 21, user, password, secure: Boolean(secure) });
+      return await fn(client);
+    } finally {
+      client.close();
+    }
+  }
+
+  get remoteDir() {
+    return this.config.path || '/';
+  }
+
+  async upload(localPath, remoteName) {
+    return this.withClient(async (client) => {
+      await client.ensureDir(this.remoteDir);
+      await client.uploadFrom(localPath, remoteName);
+      return { ref: joinRemote(this.remoteDir, remoteName), size: fs.statSync(localPath).size };
+    });
+  }
+
+  async list() {
+    return this.withClient(async (client) => {
+      const entries = await client.list(this.remoteDir);
+      return entries
+        .filter((e) => e.isFile)
+        .map((e) => ({
+          ref: joinRemote(this.remoteDir, e.name),
+          name: e.name,
+          size: e.size,
+          modifiedAt: e.modifiedAt ? e.modifiedAt.toISOString() : null,
+        }));
+    });
+  }
+
+  async download(ref, destinationPath) {
+    await this.withClient((client) => client.downloadTo(destinationPath, ref));
+  }
+
+  async delete(ref) {
+    await this.withClient((client) => client.remove(ref));
+  }
+}
+
+class GDriveDestination extends BackupDestination {
+  getDrive() {
+    const db = getDatabase();
+    const tokenRow = db.prepare("SELECT value FROM settings WHERE key = 'gdrive.tokens'").get();
+    const credRow = db.prepare("SELECT value FROM settings WHERE key = 'gdrive.credentials'").get();
+    if (!tokenRow?.value || !credRow?.value) throw new Error('Google Drive is not connected');
+    const rawCreds = JSON.parse(credRow.value);
+    // Handle nested 'web' or 'installed' structures from Google Cloud Console
+    const creds = rawCreds.web || rawCreds.installed || rawCreds;
+    const oAuth2Client = new google.auth.OAuth2(creds.client_id, creds.client_secret);
+    oAuth2Client.setCredentials(JSON.parse(tokenRow.value));
+    return google.drive({ version: 'v3', auth: oAuth2Client });
+  }
+
+  async upload(localPath, remoteName) {
+    const drive = this.getDrive();
+    const resource = { name: remoteName, appProperties: { turbonoxBackup: '1' } };
+    if (this.config.folder_id) resource.parents = [this.config.folder_id];
+    const mimeType = remoteName.endsWith('.enc') ? 'application/octet-stream' : 'application/zip';
+    const response = await drive.files.create({
+      resource,
+      media: { mimeType, body: fs.createReadStream(localPath) },
+      fields: 'id,size',
+    });
+    return { ref: response.data.id, size: Number(response.data.size || fs.statSync(localPath).size) };
+  }
+
+  async list() {
+    const drive = this.getDrive();
+    const clauses = ["appProperties has { key='turbonoxBackup' and value='1' }", 'trashed = false'];
+    if (this.config.folder_id) clauses.push(`'${String(this.config.folder_id).replace(/'/g, "\\'")}' in parents`);
+    const out = [];
+    let pageToken;
+    do {
+      const response = await drive.files.list({
+        q: clauses.join(' and '),
+        fields: 'nextPageToken, files(id, name, size, modifiedTime)',
+        pageToken,
+      });
+      for (const f of response.data.files || []) {
+        out.push({ ref: f.id, name: f.name, size: Number(f.size || 0), modifiedAt: f.modifiedTime || null });
+      }
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+    return out;
+  }
+
+  async download(ref, destinationPath) {
+    const drive = this.getDrive();
+    const response = await drive.files.get({ fileId: ref, alt: 'media' }, { responseType: 'stream' });
+    await pipelineAsync(response.data, fs.createWriteStream(destinationPath));
+  }
+
+  async delete(ref) {
+    await this.getDrive().files.delete({ fileId: ref });
+  }
+
+  async testConnection() {
+    const about = await this.getDrive().about.get({ fields: 'user(emailAddress)' });
+    return { ok: true, message: `Connected as ${about.data.user?.emailAddress || 'unknown user'}` };
+  }
+}
+
+class S3Destination extends BackupDestination {
+  get client() {
+    const c = this.config;
+    return new S3Client({
+      bucket: c.bucket,
+      accessKeyId: c.access_key_id,
+      secretAccessKey: c.secret_access_key,
+      region: c.region,
+      endpoint: c.endpoint || null,
+      forcePathStyle: c.force_path_style ?? null,
+    });
+  }
+
+  key(remoteName) {
+    const prefix = String(this.config.prefix || '').replace(/^\/+|\/+$/g, '');
+    return prefix ? `${prefix}/${remoteName}` : remoteName;
+  }
+
+  async upload(localPath, remoteName) {
+    const key = this.key(remoteName);
+    const partSize = Number(this.config.part_size_mb || 16) * 1024 * 1024;
+    const result = await this.client.uploadFile(key, localPath, { partSize });
+    return { ref: key, size: result.size };
+  }
+
+  async list() {
+    const prefix = this.key('');
+    const objects = await this.client.listObjects(prefix);
+    return objects.map((o) => ({ ref: o.key, name: path.posix.basename(o.key), size: o.size, modifiedAt: o.lastModified }));
+  }
+
+  async download(ref, destinationPath) {
+    const stream = await this.client.getObjectStream(ref);
+    await pipelineAsync(stream, fs.createWriteStream(destinationPath));
+  }
+
+  async delete(ref) {
+    await this.client.deleteObject(ref);
+  }
+
+  async testConnection() {
+    await this.client.headBucket();
+    return { ok: true, message: `Bucket ${this.config.bucket} is reachable` };
+  }
+}
+
+class SftpDestination extends BackupDestination {
+  withSftp(fn) {
+    const c = this.config;
+    if (!c.host || !c.username) return Promise.reject(new Error('SFTP host and username are required'));
+
+    return new Promise((resolve, reject) => {
+      const conn = new SshClient();
+      let hostKeyError = null;
+      let settled = false;
+      const finish = (err, value) => {
+        if (settled) return;
+        settled = true;
+        conn.end();
+        if (err) reject(err);
+        else resolve(value);
+      };
+
+      conn
+        .on('ready', () => {
+          conn.sftp(async (err, sftp) => {
+            if (err) return finish(err);
+            try {
+              finish(null, await fn(sftp));
+            } catch (e) {
+              finish(e);
+            }
+          });
+        })
+        .on('error', (err) => finish(hostKeyError || err))
+        .connect({
+          host: c.host,
+          port: c.port || 22,
+          username: c.username,
+          password: c.password || undefined,
+          privateKey: c.private_key ? Buffer.from(c.private_key) : undefined,
+          passphrase: c.passphrase || undefined,
+          readyTimeout: 10000,
+          // Same SHA256 fingerprint format as SshService; unpinned destinations accept any host key.
+          verifyHostKey: (key) => {
+            if (!c.host_key) return true;
+            const hash = crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+            if (`SHA256:${hash}` === c.host_key) return true;
+            hostKeyError = new Error(`SFTP host key mismatch for ${c.host}: got SHA256:${hash}`);
+            return false;
+          },
+        });
+    });
+  }
+
+  get remoteDir() {
+    return this.config.path || '.';
+  }
+
+  async upload(localPath, remoteName) {
+    const remotePath = joinRemote(this.remoteDir, remoteName);
+    await this.withSftp(async (sftp) => {
+      await this.mkdirp(sftp, this.remoteDir);
+      await promisify(sftp.fastPut.bind(sftp))(localPath, remotePath);
+    });
+    return { ref: remotePath, size: fs.statSync(localPath).size };
+  }
+
+  async mkdirp(sftp, dir) {
+    const parts = String(dir).split('/');
+    let current = '';
+    for (const part of parts) {
+      current = current ? `${current}/${part}` : (part || '/');
+      if (!part || part === '.') continue;
+      await new Promise((resolve) => sftp.mkdir(current, () => resolve()));
+    }
+  }
+
+  async list() {
+    return this.withSftp(async (sftp) => {
+      const entries = await promisify(sftp.readdir.bind(sftp))(this.remoteDir);
+      return entries
+        .filter((e) => e.attrs.isFile())
+        .map((e) => ({
+          ref: joinRemote(this.remoteDir, e.filename),
+          name: e.filename,
+          size: e.attrs.size,
+          modifiedAt: new Date(e.attrs.mtime * 1000).toISOString(),
+        }));
+    });
+  }
+
+  async download(ref, destinationPath) {
+    await this.withSftp((sftp) => promisify(sftp.fastGet.bind(sftp))(ref, destinationPath));
+  }
+
+  async delete(ref) {
+    await this.withSftp((sftp) => promisify(sftp.unlink.bind(sftp))(ref));
+  }
+}
+
+// FTP credentials saved from the backups page, used by ad hoc FTP uploads
+const FTP_SETTINGS_KEY = 'ftp.credentials';
+
+function encryptFtpCredentials(data) {
+  // Simple XOR encryption with base64 - not cryptographically secure but obscures stored passwords
+  const key = 'turbonox-ftp-key-2025';
+  const json = JSON.stringify(data);
+  let encrypted = '';
+  for (let i = 0; i < json.length; i++) {
+    encrypted += String.fromCharCode(json.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+  }
+  return Buffer.from(encrypted, 'binary').toString('base64');
+}
+
+function decryptFtpCredentials(encrypted) {
+  try {
+    const key = 'turbonox-ftp-key-2025';
+    const decoded = Buffer.from(encrypted, 'base64').toString('binary');
+    let decrypted = '';
+    for (let i = 0; i < decoded.length; i++) {
+      decrypted += String.fromCharCode(decoded.charCodeAt(i) ^ key.charCodeAt(i % key.length));
+    }
+    return JSON.parse(decrypted);
+  } catch {
+    return null;
+  }
+}
+
+const PROVIDERS = {
+  ftp: FtpDestination,
+  gdrive: GDriveDestination,
+  s3: S3Destination,
+  sftp: SftpDestination,
+};
+
+function createDestination(provider, config = {}) {
+  const Provider = PROVIDERS[String(provider || '').toLowerCase()];
+  if (!Provider) throw new Error(`Unsupported backup destination provider: ${provider}`);
+  return new Provider(config);
+}
+
+// Stored config as saved, credential fields still encrypted
+function readConfig(row) {
+  try {
+    return row?.config ? JSON.parse(row.config) : {};
+  } catch {
+    return {};
+  }
+}
+
+const secretAad = (id, field) => `backup_destination:${id}:${field}`;
+const isSealed = (value) => Boolean(value && typeof value === 'object' && value.ciphertext && value.key_id);
+
+/**
+ * Config of a destination with its credential fields decrypted.
+ */
+function parseConfig(row) {
+  const config = readConfig(row);
+  for (const field of SECRET_FIELDS) {
+    if (isSealed(config[field])) config[field] = secretStore.decrypt(config[field], secretAad(row.id, field));
+  }
+  return config;
+}
+
+/**
+ * Config to store for destination id, with its credential fields encrypted.
+ */
+function sealConfig(id, config = {}) {
+  const out = { ...config };
+  for (const field of SECRET_FIELDS) {
+    if (typeof out[field] === 'string' && out[field]) {
+      const { ciphertext, keyId } = secretStore.encrypt(out[field], secretAad(id, field));
+      out[field] = { ciphertext, key_id: keyId };
+    }
+  }
+  return out;
+}
+
+/**
+ * Encrypt credentials saved in plaintext and re-encrypt those under an older master key.
+ * Called by secretStore.reencryptAll; returns the number of destinations rewritten.
+ */
+function reencryptConfigs() {
+  const db = getDatabase();
+  const currentKeyId = secretStore.getKeyring().current.id;
+  const update = db.prepare('UPDATE backup_destinations SET config = ? WHERE id = ?');
+  let count = 0;
+  db.transaction(() => {
+    for (const row of db.prepare('SELECT * FROM backup_destinations').all()) {
+      const stored = readConfig(row);
+      const stale = SECRET_FIELDS.some((field) => (isSealed(stored[field])
+        ? stored[field].key_id !== currentKeyId
+        : typeof stored[field] === 'string' && stored[field]));
+      if (!stale) continue;
+      update.run(JSON.stringify(sealConfig(row.id, parseConfig(row))), row.id);
+      count++;
+    }
+  })();
+  return count;
+}
+
+function getDestinationRow(id) {
+  return getDatabase().prepare('SELECT * FROM backup_destinations WHERE id = ?').get(id) || null;
+}
+
+function loadDestination(id) {
+  const row = getDestinationRow(id);
+  if (!row) {
+    const err = new Error(`Backup destination ${id} not found`);
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+  return { row, destination: createDestination(row.provider, parseConfig(row)) };
+}
+
+function maskConfig(config = {}) {
+  const out = { ...config };
+  for (const field of SECRET_FIELDS) {
+    if (out[field]) out[field] = SECRET_MASK;
+  }
+  return out;
+}
+
+/**
+ * Apply an update to a saved config; masked secrets sent back by the UI keep their stored value.
+ */
+function mergeConfig(existing = {}, incoming = {}) {
+  const out = { ...existing, ...incoming };
+  for (const field of SECRET_FIELDS) {
+    if (incoming[field] === SECRET_MASK) out[field] = existing[field];
+  }
+  return out;
+}
+
+function serializeDestination(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    provider: row.provider,
+    config: maskConfig(readConfig(row)),
+    enabled: Boolean(row.enabled),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Local file to upload for a backup. Dedup backups are exported to a temporary zip, and plaintext
+ * archives are encrypted first when backup encryption is enabled. Call cleanup() when done.
+ */
+async function prepareUploadArchive(backup) {
+  const sourcePath = path.join(getBackupsDir(), backup.filename);
+  const tmpDir = path.join(getBackupsDir(), 'tmp');
+  const temporary = [];
+  const cleanup = () => temporary.forEach((p) => fs.rmSync(p, { force: true }));
+
+  try {
+    let archivePath = sourcePath;
+    if (parseBackupMetadata(backup).storage === 'dedup') {
+      fs.mkdirSync(tmpDir, { recursive: true });
+      archivePath = path.join(tmpDir, `${path.basename(backup.filename, '.json.gz')}.zip`);
+      temporary.push(archivePath);
+      await dedupStore.exportZip(backup.filename, archivePath);
+    }
+    if (backupCrypto.isEncryptionEnabled() && !backupCrypto.readFileHeader(archivePath)) {
+      fs.mkdirSync(tmpDir, { recursive: true });
+      const encryptedPath = path.join(tmpDir, `${path.basename(archivePath)}.enc`);
+      temporary.push(encryptedPath);
+      await backupCrypto.encryptFile(archivePath, encryptedPath);
+      archivePath = encryptedPath;
+    }
+    return { archivePath, cleanup };
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+/**
+ * Upload a backup to a saved destination and record the remote copy.
+ */
+async function uploadBackup(backup, destinationId) {
+  const db = getDatabase();
+  const { row, destination } = loadDestination(destinationId);
+  if (!row.enabled) throw new Error(`Backup destination ${row.name} is disabled`);
+  if (!fs.existsSync(path.join(getBackupsDir(), backup.filename))) throw new Error('Backup file missing');
+
+  const { archivePath, cleanup } = await prepareUploadArchive(backup);
+  try {
+    const remoteName = path.basename(archivePath);
+    const result = await destination.upload(archivePath, remoteName);
+    const copyId = recordRemoteCopy({
+      backupId: backup.id,
+      destinationId: row.id,
+      provider: row.provider,
+      remoteName,
+      ref: result.ref,
+      size: result.size,
+      archivePath,
+    });
+    console.log(`[BACKUP-DEST] Uploaded ${backup.filename} to ${row.name} (${row.provider})`);
+    return { copyId, destination: row, remoteName, ref: result.ref, size: result.size };
+  } finally {
+    cleanup();
+  }
+}
+
+/**
+ * Record an uploaded copy. archivePath is the file that was uploaded, used to note which key
+ * encrypted the remote copy so restores can check for it before fetching anything.
+ */
+function recordRemoteCopy({ backupId, destinationId = null, provider, remoteName, ref, size = null, archivePath = null }) {
+  let keyId = null;
+  try {
+    keyId = archivePath ? backupCrypto.readFileHeader(archivePath)?.keyId || null : null;
+  } catch {
+    keyId = null;
+  }
+  return getDatabase().prepare(
+    `INSERT INTO backup_remote_copies (backup_id, destination_id, provider, remote_name, remote_ref, size, encryption_key_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).run(backupId, destinationId, provider, remoteName, ref, size, keyId).lastInsertRowid;
+}
+
+/**
+ * Provider instance for a recorded copy. Copies made without a saved destination (ad hoc FTP
+ * uploads and the Google Drive queue) use the saved FTP credentials / connected Drive account.
+ */
+function getCopyDestination(copy) {
+  if (copy.destination_id) return loadDestination(copy.destination_id).destination;
+  if (copy.provider === 'gdrive') return new GDriveDestination({});
+  if (copy.provider === 'ftp') {
+    const row = getDatabase().prepare('SELECT value FROM settings WHERE key = ?').get(FTP_SETTINGS_KEY);
+    const creds = row?.value ? decryptFtpCredentials(row.value) : null;
+    if (!creds) throw new Error('No saved FTP credentials to fetch this copy with');
+    return new FtpDestination(creds);
+  }
+  throw new Error(`No destination available for remote copy ${copy.id}`);
+}
+
+function localBackupExists(backup) {
+  try {
+    return fs.existsSync(path.join(getBackupsDir(), backup.filename));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 'local', 'remote', 'both' or 'missing'
+ */
+function getBackupLocation(backup, copies = listRemoteCopies(backup.id)) {
+  const local = localBackupExists(backup);
+  if (local && copies.length) return 'both';
+  if (local) return 'local';
+  return copies.length ? 'remote' : 'missing';
+}
+
+/**
+ * Download the newest reachable remote copy of a backup to a temporary file.
+ * Returns { filePath, copy, cleanup }; the file is a zip, encrypted if the copy was.
+ * Rejects with err.code = 'REMOTE_FAILED' when no copy could be downloaded.
+ */
+async function fetchRemoteCopy(backup) {
+  const copies = listRemoteCopies(backup.id);
+  if (!copies.length) throw new Error(`Backup ${backup.filename} has no remote copies`);
+
+  const tmpDir = path.join(getBackupsDir(), 'tmp');
+  fs.mkdirSync(tmpDir, { recursive: true });
+  const errors = [];
+  for (const copy of copies) {
+    const filePath = path.join(tmpDir, `remote-${copy.id}-${crypto.randomBytes(4).toString('hex')}-${path.basename(copy.remote_name)}`);
+    try {
+      await getCopyDestination(copy).download(copy.remote_ref, filePath);
+      console.log(`[BACKUP-DEST] Fetched ${copy.remote_ref} (${copy.provider}) for backup ${backup.id}`);
+      return { filePath, copy, cleanup: () => fs.rmSync(filePath, { force: true }) };
+    } catch (err) {
+      fs.rmSync(filePath, { force: true });
+      errors.push(`${copy.destination_name || copy.provider}: ${err.message}`);
+    }
+  }
+  const err = new Error(`Could not fetch backup ${backup.filename} from any remote copy (${errors.join('; ')})`);
+  err.code = 'REMOTE_FAILED';
+  throw err;
+}
+
+/**
+ * Delete the local file of a backup that has a remote copy. The row stays so it can still be
+ * restored from remote. Returns false when there is no remote copy to fall back on.
+ */
+function evictLocalCopy(backup) {
+  if (!listRemoteCopies(backup.id).length) return false;
+  fs.rmSync(path.join(getBackupsDir(), backup.filename), { force: true });
+  console.log(`[BACKUP-DEST] Evicted local copy of ${backup.filename}`);
+  return true;
+}
+
+/**
+ * Evict local files of a server's backups that have a remote copy, keeping the newest keepLocal
+ * local copies.
+ */
+function evictLocalCopies(serverId, keepLocal) {
+  const db = getDatabase();
+  const keep = Math.max(0, Number(keepLocal) || 0);
+  const local = db.prepare('SELECT * FROM backups WHERE server_id = ? ORDER BY created_at DESC, id DESC').all(serverId)
+    .filter((b) => localBackupExists(b));
+
+  const evicted = [];
+  for (const backup of local.slice(keep)) {
+    try {
+      if (evictLocalCopy(backup)) evicted.push(backup.id);
+    } catch (err) {
+      console.warn(`[BACKUP-DEST] Failed to evict ${backup.filename}:`, err.message);
+    }
+  }
+  if (evicted.length && local.some((b) => parseBackupMetadata(b).storage === 'dedup')) {
+    dedupStore.collectGarbage(db).catch((err) => console.warn('[BACKUP-DEST] Dedup GC failed:', err.message));
+  }
+  return evicted;
+}
+
+function listRemoteCopies(backupId) {
+  return getDatabase()
+    .prepare(
+      `SELECT c.*, d.name AS destination_name
+       FROM backup_remote_copies c
+       LEFT JOIN backup_destinations d ON d.id = c.destination_id
+       WHERE c.backup_id = ?
+       ORDER BY c.uploaded_at DESC, c.id DESC`
+    )
+    .all(backupId);
+}
+
+/**
+ * Delete every remote copy of a backup (retention and backup deletion). Failures are logged and
+ * the copy record is kept so the deletion can be retried.
+ */
+async function deleteRemoteCopies(backupId) {
+  const db = getDatabase();
+  let deleted = 0;
+  let failed = 0;
+  for (const copy of listRemoteCopies(backupId)) {
+    try {
+      await getCopyDestination(copy).delete(copy.remote_ref);
+      db.prepare('DELETE FROM backup_remote_copies WHERE id = ?').run(copy.id);
+      deleted++;
+    } catch (err) {
+      failed++;
+      console.warn(`[BACKUP-DEST] Failed to delete remote copy ${copy.remote_ref} of backup ${backupId}:`, err.message);
+    }
+  }
+  return { deleted, failed };
+}
+
+module.exports = {
+  BackupDestination,
+  FtpDestination,
+  GDriveDestination,
+  S3Destination,
+  SftpDestination,
+  PROVIDERS,
+  SECRET_MASK,
+  createDestination,
+  getDestinationRow,
+  loadDestination,
+  maskConfig,
+  mergeConfig,
+  parseConfig,
+  sealConfig,
+  reencryptConfigs,
+  serializeDestination,
+  FTP_SETTINGS_KEY,
+  encryptFtpCredentials,
+  decryptFtpCredentials,
+  prepareUploadArchive,
+  uploadBackup,
+  recordRemoteCopy,
+  getCopyDestination,
+  getBackupLocation,
+  localBackupExists,
+  fetchRemoteCopy,
+  evictLocalCopy,
+  evictLocalCopies,
+  listRemoteCopies,
+  deleteRemoteCopies,
+};
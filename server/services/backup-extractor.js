@@ -0,0 +1,95 @@
+/**
+ * Backup extraction
+ *
+ * Unpacks a backup into a directory: zip archives (decrypted on the fly), dedup manifests from
+ * the chunk store, and incremental chains replayed from their base. Used by restores,
+ * verification and restore drills.
+ *
+ * Entries are written through restore-target, so symlinks already in the destination are
+ * replaced rather than followed, and symlinks stored in an archive are restored as symlinks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const unzipper = require('unzipper');
+const { getBackupsDir } = require('../lib/paths');
+const { resolveBackupChain, parseBackupMetadata } = require('./backup-chain');
+const { dedupStore } = require('./dedup-store');
+const backupCrypto = require('./backup-crypto');
+const backupDestinations = require('./backup-destinations');
+const { isDedupBackup } = require('./backup-creator');
+const { prepareRestoreTarget, findRestoreTarget } = require('./restore-target');
+
+const pipelineAsync = promisify(pipeline);
+
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const isSymlinkEntry = (entry) => ((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK;
+
+/**
+ * Extract a zip archive into a directory. Symlink entries are only marked in the central
+ * directory, so the archive is read with random access; encrypted archives are decrypted to a
+ * temporary file first. A missing key fails before anything is extracted.
+ */
+const extractZipToDirectory = async (zipPath, destinationDir) => {
+  const encrypted = backupCrypto.assertDecryptable(zipPath);
+  const root = path.resolve(destinationDir);
+  fs.mkdirSync(root, { recursive: true });
+
+  let plainPath = zipPath;
+  if (encrypted) {
+    const tmpDir = path.join(getBackupsDir(), 'tmp');
+    fs.mkdirSync(tmpDir, { recursive: true });
+    plainPath = path.join(tmpDir, `extract-${crypto.randomBytes(6).toString('hex')}.zip`);
+  }
+  try {
+    if (encrypted) await backupCrypto.decryptFile(zipPath, plainPath);
+    const directory = await unzipper.Open.file(plainPath);
+    for (const entry of directory.files) {
+      const type = entry.type === 'Directory' ? 'directory' : isSymlinkEntry(entry) ? 'symlink' : 'file';
+      const target = prepareRestoreTarget(root, entry.path, type);
+      if (!target || type === 'directory') continue;
+      if (type === 'symlink') {
+        fs.symlinkSync((await entry.buffer()).toString('utf8'), target);
+      } else {
+        await pipelineAsync(entry.stream(), fs.createWriteStream(target));
+      }
+    }
+  } finally {
+    if (plainPath !== zipPath) fs.rmSync(plainPath, { force: true });
+  }
+};
+
+/**
+ * Extract a backup into a directory. Incremental backups are rebuilt by replaying their chain:
+ * the base full archive first, then each incremental in order with its tombstones applied.
+ * Links without a local file are streamed back from a remote destination first.
+ */
+const extractBackupToDirectory = async (db, backup, destinationDir) => {
+  const chain = resolveBackupChain(db, backup);
+  const root = path.resolve(destinationDir);
+  for (const link of chain) {
+    if (!backupDestinations.localBackupExists(link)) {
+      const fetched = await backupDestinations.fetchRemoteCopy(link);
+      try {
+        await extractZipToDirectory(fetched.filePath, root);
+      } finally {
+        fetched.cleanup();
+      }
+    } else if (isDedupBackup(link)) {
+      await dedupStore.restore(link.filename, root);
+    } else {
+      await extractZipToDirectory(path.join(getBackupsDir(), link.filename), root);
+    }
+    for (const rel of parseBackupMetadata(link).tombstones || []) {
+      const target = findRestoreTarget(root, rel);
+      if (target) fs.rmSync(target, { force: true });
+    }
+  }
+  return chain;
+};
+
+module.exports = { extractZipToDirectory, extractBackupToDirectory };
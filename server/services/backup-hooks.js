@@ -0,0 +1,203 @@
+/**
+ * Backup consistency hooks
+ *
+ * Archiving a directory while the server is writing to it can capture half-written SQLite pages
+ * or world saves. A server can declare backup_hooks in its metadata, or inherit them from its
+ * egg or template:
+ *
+ *   {
+ *     "mode": "hooks",                          // "live", "hooks" or "stop"
+ *     "pre_commands": ["save-off", "save-all"], // written to the server's stdin before archiving
+ *     "pause_seconds": 5,                       // time to let the server flush after pre_commands
+ *     "post_commands": ["save-on"],             // written after archiving, even if it failed
+ *     "restart": true                           // "stop" mode: start the server again afterwards
+ *   }
+ *
+ * "stop" sends pre_commands, stops the server, takes the backup and starts it again. Without
+ * commands the default mode is "live" (archive as is). Commands go to the server's console
+ * through its runtime driver; servers on remote nodes are archived as is.
+ */
+
+const runtimeDrivers = require('./runtime-drivers');
+const { appendServerLog } = runtimeDrivers;
+const { getTemplateById } = require('./templates-store');
+
+const MODES = ['live', 'hooks', 'stop'];
+const MAX_PAUSE_SECONDS = 600;
+
+const parseMetadata = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const toCommandList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/\r?\n/);
+  return list.map((c) => String(c).trim()).filter(Boolean);
+};
+
+/**
+ * Normalize a backup_hooks object. An explicit mode wins; otherwise commands imply "hooks".
+ */
+function normalizeBackupHooks(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const preCommands = toCommandList(source.pre_commands ?? source.pre_command);
+  const postCommands = toCommandList(source.post_commands ?? source.post_command);
+  const requestedMode = String(source.mode || '').toLowerCase();
+  const mode = MODES.includes(requestedMode) ? requestedMode : (preCommands.length || postCommands.length ? 'hooks' : 'live');
+  return {
+    mode,
+    preCommands,
+    postCommands,
+    pauseSeconds: Math.min(MAX_PAUSE_SECONDS, Math.max(0, Number(source.pause_seconds) || 0)),
+    restart: source.restart !== false,
+  };
+}
+
+/**
+ * Hooks for a server: server metadata, then the egg snapshot in its metadata, then its template.
+ */
+function resolveBackupHooks(server) {
+  const meta = parseMetadata(server?.metadata);
+  let raw = meta.backup_hooks || meta.egg?.backup_hooks || null;
+  if (!raw) {
+    const match = /^(?:template|egg):(.+)$/.exec(String(server?.type || ''));
+    if (match) {
+      try {
+        raw = getTemplateById(match[1].trim())?.backup_hooks || null;
+      } catch {
+        raw = null;
+      }
+    }
+  }
+  return normalizeBackupHooks(raw);
+}
+
+/**
+ * The runtime driver running the server right now: 'native', 'docker' or null when it is not
+ * running locally.
+ */
+async function getRunningRuntime(server) {
+  if (!server) return null;
+  const driver = runtimeDrivers.getDriverForServer(server);
+  if (driver.name === 'remote') return null;
+  if (driver.name === 'docker' && server.status !== 'running') return null;
+  return await driver.isRunning(server).catch(() => false) ? driver.name : null;
+}
+
+/**
+ * Write one line to a running server's console.
+ */
+async function sendServerCommand(server, command, runtime = null) {
+  const target = runtime || await getRunningRuntime(server);
+  if (!target) throw new Error('Server is not running');
+  await runtimeDrivers.getDriver(target).sendInput(server, command);
+}
+
+async function runCommands(server, runtime, commands, label) {
+  for (const command of commands) {
+    appendServerLog(server, `BACKUP ${label}: ${command}`);
+    await sendServerCommand(server, command, runtime);
+  }
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason || new Error('Aborted'));
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason || new Error('Aborted'));
+  }, { once: true });
+});
+
+async function stopForBackup(server) {
+  appendServerLog(server, 'BACKUP stopping server for a consistent snapshot');
+  await runtimeDrivers.stopServer(server.id, { reason: 'backup' });
+}
+
+async function startAfterBackup(server) {
+  appendServerLog(server, 'BACKUP starting server again');
+  await runtimeDrivers.startServer(server.id, { source: 'backup' });
+}
+
+/**
+ * Run fn (the archiving step) with the server quiesced according to its backup hooks.
+ *
+ * @param {object} server - servers row
+ * @param {Function} fn - async () => result
+ * @param {object} [options]
+ * @param {string} [options.mode] - per-backup override of the configured mode
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.onPhase] - called with 'pre_hooks', 'pause', 'stopping', 'archiving', 'post_hooks', 'starting'
+ */
+async function withConsistentSnapshot(server, fn, { mode = null, signal = null, onPhase = null } = {}) {
+  const hooks = resolveBackupHooks(server);
+  if (mode && MODES.includes(String(mode).toLowerCase())) hooks.mode = String(mode).toLowerCase();
+  const phase = (name) => {
+    if (onPhase) onPhase(name);
+  };
+
+  const runtime = hooks.mode === 'live' ? null : await getRunningRuntime(server);
+  if (!runtime) {
+    phase('archiving');
+    return fn();
+  }
+
+  if (hooks.mode === 'stop') {
+    if (hooks.preCommands.length) {
+      phase('pre_hooks');
+      await runCommands(server, runtime, hooks.preCommands, 'pre-hook');
+      if (hooks.pauseSeconds) {
+        phase('pause');
+        await sleep(hooks.pauseSeconds * 1000, signal);
+      }
+    }
+    phase('stopping');
+    await stopForBackup(server);
+    try {
+      phase('archiving');
+      return await fn();
+    } finally {
+      if (hooks.restart) {
+        phase('starting');
+        await startAfterBackup(server).catch((err) => {
+          console.error(`[BACKUP-HOOKS] Failed to start server ${server.id} after backup:`, err.message);
+          appendServerLog(server, `BACKUP failed to start server again: ${err.message}`);
+        });
+      }
+    }
+  }
+
+  phase('pre_hooks');
+  try {
+    await runCommands(server, runtime, hooks.preCommands, 'pre-hook');
+    if (hooks.pauseSeconds) {
+      phase('pause');
+      await sleep(hooks.pauseSeconds * 1000, signal);
+    }
+    phase('archiving');
+    return await fn();
+  } finally {
+    if (hooks.postCommands.length) {
+      phase('post_hooks');
+      await runCommands(server, runtime, hooks.postCommands, 'post-hook').catch((err) => {
+        console.error(`[BACKUP-HOOKS] Post-backup commands failed for server ${server.id}:`, err.message);
+        appendServerLog(server, `BACKUP post-hook failed: ${err.message}`);
+      });
+    }
+  }
+}
+
+module.exports = {
+  MODES,
+  normalizeBackupHooks,
+  resolveBackupHooks,
+  getRunningRuntime,
+  sendServerCommand,
+  withConsistentSnapshot,
+};
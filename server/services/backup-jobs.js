@@ -0,0 +1,255 @@
+/**
+ * Backup job queue
+ *
+ * Every backup (manual, scheduled, pre-update) runs as a job persisted in backup_jobs. Jobs are
+ * started in order up to the backup.max_concurrent_jobs setting, never two at once for the same
+ * server, and can be cancelled while queued or running. The server is quiesced around the
+ * archive according to its backup hooks (see backup-hooks). State changes are emitted as 'job'
+ * events and byte progress as 'progress' events (relayed over the /api/backups/jobs WebSocket).
+ */
+
+const EventEmitter = require('events');
+const { getDatabase } = require('../lib/database');
+const { createBackup } = require('./backup-creator');
+const { withConsistentSnapshot } = require('./backup-hooks');
+const { checkBackupQuota } = require('./backup-retention');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const PROGRESS_EMIT_MS = 250;
+const PROGRESS_PERSIST_MS = 2000;
+
+function serializeJob(row) {
+  if (!row) return null;
+  let options = {};
+  try {
+    options = row.options ? JSON.parse(row.options) : {};
+  } catch {
+    options = {};
+  }
+  return {
+    ...row,
+    options,
+    percent: row.total_bytes ? Math.min(100, Math.round((row.progress_bytes / row.total_bytes) * 100)) : null,
+  };
+}
+
+class BackupJobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.running = new Map();
+  }
+
+  getConcurrency() {
+    try {
+      const value = Number(getDatabase().prepare("SELECT value FROM settings WHERE key = 'backup.max_concurrent_jobs'").get()?.value);
+      return Number.isFinite(value) && value >= 1 ? Math.min(16, Math.floor(value)) : 1;
+    } catch {
+      return 1;
+    }
+  }
+
+  setConcurrency(value) {
+    const n = Math.min(16, Math.max(1, Math.floor(Number(value) || 1)));
+    getDatabase().prepare("INSERT OR REPLACE INTO settings (key, value) VALUES ('backup.max_concurrent_jobs', ?)").run(String(n));
+    this.pump();
+    return n;
+  }
+
+  /**
+   * Jobs left running by a previous process cannot be resumed; fail them and start whatever is queued.
+   */
+  start() {
+    const db = getDatabase();
+    const stale = db.prepare("UPDATE backup_jobs SET status = 'failed', error = ?, finished_at = ? WHERE status = 'running'")
+      .run('Interrupted by panel restart', new Date().toISOString());
+    if (stale.changes) console.warn(`[BACKUP-JOBS] Marked ${stale.changes} interrupted job(s) as failed`);
+    this.pump();
+  }
+
+  getJob(id) {
+    return serializeJob(getDatabase().prepare('SELECT * FROM backup_jobs WHERE id = ?').get(id));
+  }
+
+  listJobs({ serverId = null, status = null, limit = 50 } = {}) {
+    const where = [];
+    const values = [];
+    if (serverId) {
+      where.push('server_id = ?');
+      values.push(serverId);
+    }
+    if (status) {
+      const statuses = String(status).split(',').map((s) => s.trim()).filter(Boolean);
+      where.push(`status IN (${statuses.map(() => '?').join(',')})`);
+      values.push(...statuses);
+    }
+    values.push(Math.min(500, Math.max(1, Number(limit) || 50)));
+    return getDatabase()
+      .prepare(`SELECT * FROM backup_jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`)
+      .all(...values)
+      .map(serializeJob);
+  }
+
+  /**
+   * Queue a backup of a server. Throws BACKUP_QUOTA_EXCEEDED when its owner is at their
+   * backup_limit.
+   * @param {object} params
+   * @param {number} params.serverId
+   * @param {string} [params.trigger] - 'manual', 'scheduled' or 'pre-update'
+   * @param {object} [params.options] - backup options (compression_level, incremental, storage, encrypt)
+   * @param {string} [params.requestedBy] - audit log identity
+   */
+  enqueue({ serverId, trigger = 'manual', options = {}, requestedBy = 'system' }) {
+    const db = getDatabase();
+    const server = db.prepare('SELECT id FROM servers WHERE id = ?').get(serverId);
+    if (!server) {
+      const err = new Error('Server not found');
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    checkBackupQuota(server.id);
+    const result = db.prepare(
+      `INSERT INTO backup_jobs (server_id, trigger, status, options, requested_by, created_at)
+       VALUES (?, ?, 'queued', ?, ?, ?)`
+    ).run(server.id, trigger, JSON.stringify(options || {}), requestedBy, new Date().toISOString());
+    const job = this.getJob(result.lastInsertRowid);
+    console.log(`[BACKUP-JOBS] Queued job ${job.id} (${trigger}) for server ${server.id}`);
+    this.emit('job', job);
+    setImmediate(() => this.pump());
+    return job;
+  }
+
+  /**
+   * Resolve with the job once it has finished, whatever the outcome.
+   */
+  waitFor(id) {
+    return new Promise((resolve) => {
+      const current = this.getJob(id);
+      if (!current || FINISHED_STATUSES.includes(current.status)) return resolve(current);
+      const onJob = (job) => {
+        if (job.id !== current.id || !FINISHED_STATUSES.includes(job.status)) return;
+        this.off('job', onJob);
+        resolve(job);
+      };
+      this.on('job', onJob);
+    });
+  }
+
+  /**
+   * Queue a backup and wait for it. Rejects with the job's error unless it completed.
+   */
+  async run(params) {
+    const job = await this.waitFor(this.enqueue(params).id);
+    if (job.status !== 'completed') {
+      const err = new Error(job.error || `Backup job ${job.status}`);
+      err.code = job.status === 'cancelled' ? 'CANCELLED' : 'JOB_FAILED';
+      err.job = job;
+      throw err;
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job. Returns the job, or null when it does not exist.
+   * Running jobs are aborted and reported as cancelled once they have stopped.
+   */
+  cancel(id) {
+    const job = this.getJob(id);
+    if (!job) return null;
+    if (job.status === 'queued') {
+      this.finish(job.id, 'cancelled', { error: 'Cancelled before it started' });
+    } else if (job.status === 'running') {
+      const entry = this.running.get(job.id);
+      if (entry) {
+        const err = new Error('Backup cancelled');
+        err.code = 'CANCELLED';
+        entry.controller.abort(err);
+      }
+    }
+    return this.getJob(job.id);
+  }
+
+  finish(id, status, { backupId = null, error = null } = {}) {
+    getDatabase()
+      .prepare('UPDATE backup_jobs SET status = ?, phase = NULL, backup_id = ?, error = ?, finished_at = ? WHERE id = ?')
+      .run(status, backupId, error, new Date().toISOString(), id);
+    const job = this.getJob(id);
+    this.emit('job', job);
+    return job;
+  }
+
+  pump() {
+    const db = getDatabase();
+    const limit = this.getConcurrency();
+    if (this.running.size >= limit) return;
+
+    const busyServers = new Set([...this.running.values()].map((r) => Number(r.serverId)));
+    const queued = db.prepare("SELECT * FROM backup_jobs WHERE status = 'queued' ORDER BY id ASC").all();
+    for (const job of queued) {
+      if (this.running.size >= limit) break;
+      if (busyServers.has(Number(job.server_id))) continue;
+      busyServers.add(Number(job.server_id));
+      this.execute(job);
+    }
+  }
+
+  async execute(row) {
+    const db = getDatabase();
+    const controller = new AbortController();
+    this.running.set(row.id, { controller, serverId: row.server_id });
+    db.prepare("UPDATE backup_jobs SET status = 'running', started_at = ?, progress_bytes = 0 WHERE id = ?")
+      .run(new Date().toISOString(), row.id);
+    this.emit('job', this.getJob(row.id));
+
+    let lastEmit = 0;
+    let lastPersist = 0;
+    let totalBytes = null;
+    const onProgress = (progressBytes, total) => {
+      totalBytes = total;
+      const now = Date.now();
+      if (now - lastPersist >= PROGRESS_PERSIST_MS) {
+        lastPersist = now;
+        db.prepare('UPDATE backup_jobs SET progress_bytes = ?, total_bytes = ? WHERE id = ?').run(progressBytes, total, row.id);
+      }
+      if (now - lastEmit >= PROGRESS_EMIT_MS) {
+        lastEmit = now;
+        this.emit('progress', { id: row.id, server_id: row.server_id, progress_bytes: progressBytes, total_bytes: total });
+      }
+    };
+
+    try {
+      const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(row.server_id);
+      if (!server) throw new Error('Server not found');
+      const options = serializeJob(row).options;
+      // Pre-stop hooks / stop-backup-start from the server's backup_hooks (options.consistency overrides the mode)
+      const result = await withConsistentSnapshot(server, () => createBackup(server, options, {
+        requestedBy: row.requested_by || 'system',
+        signal: controller.signal,
+        onProgress,
+      }), {
+        mode: options.consistency || null,
+        signal: controller.signal,
+        onPhase: (phase) => {
+          db.prepare('UPDATE backup_jobs SET phase = ? WHERE id = ?').run(phase, row.id);
+          this.emit('job', this.getJob(row.id));
+        },
+      });
+      if (totalBytes !== null) {
+        db.prepare('UPDATE backup_jobs SET progress_bytes = ?, total_bytes = ? WHERE id = ?').run(totalBytes, totalBytes, row.id);
+      }
+      this.finish(row.id, 'completed', { backupId: result.id });
+      console.log(`[BACKUP-JOBS] Job ${row.id} created backup ${result.filename}`);
+    } catch (err) {
+      const cancelled = err?.code === 'CANCELLED' || controller.signal.aborted;
+      this.finish(row.id, cancelled ? 'cancelled' : 'failed', { error: err?.message || String(err) });
+      if (!cancelled) console.error(`[BACKUP-JOBS] Job ${row.id} failed:`, err?.message || err);
+    } finally {
+      this.running.delete(row.id);
+      setImmediate(() => this.pump());
+    }
+  }
+}
+
+const backupJobs = new BackupJobQueue();
+
+module.exports = { BackupJobQueue, backupJobs, serializeJob, FINISHED_STATUSES };
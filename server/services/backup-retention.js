@@ -0,0 +1,292 @@
+/**
+ * Backup retention
+ *
+ * One engine decides which backups to delete, used by the hourly scheduler pass, POST /cleanup
+ * and the dry-run preview. For every server with a backup schedule:
+ *
+ *   - Schedules with any GFS tier set keep the newest keep_last backups, plus the newest backup
+ *     of each of the last keep_daily days, keep_weekly ISO weeks and keep_monthly months that
+ *     have backups (UTC). Everything else is pruned.
+ *   - Schedules without tiers keep the legacy behaviour: backups older than retention_days go.
+ *   - Several schedules on one server are merged by keeping the most generous value of each field.
+ *   - max_total_mb caps the server's total backup size (logical size for dedup backups); the
+ *     oldest backups are pruned until it fits.
+ *
+ * Servers without a schedule are never pruned. Pinned backups and pre-restore safety snapshots
+ * are never pruned (nor counted), the newest backup of a server is never pruned for size, and
+ * backups a surviving incremental still needs are kept until nothing depends on them.
+ *
+ * The backup_limit of non-admin panel users counts their backups across all of their servers.
+ * It is enforced when a backup is queued (checkBackupQuota); retention only reports users over
+ * it in overLimit and never deletes for it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDatabase } = require('../lib/database');
+const { getBackupsDir } = require('../lib/paths');
+const { collectChainDependencies, parseBackupMetadata } = require('./backup-chain');
+const { dedupStore } = require('./dedup-store');
+const backupDestinations = require('./backup-destinations');
+
+const GFS_FIELDS = ['keep_last', 'keep_daily', 'keep_weekly', 'keep_monthly'];
+const DEFAULT_RETENTION_DAYS = 7;
+
+// created_at is written by SQLite as UTC without a zone designator
+const parseCreatedAt = (value) => {
+  const s = String(value || '');
+  const iso = /[zZ]$|[+-]\d\d:?\d\d$/.test(s) ? s : `${s.replace(' ', 'T')}Z`;
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? t : 0;
+};
+
+const dayKey = (t) => new Date(t).toISOString().slice(0, 10);
+const monthKey = (t) => new Date(t).toISOString().slice(0, 7);
+const weekKey = (t) => {
+  const d = new Date(t);
+  const date = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  const dow = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - dow); // Thursday of the ISO week decides its year
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+const toCount = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/**
+ * Merge the schedules of one server into a single policy, or null when it has none.
+ */
+function resolveServerPolicy(schedules) {
+  if (!schedules?.length) return null;
+  const maxOf = (field) => schedules.reduce((acc, s) => {
+    const n = toCount(s[field]);
+    return n === null ? acc : Math.max(acc ?? 0, n);
+  }, null);
+
+  const tiers = Object.fromEntries(GFS_FIELDS.map((f) => [f, maxOf(f)]));
+  const gfs = GFS_FIELDS.some((f) => tiers[f] !== null);
+  const maxTotalMb = maxOf('max_total_mb');
+  return {
+    gfs,
+    keepLast: tiers.keep_last || 0,
+    keepDaily: tiers.keep_daily || 0,
+    keepWeekly: tiers.keep_weekly || 0,
+    keepMonthly: tiers.keep_monthly || 0,
+    retentionDays: maxOf('retention_days') || DEFAULT_RETENTION_DAYS,
+    maxTotalBytes: maxTotalMb ? maxTotalMb * 1024 * 1024 : null,
+  };
+}
+
+/**
+ * Ids kept by a policy's age rules. rows must be sorted newest first.
+ */
+function selectKept(rows, policy, now) {
+  const kept = new Set();
+  if (!policy.gfs) {
+    const cutoff = now - policy.retentionDays * 24 * 60 * 60 * 1000;
+    for (const row of rows) {
+      if (parseCreatedAt(row.created_at) >= cutoff) kept.add(Number(row.id));
+    }
+    return kept;
+  }
+
+  rows.slice(0, policy.keepLast).forEach((row) => kept.add(Number(row.id)));
+  const tiers = [
+    [policy.keepDaily, dayKey],
+    [policy.keepWeekly, weekKey],
+    [policy.keepMonthly, monthKey],
+  ];
+  for (const [count, keyOf] of tiers) {
+    if (!count) continue;
+    const buckets = new Set();
+    for (const row of rows) {
+      const key = keyOf(parseCreatedAt(row.created_at));
+      if (buckets.has(key)) continue;
+      if (buckets.size >= count) break;
+      buckets.add(key);
+      kept.add(Number(row.id));
+    }
+  }
+  return kept;
+}
+
+const isSafetySnapshot = (backup) => Boolean(parseBackupMetadata(backup).safetySnapshot);
+
+const newestFirst = (a, b) => parseCreatedAt(b.created_at) - parseCreatedAt(a.created_at) || Number(b.id) - Number(a.id);
+
+/**
+ * Work out which backups retention would delete. Nothing is changed.
+ *
+ * @param {object} [options]
+ * @param {number} [options.serverId] - only report deletions for this server
+ * @param {number} [options.now] - reference time in ms, for previews
+ * @returns {{ deletions: object[], retainedForChains: number, overLimit: object[] }}
+ */
+function planRetention({ serverId = null, now = Date.now() } = {}) {
+  const db = getDatabase();
+  const backups = db.prepare('SELECT * FROM backups WHERE server_id IS NOT NULL').all().filter((b) => !isSafetySnapshot(b));
+  const schedules = db.prepare('SELECT * FROM backup_schedules').all();
+
+  const byServer = new Map();
+  for (const b of backups) {
+    const key = Number(b.server_id);
+    if (!byServer.has(key)) byServer.set(key, []);
+    byServer.get(key).push(b);
+  }
+  for (const rows of byServer.values()) rows.sort(newestFirst);
+
+  const doomed = new Map();
+  const overLimit = [];
+  const isSurvivor = (row) => !doomed.has(Number(row.id));
+  const prune = (row, reason) => {
+    if (!row.pinned) doomed.set(Number(row.id), reason);
+  };
+
+  // Age rules per server
+  const policies = new Map();
+  for (const [sid, rows] of byServer) {
+    const policy = resolveServerPolicy(schedules.filter((s) => Number(s.server_id) === sid));
+    if (!policy) continue;
+    policies.set(sid, policy);
+    const kept = selectKept(rows, policy, now);
+    for (const row of rows) {
+      if (!kept.has(Number(row.id))) prune(row, policy.gfs ? 'gfs' : 'retention_days');
+    }
+  }
+
+  // Anything a surviving incremental depends on stays, transitively
+  let retainedForChains = 0;
+  const required = collectChainDependencies(db, backups.filter(isSurvivor));
+  for (const id of required) {
+    if (doomed.delete(id)) retainedForChains++;
+  }
+
+  // Prune the oldest prunable survivor of rows until fits() holds
+  const pruneOldest = (rows, fits, reason) => {
+    const newest = new Set([...byServer.values()].map((r) => Number(r[0].id)));
+    while (!fits()) {
+      const survivors = rows.filter(isSurvivor);
+      const needed = collectChainDependencies(db, survivors);
+      const candidate = survivors
+        .filter((row) => !row.pinned && !newest.has(Number(row.id)) && !needed.has(Number(row.id)))
+        .sort((a, b) => newestFirst(b, a))[0];
+      if (!candidate) return false;
+      doomed.set(Number(candidate.id), reason);
+    }
+    return true;
+  };
+
+  // Size cap per server
+  for (const [sid, policy] of policies) {
+    if (!policy.maxTotalBytes) continue;
+    const rows = byServer.get(sid);
+    const total = () => rows.filter(isSurvivor).reduce((sum, r) => sum + (Number(r.size) || 0), 0);
+    if (!pruneOldest(rows, () => total() <= policy.maxTotalBytes, 'max_size')) {
+      overLimit.push({ type: 'max_size', server_id: sid, total_bytes: total(), limit_bytes: policy.maxTotalBytes });
+    }
+  }
+
+  // backup_limit quota per panel user, reported only
+  const users = db.prepare("SELECT id, role, backup_limit FROM panel_users WHERE role != 'admin' AND backup_limit > 0").all();
+  for (const user of users) {
+    const serverIds = db.prepare('SELECT id FROM servers WHERE panel_user_id = ?').all(user.id).map((s) => Number(s.id));
+    const count = serverIds.flatMap((sid) => byServer.get(sid) || []).filter(isSurvivor).length;
+    if (count > user.backup_limit) {
+      overLimit.push({ type: 'quota', panel_user_id: user.id, count, limit: user.backup_limit });
+    }
+  }
+
+  const deletions = backups
+    .filter((b) => doomed.has(Number(b.id)))
+    .filter((b) => !serverId || Number(b.server_id) === Number(serverId))
+    .sort(newestFirst)
+    .map((b) => ({
+      id: b.id,
+      server_id: b.server_id,
+      filename: b.filename,
+      size: b.size,
+      created_at: b.created_at,
+      reason: doomed.get(Number(b.id)),
+    }));
+  return {
+    deletions,
+    retainedForChains,
+    overLimit: serverId ? overLimit.filter((o) => o.type !== 'max_size' || o.server_id === Number(serverId)) : overLimit,
+  };
+}
+
+/**
+ * Throw BACKUP_QUOTA_EXCEEDED when the owner of a server has reached their backup_limit. Counts
+ * the owner's backups (safety snapshots excluded) plus their queued and running backup jobs.
+ * Admins and users without a limit are not checked.
+ */
+function checkBackupQuota(serverId) {
+  const db = getDatabase();
+  const user = db.prepare(
+    `SELECT u.id, u.role, u.backup_limit FROM panel_users u
+       JOIN servers s ON s.panel_user_id = u.id
+      WHERE s.id = ?`
+  ).get(serverId);
+  if (!user || user.role === 'admin' || !(user.backup_limit > 0)) return;
+
+  const backups = db.prepare(
+    'SELECT b.metadata FROM backups b JOIN servers s ON s.id = b.server_id WHERE s.panel_user_id = ?'
+  ).all(user.id).filter((b) => !isSafetySnapshot(b)).length;
+  const pending = db.prepare(
+    `SELECT COUNT(*) AS count FROM backup_jobs j JOIN servers s ON s.id = j.server_id
+      WHERE s.panel_user_id = ? AND j.status IN ('queued', 'running')`
+  ).get(user.id).count;
+  if (backups + pending >= user.backup_limit) {
+    const err = new Error(`Backup limit reached (${user.backup_limit}). Delete a backup or contact an administrator.`);
+    err.code = 'BACKUP_QUOTA_EXCEEDED';
+    err.limit = user.backup_limit;
+    throw err;
+  }
+}
+
+/**
+ * Apply retention: delete what planRetention selects, including remote copies, and garbage
+ * collect the dedup store when dedup backups went.
+ */
+async function enforceRetention() {
+  const db = getDatabase();
+  const plan = planRetention();
+  let deleted = 0;
+  let dedupDeleted = 0;
+  for (const item of plan.deletions) {
+    const b = db.prepare('SELECT * FROM backups WHERE id = ?').get(item.id);
+    if (!b) continue;
+    try {
+      const backupPath = path.join(getBackupsDir(), b.filename);
+      if (fs.existsSync(backupPath)) fs.unlinkSync(backupPath);
+      await backupDestinations.deleteRemoteCopies(b.id);
+      db.prepare('DELETE FROM backups WHERE id = ?').run(b.id);
+      deleted++;
+      if (parseBackupMetadata(b).storage === 'dedup') dedupDeleted++;
+      console.log(`[BACKUP-SCHED] Deleted backup ${b.filename} (${item.reason})`);
+    } catch (e) {
+      console.warn('[BACKUP-SCHED] Failed to delete old backup', b.id, e.message);
+    }
+  }
+  if (dedupDeleted > 0) {
+    try {
+      await dedupStore.collectGarbage(db);
+    } catch (e) {
+      console.warn('[BACKUP-SCHED] Dedup store GC failed:', e.message);
+    }
+  }
+  return { deleted, retainedForChains: plan.retainedForChains, deletions: plan.deletions, overLimit: plan.overLimit };
+}
+
+module.exports = {
+  GFS_FIELDS,
+  resolveServerPolicy,
+  planRetention,
+  enforceRetention,
+  checkBackupQuota,
+};
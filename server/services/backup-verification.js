@@ -0,0 +1,298 @@
+/**
+ * Backup verification and restore drills
+ *
+ * Verification extracts a backup (its whole incremental chain, fetching remote-only links) into
+ * a scratch directory and checks every file against the checksum manifest recorded when the
+ * backup was created. The result is stored on the backup row as health 'healthy' or 'corrupt'.
+ * Backups created before checksums were recorded are only checked for being extractable.
+ *
+ * A restore drill is a verification that also runs a smoke command inside the extracted tree
+ * (cwd and RESTORE_DIR point at it) and records the outcome in backup_drills. The command runs
+ * the way the backup's server runs: in a throwaway container of its image for docker servers,
+ * as a host process only for native ones, and not at all for remote servers or backups without
+ * a server. Drills can be run on demand or from backup_drill_schedules, which always drill the
+ * newest backup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const kill = require('tree-kill');
+const { getDatabase } = require('../lib/database');
+const { getBackupsDir } = require('../lib/paths');
+const AuditService = require('./AuditService');
+const { parseBackupMetadata } = require('./backup-chain');
+const { packageVerification } = require('./package-verification');
+const { extractBackupToDirectory } = require('./backup-extractor');
+const runtimeDrivers = require('./runtime-drivers');
+const dockerRuntime = require('./docker-runtime');
+
+const MAX_REPORTED_ERRORS = 50;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const DEFAULT_DRILL_TIMEOUT_SECONDS = 300;
+const MAX_DRILL_TIMEOUT_SECONDS = 3600;
+
+// Errors that say nothing about the backup itself; the backup is not marked corrupt for them
+const INCONCLUSIVE_CODES = ['BACKUP_KEY_MISSING', 'REMOTE_FAILED'];
+
+const createScratchDir = (kind, backupId) => {
+  const dir = path.join(getBackupsDir(), 'tmp', `${kind}-${backupId}-${crypto.randomBytes(4).toString('hex')}`);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+};
+
+const recordHealth = (db, backupId, health, error) => {
+  db.prepare('UPDATE backups SET health = ?, verified_at = ?, verify_error = ? WHERE id = ?')
+    .run(health, new Date().toISOString(), error || null, backupId);
+};
+
+/**
+ * Extract a backup into dir and compare it with its checksum manifest.
+ * Resolves with { healthy, checkedFiles, errors, checksums }; extraction failures count as corrupt
+ * unless their code is inconclusive, in which case they are thrown.
+ */
+async function checkBackupInto(db, backup, dir) {
+  try {
+    await extractBackupToDirectory(db, backup, dir);
+  } catch (err) {
+    if (INCONCLUSIVE_CODES.includes(err.code)) throw err;
+    return { healthy: false, checkedFiles: 0, errors: [`Extraction failed: ${err.message}`], checksums: false };
+  }
+
+  const expected = parseBackupMetadata(backup).checksums;
+  if (!expected?.files) {
+    return { healthy: true, checkedFiles: 0, errors: [], checksums: false };
+  }
+  const integrity = await packageVerification.verifyPackageIntegrity(dir, expected);
+  return {
+    healthy: integrity.valid,
+    checkedFiles: integrity.verifiedFiles.length,
+    errors: integrity.errors.slice(0, MAX_REPORTED_ERRORS),
+    checksums: true,
+  };
+}
+
+const summarizeErrors = (errors) => {
+  if (!errors.length) return null;
+  const extra = errors.length >= MAX_REPORTED_ERRORS ? ' (further errors omitted)' : '';
+  return `${errors.slice(0, 3).join('; ')}${errors.length > 3 ? `; ${errors.length - 3} more` : ''}${extra}`;
+};
+
+/**
+ * Verify a backup and record its health.
+ *
+ * @param {object} backup - backups row
+ * @param {object} [options]
+ * @param {string} [options.requestedBy] - audit log identity
+ * @returns {Promise<object>} { backup_id, health, checked_files, checksums, errors, verified_at }
+ */
+async function verifyBackup(backup, { requestedBy = 'system' } = {}) {
+  const db = getDatabase();
+  const dir = createScratchDir('verify', backup.id);
+  try {
+    const result = await checkBackupInto(db, backup, dir);
+    const health = result.healthy ? 'healthy' : 'corrupt';
+    recordHealth(db, backup.id, health, summarizeErrors(result.errors));
+    AuditService.log(backup.server_id || null, 'BACKUP_VERIFY', requestedBy, `Backup ${backup.filename} verified: ${health}`, {
+      checkedFiles: result.checkedFiles,
+      errors: result.errors.length,
+    });
+    if (!result.healthy) console.warn(`[BACKUP-VERIFY] Backup ${backup.id} is corrupt: ${summarizeErrors(result.errors)}`);
+    return {
+      backup_id: backup.id,
+      health,
+      checked_files: result.checkedFiles,
+      checksums: result.checksums,
+      errors: result.errors,
+      verified_at: db.prepare('SELECT verified_at FROM backups WHERE id = ?').get(backup.id)?.verified_at || null,
+    };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const clampTimeout = (value) => {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_DRILL_TIMEOUT_SECONDS;
+  return Math.min(MAX_DRILL_TIMEOUT_SECONDS, n);
+};
+
+/**
+ * Run a smoke command in the restored tree on the host. Resolves with { exitCode, output, timedOut }.
+ */
+const runHostSmokeCommand = (command, dir, env, timeoutSeconds) => new Promise((resolve) => {
+  let output = '';
+  let timedOut = false;
+  const append = (chunk) => {
+    output += chunk.toString();
+    if (output.length > MAX_OUTPUT_BYTES) output = output.slice(-MAX_OUTPUT_BYTES);
+  };
+
+  const child = spawn(command, { cwd: dir, shell: true, env: { ...process.env, ...env }, windowsHide: true });
+  const timer = setTimeout(() => {
+    timedOut = true;
+    append(`\n[drill] Timed out after ${timeoutSeconds}s\n`);
+    kill(child.pid, 'SIGKILL');
+  }, timeoutSeconds * 1000);
+
+  child.stdout.on('data', append);
+  child.stderr.on('data', append);
+  child.on('error', (err) => append(`\n[drill] ${err.message}\n`));
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    resolve({ exitCode: typeof code === 'number' ? code : null, output, timedOut });
+  });
+});
+
+/**
+ * Run a smoke command in a throwaway container of the server's image with the restored tree
+ * mounted at /srv/server. Resolves with { exitCode, output, timedOut }.
+ */
+async function runContainerSmokeCommand(server, command, dir, env, timeoutSeconds) {
+  let output = '';
+  const append = (chunk) => {
+    output += chunk.toString();
+    if (output.length > MAX_OUTPUT_BYTES) output = output.slice(-MAX_OUTPUT_BYTES);
+  };
+  try {
+    const exitCode = await dockerRuntime.runOneOff({
+      image: runtimeDrivers.buildContainerSpec(server).image,
+      hostPath: dir,
+      envVars: { ...env, RESTORE_DIR: '/srv/server' },
+      command,
+      onData: append,
+      timeoutMs: timeoutSeconds * 1000,
+    });
+    return { exitCode, output, timedOut: false };
+  } catch (err) {
+    if (err.code !== 'ONE_OFF_TIMEOUT') throw err;
+    append(`\n[drill] Timed out after ${timeoutSeconds}s\n`);
+    return { exitCode: null, output, timedOut: true };
+  }
+}
+
+/**
+ * Run a smoke command where the backup's server runs (see the header).
+ */
+async function runSmokeCommand(backup, command, dir, env, timeoutSeconds) {
+  const server = backup.server_id
+    ? getDatabase().prepare('SELECT * FROM servers WHERE id = ?').get(backup.server_id)
+    : null;
+  if (!server) throw new Error('Smoke commands need the backup\'s server to run in');
+  const driver = runtimeDrivers.getConfiguredDriverName(server);
+  if (driver === 'docker') return runContainerSmokeCommand(server, command, dir, env, timeoutSeconds);
+  if (driver === 'native') return runHostSmokeCommand(command, dir, env, timeoutSeconds);
+  throw new Error(`Smoke commands cannot run for ${driver} servers`);
+}
+
+const getDrill = (id) => getDatabase().prepare('SELECT * FROM backup_drills WHERE id = ?').get(id) || null;
+
+/**
+ * Restore drill: extract the backup to a scratch directory, verify it, then run the smoke
+ * command there. Without a command the drill is a plain restore-and-verify.
+ *
+ * @param {object} backup - backups row
+ * @param {object} [options]
+ * @param {string} [options.command] - shell command; exit code 0 passes the drill
+ * @param {number} [options.timeoutSeconds]
+ * @param {string} [options.trigger] - 'manual' or 'scheduled'
+ * @param {number} [options.scheduleId]
+ * @param {string} [options.requestedBy] - audit log identity
+ * @returns {Promise<object>} the backup_drills row
+ */
+async function runRestoreDrill(backup, { command = null, timeoutSeconds = DEFAULT_DRILL_TIMEOUT_SECONDS, trigger = 'manual', scheduleId = null, requestedBy = 'system' } = {}) {
+  const db = getDatabase();
+  const smokeCommand = command ? String(command).trim() : null;
+  const startedAt = Date.now();
+  const drillId = db.prepare(
+    `INSERT INTO backup_drills (backup_id, server_id, schedule_id, trigger, status, command, started_at)
+     VALUES (?, ?, ?, ?, 'running', ?, ?)`
+  ).run(backup.id, backup.server_id || null, scheduleId, trigger, smokeCommand, new Date(startedAt).toISOString()).lastInsertRowid;
+
+  const dir = createScratchDir('drill', backup.id);
+  let status = 'failed';
+  let exitCode = null;
+  let output = null;
+  let error = null;
+  try {
+    const check = await checkBackupInto(db, backup, dir);
+    recordHealth(db, backup.id, check.healthy ? 'healthy' : 'corrupt', summarizeErrors(check.errors));
+    if (!check.healthy) {
+      error = `Backup is corrupt: ${summarizeErrors(check.errors)}`;
+    } else if (smokeCommand) {
+      const result = await runSmokeCommand(backup, smokeCommand, dir, {
+        RESTORE_DIR: dir,
+        BACKUP_ID: String(backup.id),
+        SERVER_ID: backup.server_id ? String(backup.server_id) : '',
+      }, clampTimeout(timeoutSeconds));
+      exitCode = result.exitCode;
+      output = result.output;
+      if (result.timedOut) error = 'Smoke command timed out';
+      else if (exitCode !== 0) error = `Smoke command exited with code ${exitCode}`;
+      else status = 'passed';
+    } else {
+      status = 'passed';
+    }
+  } catch (err) {
+    error = err.message;
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  db.prepare('UPDATE backup_drills SET status = ?, exit_code = ?, output = ?, error = ?, duration_ms = ?, finished_at = ? WHERE id = ?')
+    .run(status, exitCode, output, error, Date.now() - startedAt, new Date().toISOString(), drillId);
+  AuditService.log(backup.server_id || null, 'BACKUP_DRILL', requestedBy, `Restore drill of ${backup.filename} ${status}`, {
+    drillId,
+    trigger,
+    exitCode,
+  });
+  console.log(`[BACKUP-VERIFY] Restore drill ${drillId} of backup ${backup.id} ${status}${error ? `: ${error}` : ''}`);
+  return getDrill(drillId);
+}
+
+/**
+ * Run a drill schedule against the newest backup of its server and record the outcome on the schedule.
+ */
+async function runDrillSchedule(schedule) {
+  const db = getDatabase();
+  db.prepare('UPDATE backup_drill_schedules SET last_run = ? WHERE id = ?').run(new Date().toISOString(), schedule.id);
+  const backup = db.prepare('SELECT * FROM backups WHERE server_id = ? ORDER BY created_at DESC, id DESC LIMIT 1').get(schedule.server_id);
+  if (!backup) {
+    db.prepare("UPDATE backup_drill_schedules SET last_status = 'skipped' WHERE id = ?").run(schedule.id);
+    return null;
+  }
+  const drill = await runRestoreDrill(backup, {
+    command: schedule.command,
+    timeoutSeconds: schedule.timeout_seconds,
+    trigger: 'scheduled',
+    scheduleId: schedule.id,
+    requestedBy: 'scheduler',
+  });
+  db.prepare('UPDATE backup_drill_schedules SET last_status = ?, last_drill_id = ? WHERE id = ?').run(drill.status, drill.id, schedule.id);
+  return drill;
+}
+
+/**
+ * Latest finished drill per backup id, for the backups list.
+ */
+function getLatestDrills(backupIds) {
+  const ids = (backupIds || []).map(Number).filter(Number.isFinite);
+  if (!ids.length) return new Map();
+  const rows = getDatabase().prepare(
+    `SELECT d.id, d.backup_id, d.status, d.exit_code, d.error, d.trigger, d.finished_at
+     FROM backup_drills d
+     WHERE d.id IN (SELECT MAX(id) FROM backup_drills WHERE status != 'running' AND backup_id IN (${ids.map(() => '?').join(',')}) GROUP BY backup_id)`
+  ).all(...ids);
+  return new Map(rows.map((r) => [Number(r.backup_id), r]));
+}
+
+module.exports = {
+  verifyBackup,
+  runRestoreDrill,
+  runDrillSchedule,
+  getLatestDrills,
+  getDrill,
+  DEFAULT_DRILL_TIMEOUT_SECONDS,
+  MAX_DRILL_TIMEOUT_SECONDS,
+};
@@ -0,0 +1,606 @@
+/**
+ * Content-addressed deduplicating backup store
+ *
+ * Files are split into content-defined chunks (gear rolling hash), each chunk is stored once under
+ * its sha256 across every backup and server, and a backup is just a gzipped JSON manifest listing
+ * files and their chunk hashes. Unreferenced chunks are removed by mark-and-sweep garbage collection.
+ *
+ * Layout under <backups>/store:
+ *   chunks/<2 hex>/<sha256>   deflated chunk data, encrypted when backup encryption is enabled
+ *   manifests/<name>.json.gz  one manifest per backup (backups.filename points here)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const archiver = require('archiver');
+const { getBackupsDir } = require('../lib/paths');
+const backupCrypto = require('./backup-crypto');
+const { prepareRestoreTarget } = require('./restore-target');
+
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MIN_CHUNK = 256 * 1024;
+const MAX_CHUNK = 4 * 1024 * 1024;
+const CHUNK_MASK = (1 << 20) - 1; // ~1 MiB average chunk
+const GC_GRACE_MS = 10 * 60 * 1000;
+
+// Deterministic gear table: chunk boundaries must be identical across runs for deduplication to work.
+const GEAR = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  GEAR[i] = crypto.createHash('sha256').update(`turbonox-gear-${i}`).digest().readUInt32BE(0);
+}
+
+const STORE_MANIFEST_VERSION = 1;
+
+class DedupStore {
+  constructor(rootDir = null) {
+    this.customRoot = rootDir;
+    this.activeWriters = 0;
+    this.gcRunning = false;
+  }
+
+  get rootDir() {
+    return this.customRoot || path.join(getBackupsDir(), 'store');
+  }
+
+  get chunksDir() {
+    return path.join(this.rootDir, 'chunks');
+  }
+
+  get manifestsDir() {
+    return path.join(this.rootDir, 'manifests');
+  }
+
+  /**
+   * backups.filename for a manifest, relative to the backups directory
+   */
+  relativeManifestName(manifestFile) {
+    return path.posix.join('store', 'manifests', manifestFile);
+  }
+
+  resolveManifestPath(filename) {
+    return path.join(getBackupsDir(), filename);
+  }
+
+  chunkPath(hash) {
+    return path.join(this.chunksDir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Split a file into content-defined chunks.
+   */
+  async *chunkFile(filePath) {
+    const stream = fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+    let parts = [];
+    let size = 0;
+    let h = 0;
+
+    for await (const buf of stream) {
+      let start = 0;
+      let i = 0;
+      while (i < buf.length) {
+        if (size < MIN_CHUNK) {
+          // Bytes below the minimum chunk size never produce a cut point, so skip hashing them.
+          const skip = Math.min(MIN_CHUNK - size, buf.length - i);
+          i += skip;
+          size += skip;
+          continue;
+        }
+        h = ((h << 1) + GEAR[buf[i]]) >>> 0;
+        i++;
+        size++;
+        if ((h & CHUNK_MASK) === 0 || size >= MAX_CHUNK) {
+          parts.push(buf.subarray(start, i));
+          yield Buffer.concat(parts);
+          parts = [];
+          size = 0;
+          h = 0;
+          start = i;
+        }
+      }
+      if (start < buf.length) parts.push(buf.subarray(start));
+    }
+
+    if (size > 0) yield Buffer.concat(parts);
+  }
+
+  isChunkEncrypted(hash) {
+    try {
+      return Boolean(backupCrypto.readFileHeader(this.chunkPath(hash)));
+    } catch {
+      return false;
+    }
+  }
+
+  writeChunkFile(target, body) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const tmp = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    fs.writeFileSync(tmp, body);
+    fs.renameSync(tmp, target);
+  }
+
+  /**
+   * Store a chunk if it is not already present. Returns the number of physical bytes written.
+   * With an encryption key, a plaintext copy left from before encryption was enabled is replaced.
+   */
+  async putChunk(hash, data, compressionLevel, encryptionKey = null) {
+    const target = this.chunkPath(hash);
+    if (fs.existsSync(target) && (!encryptionKey || this.isChunkEncrypted(hash))) {
+      // Touch so a concurrent GC sweep treats it as recently used.
+      try {
+        const now = new Date();
+        fs.utimesSync(target, now, now);
+      } catch {
+        // ignore
+      }
+      return 0;
+    }
+    const compressed = await deflate(data, { level: compressionLevel });
+    const body = encryptionKey ? backupCrypto.encryptBuffer(compressed, encryptionKey) : compressed;
+    this.writeChunkFile(target, body);
+    return body.length;
+  }
+
+  async getChunk(hash) {
+    let raw = fs.readFileSync(this.chunkPath(hash));
+    if (backupCrypto.isEncryptedBuffer(raw)) raw = backupCrypto.decryptBuffer(raw);
+    const data = await inflate(raw);
+    const actual = crypto.createHash('sha256').update(data).digest('hex');
+    if (actual !== hash) {
+      throw new Error(`Chunk ${hash} is corrupt (content hash ${actual})`);
+    }
+    return data;
+  }
+
+  async readManifest(filename) {
+    const raw = await gunzip(fs.readFileSync(this.resolveManifestPath(filename)));
+    const manifest = JSON.parse(raw.toString('utf8'));
+    if (!manifest || !Array.isArray(manifest.files)) {
+      throw new Error(`Invalid dedup manifest: ${filename}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Write a backup of sourceDir into the store.
+   *
+   * @param {object} options
+   * @param {string} options.sourceDir - Directory to back up
+   * @param {string} options.name - Base name for the manifest file
+   * @param {Array} options.files - Entries from the sha1 file manifest ({ path, size, mtimeMs, sha1 })
+   * @param {object} [options.previous] - Previous store manifest of the same server; unchanged files reuse its chunk lists
+   * @param {number} [options.compressionLevel]
+   * @param {object} [options.encryptionKey] - backup_keys row; chunks are encrypted with it when set
+   * @param {AbortSignal} [options.signal] - aborts between chunks; chunks already written are left to GC
+   * @param {Function} [options.onProgress] - called with the number of source bytes processed so far
+   */
+  async writeBackup({ sourceDir, name, files, previous = null, compressionLevel = 6, encryptionKey = null, signal = null, onProgress = null }) {
+    const throwIfAborted = () => {
+      if (signal?.aborted) throw signal.reason || new Error('Backup aborted');
+    };
+    this.activeWriters++;
+    try {
+      const previousByPath = new Map((previous?.files || []).map((f) => [f.path, f]));
+      const entries = [];
+      let addedBytes = 0;
+      let logicalSize = 0;
+      let reusedFiles = 0;
+
+      for (const file of files) {
+        throwIfAborted();
+        const full = path.join(sourceDir, file.path);
+        let mode = null;
+        try {
+          mode = fs.statSync(full).mode & 0o7777;
+        } catch {
+          continue;
+        }
+
+        const prev = previousByPath.get(file.path);
+        const reusable = prev && prev.sha1 === file.sha1 && prev.size === file.size
+          && prev.chunks.every((c) => fs.existsSync(this.chunkPath(c)) && (!encryptionKey || this.isChunkEncrypted(c)));
+        if (reusable) {
+          entries.push({ ...prev, mtimeMs: file.mtimeMs, mode });
+          logicalSize += prev.size;
+          reusedFiles++;
+          if (onProgress) onProgress(logicalSize);
+          continue;
+        }
+
+        const chunks = [];
+        const sha1 = crypto.createHash('sha1');
+        let size = 0;
+        for await (const chunk of this.chunkFile(full)) {
+          throwIfAborted();
+          const hash = crypto.createHash('sha256').update(chunk).digest('hex');
+          addedBytes += await this.putChunk(hash, chunk, compressionLevel, encryptionKey);
+          sha1.update(chunk);
+          size += chunk.length;
+          chunks.push(hash);
+          if (onProgress) onProgress(logicalSize + size);
+        }
+        entries.push({ path: file.path, size, mtimeMs: file.mtimeMs, mode, sha1: sha1.digest('hex'), chunks });
+        logicalSize += size;
+      }
+
+      const directories = [];
+      const walkDirs = (dir) => {
+        for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+          if (!ent.isDirectory()) continue;
+          const full = path.join(dir, ent.name);
+          directories.push(path.relative(sourceDir, full).replace(/\\/g, '/'));
+          walkDirs(full);
+        }
+      };
+      if (fs.existsSync(sourceDir)) walkDirs(sourceDir);
+
+      const manifest = {
+        version: STORE_MANIFEST_VERSION,
+        createdAt: new Date().toISOString(),
+        directories,
+        files: entries,
+      };
+
+      fs.mkdirSync(this.manifestsDir, { recursive: true });
+      const manifestFile = `${name}.json.gz`;
+      const body = await gzip(Buffer.from(JSON.stringify(manifest)));
+      fs.writeFileSync(path.join(this.manifestsDir, manifestFile), body);
+
+      return {
+        filename: this.relativeManifestName(manifestFile),
+        manifestSize: body.length,
+        logicalSize,
+        addedBytes,
+        fileCount: entries.length,
+        reusedFiles,
+      };
+    } finally {
+      this.activeWriters--;
+    }
+  }
+
+  /**
+   * Materialize a backup into destinationDir (files are overwritten, nothing is deleted).
+   */
+  async restore(filename, destinationDir) {
+    const manifest = await this.readManifest(filename);
+    const root = path.resolve(destinationDir);
+    // Symlinks already in the destination are replaced, not followed (see restore-target)
+    const confine = (rel, type) => {
+      const target = prepareRestoreTarget(root, rel, type);
+      if (!target) throw new Error(`Refusing to restore outside of the target directory: ${rel}`);
+      return target;
+    };
+
+    fs.mkdirSync(root, { recursive: true });
+    for (const dir of manifest.directories || []) {
+      confine(dir, 'directory');
+    }
+
+    for (const file of manifest.files) {
+      const target = confine(file.path, 'file');
+      const fd = fs.openSync(target, 'w');
+      try {
+        for (const hash of file.chunks) {
+          fs.writeSync(fd, await this.getChunk(hash));
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+      if (file.mode) {
+        try {
+          fs.chmodSync(target, file.mode);
+        } catch {
+          // ignore (e.g. Windows)
+        }
+      }
+    }
+
+    return { files: manifest.files.length };
+  }
+
+  /**
+   * Stream a backup as a zip archive (used for downloads and remote uploads).
+   */
+  async createZipStream(filename, compressionLevel = 6) {
+    const manifest = await this.readManifest(filename);
+    const archive = archiver('zip', { zlib: { level: compressionLevel } });
+    const { Readable } = require('stream');
+    const store = this;
+
+    (async () => {
+      for (const dir of manifest.directories || []) {
+        archive.append(null, { name: `${dir}/`, type: 'directory' });
+      }
+      for (const file of manifest.files) {
+        const body = Readable.from((async function* read() {
+          for (const hash of file.chunks) yield await store.getChunk(hash);
+        })());
+        archive.append(body, { name: file.path, mode: file.mode || undefined, date: new Date(file.mtimeMs || Date.now()) });
+      }
+      archive.finalize();
+    })().catch((err) => archive.emit('error', err));
+
+    return archive;
+  }
+
+  async exportZip(filename, destinationPath, compressionLevel = 6) {
+    const archive = await this.createZipStream(filename, compressionLevel);
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(destinationPath);
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.pipe(output);
+    });
+    return destinationPath;
+  }
+
+  /**
+   * Rewrite every chunk under keyRow (plaintext chunks included). Used by key rotation.
+   */
+  async reencryptChunks(keyRow) {
+    this.activeWriters++;
+    let rewritten = 0;
+    let failed = 0;
+    try {
+      for (const chunk of this.listChunkFiles()) {
+        if (chunk.hash.endsWith('.tmp')) continue;
+        try {
+          let raw = fs.readFileSync(chunk.full);
+          if (backupCrypto.isEncryptedBuffer(raw)) {
+            if (backupCrypto.readFileHeader(chunk.full)?.keyId === keyRow.key_id) continue;
+            raw = backupCrypto.decryptBuffer(raw);
+          }
+          this.writeChunkFile(chunk.full, backupCrypto.encryptBuffer(raw, keyRow));
+          rewritten++;
+        } catch (err) {
+          failed++;
+          console.warn(`[DEDUP-STORE] Failed to re-encrypt chunk ${chunk.hash}:`, err.message);
+        }
+      }
+    } finally {
+      this.activeWriters--;
+    }
+    return { rewritten, failed };
+  }
+
+  /**
+   * Manifest filenames of every dedup backup still recorded in the database.
+   */
+  /**
+   * Dedup backup rows whose manifest is in the store. Backups evicted to a remote destination
+   * (manifest gone, remote copy recorded) no longer hold on to their chunks.
+   */
+  getLiveManifests(db) {
+    const rows = db.prepare(
+      `SELECT b.id, b.filename, b.metadata,
+              EXISTS (SELECT 1 FROM backup_remote_copies c WHERE c.backup_id = b.id) AS has_remote_copy
+       FROM backups b`
+    ).all();
+    return rows.filter((r) => {
+      try {
+        if (JSON.parse(r.metadata || '{}')?.storage !== 'dedup') return false;
+      } catch {
+        return false;
+      }
+      return !(r.has_remote_copy && !fs.existsSync(this.resolveManifestPath(r.filename)));
+    });
+  }
+
+  listChunkFiles() {
+    const out = [];
+    if (!fs.existsSync(this.chunksDir)) return out;
+    for (const prefix of fs.readdirSync(this.chunksDir)) {
+      const dir = path.join(this.chunksDir, prefix);
+      let names;
+      try {
+        names = fs.readdirSync(dir);
+      } catch {
+        continue;
+      }
+      for (const name of names) {
+        out.push({ hash: name, full: path.join(dir, name) });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Mark-and-sweep: delete chunks no live manifest references, plus orphaned manifest files.
+   * Chunks written within the grace window are kept so in-flight backups are never swept.
+   */
+  async collectGarbage(db) {
+    if (this.gcRunning || this.activeWriters > 0) {
+      return { skipped: true, deletedChunks: 0, freedBytes: 0 };
+    }
+    this.gcRunning = true;
+    try {
+      const live = this.getLiveManifests(db);
+      const liveManifestFiles = new Set(live.map((r) => path.basename(r.filename)));
+      const referenced = new Set();
+      for (const row of live) {
+        try {
+          const manifest = await this.readManifest(row.filename);
+          for (const f of manifest.files) for (const c of f.chunks) referenced.add(c);
+        } catch (err) {
+          // A manifest we cannot read might still reference anything: abort instead of sweeping.
+          throw new Error(`Cannot read manifest ${row.filename}, aborting garbage collection: ${err.message}`);
+        }
+      }
+
+      const cutoff = Date.now() - GC_GRACE_MS;
+      let deletedChunks = 0;
+      let freedBytes = 0;
+      for (const chunk of this.listChunkFiles()) {
+        if (referenced.has(chunk.hash)) continue;
+        try {
+          const st = fs.statSync(chunk.full);
+          if (st.mtimeMs > cutoff) continue;
+          fs.unlinkSync(chunk.full);
+          deletedChunks++;
+          freedBytes += st.size;
+        } catch {
+          // ignore
+        }
+      }
+
+      let deletedManifests = 0;
+      if (fs.existsSync(this.manifestsDir)) {
+        for (const name of fs.readdirSync(this.manifestsDir)) {
+          if (liveManifestFiles.has(name)) continue;
+          const full = path.join(this.manifestsDir, name);
+          try {
+            if (fs.statSync(full).mtimeMs > cutoff) continue;
+            fs.unlinkSync(full);
+            deletedManifests++;
+          } catch {
+            // ignore
+          }
+        }
+      }
+
+      if (deletedChunks || deletedManifests) {
+        console.log(`[DEDUP-STORE] GC removed ${deletedChunks} chunk(s), ${deletedManifests} manifest(s), freed ${freedBytes} bytes`);
+      }
+      return { skipped: false, deletedChunks, deletedManifests, freedBytes };
+    } finally {
+      this.gcRunning = false;
+    }
+  }
+
+  /**
+   * Check that every chunk referenced by the given manifests (default: all live ones) exists and
+   * hashes to its name. Also reports chunks present in the store that nothing references.
+   */
+  async verify(db, filenames = null) {
+    const rows = filenames
+      ? filenames.map((filename) => ({ filename }))
+      : this.getLiveManifests(db);
+
+    const result = { ok: true, manifests: [], missingChunks: [], corruptChunks: [], undecryptableChunks: [], checkedChunks: 0 };
+    const checked = new Map();
+
+    for (const row of rows) {
+      const entry = { filename: row.filename, ok: true, files: 0, errors: [] };
+      let manifest;
+      try {
+        manifest = await this.readManifest(row.filename);
+      } catch (err) {
+        entry.ok = false;
+        entry.errors.push(err.message);
+        result.ok = false;
+        result.manifests.push(entry);
+        continue;
+      }
+      entry.files = manifest.files.length;
+
+      for (const file of manifest.files) {
+        for (const hash of file.chunks) {
+          if (!checked.has(hash)) {
+            let status = 'ok';
+            if (!fs.existsSync(this.chunkPath(hash))) {
+              status = 'missing';
+              result.missingChunks.push(hash);
+            } else {
+              try {
+                await this.getChunk(hash);
+              } catch (err) {
+                if (err.code === 'BACKUP_KEY_MISSING') {
+                  status = 'encrypted with a missing key';
+                  result.undecryptableChunks.push(hash);
+                } else {
+                  status = 'corrupt';
+                  result.corruptChunks.push(hash);
+                }
+              }
+            }
+            checked.set(hash, status);
+            result.checkedChunks++;
+          }
+          const status = checked.get(hash);
+          if (status !== 'ok') {
+            entry.ok = false;
+            entry.errors.push(`${file.path}: chunk ${hash} is ${status}`);
+          }
+        }
+      }
+
+      if (!entry.ok) result.ok = false;
+      result.manifests.push(entry);
+    }
+
+    return result;
+  }
+
+  /**
+   * Logical size (sum of file sizes across all backups) vs physical size (chunks on disk).
+   */
+  async stats(db) {
+    const live = this.getLiveManifests(db);
+    let logicalBytes = 0;
+    let files = 0;
+    const referenced = new Set();
+    for (const row of live) {
+      try {
+        const manifest = await this.readManifest(row.filename);
+        for (const f of manifest.files) {
+          logicalBytes += f.size || 0;
+          files++;
+          for (const c of f.chunks) referenced.add(c);
+        }
+      } catch {
+        // ignore unreadable manifests in stats
+      }
+    }
+
+    let physicalBytes = 0;
+    let chunkCount = 0;
+    for (const chunk of this.listChunkFiles()) {
+      try {
+        physicalBytes += fs.statSync(chunk.full).size;
+        chunkCount++;
+      } catch {
+        // ignore
+      }
+    }
+
+    let manifestBytes = 0;
+    if (fs.existsSync(this.manifestsDir)) {
+      for (const name of fs.readdirSync(this.manifestsDir)) {
+        try {
+          manifestBytes += fs.statSync(path.join(this.manifestsDir, name)).size;
+        } catch {
+          // ignore
+        }
+      }
+    }
+
+    return {
+      backups: live.length,
+      files,
+      logicalBytes,
+      physicalBytes: physicalBytes + manifestBytes,
+      chunkBytes: physicalBytes,
+      manifestBytes,
+      chunks: chunkCount,
+      referencedChunks: referenced.size,
+      unreferencedChunks: Math.max(0, chunkCount - referenced.size),
+      dedupRatio: physicalBytes + manifestBytes > 0 ? logicalBytes / (physicalBytes + manifestBytes) : null,
+    };
+  }
+}
+
+// Global instance
+const dedupStore = new DedupStore();
+
+module.exports = {
+  DedupStore,
+  dedupStore,
+};
@@ -0,0 +1,570 @@
+/**
+ * Docker Engine API client
+ *
+ * Talks HTTP to the daemon over its unix socket (named pipe on Windows) instead of spawning the
+ * docker CLI per operation. Covers what the runtime needs: images, container lifecycle and
+ * inspect, one-shot and streaming stats with raw byte counters, log streaming with timestamps,
+ * the event stream, exec (plain, or interactive with a TTY) and stdin attach.
+ *
+ * The socket comes from DOCKER_HOST when it is a unix:// or npipe:// URL, so the client can be
+ * pointed at a stub socket. API errors carry statusCode and the daemon's message
+ * (e.g. "No such container: turbonox-srv-1").
+ */
+
+const http = require('http');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Stream types in multiplexed (non-TTY) attach/logs/exec output
+const STREAM_TYPES = { 0: 'stdin', 1: 'stdout', 2: 'stderr' };
+
+function resolveSocketPath() {
+  const host = String(process.env.DOCKER_HOST || '').trim();
+  if (host.startsWith('unix://')) return host.slice('unix://'.length);
+  if (host.startsWith('npipe://')) return host.slice('npipe://'.length).replace(/\//g, '\\');
+  return process.platform === 'win32' ? '\\\\.\\pipe\\docker_engine' : '/var/run/docker.sock';
+}
+
+const buildQuery = (query = {}) => {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value === undefined || value === null) continue;
+    params.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  const s = params.toString();
+  return s ? `?${s}` : '';
+};
+
+const apiError = (statusCode, body, fallback) => {
+  let message = fallback;
+  try {
+    message = JSON.parse(body).message || message;
+  } catch {
+    if (String(body || '').trim()) message = String(body).trim();
+  }
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Split a multiplexed stream into { stream, data } frames. Each frame has an 8-byte header:
+ * stream type, three zero bytes and the big-endian payload length.
+ */
+class StreamDemuxer {
+  constructor(onFrame) {
+    this.onFrame = onFrame;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    while (this.buffer.length >= 8) {
+      const size = this.buffer.readUInt32BE(4);
+      if (this.buffer.length < 8 + size) break;
+      const stream = STREAM_TYPES[this.buffer[0]] || 'stdout';
+      const data = this.buffer.subarray(8, 8 + size);
+      this.buffer = this.buffer.subarray(8 + size);
+      this.onFrame({ stream, data });
+    }
+  }
+}
+
+// Emit each complete line of a newline-delimited JSON stream
+const jsonLines = (onObject) => {
+  let pending = '';
+  return (chunk) => {
+    pending += chunk.toString('utf8');
+    const lines = pending.split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        onObject(JSON.parse(line));
+      } catch {
+        // ignore partial or malformed lines
+      }
+    }
+  };
+};
+
+/**
+ * { close, done } for a streaming response. done settles when the stream ends; it only rejects
+ * for errors other than our own close(), and an unawaited rejection is not reported as unhandled.
+ */
+const streamHandle = (req, res) => {
+  let closed = false;
+  const done = new Promise((resolve, reject) => {
+    res.on('end', resolve);
+    res.on('close', resolve);
+    res.on('error', (err) => (closed ? resolve() : reject(err)));
+  });
+  done.catch(() => null);
+  return {
+    close: () => {
+      closed = true;
+      req.destroy();
+    },
+    done,
+  };
+};
+
+/**
+ * CPU, memory, network and block I/O from a stats sample, computed the way `docker stats` does.
+ * Memory excludes the page cache (cgroup v1 "cache", v2 "inactive_file").
+ */
+function computeStats(sample) {
+  const cpu = sample?.cpu_stats || {};
+  const precpu = sample?.precpu_stats || {};
+  const cpuDelta = (cpu.cpu_usage?.total_usage || 0) - (precpu.cpu_usage?.total_usage || 0);
+  const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+  const onlineCpus = cpu.online_cpus || cpu.cpu_usage?.percpu_usage?.length || 1;
+  const cpuPercent = cpuDelta > 0 && systemDelta > 0 ? (cpuDelta / systemDelta) * onlineCpus * 100 : 0;
+
+  const mem = sample?.memory_stats || {};
+  const cache = mem.stats?.inactive_file ?? mem.stats?.total_inactive_file ?? mem.stats?.cache ?? 0;
+  const memUsedBytes = Math.max(0, (mem.usage || 0) - cache);
+
+  let netRxBytes = 0;
+  let netTxBytes = 0;
+  for (const net of Object.values(sample?.networks || {})) {
+    netRxBytes += net.rx_bytes || 0;
+    netTxBytes += net.tx_bytes || 0;
+  }
+
+  let blockReadBytes = 0;
+  let blockWriteBytes = 0;
+  for (const entry of sample?.blkio_stats?.io_service_bytes_recursive || []) {
+    const op = String(entry.op || '').toLowerCase();
+    if (op === 'read') blockReadBytes += entry.value || 0;
+    else if (op === 'write') blockWriteBytes += entry.value || 0;
+  }
+
+  return {
+    cpuPercent,
+    memUsedBytes,
+    memLimitBytes: mem.limit || 0,
+    netRxBytes,
+    netTxBytes,
+    blockReadBytes,
+    blockWriteBytes,
+    pids: sample?.pids_stats?.current || 0,
+    read: sample?.read || null,
+  };
+}
+
+/**
+ * "image:tag" -> { fromImage, tag }; a port in the registry host is not a tag.
+ */
+function splitImageReference(image) {
+  const ref = String(image || '').trim();
+  if (ref.includes('@')) return { fromImage: ref, tag: undefined };
+  const slash = ref.lastIndexOf('/');
+  const colon = ref.lastIndexOf(':');
+  if (colon > slash) return { fromImage: ref.slice(0, colon), tag: ref.slice(colon + 1) };
+  return { fromImage: ref, tag: 'latest' };
+}
+
+class DockerEngineClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.socketPath] - defaults to DOCKER_HOST or the platform default socket
+   * @param {string} [options.apiVersion] - e.g. "1.41"; unversioned paths use the daemon's own version
+   * @param {number} [options.timeoutMs] - timeout for non-streaming requests
+   */
+  constructor({ socketPath = null, apiVersion = null, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.socketPath = socketPath || resolveSocketPath();
+    this.apiVersion = apiVersion;
+    this.timeoutMs = timeoutMs;
+  }
+
+  apiPath(pathname, query) {
+    return `${this.apiVersion ? `/v${this.apiVersion}` : ''}${pathname}${buildQuery(query)}`;
+  }
+
+  /**
+   * Open a request and resolve with the response once its headers arrive. Non-2xx responses
+   * reject with the daemon's error message. The caller consumes the body.
+   */
+  open(method, pathname, { query, body, headers = {}, timeoutMs = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = body === undefined || body === null ? null : Buffer.from(JSON.stringify(body));
+      const req = http.request({
+        socketPath: this.socketPath,
+        method,
+        path: this.apiPath(pathname, query),
+        headers: {
+          Host: 'docker',
+          ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': payload.length } : {}),
+          ...headers,
+        },
+      }, (res) => {
+        // 304: already started/stopped, which callers treat as success
+        if ((res.statusCode >= 200 && res.statusCode < 300) || res.statusCode === 304) return resolve({ res, req });
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => reject(apiError(res.statusCode, Buffer.concat(chunks).toString('utf8'), `Docker API ${method} ${pathname} failed with status ${res.statusCode}`)));
+        res.on('error', reject);
+      });
+      if (timeoutMs) {
+        req.setTimeout(timeoutMs, () => req.destroy(new Error(`Docker API ${method} ${pathname} timed out`)));
+      }
+      req.on('error', reject);
+      req.end(payload || undefined);
+    });
+  }
+
+  /**
+   * Request and buffer the response: parsed JSON when the daemon sends JSON, otherwise a string.
+   */
+  async request(method, pathname, options = {}) {
+    const { res } = await this.open(method, pathname, { timeoutMs: this.timeoutMs, ...options });
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', resolve);
+      res.on('error', reject);
+    });
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (String(res.headers['content-type'] || '').includes('application/json') && text.trim()) {
+      return JSON.parse(text);
+    }
+    return text;
+  }
+
+  /**
+   * Stream newline-delimited JSON objects to onObject until closed. Returns { close, done }.
+   */
+  async streamJson(method, pathname, onObject, options = {}) {
+    const { res, req } = await this.open(method, pathname, options);
+    res.on('data', jsonLines(onObject));
+    return streamHandle(req, res);
+  }
+
+  async ping() {
+    return (await this.request('GET', '/_ping')) === 'OK';
+  }
+
+  async info() {
+    return this.request('GET', '/info');
+  }
+
+  // Images
+
+  async inspectImage(image) {
+    return this.request('GET', `/images/${encodeURIComponent(image)}/json`);
+  }
+
+  /**
+   * Pull an image and wait for it. Progress objects go to onProgress; a pull that reports an
+   * error in its stream rejects.
+   */
+  async pullImage(image, { onProgress = null } = {}) {
+    let failure = null;
+    const stream = await this.streamJson('POST', '/images/create', (event) => {
+      if (event.error) failure = event.error;
+      if (onProgress) onProgress(event);
+    }, { query: splitImageReference(image) });
+    await stream.done;
+    if (failure) throw new Error(`Failed to pull ${image}: ${failure}`);
+  }
+
+  // Containers
+
+  async createContainer(name, config) {
+    return this.request('POST', '/containers/create', { query: { name }, body: config });
+  }
+
+  async startContainer(id) {
+    await this.request('POST', `/containers/${encodeURIComponent(id)}/start`);
+  }
+
+  async stopContainer(id, { timeoutSeconds = 10 } = {}) {
+    await this.request('POST', `/containers/${encodeURIComponent(id)}/stop`, {
+      query: { t: timeoutSeconds },
+      timeoutMs: this.timeoutMs + timeoutSeconds * 1000,
+    });
+  }
+
+  async restartContainer(id, { timeoutSeconds = 10 } = {}) {
+    await this.request('POST', `/containers/${encodeURIComponent(id)}/restart`, {
+      query: { t: timeoutSeconds },
+      timeoutMs: this.timeoutMs + timeoutSeconds * 1000,
+    });
+  }
+
+  async killContainer(id, { signal = 'SIGKILL' } = {}) {
+    await this.request('POST', `/containers/${encodeURIComponent(id)}/kill`, { query: { signal } });
+  }
+
+  async removeContainer(id, { force = false, volumes = false } = {}) {
+    await this.request('DELETE', `/containers/${encodeURIComponent(id)}`, { query: { force, v: volumes } });
+  }
+
+  async inspectContainer(id) {
+    return this.request('GET', `/containers/${encodeURIComponent(id)}/json`);
+  }
+
+  async listContainers({ all = false, filters = null } = {}) {
+    return this.request('GET', '/containers/json', { query: { all, filters } });
+  }
+
+  /**
+   * Block until the container exits. Resolves with { StatusCode }.
+   */
+  async waitContainer(id, { condition = 'not-running' } = {}) {
+    return this.request('POST', `/containers/${encodeURIComponent(id)}/wait`, { query: { condition }, timeoutMs: 0 });
+  }
+
+  /**
+   * One stats sample, computed with computeStats. The daemon waits for a second sample so the
+   * CPU delta is meaningful.
+   */
+  async stats(id) {
+    return computeStats(await this.request('GET', `/containers/${encodeURIComponent(id)}/stats`, { query: { stream: false } }));
+  }
+
+  /**
+   * Stream a computed stats sample to onStats about once a second. Returns { close, done }.
+   */
+  async streamStats(id, onStats) {
+    return this.streamJson('GET', `/containers/${encodeURIComponent(id)}/stats`, (sample) => onStats(computeStats(sample)), {
+      query: { stream: true },
+    });
+  }
+
+  /**
+   * Container logs as lines ({ stream, line }), optionally prefixed with RFC 3339 timestamps.
+   */
+  async logs(id, { tail = 100, timestamps = false, since = null, tty = false } = {}) {
+    const out = [];
+    const partial = { stdout: '', stderr: '' };
+    const stream = await this.streamLogs(id, {
+      tail,
+      timestamps,
+      since,
+      tty,
+      follow: false,
+      onData: ({ stream: name, data }) => {
+        const key = name === 'stderr' ? 'stderr' : 'stdout';
+        // Keep partial lines per stream so interleaved frames do not break lines apart
+        const parts = (partial[key] + data.toString('utf8')).split(/\r?\n/);
+        partial[key] = parts.pop();
+        for (const line of parts) out.push({ stream: key, line });
+      },
+    });
+    await stream.done;
+    for (const key of ['stdout', 'stderr']) {
+      if (partial[key]) out.push({ stream: key, line: partial[key] });
+    }
+    return out;
+  }
+
+  /**
+   * Stream log frames ({ stream, data: Buffer }) to onData. With follow the stream stays open
+   * until closed. Returns { close, done }.
+   */
+  async streamLogs(id, { tail = 100, timestamps = false, since = null, follow = true, tty = false, onData }) {
+    const { res, req } = await this.open('GET', `/containers/${encodeURIComponent(id)}/logs`, {
+      query: { stdout: true, stderr: true, follow, timestamps, tail: tail === null ? 'all' : tail, since: since || undefined },
+    });
+    if (tty) {
+      res.on('data', (data) => onData({ stream: 'stdout', data }));
+    } else {
+      const demux = new StreamDemuxer(onData);
+      res.on('data', (chunk) => demux.push(chunk));
+    }
+    return streamHandle(req, res);
+  }
+
+  /**
+   * Subscribe to daemon events, e.g. filters { type: ['container'], event: ['die', 'oom'] }.
+   * Returns { close, done }.
+   */
+  async events({ filters = null, since = null, onEvent }) {
+    return this.streamJson('GET', '/events', onEvent, { query: { filters, since: since || undefined } });
+  }
+
+  /**
+   * Run a command in a running container and collect its output.
+   * Resolves with { exitCode, stdout, stderr }.
+   */
+  async exec(id, cmd, { workingDir = null, env = null, user = null, timeoutMs = DEFAULT_TIMEOUT_MS, maxOutputBytes = 256 * 1024 } = {}) {
+    const created = await this.request('POST', `/containers/${encodeURIComponent(id)}/exec`, {
+      body: {
+        Cmd: Array.isArray(cmd) ? cmd : ['sh', '-lc', String(cmd)],
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: false,
+        ...(workingDir ? { WorkingDir: workingDir } : {}),
+        ...(env ? { Env: env } : {}),
+        ...(user ? { User: user } : {}),
+      },
+    });
+
+    const { res, req } = await this.open('POST', `/exec/${created.Id}/start`, { body: { Detach: false, Tty: false } });
+    const output = { stdout: '', stderr: '' };
+    const demux = new StreamDemuxer(({ stream, data }) => {
+      if (!(stream in output)) return;
+      output[stream] += data.toString('utf8');
+      if (output[stream].length > maxOutputBytes) output[stream] = output[stream].slice(-maxOutputBytes);
+    });
+    let timedOut = false;
+    const timer = timeoutMs ? setTimeout(() => {
+      timedOut = true;
+      req.destroy();
+    }, timeoutMs) : null;
+    await new Promise((resolve) => {
+      res.on('data', (chunk) => demux.push(chunk));
+      res.on('end', resolve);
+      res.on('close', resolve);
+      res.on('error', resolve);
+    });
+    if (timer) clearTimeout(timer);
+
+    if (timedOut) {
+      output.stderr += `\nTimed out after ${timeoutMs}ms`;
+      return { exitCode: null, ...output };
+    }
+    const inspected = await this.request('GET', `/exec/${created.Id}/json`);
+    return { exitCode: typeof inspected.ExitCode === 'number' ? inspected.ExitCode : null, ...output };
+  }
+
+  /**
+   * Open a hijacked connection (attach, interactive exec). Resolves with { socket, head } once
+   * the daemon switched protocols; head holds any bytes that arrived with the response.
+   */
+  hijack(method, pathname, { query, body } = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = body === undefined || body === null ? null : Buffer.from(JSON.stringify(body));
+      const req = http.request({
+        socketPath: this.socketPath,
+        method,
+        path: this.apiPath(pathname, query),
+        headers: {
+          Host: 'docker',
+          Connection: 'Upgrade',
+          Upgrade: 'tcp',
+          ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': payload.length } : { 'Content-Type': 'text/plain' }),
+        },
+      });
+      req.on('upgrade', (res, socket, head) => {
+        // The connection stays open as long as the caller wants it
+        socket.setTimeout(0);
+        socket.on('error', () => null);
+        resolve({ socket, head });
+      });
+      req.on('response', (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => reject(apiError(res.statusCode, Buffer.concat(chunks).toString('utf8'), `Docker API ${method} ${pathname} failed with status ${res.statusCode}`)));
+      });
+      req.setTimeout(this.timeoutMs, () => req.destroy(new Error(`Docker API ${method} ${pathname} timed out`)));
+      req.on('error', reject);
+      req.end(payload || undefined);
+    });
+  }
+
+  /**
+   * Attach to the container's stdin (and optionally its output) through a hijacked connection.
+   * Resolves with { socket, write(data), close() }. Output frames go to onData when given.
+   */
+  async attach(id, { stdout = false, stderr = false, onData = null, tty = false } = {}) {
+    const { socket, head } = await this.hijack('POST', `/containers/${encodeURIComponent(id)}/attach`, {
+      query: { stream: true, stdin: true, stdout, stderr },
+    });
+    if (onData) {
+      const push = tty
+        ? (data) => onData({ stream: 'stdout', data })
+        : ((demux) => (chunk) => demux.push(chunk))(new StreamDemuxer(onData));
+      if (head?.length) push(head);
+      socket.on('data', push);
+    }
+    return {
+      socket,
+      write: (data) => new Promise((ok, fail) => socket.write(data, (err) => (err ? fail(err) : ok()))),
+      close: () => socket.destroy(),
+    };
+  }
+
+  /**
+   * Start an interactive command with a TTY in a running container (docker exec -it).
+   * Raw terminal output goes to onData(buffer); onExit() runs when the command ends.
+   * Resolves with { execId, socket, write(data), resize(cols, rows), close() }.
+   */
+  async execTty(id, cmd, { cols = 80, rows = 24, env = null, workingDir = null, user = null, onData = null, onExit = null } = {}) {
+    const created = await this.request('POST', `/containers/${encodeURIComponent(id)}/exec`, {
+      body: {
+        Cmd: Array.isArray(cmd) ? cmd : ['sh', '-c', String(cmd)],
+        AttachStdin: true,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: true,
+        ConsoleSize: [rows, cols],
+        ...(workingDir ? { WorkingDir: workingDir } : {}),
+        ...(env ? { Env: env } : {}),
+        ...(user ? { User: user } : {}),
+      },
+    });
+    const { socket, head } = await this.hijack('POST', `/exec/${created.Id}/start`, {
+      body: { Detach: false, Tty: true, ConsoleSize: [rows, cols] },
+    });
+    if (onData) {
+      if (head?.length) onData(head);
+      socket.on('data', onData);
+    }
+    if (onExit) socket.on('close', () => onExit());
+    return {
+      execId: created.Id,
+      socket,
+      write: (data) => new Promise((ok, fail) => socket.write(data, (err) => (err ? fail(err) : ok()))),
+      resize: (c, r) => this.resizeExec(created.Id, { cols: c, rows: r }),
+      close: () => socket.destroy(),
+    };
+  }
+
+  async resizeExec(execId, { cols, rows }) {
+    await this.request('POST', `/exec/${encodeURIComponent(execId)}/resize`, { query: { h: rows, w: cols } });
+  }
+
+  // Networks
+
+  async inspectNetwork(name) {
+    return this.request('GET', `/networks/${encodeURIComponent(name)}`);
+  }
+
+  async listNetworks({ filters = null } = {}) {
+    return this.request('GET', '/networks', { query: { filters } });
+  }
+
+  async createNetwork(config) {
+    return this.request('POST', '/networks/create', { body: config });
+  }
+
+  async removeNetwork(name) {
+    await this.request('DELETE', `/networks/${encodeURIComponent(name)}`);
+  }
+
+  async connectNetwork(name, container, { ipv4Address = null } = {}) {
+    await this.request('POST', `/networks/${encodeURIComponent(name)}/connect`, {
+      body: {
+        Container: container,
+        ...(ipv4Address ? { EndpointConfig: { IPAMConfig: { IPv4Address: ipv4Address } } } : {}),
+      },
+    });
+  }
+
+  async disconnectNetwork(name, container, { force = false } = {}) {
+    await this.request('POST', `/networks/${encodeURIComponent(name)}/disconnect`, { body: { Container: container, Force: force } });
+  }
+}
+
+const dockerEngine = new DockerEngineClient();
+
+module.exports = {
+  DockerEngineClient,
+  StreamDemuxer,
+  computeStats,
+  splitImageReference,
+  dockerEngine,
+};
@@ -1,50 +1,26 @@
-const { spawn } = require('child_process');
+/**
+ * Docker runtime for servers
+ *
+ * Container lifecycle, logs, stats and console input for server containers, through the Docker
+ * Engine API (see docker-engine.js). Containers are named turbonox-srv-<serverId>.
+ */
+
+const fs = require('fs');
 const path = require('path');
+const { dockerEngine } = require('./docker-engine');
 
 let dockerReadyCache = { at: 0, ok: false };
 const DOCKER_READY_TTL_MS = 1500;
 
-function execDocker(args, opts = {}) {
-  return new Promise((resolve, reject) => {
-    const child = spawn('docker', args, {
-      shell: false,
-      windowsHide: true,
-      ...opts,
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout?.on('data', (d) => {
-      stdout += d.toString('utf8');
-    });
-
-    child.stderr?.on('data', (d) => {
-      stderr += d.toString('utf8');
-    });
-
-    child.on('error', (err) => {
-      reject(err);
-    });
-
-    child.on('close', (code) => {
-      if (code === 0) return resolve({ stdout, stderr, code });
-      const e = new Error(stderr || stdout || `docker ${args.join(' ')} failed with code ${code}`);
-      e.code = code;
-      e.stdout = stdout;
-      e.stderr = stderr;
-      reject(e);
-    });
-  });
-}
+const isNotFound = (e) => e?.statusCode === 404;
 
 async function isDockerReady() {
   const now = Date.now();
   if (now - dockerReadyCache.at < DOCKER_READY_TTL_MS) return dockerReadyCache.ok;
   try {
-    await execDocker(['info']);
-    dockerReadyCache = { at: now, ok: true };
-    return true;
+    const ok = await dockerEngine.ping();
+    dockerReadyCache = { at: now, ok };
+    return ok;
   } catch {
     dockerReadyCache = { at: now, ok: false };
     return false;
@@ -55,12 +31,12 @@ async function ensureImagePulled(image) {
   if (!image) return;
   await waitForDockerReady(120000);
   try {
-    await execDocker(['image', 'inspect', image]);
+    await dockerEngine.inspectImage(image);
     return;
-  } catch {
-    // ignore
+  } catch (e) {
+    if (!isNotFound(e)) throw e;
   }
-  await execDocker(['pull', image]);
+  await dockerEngine.pullImage(image);
 }
 
 async function waitForDockerReady(timeoutMs = 120000) {
@@ -159,14 +135,14 @@ function resolveImageForPreset(preset) {
   return map[key] || null;
 }
 
-function buildDockerEnvArgs(envVars) {
-  const args = [];
+function buildDockerEnv(envVars) {
+  const env = [];
   const entries = envVars && typeof envVars === 'object' ? Object.entries(envVars) : [];
   for (const [k, v] of entries) {
     if (!k) continue;
-    args.push('-e', `${String(k)}=${safeEnvValue(v)}`);
+    env.push(`${String(k)}=${safeEnvValue(v)}`);
   }
-  return args;
+  return env;
 }
 
 function normalizeWindowsVolumeHostPath(p) {
@@ -175,8 +151,24 @@ function normalizeWindowsVolumeHostPath(p) {
   return path.resolve(raw);
 }
 
-function buildVolumeArgs(mounts) {
-  const args = [];
+// Where a server's secret env-file (secret-store writeEnvFile) is mounted; commands source it so
+// secret values stay out of the container's Env and `docker inspect`
+const SECRET_ENV_PATH = '/run/turbonox/secrets.env';
+
+function sourceSecretEnv(command, secretEnvFile) {
+  const cmd = String(command || '').trim();
+  return secretEnvFile ? `set -a; . ${SECRET_ENV_PATH}; set +a\n${cmd}` : cmd;
+}
+
+function secretEnvMount(secretEnvFile) {
+  return secretEnvFile ? [{ hostPath: secretEnvFile, containerPath: SECRET_ENV_PATH, readOnly: true }] : [];
+}
+
+/**
+ * Bind mounts ("host:container[:ro]") for HostConfig.Binds.
+ */
+function buildVolumeBinds(mounts) {
+  const binds = [];
   const list = Array.isArray(mounts) ? mounts : [];
   for (const m of list) {
     if (!m) continue;
@@ -184,12 +176,18 @@ function buildVolumeArgs(mounts) {
     const containerPath = String(m.containerPath || m.container_path || m.target || '').trim();
     if (!hostPath || !containerPath) continue;
     const ro = Boolean(m.readOnly || m.read_only || m.ro);
-    args.push('-v', `${hostPath}:${containerPath}${ro ? ':ro' : ''}`);
+    binds.push(`${hostPath}:${containerPath}${ro ? ':ro' : ''}`);
   }
-  return args;
+  return binds;
 }
 
-async function runOneOff({ image, workdir, hostPath, envVars, command, logFilePath }) {
+/**
+ * Run a command in a throwaway container with the server directory mounted, appending its output
+ * to logFilePath and passing each chunk to onData. secretEnvFile is sourced before the command.
+ * Resolves with the exit code; after timeoutMs the container is killed and it rejects with
+ * code ONE_OFF_TIMEOUT.
+ */
+async function runOneOff({ image, hostPath, envVars, secretEnvFile = null, command, logFilePath, onData = null, timeoutMs = null }) {
   if (!image) throw new Error('Docker image is required');
 
   await ensureImagePulled(image);
@@ -203,46 +201,57 @@ async function runOneOff({ image, workdir, hostPath, envVars, command, logFilePa
   }
 
   const primary = hostPath ? [{ hostPath: path.resolve(hostPath), containerPath: '/srv/server' }] : [];
-  const vols = buildVolumeArgs(primary);
-
-  const args = ['run', '--rm', ...vols, '-w', '/srv/server'];
-  args.push(...buildDockerEnvArgs(envVars));
-
-  // Drop privileges for one-off tasks too
-  args.push('--security-opt', 'no-new-privileges:true');
-  args.push('--cap-drop', 'ALL');
-
-  args.push(image);
-  args.push('sh', '-lc', String(command || '').trim());
-
-  const { spawn } = require('child_process');
-  const fs = require('fs');
-
-  return await new Promise((resolve, reject) => {
-    const child = spawn('docker', args, { windowsHide: true, shell: false, cwd: workdir || undefined });
-    const logStream = logFilePath ? fs.createWriteStream(logFilePath, { flags: 'a' }) : null;
-
-    const write = (buf) => {
-      try {
-        if (logStream) logStream.write(buf);
-      } catch {
-        // ignore
-      }
-    };
-
-    child.stdout?.on('data', write);
-    child.stderr?.on('data', write);
-
-    child.on('error', (err) => {
-      try { logStream?.end(); } catch { }
-      reject(err);
-    });
+  const created = await dockerEngine.createContainer(undefined, {
+    Image: image,
+    Cmd: ['sh', '-lc', sourceSecretEnv(command, secretEnvFile)],
+    WorkingDir: '/srv/server',
+    Env: buildDockerEnv(envVars),
+    HostConfig: {
+      Binds: buildVolumeBinds(primary.concat(secretEnvMount(secretEnvFile))),
+      // Drop privileges for one-off tasks too
+      SecurityOpt: ['no-new-privileges:true'],
+      CapDrop: ['ALL'],
+    },
+  });
 
-    child.on('close', (code) => {
-      try { logStream?.end(); } catch { }
-      resolve(Number(code || 0));
+  const logStream = logFilePath ? fs.createWriteStream(logFilePath, { flags: 'a' }) : null;
+  let timer = null;
+  let timedOut = false;
+  try {
+    await dockerEngine.startContainer(created.Id);
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        dockerEngine.killContainer(created.Id).catch(() => null);
+      }, timeoutMs);
+    }
+    const follow = await dockerEngine.streamLogs(created.Id, {
+      tail: null,
+      follow: true,
+      onData: ({ data }) => {
+        try {
+          if (logStream) logStream.write(data);
+          if (onData) onData(data);
+        } catch {
+          // ignore
+        }
+      },
     });
-  });
+    const result = await dockerEngine.waitContainer(created.Id);
+    // The daemon ends the log stream once the container exits; don't hang if it lags behind
+    await Promise.race([follow.done, new Promise((resolve) => setTimeout(resolve, 2000))]);
+    follow.close();
+    if (timedOut) {
+      const err = new Error(`Command timed out after ${Math.round(timeoutMs / 1000)}s`);
+      err.code = 'ONE_OFF_TIMEOUT';
+      throw err;
+    }
+    return Number(result?.StatusCode || 0);
+  } finally {
+    clearTimeout(timer);
+    try { logStream?.end(); } catch { }
+    await dockerEngine.removeContainer(created.Id, { force: true }).catch(() => null);
+  }
 }
 
 /**
@@ -253,6 +262,7 @@ async function runOneOff({ image, workdir, hostPath, envVars, command, logFilePa
  * @param {string} config.image - Docker image to use
  * @param {string} [config.hostPath] - Host path to mount as /srv/server
  * @param {object} [config.envVars] - Environment variables
+ * @param {string} [config.secretEnvFile] - Env-file with secret variables, sourced before startCommand
  * @param {string} [config.startCommand] - Command to run on start
  * @param {number} [config.hostPort] - Port to expose
  * @param {number} [config.cpuLimitPercent] - CPU limit as percentage (e.g., 50 = 50% of one core)
@@ -268,6 +278,7 @@ async function startContainerForServer({
   image,
   hostPath,
   envVars,
+  secretEnvFile = null,
   startCommand,
   hostPort,
   cpuLimitPercent,
@@ -284,77 +295,85 @@ async function startContainerForServer({
   await ensureImagePulled(image);
 
   const primary = hostPath ? [{ hostPath, containerPath: '/srv/server' }] : [];
-  const vols = buildVolumeArgs(primary);
-  const args = ['run', '-d', '--name', name, '--restart', 'unless-stopped', ...vols, '-w', '/srv/server'];
+  const hostConfig = {
+    Binds: buildVolumeBinds(primary.concat(secretEnvMount(secretEnvFile))),
+    // Restarts follow the server's restart policy (restart-supervisor), not the daemon
+    RestartPolicy: { Name: 'no' },
+  };
+  const config = {
+    Image: image,
+    Cmd: ['sh', '-lc', sourceSecretEnv(startCommand, secretEnvFile)],
+    WorkingDir: '/srv/server',
+    Env: buildDockerEnv(envVars),
+    // Keep stdin open so console commands (and backup hooks) can be sent with sendContainerInput
+    OpenStdin: true,
+    StdinOnce: false,
+    Tty: false,
+    HostConfig: hostConfig,
+  };
 
   // Network configuration - connect to specific network with optional static IP
   if (networkName) {
-    args.push('--network', networkName);
+    hostConfig.NetworkMode = networkName;
     if (staticIp) {
-      args.push('--ip', staticIp);
+      config.NetworkingConfig = { EndpointsConfig: { [networkName]: { IPAMConfig: { IPv4Address: staticIp } } } };
     }
   }
 
   // Port mapping (still useful for external access even with static IP)
   if (hostPort) {
-    args.push('-p', `${Number(hostPort)}:${Number(hostPort)}`);
+    const port = `${Number(hostPort)}/tcp`;
+    config.ExposedPorts = { [port]: {} };
+    hostConfig.PortBindings = { [port]: [{ HostPort: String(Number(hostPort)) }] };
   }
 
   // Memory limit with optional swap control
   if (memoryLimitMb) {
-    args.push('--memory', `${Number(memoryLimitMb)}m`);
+    hostConfig.Memory = Number(memoryLimitMb) * 1024 * 1024;
     if (!enableSwap) {
       // Disable swap to enforce strict memory limits
-      args.push('--memory-swap', `${Number(memoryLimitMb)}m`);
+      hostConfig.MemorySwap = hostConfig.Memory;
     }
   }
 
   // CPU limit using period/quota (precise control)
   if (cpuLimitPercent) {
-    const quota = Math.max(1000, Math.round((Number(cpuLimitPercent) / 100) * 100000));
-    args.push('--cpu-period', '100000', '--cpu-quota', String(quota));
+    hostConfig.CpuPeriod = 100000;
+    hostConfig.CpuQuota = Math.max(1000, Math.round((Number(cpuLimitPercent) / 100) * 100000));
   }
 
   // CPU shares for relative weighting between containers
   if (cpuShares) {
-    args.push('--cpu-shares', String(cpuShares));
+    hostConfig.CpuShares = Number(cpuShares);
   }
 
   // Disk quota using tmpfs for /tmp (provides quota enforcement)
   // Note: For full disk quota on volumes, consider using Docker volume plugins or XFS quotas
   if (diskLimitGb) {
     const diskLimitMb = diskLimitGb * 1024;
-    args.push('--tmpfs', `/tmp:size=${diskLimitMb}m,mode=1777`);
-    // Also set storage driver options if supported (requires overlay2 with xfs quota enabled or similar)
-    try {
-      args.push('--storage-opt', `size=${diskLimitGb}G`);
-    } catch {
-      // ignore if driver doesn't support it
-    }
+    hostConfig.Tmpfs = { '/tmp': `size=${diskLimitMb}m,mode=1777` };
+    // Requires a storage driver with quota support (overlay2 on xfs with pquota, ...)
+    hostConfig.StorageOpt = { size: `${diskLimitGb}G` };
   }
 
   // Kernel capabilities - drop unnecessary ones for security
-  args.push('--cap-drop', 'ALL');
-  args.push('--cap-add', 'CHOWN', '--cap-add', 'SETUID', '--cap-add', 'SETGID', '--cap-add', 'NET_BIND_SERVICE');
+  hostConfig.CapDrop = ['ALL'];
+  hostConfig.CapAdd = ['CHOWN', 'SETUID', 'SETGID', 'NET_BIND_SERVICE'];
 
   // Security options
-  args.push('--security-opt', 'no-new-privileges:true');
-
-  args.push(...buildDockerEnvArgs(envVars));
-
-  args.push(image);
-  args.push('sh', '-lc', String(startCommand || '').trim());
+  hostConfig.SecurityOpt = ['no-new-privileges:true'];
 
   await waitForDockerReady(120000);
 
   try {
-    await execDocker(['rm', '-f', name]);
-  } catch {
-    // ignore
+    await dockerEngine.removeContainer(name, { force: true });
+  } catch (e) {
+    if (!isNotFound(e)) throw e;
   }
 
-  const res = await execDocker(args);
-  const containerId = String(res.stdout || '').trim();
+  const created = await dockerEngine.createContainer(name, config);
+  await dockerEngine.startContainer(created.Id);
+  const containerId = created.Id;
 
   return {
     name,
@@ -373,11 +392,9 @@ async function stopContainerForServer(serverId) {
   const name = containerNameForServerId(serverId);
   await waitForDockerReady(120000);
   try {
-    await execDocker(['stop', name]);
+    await dockerEngine.stopContainer(name);
   } catch (e) {
-    const msg = String(e?.stderr || e?.stdout || e?.message || '');
-    const lower = msg.toLowerCase();
-    if (lower.includes('no such container') || lower.includes('no such object') || lower.includes('not found')) return;
+    if (isNotFound(e)) return;
     throw e;
   }
 }
@@ -386,72 +403,103 @@ async function restartContainerForServer(serverId) {
   const name = containerNameForServerId(serverId);
   await waitForDockerReady(120000);
   try {
-    await execDocker(['restart', name]);
+    await dockerEngine.restartContainer(name);
   } catch (e) {
-    const msg = String(e?.stderr || e?.stdout || e?.message || '');
-    const lower = msg.toLowerCase();
-    if (lower.includes('no such container') || lower.includes('no such object') || lower.includes('not found')) return;
+    if (isNotFound(e)) return;
     throw e;
   }
 }
 
-async function getContainerLogs(serverId, tail = 120) {
+async function killContainerForServer(serverId, signal = 'SIGKILL') {
+  const name = containerNameForServerId(serverId);
+  try {
+    await dockerEngine.killContainer(name, { signal });
+  } catch (e) {
+    // 409: not running
+    if (isNotFound(e) || e?.statusCode === 409) return;
+    throw e;
+  }
+}
+
+async function removeContainerForServer(serverId) {
+  try {
+    await dockerEngine.removeContainer(containerNameForServerId(serverId), { force: true });
+  } catch (e) {
+    if (!isNotFound(e)) throw e;
+  }
+}
+
+/**
+ * Last lines of the container's stdout and stderr, optionally prefixed with RFC 3339 timestamps.
+ */
+async function getContainerLogs(serverId, tail = 120, { timestamps = false } = {}) {
   const name = containerNameForServerId(serverId);
   await waitForDockerReady(120000);
   try {
-    const res = await execDocker(['logs', '--tail', String(tail), name]);
-    return String(res.stdout || '').split(/\r?\n/);
+    const lines = await dockerEngine.logs(name, { tail, timestamps });
+    return lines.map((l) => l.line);
   } catch (e) {
-    const msg = String(e?.stderr || e?.message || '');
-    if (msg.toLowerCase().includes('no such container')) return [];
+    if (isNotFound(e)) return [];
     throw e;
   }
 }
 
+/**
+ * Follow the container's output. onData receives text chunks; returns { close, done }.
+ */
+async function followContainerLogs(serverId, { tail = 200, timestamps = false, onData }) {
+  return dockerEngine.streamLogs(containerNameForServerId(serverId), {
+    tail,
+    timestamps,
+    follow: true,
+    onData: ({ data }) => onData(data.toString('utf8')),
+  });
+}
+
+const EMPTY_STATS = {
+  cpuPercent: 0,
+  memUsedBytes: 0,
+  memLimitBytes: 0,
+  netRxBytes: 0,
+  netTxBytes: 0,
+  blockReadBytes: 0,
+  blockWriteBytes: 0,
+  pids: 0,
+};
+
+/**
+ * One stats sample: CPU percent, memory without page cache and cumulative network/block I/O bytes.
+ */
 async function getContainerStats(serverId) {
   const name = containerNameForServerId(serverId);
   await waitForDockerReady(120000);
 
   try {
-    const res = await execDocker(['stats', '--no-stream', '--format', '{{.CPUPerc}}|{{.MemUsage}}', name]);
-    const line = String(res.stdout || '').trim();
-    if (!line) return { cpuPercent: 0, memUsedBytes: 0, memLimitBytes: 0 };
-
-    const [cpuRaw, memRaw] = line.split('|');
-    const cpuPercent = Number(String(cpuRaw || '').replace('%', '').trim()) || 0;
-
-    const memParts = String(memRaw || '').split('/').map((s) => s.trim());
-    const parseHuman = (s) => {
-      const m = String(s).trim().match(/^([0-9.]+)\s*([KMG]i?B)?$/i);
-      if (!m) return 0;
-      const n = Number(m[1]);
-      const unit = (m[2] || '').toLowerCase();
-      const mult = unit.startsWith('k') ? 1024 : unit.startsWith('m') ? 1024 * 1024 : unit.startsWith('g') ? 1024 * 1024 * 1024 : 1;
-      return n * mult;
-    };
-
-    const memUsedBytes = parseHuman(memParts[0] || '');
-    const memLimitBytes = parseHuman(memParts[1] || '');
-
-    return { cpuPercent, memUsedBytes, memLimitBytes };
+    const { read, ...stats } = await dockerEngine.stats(name);
+    return stats;
   } catch (e) {
-    const msg = String(e?.stderr || e?.message || '');
-    if (msg.toLowerCase().includes('no such container')) return { cpuPercent: 0, memUsedBytes: 0, memLimitBytes: 0 };
+    if (isNotFound(e)) return { ...EMPTY_STATS };
     throw e;
   }
 }
 
+/**
+ * Stream stats samples (about one per second) to onStats; returns { close, done }.
+ */
+async function streamContainerStats(serverId, onStats) {
+  return dockerEngine.streamStats(containerNameForServerId(serverId), onStats);
+}
+
 /**
  * Get the IP address of a container
  */
 async function getContainerIP(serverId, networkName) {
   const name = containerNameForServerId(serverId);
   try {
-    const format = networkName
-      ? `{{.NetworkSettings.Networks.${networkName}.IPAddress}}`
-      : '{{range .NetworkSettings.Networks}}{{.IPAddress}}{{end}}';
-    const res = await execDocker(['inspect', '--format', format, name]);
-    return String(res.stdout || '').trim() || null;
+    const container = await dockerEngine.inspectContainer(name);
+    const networks = container.NetworkSettings?.Networks || {};
+    if (networkName) return networks[networkName]?.IPAddress || null;
+    return Object.values(networks).map((n) => n.IPAddress).find(Boolean) || null;
   } catch {
     return null;
   }
@@ -463,9 +511,7 @@ async function getContainerIP(serverId, networkName) {
 async function getContainerInfo(serverId) {
   const name = containerNameForServerId(serverId);
   try {
-    const res = await execDocker(['inspect', name]);
-    const data = JSON.parse(res.stdout);
-    const container = data[0];
+    const container = await dockerEngine.inspectContainer(name);
     if (!container) return null;
 
     const networks = container.NetworkSettings?.Networks || {};
@@ -481,6 +527,11 @@ async function getContainerInfo(serverId) {
       name: container.Name,
       state: container.State?.Status,
       running: container.State?.Running,
+      exitCode: container.State?.ExitCode,
+      oomKilled: Boolean(container.State?.OOMKilled),
+      startedAt: container.State?.StartedAt || null,
+      finishedAt: container.State?.FinishedAt || null,
+      openStdin: Boolean(container.Config?.OpenStdin),
       networks: networkInfo,
       hostConfig: {
         memory: container.HostConfig?.Memory,
@@ -494,8 +545,55 @@ async function getContainerInfo(serverId) {
   }
 }
 
+/**
+ * Run a command inside the server's container, with the secret env-file sourced when the
+ * container has one. Resolves with { exitCode, stdout, stderr }.
+ */
+async function execInContainer(serverId, command, { timeoutMs = 60000 } = {}) {
+  const cmd = `if [ -r ${SECRET_ENV_PATH} ]; then set -a; . ${SECRET_ENV_PATH}; set +a; fi\n${command}`;
+  return dockerEngine.exec(containerNameForServerId(serverId), cmd, { workingDir: '/srv/server', timeoutMs });
+}
+
+/**
+ * Write a line to the main process's stdin through an attach connection.
+ * Only works for containers created with OpenStdin (see startContainerForServer).
+ */
+async function sendContainerInput(serverId, input) {
+  const name = containerNameForServerId(serverId);
+  await waitForDockerReady(120000);
+  const info = await getContainerInfo(serverId);
+  if (!info?.running) throw new Error(`Container ${name} is not running`);
+  if (!info.openStdin) throw new Error(`Container ${name} was started without stdin; restart the server to enable console input`);
+
+  const attached = await dockerEngine.attach(name);
+  try {
+    await attached.write(`${String(input).replace(/\r?\n$/, '')}\n`);
+    // Give the daemon a moment to forward the line before detaching
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  } finally {
+    attached.close();
+  }
+}
+
+/**
+ * Interactive shell in a server's running container (docker exec -it), bash when the image has
+ * it. See DockerEngineClient.execTty for the returned handle.
+ */
+async function openContainerTerminal(serverId, { cols = 80, rows = 24, onData = null, onExit = null } = {}) {
+  const name = containerNameForServerId(serverId);
+  const info = await getContainerInfo(serverId);
+  if (!info?.running) throw new Error(`Container ${name} is not running`);
+  return dockerEngine.execTty(name, ['sh', '-c', 'if command -v bash >/dev/null 2>&1; then exec bash; else exec sh; fi'], {
+    cols,
+    rows,
+    env: ['TERM=xterm-256color', 'LANG=C.UTF-8', 'LC_ALL=C.UTF-8'],
+    workingDir: '/srv/server',
+    onData,
+    onExit,
+  });
+}
+
 module.exports = {
-  execDocker,
   isDockerReady,
   waitForDockerReady,
   ensureImagePulled,
@@ -503,13 +601,20 @@ module.exports = {
   resolveUbuntuBaseImage,
   buildUbuntuEntrypointForType,
   resolveImageForPreset,
-  buildVolumeArgs,
+  buildVolumeBinds,
   runOneOff,
   startContainerForServer,
   stopContainerForServer,
   restartContainerForServer,
+  killContainerForServer,
+  removeContainerForServer,
   getContainerLogs,
+  followContainerLogs,
   getContainerStats,
+  streamContainerStats,
   getContainerIP,
   getContainerInfo,
+  execInContainer,
+  sendContainerInput,
+  openContainerTerminal,
 };
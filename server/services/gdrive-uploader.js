@@ -3,6 +3,7 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const { getBackupsDir } = require('../lib/paths');
+const { prepareUploadArchive, recordRemoteCopy } = require('./backup-destinations');
 
 class GDriveUploader {
   constructor() {
@@ -40,9 +41,25 @@ class GDriveUploader {
           if (!backupRow) continue;
           const backupPath = path.join(getBackupsDir(), backupRow.filename);
           if (!fs.existsSync(backupPath)) continue;
-          const fileMetadata = { name: backupRow.filename };
-          const media = { mimeType: 'application/zip', body: fs.createReadStream(backupPath) };
-          const resp = await drive.files.create({ resource: fileMetadata, media, fields: 'id' });
+          // Same archive preparation as other destinations: dedup export and encryption when enabled
+          const { archivePath, cleanup } = await prepareUploadArchive(backupRow);
+          let resp;
+          try {
+            const fileMetadata = { name: path.basename(archivePath) };
+            const mimeType = archivePath.endsWith('.enc') ? 'application/octet-stream' : 'application/zip';
+            const media = { mimeType, body: fs.createReadStream(archivePath) };
+            resp = await drive.files.create({ resource: fileMetadata, media, fields: 'id' });
+            recordRemoteCopy({
+              backupId: backupRow.id,
+              provider: 'gdrive',
+              remoteName: fileMetadata.name,
+              ref: resp.data.id,
+              size: fs.statSync(archivePath).size,
+              archivePath,
+            });
+          } finally {
+            cleanup();
+          }
           // record history
           const histKey = 'backup.upload_history';
           const histRow = db.prepare('SELECT value FROM settings WHERE key = ?').get(histKey);
@@ -0,0 +1,892 @@
+/**
+ * Server log store
+ *
+ * Every line a server prints (and every line the panel writes about it) goes through here into
+ * <server>/logs:
+ *
+ *   output.log                 the current segment as plain text, one line per line
+ *   output.idx                 its line index
+ *   output-<seq>.log.gz        rotated segments, gzip-compressed, named after their first line
+ *   output-<seq>.idx           and their indexes
+ *
+ * An index is a 16-byte header ('TNXLIDX1', then the sequence number of the segment's first line)
+ * followed by one 18-byte record per line: byte offset and length in the segment, time (ms),
+ * stream (stdout, stderr or system) and level (detected from the text). Line sequence numbers
+ * never repeat for a server, so they double as stable pagination cursors. Times never go
+ * backwards within a server's log, so time ranges are found by binary search.
+ *
+ * Native servers write their stdout/stderr here directly. Containers keep their output in Docker;
+ * followContainer() copies it in with Docker's own timestamps while the container runs and
+ * resumes from the last stored line after a panel restart.
+ *
+ * Settings:
+ *   logs.rotate_size_mb   rotate the current segment past this size (default 10)
+ *   logs.rotate_age_hours rotate a segment whose first line is older than this (default 24)
+ *   logs.retention_days   delete segments whose last line is older than this (default 14, 0 keeps)
+ *   logs.max_segments     keep at most this many rotated segments (default 20, 0 for no cap)
+ *
+ * A plain output.log left by an older panel is indexed once, on first use, and rotated.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { getDatabase } = require('../lib/database');
+
+const ACTIVE_LOG = 'output.log';
+const ACTIVE_INDEX = 'output.idx';
+const SEGMENT_RE = /^output-(\d{12})\.(log|log\.gz|idx)$/;
+const INDEX_MAGIC = Buffer.from('TNXLIDX1');
+const HEADER_SIZE = 16;
+const RECORD_SIZE = 18;
+const STREAMS = ['stdout', 'stderr', 'system'];
+const LEVELS = [null, 'trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+const LEVEL_WORDS = { trace: 1, debug: 2, info: 3, warn: 4, warning: 4, error: 5, err: 5, severe: 6, fatal: 6 };
+const LEVEL_RE = /\b(TRACE|DEBUG|INFO|WARN(?:ING)?|ERR(?:OR)?|SEVERE|FATAL)\b/i;
+const SYSTEM_LINE_RE = /^\[\d{4}-\d{2}-\d{2}T[\d:.]+Z\] /;
+
+const DEFAULTS = { rotateSizeMb: 10, rotateAgeHours: 24, retentionDays: 14, maxSegments: 20 };
+const SETTINGS_TTL_MS = 30 * 1000;
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+// Partial lines (prompts, progress bars) are written out after this long without a newline
+const PARTIAL_FLUSH_MS = 500;
+const MAX_LINE_BYTES = 64 * 1024;
+const MAX_SCAN_LINES = 200000;
+const MAX_PATTERN_LENGTH = 256;
+const DEFAULT_PAGE = 100;
+const MAX_PAGE = 1000;
+const CONTAINER_IMPORT_TAIL = 1000;
+
+const segmentName = (seq, ext) => `output-${String(seq).padStart(12, '0')}.${ext}`;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_LOG_QUERY';
+  return err;
+}
+
+function detectLevel(text) {
+  const match = LEVEL_RE.exec(text.length > 256 ? text.slice(0, 256) : text);
+  return match ? LEVEL_WORDS[match[1].toLowerCase()] : 0;
+}
+
+function encodeHeader(firstSeq) {
+  const buf = Buffer.alloc(HEADER_SIZE);
+  INDEX_MAGIC.copy(buf, 0);
+  buf.writeUIntLE(firstSeq, 8, 6);
+  return buf;
+}
+
+function encodeRecord({ offset, length, time, stream, level }) {
+  const buf = Buffer.alloc(RECORD_SIZE);
+  buf.writeUIntLE(offset, 0, 6);
+  buf.writeUInt32LE(length, 6);
+  buf.writeUIntLE(time, 10, 6);
+  buf.writeUInt8(stream, 16);
+  buf.writeUInt8(level, 17);
+  return buf;
+}
+
+function decodeRecord(buf, i) {
+  const at = HEADER_SIZE + i * RECORD_SIZE;
+  return {
+    offset: buf.readUIntLE(at, 6),
+    length: buf.readUInt32LE(at + 6),
+    time: buf.readUIntLE(at + 10, 6),
+    stream: buf.readUInt8(at + 16),
+    level: buf.readUInt8(at + 17),
+  };
+}
+
+const recordTime = (buf, i) => buf.readUIntLE(HEADER_SIZE + i * RECORD_SIZE + 10, 6);
+
+/**
+ * An index file: { firstSeq, count, buf }, or null when it is not one.
+ */
+function readIndex(indexPath) {
+  let buf;
+  try {
+    buf = fs.readFileSync(indexPath);
+  } catch {
+    return null;
+  }
+  if (buf.length < HEADER_SIZE || !buf.subarray(0, 8).equals(INDEX_MAGIC)) return null;
+  return { firstSeq: buf.readUIntLE(8, 6), count: Math.floor((buf.length - HEADER_SIZE) / RECORD_SIZE), buf };
+}
+
+// First record at or after time (count when none)
+function lowerBoundTime(index, time) {
+  let lo = 0;
+  let hi = index.count;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (recordTime(index.buf, mid) < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * The log of one server: appends lines to the current segment and rotates it.
+ */
+class ServerLog {
+  constructor(store, serverId, dir) {
+    this.store = store;
+    this.serverId = Number(serverId);
+    this.dir = dir;
+    this.logFd = null;
+    this.indexFd = null;
+    this.size = 0;
+    this.count = 0;
+    this.firstSeq = 0;
+    this.firstTime = null;
+    this.lastTime = 0;
+    this.partial = { stdout: null, stderr: null, system: null };
+    this.partialTimer = null;
+    this.compressing = new Set();
+  }
+
+  get nextSeq() {
+    return this.firstSeq + this.count;
+  }
+
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const logPath = path.join(this.dir, ACTIVE_LOG);
+    const indexPath = path.join(this.dir, ACTIVE_INDEX);
+    let legacyPath = null;
+    let index = readIndex(indexPath);
+    if (!index && fs.existsSync(logPath) && fs.statSync(logPath).size > 0) {
+      // A plain output.log from before the index existed: index it and rotate it out of the way
+      legacyPath = importLegacyLog(this.dir, listNextSeq(this.dir));
+      index = readIndex(indexPath);
+    }
+    if (!index) {
+      fs.writeFileSync(indexPath, encodeHeader(listNextSeq(this.dir)));
+      fs.writeFileSync(logPath, '');
+      index = readIndex(indexPath);
+    }
+
+    this.firstSeq = index.firstSeq;
+    this.count = index.count;
+    // Drop a record cut off mid-write
+    fs.truncateSync(indexPath, HEADER_SIZE + this.count * RECORD_SIZE);
+    this.size = fs.statSync(logPath).size;
+    if (this.count) {
+      this.firstTime = recordTime(index.buf, 0);
+      this.lastTime = recordTime(index.buf, this.count - 1);
+    } else {
+      this.firstTime = null;
+      this.lastTime = lastSegmentTime(this.dir);
+    }
+    this.logFd = fs.openSync(logPath, 'a');
+    this.indexFd = fs.openSync(indexPath, 'a');
+    if (legacyPath) this.compress(legacyPath);
+  }
+
+  /**
+   * Append raw output. Complete lines are written at once, a trailing partial line after
+   * PARTIAL_FLUSH_MS or when more output completes it.
+   */
+  append(stream, data, time = null) {
+    const key = STREAMS.includes(stream) ? stream : 'stdout';
+    let buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data ?? ''), 'utf8');
+    if (!buf.length) return;
+    if (this.partial[key]) {
+      buf = Buffer.concat([this.partial[key], buf]);
+      this.partial[key] = null;
+    }
+    let start = 0;
+    for (let nl = buf.indexOf(0x0a); nl !== -1; nl = buf.indexOf(0x0a, start)) {
+      this.writeLine(key, buf.subarray(start, nl), time);
+      start = nl + 1;
+    }
+    if (start < buf.length) {
+      const rest = buf.subarray(start);
+      if (rest.length >= MAX_LINE_BYTES) {
+        this.writeLine(key, rest, time);
+      } else {
+        this.partial[key] = Buffer.from(rest);
+        this.schedulePartialFlush();
+      }
+    }
+  }
+
+  schedulePartialFlush() {
+    if (this.partialTimer) return;
+    this.partialTimer = setTimeout(() => {
+      this.partialTimer = null;
+      this.flushPartials();
+    }, PARTIAL_FLUSH_MS);
+    this.partialTimer.unref?.();
+  }
+
+  flushPartials() {
+    clearTimeout(this.partialTimer);
+    this.partialTimer = null;
+    for (const key of STREAMS) {
+      const rest = this.partial[key];
+      this.partial[key] = null;
+      if (rest?.length) this.writeLine(key, rest, null);
+    }
+  }
+
+  writeLine(stream, raw, time) {
+    let line = raw;
+    if (line.length && line[line.length - 1] === 0x0d) line = line.subarray(0, line.length - 1);
+    const text = line.toString('utf8');
+    // System notices are framed with blank lines for the raw file; the index does not need them
+    if (stream === 'system' && !text.trim()) return;
+
+    const at = Math.max(Number(time) || Date.now(), this.lastTime);
+    if (this.firstTime !== null && this.store.shouldRotate(this, at, line.length + 1)) this.rotate();
+
+    const bytes = Buffer.concat([line, Buffer.from('\n')]);
+    const record = encodeRecord({
+      offset: this.size,
+      length: line.length,
+      time: at,
+      stream: STREAMS.indexOf(stream),
+      level: detectLevel(text),
+    });
+    try {
+      fs.writeSync(this.logFd, bytes);
+      fs.writeSync(this.indexFd, record);
+    } catch (e) {
+      console.warn(`[LOGS] Write failed for server ${this.serverId}:`, e.message);
+      return;
+    }
+    this.size += bytes.length;
+    this.count += 1;
+    if (this.firstTime === null) this.firstTime = at;
+    this.lastTime = at;
+    this.store.emit('line', { serverId: this.serverId, seq: this.nextSeq - 1, time: at, stream, text });
+  }
+
+  /**
+   * Close the current segment as output-<firstSeq>.log(.gz) and start a new one.
+   */
+  rotate() {
+    if (!this.count) return;
+    this.closeFiles();
+    const logName = segmentName(this.firstSeq, 'log');
+    fs.renameSync(path.join(this.dir, ACTIVE_INDEX), path.join(this.dir, segmentName(this.firstSeq, 'idx')));
+    fs.renameSync(path.join(this.dir, ACTIVE_LOG), path.join(this.dir, logName));
+    const nextSeq = this.nextSeq;
+    fs.writeFileSync(path.join(this.dir, ACTIVE_INDEX), encodeHeader(nextSeq));
+    fs.writeFileSync(path.join(this.dir, ACTIVE_LOG), '');
+    this.firstSeq = nextSeq;
+    this.count = 0;
+    this.size = 0;
+    this.firstTime = null;
+    this.logFd = fs.openSync(path.join(this.dir, ACTIVE_LOG), 'a');
+    this.indexFd = fs.openSync(path.join(this.dir, ACTIVE_INDEX), 'a');
+    this.compress(path.join(this.dir, logName));
+  }
+
+  compress(logPath) {
+    if (this.compressing.has(logPath)) return;
+    this.compressing.add(logPath);
+    const tmp = `${logPath}.gz.tmp`;
+    pipeline(fs.createReadStream(logPath), zlib.createGzip(), fs.createWriteStream(tmp), (err) => {
+      this.compressing.delete(logPath);
+      if (err) {
+        fs.rmSync(tmp, { force: true });
+        console.warn(`[LOGS] Failed to compress ${logPath}:`, err.message);
+        return;
+      }
+      try {
+        fs.renameSync(tmp, `${logPath}.gz`);
+        fs.rmSync(logPath, { force: true });
+      } catch (e) {
+        console.warn(`[LOGS] Failed to finish compressing ${logPath}:`, e.message);
+      }
+      this.store.prune(this.dir);
+    });
+  }
+
+  closeFiles() {
+    for (const key of ['logFd', 'indexFd']) {
+      if (this[key] === null) continue;
+      try {
+        fs.closeSync(this[key]);
+      } catch {
+        // already closed
+      }
+      this[key] = null;
+    }
+  }
+
+  close() {
+    this.flushPartials();
+    this.closeFiles();
+  }
+}
+
+/**
+ * Rotated segments in a log directory, oldest first: { firstSeq, count, logPath, indexPath, compressed }.
+ */
+function listSegmentFiles(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  const bySeq = new Map();
+  for (const name of names) {
+    const match = SEGMENT_RE.exec(name);
+    if (!match) continue;
+    const seq = Number(match[1]);
+    const entry = bySeq.get(seq) || { firstSeq: seq };
+    if (match[2] === 'idx') entry.indexPath = path.join(dir, name);
+    else if (match[2] === 'log.gz') entry.gzPath = path.join(dir, name);
+    else entry.plainPath = path.join(dir, name);
+    bySeq.set(seq, entry);
+  }
+  const segments = [];
+  for (const entry of [...bySeq.values()].sort((a, b) => a.firstSeq - b.firstSeq)) {
+    if (!entry.indexPath || (!entry.gzPath && !entry.plainPath)) continue;
+    let count = 0;
+    try {
+      count = Math.max(0, Math.floor((fs.statSync(entry.indexPath).size - HEADER_SIZE) / RECORD_SIZE));
+    } catch {
+      continue;
+    }
+    segments.push({
+      firstSeq: entry.firstSeq,
+      count,
+      indexPath: entry.indexPath,
+      // Prefer the plain file while compression is still running
+      logPath: entry.plainPath || entry.gzPath,
+      compressed: !entry.plainPath,
+    });
+  }
+  return segments;
+}
+
+function listNextSeq(dir) {
+  const segments = listSegmentFiles(dir);
+  const last = segments[segments.length - 1];
+  return last ? last.firstSeq + last.count : 0;
+}
+
+function lastSegmentTime(dir) {
+  const segments = listSegmentFiles(dir);
+  const last = segments[segments.length - 1];
+  if (!last || !last.count) return 0;
+  const index = readIndex(last.indexPath);
+  return index?.count ? recordTime(index.buf, index.count - 1) : 0;
+}
+
+/**
+ * Index a plain output.log and move it out as a segment. No timestamps or streams were kept:
+ * lines starting with an ISO timestamp in brackets are panel notices at that time, everything
+ * else is stdout at the time of the last notice before it.
+ */
+function importLegacyLog(dir, firstSeq) {
+  const logPath = path.join(dir, ACTIVE_LOG);
+  const logName = segmentName(firstSeq, 'log');
+  const stat = fs.statSync(logPath);
+  console.log(`[LOGS] Indexing ${logPath} (${Math.round(stat.size / 1024)} KiB)`);
+
+  const fd = fs.openSync(logPath, 'r');
+  const indexFd = fs.openSync(path.join(dir, segmentName(firstSeq, 'idx')), 'w');
+  try {
+    fs.writeSync(indexFd, encodeHeader(firstSeq));
+    const chunk = Buffer.alloc(1024 * 1024);
+    let position = 0;
+    let lineStart = 0;
+    let carry = Buffer.alloc(0);
+    // Lines before the first notice get the file's creation time; nothing is later than its mtime
+    const latest = Math.floor(stat.mtimeMs);
+    let lastTime = Math.min(Math.floor(stat.birthtimeMs) || latest, latest);
+    const records = [];
+    const emit = (line, offset) => {
+      let text = line;
+      if (text.length && text[text.length - 1] === 0x0d) text = text.subarray(0, text.length - 1);
+      const str = text.toString('utf8');
+      const stamped = SYSTEM_LINE_RE.test(str) ? Date.parse(str.slice(1, str.indexOf(']'))) : NaN;
+      if (Number.isFinite(stamped)) lastTime = Math.max(lastTime, Math.min(stamped, latest));
+      records.push(encodeRecord({
+        offset,
+        length: text.length,
+        time: lastTime,
+        stream: Number.isFinite(stamped) ? 2 : 0,
+        level: detectLevel(str),
+      }));
+      if (records.length >= 4096) fs.writeSync(indexFd, Buffer.concat(records.splice(0)));
+    };
+    for (;;) {
+      const read = fs.readSync(fd, chunk, 0, chunk.length, position);
+      if (!read) break;
+      const buf = carry.length ? Buffer.concat([carry, chunk.subarray(0, read)]) : chunk.subarray(0, read);
+      let start = 0;
+      for (let nl = buf.indexOf(0x0a); nl !== -1; nl = buf.indexOf(0x0a, start)) {
+        emit(buf.subarray(start, nl), lineStart + start);
+        start = nl + 1;
+      }
+      lineStart += start;
+      carry = Buffer.from(buf.subarray(start));
+      position += read;
+    }
+    if (carry.length) emit(carry, lineStart);
+    if (records.length) fs.writeSync(indexFd, Buffer.concat(records));
+  } finally {
+    fs.closeSync(fd);
+    fs.closeSync(indexFd);
+  }
+  fs.renameSync(logPath, path.join(dir, logName));
+  const count = Math.floor((fs.statSync(path.join(dir, segmentName(firstSeq, 'idx'))).size - HEADER_SIZE) / RECORD_SIZE);
+  fs.writeFileSync(path.join(dir, ACTIVE_INDEX), encodeHeader(firstSeq + count));
+  fs.writeFileSync(logPath, '');
+  return path.join(dir, logName);
+}
+
+class LogStore extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.logs = new Map();
+    this.followers = new Map();
+    this.settings = null;
+    this.settingsAt = 0;
+    this.maintenanceTimer = null;
+    // One decompressed segment is kept for paging through it
+    this.segmentCache = { path: null, mtimeMs: 0, data: null };
+  }
+
+  start() {
+    if (this.maintenanceTimer) return;
+    this.maintenanceTimer = setInterval(() => this.maintain(), MAINTENANCE_INTERVAL_MS);
+    this.maintenanceTimer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.maintenanceTimer);
+    this.maintenanceTimer = null;
+    for (const id of [...this.followers.keys()]) this.unfollowContainer(id);
+    for (const log of this.logs.values()) log.close();
+    this.logs.clear();
+  }
+
+  getSettings() {
+    if (this.settings && Date.now() - this.settingsAt < SETTINGS_TTL_MS) return this.settings;
+    const read = (key, fallback) => {
+      try {
+        const raw = getDatabase().prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+        const n = Number(raw);
+        return raw === undefined || raw === null || raw === '' || !Number.isFinite(n) || n < 0 ? fallback : n;
+      } catch {
+        return fallback;
+      }
+    };
+    this.settings = {
+      rotateSizeMb: read('logs.rotate_size_mb', DEFAULTS.rotateSizeMb),
+      rotateAgeHours: read('logs.rotate_age_hours', DEFAULTS.rotateAgeHours),
+      retentionDays: read('logs.retention_days', DEFAULTS.retentionDays),
+      maxSegments: Math.floor(read('logs.max_segments', DEFAULTS.maxSegments)),
+    };
+    this.settingsAt = Date.now();
+    return this.settings;
+  }
+
+  shouldRotate(log, time, bytes) {
+    const { rotateSizeMb, rotateAgeHours } = this.getSettings();
+    if (rotateSizeMb > 0 && log.size + bytes > rotateSizeMb * 1024 * 1024) return true;
+    return rotateAgeHours > 0 && time - log.firstTime > rotateAgeHours * 60 * 60 * 1000;
+  }
+
+  logsDir(server) {
+    return path.join(path.resolve(server.path), 'logs');
+  }
+
+  /**
+   * The open log of a local server, opened on first use.
+   */
+  forServer(server) {
+    const id = Number(server.id);
+    const dir = this.logsDir(server);
+    const existing = this.logs.get(id);
+    if (existing && existing.dir === dir) return existing;
+    if (existing) existing.close();
+    const log = new ServerLog(this, id, dir);
+    log.open();
+    this.logs.set(id, log);
+    return log;
+  }
+
+  /**
+   * Append output for a server. stream is 'stdout', 'stderr' or 'system' (the panel's own notices).
+   */
+  append(server, stream, data, { time = null } = {}) {
+    // The server directory is gone (deleted server); do not bring it back for a late exit notice
+    if (!this.logs.has(Number(server.id)) && !fs.existsSync(path.resolve(server.path))) return;
+    try {
+      this.forServer(server).append(stream, data, time);
+    } catch (e) {
+      console.warn(`[LOGS] Could not write the log of server ${server?.id}:`, e.message);
+    }
+  }
+
+  /**
+   * Write out pending partial lines, e.g. when the process exits.
+   */
+  flush(serverId) {
+    this.logs.get(Number(serverId))?.flushPartials();
+  }
+
+  /**
+   * Stop writing a server's log (deleted server); the files are left alone.
+   */
+  close(serverId) {
+    const id = Number(serverId);
+    this.unfollowContainer(id);
+    this.logs.get(id)?.close();
+    this.logs.delete(id);
+  }
+
+  /**
+   * All segments of a server, oldest first, the current one last.
+   */
+  segments(server) {
+    const dir = this.logsDir(server);
+    const open = this.logs.get(Number(server.id));
+    if (open) open.flushPartials();
+    const list = listSegmentFiles(dir);
+    const activeIndexPath = path.join(dir, ACTIVE_INDEX);
+    const active = readIndex(activeIndexPath);
+    if (active) {
+      list.push({
+        firstSeq: active.firstSeq,
+        count: active.count,
+        indexPath: activeIndexPath,
+        logPath: path.join(dir, ACTIVE_LOG),
+        compressed: false,
+        active: true,
+      });
+    } else if (!open && fs.existsSync(path.join(dir, ACTIVE_LOG))) {
+      // Never written through the store yet: index it now
+      this.forServer(server);
+      return this.segments(server);
+    }
+    return list;
+  }
+
+  /**
+   * Segments with their time range and size, for the API.
+   */
+  describeSegments(server) {
+    return this.segments(server).map((segment) => {
+      const index = readIndex(segment.indexPath);
+      let sizeBytes = 0;
+      try {
+        sizeBytes = fs.statSync(segment.logPath).size;
+      } catch {
+        sizeBytes = 0;
+      }
+      return {
+        firstSeq: segment.firstSeq,
+        lines: segment.count,
+        from: index?.count ? new Date(recordTime(index.buf, 0)).toISOString() : null,
+        to: index?.count ? new Date(recordTime(index.buf, index.count - 1)).toISOString() : null,
+        sizeBytes,
+        compressed: segment.compressed,
+        active: Boolean(segment.active),
+      };
+    });
+  }
+
+  readSegmentData(segment) {
+    if (!segment.compressed) return null;
+    const mtimeMs = fs.statSync(segment.logPath).mtimeMs;
+    if (this.segmentCache.path !== segment.logPath || this.segmentCache.mtimeMs !== mtimeMs) {
+      this.segmentCache = { path: segment.logPath, mtimeMs, data: zlib.gunzipSync(fs.readFileSync(segment.logPath)) };
+    }
+    return this.segmentCache.data;
+  }
+
+  /**
+   * Text of the given records of one segment.
+   */
+  readLines(segment, records) {
+    if (!records.length) return [];
+    const data = this.readSegmentData(segment);
+    if (data) return records.map((r) => data.subarray(r.offset, r.offset + r.length).toString('utf8'));
+
+    const start = Math.min(...records.map((r) => r.offset));
+    const end = Math.max(...records.map((r) => r.offset + r.length));
+    const buf = Buffer.alloc(end - start);
+    const fd = fs.openSync(segment.logPath, 'r');
+    try {
+      fs.readSync(fd, buf, 0, buf.length, start);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return records.map((r) => buf.subarray(r.offset - start, r.offset - start + r.length).toString('utf8'));
+  }
+
+  toEntry(segment, index, i, text) {
+    const record = decodeRecord(index.buf, i);
+    return {
+      seq: segment.firstSeq + i,
+      time: new Date(record.time).toISOString(),
+      stream: STREAMS[record.stream] || 'stdout',
+      level: LEVELS[record.level] || null,
+      text,
+    };
+  }
+
+  /**
+   * The last `count` lines of a server's log as entries { seq, time, stream, level, text }.
+   */
+  tail(server, count = 100) {
+    const wanted = Math.max(0, Math.floor(Number(count)) || 0);
+    const out = [];
+    const segments = this.segments(server);
+    for (let s = segments.length - 1; s >= 0 && out.length < wanted; s -= 1) {
+      const segment = segments[s];
+      const index = readIndex(segment.indexPath);
+      if (!index?.count) continue;
+      const from = Math.max(0, index.count - (wanted - out.length));
+      const positions = [];
+      for (let i = from; i < index.count; i += 1) positions.push(i);
+      const texts = this.readLines(segment, positions.map((i) => decodeRecord(index.buf, i)));
+      out.unshift(...positions.map((i, n) => this.toEntry(segment, index, i, texts[n])));
+    }
+    return out;
+  }
+
+  /**
+   * Search a server's log.
+   *
+   * @param {object} query
+   * @param {string} [query.from] - ISO time, inclusive
+   * @param {string} [query.to] - ISO time, inclusive
+   * @param {string} [query.q] - regular expression matched against each line
+   * @param {boolean} [query.ignoreCase]
+   * @param {string} [query.level] - minimum level (trace, debug, info, warn, error, fatal)
+   * @param {string} [query.stream] - stdout, stderr or system (comma-separated for several)
+   * @param {number} [query.limit]
+   * @param {number} [query.cursor] - seq to continue from (nextCursor of the previous page)
+   * @returns {{ lines: object[], nextCursor: number|null, scanned: number }} nextCursor is null
+   *   once the range is exhausted; a page may hold fewer than `limit` lines when the scan budget
+   *   ran out first
+   */
+  search(server, { from = null, to = null, q = null, ignoreCase = false, level = null, stream = null, limit = DEFAULT_PAGE, cursor = null } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    if (from && !Number.isFinite(fromTime)) throw invalid('from must be an ISO date');
+    if (to && !Number.isFinite(toTime)) throw invalid('to must be an ISO date');
+
+    let pattern = null;
+    if (q) {
+      if (String(q).length > MAX_PATTERN_LENGTH) throw invalid(`q is limited to ${MAX_PATTERN_LENGTH} characters`);
+      try {
+        pattern = new RegExp(String(q), ignoreCase ? 'i' : '');
+      } catch (e) {
+        throw invalid(`q is not a valid regular expression: ${e.message}`);
+      }
+    }
+
+    let minLevel = 0;
+    if (level) {
+      minLevel = LEVELS.indexOf(String(level).toLowerCase());
+      if (minLevel < 1) throw invalid(`level must be one of ${LEVELS.slice(1).join(', ')}`);
+    }
+
+    let streams = null;
+    if (stream) {
+      const names = String(stream).split(',').map((s) => s.trim()).filter(Boolean);
+      if (names.some((s) => !STREAMS.includes(s))) throw invalid(`stream must be one of ${STREAMS.join(', ')}`);
+      streams = new Set(names.map((s) => STREAMS.indexOf(s)));
+    }
+
+    const pageSize = Math.min(MAX_PAGE, Math.max(1, Math.floor(Number(limit)) || DEFAULT_PAGE));
+    const startSeq = cursor === null || cursor === undefined || cursor === '' ? null : Number(cursor);
+    if (startSeq !== null && (!Number.isInteger(startSeq) || startSeq < 0)) throw invalid('cursor must be a line sequence number');
+
+    const lines = [];
+    let scanned = 0;
+    let nextCursor = null;
+    for (const segment of this.segments(server)) {
+      if (startSeq !== null && segment.firstSeq + segment.count <= startSeq) continue;
+      const index = readIndex(segment.indexPath);
+      if (!index?.count) continue;
+      if (toTime !== null && recordTime(index.buf, 0) > toTime) break;
+      if (fromTime !== null && recordTime(index.buf, index.count - 1) < fromTime) continue;
+
+      let i = fromTime !== null ? lowerBoundTime(index, fromTime) : 0;
+      if (startSeq !== null) i = Math.max(i, startSeq - segment.firstSeq);
+
+      // Filter on the index first, then read the text of the candidates in batches
+      const batch = [];
+      const flush = () => {
+        const texts = this.readLines(segment, batch.map((p) => decodeRecord(index.buf, p)));
+        for (let n = 0; n < batch.length; n += 1) {
+          if (lines.length >= pageSize) {
+            nextCursor = segment.firstSeq + batch[n];
+            break;
+          }
+          if (pattern && !pattern.test(texts[n])) continue;
+          lines.push(this.toEntry(segment, index, batch[n], texts[n]));
+        }
+        batch.length = 0;
+      };
+
+      for (; i < index.count; i += 1) {
+        if (toTime !== null && recordTime(index.buf, i) > toTime) break;
+        if (scanned >= MAX_SCAN_LINES) {
+          flush();
+          if (nextCursor === null) nextCursor = segment.firstSeq + i;
+          break;
+        }
+        scanned += 1;
+        const record = decodeRecord(index.buf, i);
+        if (streams && !streams.has(record.stream)) continue;
+        if (minLevel && record.level < minLevel) continue;
+        batch.push(i);
+        if (batch.length >= pageSize) {
+          flush();
+          if (nextCursor !== null) break;
+        }
+      }
+      if (nextCursor === null && batch.length) flush();
+      if (nextCursor !== null) break;
+      if (toTime !== null && i < index.count) break;
+    }
+    return { lines, nextCursor, scanned };
+  }
+
+  /**
+   * Copy a running container's output into the store until the container stops. Resumes after
+   * the last stored line, or imports the last CONTAINER_IMPORT_TAIL lines the first time.
+   */
+  async followContainer(server) {
+    const id = Number(server.id);
+    this.unfollowContainer(id);
+    const log = this.forServer(server);
+    const since = log.lastTime || 0;
+    const partial = { stdout: '', stderr: '' };
+    const entry = { handle: null, closed: false };
+    this.followers.set(id, entry);
+
+    const writeLine = (key, line) => {
+      // "2026-10-19T16:28:08.649123456Z message"
+      const space = line.indexOf(' ');
+      const time = space > 0 ? Date.parse(line.slice(0, space)) : NaN;
+      if (Number.isFinite(time) && since && time <= since) return;
+      log.append(key, `${Number.isFinite(time) ? line.slice(space + 1) : line}\n`, Number.isFinite(time) ? time : null);
+    };
+
+    try {
+      const { dockerEngine } = require('./docker-engine');
+      const dockerRuntime = require('./docker-runtime');
+      const handle = await dockerEngine.streamLogs(dockerRuntime.containerNameForServerId(id), {
+        tail: since ? null : CONTAINER_IMPORT_TAIL,
+        since: since ? (since / 1000).toFixed(3) : null,
+        timestamps: true,
+        follow: true,
+        onData: ({ stream, data }) => {
+          const key = stream === 'stderr' ? 'stderr' : 'stdout';
+          const parts = (partial[key] + data.toString('utf8')).split('\n');
+          partial[key] = parts.pop();
+          for (const line of parts) writeLine(key, line);
+        },
+      });
+      if (entry.closed) {
+        handle.close();
+        return;
+      }
+      entry.handle = handle;
+      handle.done.then(() => {
+        for (const key of ['stdout', 'stderr']) {
+          if (partial[key]) writeLine(key, partial[key]);
+          partial[key] = '';
+        }
+        if (this.followers.get(id) === entry) this.followers.delete(id);
+      });
+    } catch (e) {
+      if (this.followers.get(id) === entry) this.followers.delete(id);
+      console.warn(`[LOGS] Could not follow the container of server ${id}:`, e.message);
+    }
+  }
+
+  unfollowContainer(serverId) {
+    const id = Number(serverId);
+    const entry = this.followers.get(id);
+    if (!entry) return;
+    entry.closed = true;
+    this.followers.delete(id);
+    try {
+      entry.handle?.close();
+    } catch {
+      // already closed
+    }
+  }
+
+  /**
+   * Apply retention to a log directory.
+   */
+  prune(dir) {
+    const { retentionDays, maxSegments } = this.getSettings();
+    let segments = listSegmentFiles(dir);
+    const remove = (segment) => {
+      fs.rmSync(segment.indexPath, { force: true });
+      fs.rmSync(segment.logPath, { force: true });
+    };
+
+    if (retentionDays > 0) {
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      segments = segments.filter((segment) => {
+        const index = readIndex(segment.indexPath);
+        const last = index?.count ? recordTime(index.buf, index.count - 1) : 0;
+        if (last >= cutoff) return true;
+        remove(segment);
+        return false;
+      });
+    }
+    if (maxSegments > 0 && segments.length > maxSegments) {
+      for (const segment of segments.slice(0, segments.length - maxSegments)) remove(segment);
+    }
+  }
+
+  /**
+   * Rotate segments that got too old while nothing was written, and apply retention to every
+   * local server.
+   */
+  maintain() {
+    this.settings = null;
+    for (const log of this.logs.values()) {
+      try {
+        if (log.firstTime !== null && this.shouldRotate(log, Date.now(), 0)) log.rotate();
+      } catch (e) {
+        console.warn(`[LOGS] Rotation failed for server ${log.serverId}:`, e.message);
+      }
+    }
+    try {
+      const rows = getDatabase().prepare('SELECT id, path FROM servers WHERE node_id IS NULL AND path IS NOT NULL').all();
+      for (const row of rows) {
+        try {
+          this.prune(this.logsDir(row));
+        } catch (e) {
+          console.warn(`[LOGS] Retention failed for server ${row.id}:`, e.message);
+        }
+      }
+    } catch (e) {
+      console.warn('[LOGS] Retention failed:', e.message);
+    }
+  }
+}
+
+const logStore = new LogStore();
+
+module.exports = {
+  STREAMS,
+  LEVELS,
+  LogStore,
+  logStore,
+  detectLevel,
+};
@@ -3,46 +3,10 @@
  * 
  * Manages Docker macvlan networks and static IP assignments for server containers.
  * This enables each server to have its own dedicated IP address.
+ * Talks to the daemon through the Docker Engine API client.
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
-const fs = require('fs');
-
-// Helper to execute docker commands
-function execDocker(args, opts = {}) {
-    return new Promise((resolve, reject) => {
-        const child = spawn('docker', args, {
-            shell: false,
-            windowsHide: true,
-            ...opts,
-        });
-
-        let stdout = '';
-        let stderr = '';
-
-        child.stdout?.on('data', (d) => {
-            stdout += d.toString('utf8');
-        });
-
-        child.stderr?.on('data', (d) => {
-            stderr += d.toString('utf8');
-        });
-
-        child.on('error', (err) => {
-            reject(err);
-        });
-
-        child.on('close', (code) => {
-            if (code === 0) return resolve({ stdout, stderr, code });
-            const e = new Error(stderr || stdout || `docker ${args.join(' ')} failed with code ${code}`);
-            e.code = code;
-            e.stdout = stdout;
-            e.stderr = stderr;
-            reject(e);
-        });
-    });
-}
+const { dockerEngine } = require('./docker-engine');
 
 /**
  * Network configuration for Turbonox
@@ -54,7 +18,7 @@ const TURBONOX_NETWORK_PREFIX = 'turbonox-net';
  */
 async function networkExists(networkName) {
     try {
-        await execDocker(['network', 'inspect', networkName]);
+        await dockerEngine.inspectNetwork(networkName);
         return true;
     } catch {
         return false;
@@ -84,22 +48,15 @@ async function createMacvlanNetwork({ networkName, subnet, gateway, parentInterf
         return { created: false, networkName };
     }
 
-    const args = [
-        'network', 'create',
-        '-d', 'macvlan',
-        '--subnet', subnet,
-        '--gateway', gateway,
-        '-o', `parent=${parentInterface}`,
-    ];
-
-    if (ipRange) {
-        args.push('--ip-range', ipRange);
-    }
-
-    args.push(networkName);
+    const config = {
+        Name: networkName,
+        Driver: 'macvlan',
+        IPAM: { Config: [{ Subnet: subnet, Gateway: gateway, ...(ipRange ? { IPRange: ipRange } : {}) }] },
+        Options: { parent: parentInterface },
+    };
 
     try {
-        await execDocker(args);
+        await dockerEngine.createNetwork(config);
         console.log(`[NETWORK] Created macvlan network: ${networkName}`);
         return { created: true, networkName };
     } catch (e) {
@@ -129,20 +86,14 @@ async function createBridgeNetwork({ networkName, subnet, gateway }) {
         return { created: false, networkName };
     }
 
-    const args = ['network', 'create', '-d', 'bridge'];
+    const config = { Name: networkName, Driver: 'bridge' };
 
     if (subnet) {
-        args.push('--subnet', subnet);
-    }
-
-    if (gateway) {
-        args.push('--gateway', gateway);
+        config.IPAM = { Config: [{ Subnet: subnet, ...(gateway ? { Gateway: gateway } : {}) }] };
     }
 
-    args.push(networkName);
-
     try {
-        await execDocker(args);
+        await dockerEngine.createNetwork(config);
         console.log(`[NETWORK] Created bridge network: ${networkName}`);
         return { created: true, networkName };
     } catch (e) {
@@ -190,12 +141,11 @@ function calculateServerIP(serverId) {
  */
 async function removeNetwork(networkName) {
     try {
-        await execDocker(['network', 'rm', networkName]);
+        await dockerEngine.removeNetwork(networkName);
         console.log(`[NETWORK] Removed network: ${networkName}`);
         return true;
     } catch (e) {
-        const msg = String(e?.message || '').toLowerCase();
-        if (msg.includes('not found') || msg.includes('no such network')) {
+        if (e?.statusCode === 404) {
             return false;
         }
         throw e;
@@ -207,12 +157,8 @@ async function removeNetwork(networkName) {
  */
 async function listTurbonoxNetworks() {
     try {
-        const res = await execDocker([
-            'network', 'ls',
-            '--filter', `name=${TURBONOX_NETWORK_PREFIX}`,
-            '--format', '{{.Name}}'
-        ]);
-        return res.stdout.trim().split('\n').filter(Boolean);
+        const networks = await dockerEngine.listNetworks({ filters: { name: [TURBONOX_NETWORK_PREFIX] } });
+        return (networks || []).map((n) => n.Name).filter(Boolean);
     } catch {
         return [];
     }
@@ -223,9 +169,7 @@ async function listTurbonoxNetworks() {
  */
 async function getNetworkInfo(networkName) {
     try {
-        const res = await execDocker(['network', 'inspect', networkName]);
-        const data = JSON.parse(res.stdout);
-        return data[0] || null;
+        return await dockerEngine.inspectNetwork(networkName);
     } catch {
         return null;
     }
@@ -236,7 +180,7 @@ async function getNetworkInfo(networkName) {
  */
 async function disconnectFromNetwork(containerName, networkName) {
     try {
-        await execDocker(['network', 'disconnect', networkName, containerName]);
+        await dockerEngine.disconnectNetwork(networkName, containerName);
         return true;
     } catch {
         return false;
@@ -247,16 +191,8 @@ async function disconnectFromNetwork(containerName, networkName) {
  * Connect a container to a network with a specific IP
  */
 async function connectToNetwork(containerName, networkName, ip) {
-    const args = ['network', 'connect'];
-
-    if (ip) {
-        args.push('--ip', ip);
-    }
-
-    args.push(networkName, containerName);
-
     try {
-        await execDocker(args);
+        await dockerEngine.connectNetwork(networkName, containerName, { ipv4Address: ip || null });
         return true;
     } catch (e) {
         console.error(`[NETWORK] Failed to connect ${containerName} to ${networkName}:`, e.message);
@@ -265,7 +201,6 @@ async function connectToNetwork(containerName, networkName, ip) {
 }
 
 module.exports = {
-    execDocker,
     networkExists,
     createMacvlanNetwork,
     createBridgeNetwork,
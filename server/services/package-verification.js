@@ -27,9 +27,13 @@ class PackageVerificationService {
       const stat = fs.statSync(filePath);
       
       if (stat.isFile()) {
-        // Calculate checksum for single file
-        const fileBuffer = fs.readFileSync(filePath);
-        hash.update(fileBuffer);
+        // Calculate checksum for single file (streamed, so large files are not read into memory)
+        await new Promise((resolve, reject) => {
+          const stream = fs.createReadStream(filePath);
+          stream.on('data', (chunk) => hash.update(chunk));
+          stream.on('end', resolve);
+          stream.on('error', reject);
+        });
         return hash.digest('hex');
       } else if (stat.isDirectory()) {
         // Calculate checksum for directory (recursive)
@@ -164,10 +168,24 @@ class PackageVerificationService {
     }
   }
 
+  /**
+   * Generate per-file checksums for a directory tree: { algorithm, files: { 'relative/path': checksum } }
+   */
+  async generateFileChecksums(dirPath, algorithm = this.defaultAlgorithm) {
+    if (!this.supportedAlgorithms.includes(algorithm)) {
+      throw new Error(`Unsupported algorithm: ${algorithm}. Supported: ${this.supportedAlgorithms.join(', ')}`);
+    }
+    const files = {};
+    if (fs.existsSync(dirPath)) {
+      await this._generateFileChecksums(dirPath, files, algorithm);
+    }
+    return { algorithm, files };
+  }
+
   /**
    * Generate checksums for all files in a directory
    */
-  async _generateFileChecksums(dirPath, filesObj, algorithm) {
+  async _generateFileChecksums(dirPath, filesObj, algorithm, rootPath = dirPath) {
     const items = fs.readdirSync(dirPath, { withFileTypes: true });
     
     // Sort items for consistent ordering
@@ -175,7 +193,7 @@ class PackageVerificationService {
     
     for (const item of items) {
       const fullPath = path.join(dirPath, item.name);
-      const relativePath = path.relative(dirPath, fullPath);
+      const relativePath = path.relative(rootPath, fullPath);
       
       if (item.isFile()) {
         try {
@@ -185,7 +203,7 @@ class PackageVerificationService {
           console.warn(`[PACKAGE_VERIFICATION] Skipping file ${relativePath}: ${error.message}`);
         }
       } else if (item.isDirectory()) {
-        await this._generateFileChecksums(fullPath, filesObj, algorithm);
+        await this._generateFileChecksums(fullPath, filesObj, algorithm, rootPath);
       }
     }
   }
@@ -0,0 +1,92 @@
+/**
+ * Panel API keys
+ *
+ * Long-lived secrets a panel user creates for clients that cannot do the browser login, such as
+ * SFTP clients (the key is accepted in place of the password). A key looks like
+ * tnx_<prefix>_<secret>; only its SHA-256 is stored, the prefix finds the row. The full key is
+ * shown once, when it is created.
+ */
+
+const crypto = require('crypto');
+
+const KEY_RE = /^tnx_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+const MAX_KEYS_PER_USER = 20;
+const MAX_NAME_LENGTH = 100;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_API_KEY_REQUEST';
+  return err;
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function isApiKey(value) {
+  return KEY_RE.test(String(value || ''));
+}
+
+function toPublicKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: `tnx_${row.key_prefix}`,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+  };
+}
+
+function listKeys(db, userId) {
+  return db.prepare('SELECT * FROM panel_api_keys WHERE panel_user_id = ? ORDER BY created_at DESC, id DESC').all(userId).map(toPublicKey);
+}
+
+/**
+ * Create a key. Returns the public row plus `key`, which is not retrievable later.
+ */
+function createKey(db, userId, name) {
+  const label = String(name ?? '').trim();
+  if (!label || label.length > MAX_NAME_LENGTH) throw invalid(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+  const count = db.prepare('SELECT COUNT(*) AS count FROM panel_api_keys WHERE panel_user_id = ?').get(userId).count;
+  if (count >= MAX_KEYS_PER_USER) throw invalid(`At most ${MAX_KEYS_PER_USER} API keys per user`);
+
+  for (;;) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    if (db.prepare('SELECT 1 FROM panel_api_keys WHERE key_prefix = ?').get(prefix)) continue;
+    const key = `tnx_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    const result = db.prepare('INSERT INTO panel_api_keys (panel_user_id, name, key_prefix, key_hash) VALUES (?, ?, ?, ?)')
+      .run(userId, label, prefix, hashKey(key));
+    const row = db.prepare('SELECT * FROM panel_api_keys WHERE id = ?').get(result.lastInsertRowid);
+    return { ...toPublicKey(row), key };
+  }
+}
+
+/**
+ * Delete one of the user's keys. Returns false when there is no such key.
+ */
+function revokeKey(db, userId, keyId) {
+  return db.prepare('DELETE FROM panel_api_keys WHERE id = ? AND panel_user_id = ?').run(keyId, userId).changes > 0;
+}
+
+/**
+ * The active panel user a key belongs to, or null.
+ */
+function verifyKey(db, key) {
+  const match = KEY_RE.exec(String(key || ''));
+  if (!match) return null;
+  const row = db.prepare('SELECT * FROM panel_api_keys WHERE key_prefix = ?').get(match[1]);
+  if (!row) return null;
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+  const user = db.prepare('SELECT * FROM panel_users WHERE id = ? AND is_active = 1').get(row.panel_user_id);
+  if (!user) return null;
+  db.prepare('UPDATE panel_api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+  return user;
+}
+
+module.exports = {
+  isApiKey,
+  listKeys,
+  createKey,
+  revokeKey,
+  verifyKey,
+};
@@ -0,0 +1,276 @@
+/**
+ * Restart supervisor
+ *
+ * Applies each server's restart policy to the exits reported by the runtime watcher (exits
+ * nobody asked for). Policies, stored on the server row:
+ *
+ *   - never: stay stopped.
+ *   - on-failure: restart after a crash (non-zero exit, signal or OOM), at most
+ *     restart_max_retries times in a row.
+ *   - always: restart after any exit.
+ *
+ * Restarts wait restart_delay_seconds, doubled for every consecutive attempt when
+ * restart_backoff is set (capped at restart_max_delay_seconds). A server that exits
+ * crashloop_threshold times within crashloop_window_seconds is marked 'crashlooping' and not
+ * restarted again until someone starts it; the last lines of its log are kept in the
+ * SERVER_CRASHLOOP audit entry. Starting, stopping or killing a server through
+ * CoreOrchestrator (or the server routes) resets its state.
+ */
+
+const { getDatabase } = require('../lib/database');
+const AuditService = require('./AuditService');
+const runtimeDrivers = require('./runtime-drivers');
+const { runtimeWatcher } = require('./runtime-watcher');
+
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+const LOG_TAIL_LINES = 50;
+
+const DEFAULTS = {
+  restart_policy: 'never',
+  restart_max_retries: 3,
+  restart_delay_seconds: 5,
+  restart_backoff: 1,
+  restart_max_delay_seconds: 300,
+  crashloop_threshold: 5,
+  crashloop_window_seconds: 600,
+};
+
+// Request body field -> column, with the smallest accepted value for numbers
+const POLICY_FIELDS = {
+  restartMaxRetries: ['restart_max_retries', 0],
+  restartDelaySeconds: ['restart_delay_seconds', 0],
+  restartMaxDelaySeconds: ['restart_max_delay_seconds', 1],
+  crashLoopThreshold: ['crashloop_threshold', 2],
+  crashLoopWindowSeconds: ['crashloop_window_seconds', 10],
+};
+
+/**
+ * The effective restart policy of a server row, with defaults filled in.
+ */
+function getRestartPolicy(server) {
+  const int = (column) => {
+    const n = Number(server?.[column]);
+    return Number.isFinite(n) ? Math.floor(n) : DEFAULTS[column];
+  };
+  return {
+    policy: RESTART_POLICIES.includes(server?.restart_policy) ? server.restart_policy : DEFAULTS.restart_policy,
+    maxRetries: int('restart_max_retries'),
+    delaySeconds: int('restart_delay_seconds'),
+    backoff: server?.restart_backoff === null || server?.restart_backoff === undefined
+      ? Boolean(DEFAULTS.restart_backoff)
+      : Boolean(Number(server.restart_backoff)),
+    maxDelaySeconds: int('restart_max_delay_seconds'),
+    crashLoopThreshold: int('crashloop_threshold'),
+    crashLoopWindowSeconds: int('crashloop_window_seconds'),
+  };
+}
+
+/**
+ * Validate the restart policy fields of a PUT /api/servers/:id body. Returns the columns to
+ * update (only the fields that were sent). Throws with err.code = 'INVALID_RESTART_POLICY'.
+ */
+function parseRestartPolicyInput(body = {}) {
+  const invalid = (message) => {
+    const err = new Error(message);
+    err.code = 'INVALID_RESTART_POLICY';
+    return err;
+  };
+  const columns = {};
+
+  if (body.restartPolicy !== undefined) {
+    if (!RESTART_POLICIES.includes(body.restartPolicy)) {
+      throw invalid(`restartPolicy must be one of ${RESTART_POLICIES.join(', ')}`);
+    }
+    columns.restart_policy = body.restartPolicy;
+  }
+  if (body.restartBackoff !== undefined) {
+    columns.restart_backoff = body.restartBackoff ? 1 : 0;
+  }
+  for (const [field, [column, min]] of Object.entries(POLICY_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const n = Number(body[field]);
+    if (!Number.isInteger(n) || n < min) {
+      throw invalid(`${field} must be an integer of at least ${min}`);
+    }
+    columns[column] = n;
+  }
+  return columns;
+}
+
+/**
+ * Delay before restart number `attempt` (1-based), in ms.
+ */
+function computeRestartDelay(policy, attempt) {
+  const base = policy.delaySeconds * 1000;
+  if (!policy.backoff) return base;
+  return Math.min(base * 2 ** Math.max(0, attempt - 1), policy.maxDelaySeconds * 1000);
+}
+
+class RestartSupervisor {
+  constructor() {
+    this.started = false;
+    // serverId -> { failures: number[], attempts, lastStartAt, timer, nextRestartAt }
+    this.state = new Map();
+    this.onExit = (event) => {
+      this.handleExit(event).catch((e) => console.warn(`[RESTART] Failed to handle exit of server ${event.serverId}:`, e.message));
+    };
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    runtimeWatcher.on('exit', this.onExit);
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    runtimeWatcher.off('exit', this.onExit);
+    for (const id of [...this.state.keys()]) this.reset(id);
+  }
+
+  stateFor(serverId) {
+    const id = Number(serverId);
+    if (!this.state.has(id)) {
+      this.state.set(id, { failures: [], attempts: 0, lastStartAt: null, timer: null, nextRestartAt: null });
+    }
+    return this.state.get(id);
+  }
+
+  /**
+   * Forget failures and cancel a pending restart, e.g. after a manual start or stop.
+   */
+  reset(serverId) {
+    const id = Number(serverId);
+    const state = this.state.get(id);
+    if (!state) return;
+    clearTimeout(state.timer);
+    this.state.delete(id);
+  }
+
+  /**
+   * What the supervisor currently knows about a server, for API responses.
+   */
+  getStatus(serverId) {
+    const state = this.state.get(Number(serverId));
+    return {
+      recentFailures: state ? state.failures.length : 0,
+      attempts: state ? state.attempts : 0,
+      nextRestartAt: state?.nextRestartAt ? new Date(state.nextRestartAt).toISOString() : null,
+    };
+  }
+
+  async handleExit({ serverId, exitCode, signal, oomKilled, crashed }) {
+    const db = getDatabase();
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(serverId);
+    if (!server) return this.reset(serverId);
+
+    const policy = getRestartPolicy(server);
+    if (policy.policy === 'never') return;
+    if (policy.policy === 'on-failure' && !crashed) return this.reset(serverId);
+
+    const now = Date.now();
+    const windowMs = policy.crashLoopWindowSeconds * 1000;
+    const state = this.stateFor(serverId);
+    // A server that stayed up for a whole window starts over
+    if (state.lastStartAt && now - state.lastStartAt > windowMs) {
+      state.failures = [];
+      state.attempts = 0;
+    }
+    state.failures = state.failures.filter((t) => now - t <= windowMs).concat(now);
+
+    if (state.failures.length >= policy.crashLoopThreshold) {
+      await this.markCrashLooping(server, policy, state, { exitCode, signal, oomKilled });
+      return;
+    }
+
+    if (policy.policy === 'on-failure' && state.attempts >= policy.maxRetries) {
+      AuditService.log(server.id, 'SERVER_RESTART_GAVE_UP', 'system', `Not restarting after ${state.attempts} attempt(s)`, {
+        exitCode,
+        signal,
+        oomKilled,
+        lastLogLines: await this.readLogTail(server),
+      });
+      console.warn(`[RESTART] Server ${server.id} still failing after ${state.attempts} restart(s); giving up`);
+      this.reset(server.id);
+      return;
+    }
+
+    this.scheduleRestart(server, policy, state);
+  }
+
+  scheduleRestart(server, policy, state) {
+    clearTimeout(state.timer);
+    state.attempts += 1;
+    const attempt = state.attempts;
+    const delay = computeRestartDelay(policy, attempt);
+    state.nextRestartAt = Date.now() + delay;
+    console.log(`[RESTART] Restarting server ${server.id} in ${Math.round(delay / 1000)}s (attempt ${attempt}, ${policy.policy})`);
+
+    state.timer = setTimeout(async () => {
+      state.timer = null;
+      state.nextRestartAt = null;
+      if (this.state.get(Number(server.id)) !== state) return;
+
+      // Someone started, deleted or otherwise took over the server in the meantime
+      const current = getDatabase().prepare('SELECT status FROM servers WHERE id = ?').get(server.id);
+      if (!current || current.status !== 'stopped') return;
+
+      try {
+        state.lastStartAt = Date.now();
+        const result = await runtimeDrivers.startServer(server.id, { source: 'restart-policy' });
+        AuditService.log(server.id, 'SERVER_AUTO_RESTART', 'system', `Restarted by ${policy.policy} policy (attempt ${attempt})`, {
+          attempt,
+          driver: result.driver,
+        });
+      } catch (e) {
+        console.warn(`[RESTART] Restart of server ${server.id} failed:`, e.message);
+        AuditService.log(server.id, 'SERVER_AUTO_RESTART', 'system', `Restart attempt ${attempt} failed: ${e.message}`, { attempt });
+        await this.handleExit({ serverId: Number(server.id), exitCode: null, signal: null, oomKilled: false, crashed: true });
+      }
+    }, delay);
+    state.timer.unref?.();
+  }
+
+  async markCrashLooping(server, policy, state, { exitCode, signal, oomKilled }) {
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.nextRestartAt = null;
+    getDatabase().prepare("UPDATE servers SET status = 'crashlooping' WHERE id = ? AND status = 'stopped'").run(server.id);
+    AuditService.log(
+      server.id,
+      'SERVER_CRASHLOOP',
+      'system',
+      `Exited ${state.failures.length} times within ${policy.crashLoopWindowSeconds}s; automatic restarts stopped`,
+      {
+        failures: state.failures.length,
+        windowSeconds: policy.crashLoopWindowSeconds,
+        exitCode,
+        signal,
+        oomKilled,
+        lastLogLines: await this.readLogTail(server),
+      }
+    );
+    console.warn(`[RESTART] Server ${server.id} is crash-looping; automatic restarts stopped`);
+  }
+
+  async readLogTail(server) {
+    try {
+      const lines = await runtimeDrivers.getDriverForServer(server).logs(server, { tail: LOG_TAIL_LINES });
+      return (lines || []).map((l) => String(l)).filter((l) => l.length > 0);
+    } catch {
+      return [];
+    }
+  }
+}
+
+const restartSupervisor = new RestartSupervisor();
+
+module.exports = {
+  RESTART_POLICIES,
+  RestartSupervisor,
+  restartSupervisor,
+  getRestartPolicy,
+  parseRestartPolicyInput,
+  computeRestartDelay,
+};
@@ -0,0 +1,78 @@
+/**
+ * Restore targets
+ *
+ * Restores write into live server directories, which may contain symlinks. Before an entry is
+ * written every directory on its way is made a real directory inside the root, and a symlink (or
+ * an entry of another kind) at the target itself is removed, so a link left in the server
+ * directory cannot redirect a restore outside of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function lstatOrNull(p) {
+  try {
+    return fs.lstatSync(p);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// fs.rmSync removes a symlink itself, never what it points to
+function ensureRealDirectory(dir) {
+  const stat = lstatOrNull(dir);
+  if (stat?.isDirectory()) return;
+  if (stat) fs.rmSync(dir, { force: true });
+  fs.mkdirSync(dir);
+}
+
+const resolveInside = (root, rel) => {
+  const target = path.resolve(root, rel);
+  return target.startsWith(root + path.sep) ? target : null;
+};
+
+/**
+ * Resolve rel inside root and make it safe to write as type ('file', 'directory' or 'symlink').
+ * Returns the absolute path, or null when rel points outside root.
+ */
+function prepareRestoreTarget(root, rel, type) {
+  const base = path.resolve(root);
+  const target = resolveInside(base, rel);
+  if (!target) return null;
+
+  fs.mkdirSync(base, { recursive: true });
+  let current = base;
+  for (const part of path.relative(base, path.dirname(target)).split(path.sep).filter(Boolean)) {
+    current = path.join(current, part);
+    ensureRealDirectory(current);
+  }
+
+  if (type === 'directory') {
+    ensureRealDirectory(target);
+    return target;
+  }
+  const stat = lstatOrNull(target);
+  if (stat && (type === 'symlink' || stat.isSymbolicLink() || !stat.isFile())) {
+    fs.rmSync(target, { recursive: true, force: true });
+  }
+  return target;
+}
+
+/**
+ * Resolve rel inside root for removal (tombstones). Null when it points outside root or a
+ * directory on the way is not a real directory.
+ */
+function findRestoreTarget(root, rel) {
+  const base = path.resolve(root);
+  const target = resolveInside(base, rel);
+  if (!target) return null;
+  let current = base;
+  for (const part of path.relative(base, path.dirname(target)).split(path.sep).filter(Boolean)) {
+    current = path.join(current, part);
+    if (!lstatOrNull(current)?.isDirectory()) return null;
+  }
+  return target;
+}
+
+module.exports = { prepareRestoreTarget, findRestoreTarget };
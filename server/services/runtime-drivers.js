@@ -0,0 +1,807 @@
+/**
+ * Server runtime drivers
+ *
+ * Every way of running a server implements the same interface, so routes, the limit poller,
+ * backups and the console do not care where a server runs:
+ *
+ *   prepare(server)                 make sure the server can be started (image, directory, remote copy)
+ *   start(server, { source })       -> { pid, containerId }
+ *   stop(server, { reason })         graceful, see stop-protocol
+ *   kill(server)
+ *   signal(server, signal)          deliver a signal to the server's processes
+ *   restart(server, { source })     -> { pid, containerId }
+ *   isRunning(server)               -> boolean
+ *   stats(server)                   -> { running, pid, cpuPercent, memUsedBytes, memLimitBytes }
+ *   logs(server, { tail })          -> [line]
+ *   exec(server, command, { timeoutMs }) -> { exitCode, stdout, stderr }
+ *   attach(server, { onData, history }) -> { write(data), detach() }  console output and stdin
+ *
+ * 'native' runs the command as a child process tracked in ProcessRegistry, 'docker' runs it in a
+ * container through docker-runtime and 'remote' delegates to the node agent through
+ * RemoteNodeManager. Servers with a node_id use 'remote'; local servers use their execution_mode.
+ *
+ * The driver that started a server is recorded in servers.runtime_driver until it stops, so a
+ * stop always goes to the driver that owns the running instance even if the configuration
+ * changed in between. startServer/stopServer/killServer/restartServer keep status, pid and
+ * runtime_driver in sync and mark requested stops in ProcessRegistry; exits nobody asked for
+ * are picked up by the runtime watcher. The drivers themselves only deal with the runtime.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const kill = require('tree-kill');
+const si = require('systeminformation');
+const { getDatabase } = require('../lib/database');
+const processRegistry = require('./ProcessRegistry');
+const dockerRuntime = require('./docker-runtime');
+const { jobManager } = require('./process-limits');
+const { RemoteNodeManager } = require('./remote-management');
+const { resolveStopConfig, runStopProtocol } = require('./stop-protocol');
+const { logStore } = require('./log-store');
+const { secretStore, NAME_RE, REF_RE } = require('./secret-store');
+
+const DRIVER_NAMES = ['native', 'docker', 'remote'];
+const DEFAULT_EXEC_TIMEOUT_MS = 60000;
+const MAX_EXEC_OUTPUT = 256 * 1024;
+
+// 'notice' ({ serverId, text }) for every appendServerLog line, for consoles that follow the
+// container's own output rather than the log store
+const serverNotices = new EventEmitter();
+serverNotices.setMaxListeners(0);
+
+// Panel output in the server's log and console, as is (deploy steps stream through here)
+const appendServerOutput = (server, text) => {
+  if (server.path) logStore.append(server, 'system', text);
+  serverNotices.emit('notice', { serverId: Number(server.id), text });
+};
+
+// A panel notice in the server's log and console (stop steps, backup hooks, restarts)
+const appendServerLog = (server, line) => {
+  appendServerOutput(server, `\n[${new Date().toISOString()}] ${line}\n`);
+};
+
+// env_vars with ${secret:NAME} references resolved (see secret-store)
+const parseEnvVars = (server) => secretStore.resolveEnv(server).env;
+
+// Environment variable that carries a secret referenced from a command
+const commandSecretVar = (name) => `TURBONOX_SECRET_${name}`;
+
+/**
+ * Resolve an egg/template startup command: {{VAR}} becomes vars[VAR] ('' when unset) and, with
+ * a server, ${secret:NAME} (written directly or arriving through a {{VAR}}) becomes a reference
+ * to TURBONOX_SECRET_NAME for the shell to expand. The values are returned in secretEnv for the
+ * process environment, so the command text handed to the shell (and a container's Cmd) only
+ * carries the reference; the program started still gets the value as an argument.
+ *
+ * @returns {{ text: string, secretEnv: object, missing: string[] }}
+ */
+function resolveTemplateVars(input, vars, server = null) {
+  const map = vars && typeof vars === 'object' ? vars : {};
+  const secretEnv = {};
+  const missing = [];
+  let text = String(input || '').replace(/\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g, (_, key) => {
+    const v = map[key];
+    return v === undefined || v === null ? '' : String(v);
+  });
+  if (server) {
+    text = text.replace(REF_RE, (_, name) => {
+      const envName = commandSecretVar(name);
+      if (!(envName in secretEnv)) {
+        const value = secretStore.resolveRefs(`\${secret:${name}}`, server, missing);
+        secretEnv[envName] = value;
+      }
+      return `\${${envName}}`;
+    });
+  }
+  return { text, secretEnv, missing: [...new Set(missing)] };
+}
+
+// Start command with {{VAR}} from the server's variables (references left to resolveTemplateVars)
+// plus the panel's own SERVER_PORT and SERVER_MEMORY
+function resolveStartCommand(server, command) {
+  let vars = {};
+  try {
+    const parsed = server.env_vars ? JSON.parse(server.env_vars) : {};
+    if (parsed && typeof parsed === 'object') vars = parsed;
+  } catch {
+    vars = {};
+  }
+  return resolveTemplateVars(command, {
+    SERVER_PORT: server.port,
+    SERVER_MEMORY: server.memory_limit_mb,
+    ...vars,
+  }, server);
+}
+
+const noteMissingSecrets = (server, missing) => {
+  if (missing?.length) appendServerLog(server, `Missing secrets (set to empty): ${missing.join(', ')}`);
+};
+
+// Name of the server's secret env-file (see secret-store writeEnvFile)
+const secretEnvFileName = (server) => `server-${server.id}`;
+
+const killTree = (pid, signal) => new Promise((resolve, reject) => {
+  kill(pid, signal, (err) => (err ? reject(err) : resolve()));
+});
+
+// Run a shell command and collect its output, killing it after timeoutMs
+const runCommand = (command, args, options, timeoutMs) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { windowsHide: true, ...options });
+  let stdout = '';
+  let stderr = '';
+  const cap = (s) => (s.length > MAX_EXEC_OUTPUT ? s.slice(-MAX_EXEC_OUTPUT) : s);
+  const timer = setTimeout(() => {
+    stderr += `\nTimed out after ${timeoutMs}ms`;
+    kill(child.pid, 'SIGKILL');
+  }, timeoutMs);
+  child.stdout?.on('data', (d) => { stdout = cap(stdout + d.toString('utf8')); });
+  child.stderr?.on('data', (d) => { stderr = cap(stderr + d.toString('utf8')); });
+  child.on('error', (err) => {
+    clearTimeout(timer);
+    reject(err);
+  });
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    resolve({ exitCode: typeof code === 'number' ? code : null, stdout, stderr });
+  });
+});
+
+class RuntimeDriver {
+  get name() {
+    return 'base';
+  }
+
+  // Resource limits are enforced by the runtime itself (cgroups), so the limit poller can skip it
+  get enforcesLimits() {
+    return false;
+  }
+
+  async prepare() {
+    return true;
+  }
+
+  async start() {
+    throw new Error(`${this.constructor.name} does not implement start`);
+  }
+
+  async stop() {
+    throw new Error(`${this.constructor.name} does not implement stop`);
+  }
+
+  async kill(server) {
+    return this.stop(server, { reason: 'kill' });
+  }
+
+  async signal() {
+    throw new Error(`${this.constructor.name} does not implement signal`);
+  }
+
+  async restart(server, options = {}) {
+    await this.stop(server, { reason: 'restart' });
+    return this.start(server, options);
+  }
+
+  async isRunning(server) {
+    return Boolean((await this.stats(server)).running);
+  }
+
+  async stats() {
+    throw new Error(`${this.constructor.name} does not implement stats`);
+  }
+
+  async logs() {
+    throw new Error(`${this.constructor.name} does not implement logs`);
+  }
+
+  async exec() {
+    throw new Error(`${this.constructor.name} does not implement exec`);
+  }
+
+  async attach() {
+    throw new Error(`${this.constructor.name} does not implement attach`);
+  }
+
+  /**
+   * Write one line to the server's console.
+   */
+  async sendInput(server, line) {
+    const handle = await this.attach(server, { history: false });
+    try {
+      await handle.write(`${String(line).replace(/\r?\n$/, '')}\n`);
+    } finally {
+      handle.detach();
+    }
+  }
+}
+
+class NativeDriver extends RuntimeDriver {
+  get name() {
+    return 'native';
+  }
+
+  async prepare(server) {
+    fs.mkdirSync(server.path, { recursive: true });
+    return true;
+  }
+
+  /**
+   * Spawn the server's command, send its output to the log store and register it in ProcessRegistry.
+   */
+  async start(server, { source = 'start' } = {}) {
+    const serverId = String(server.id);
+    if (processRegistry.get(serverId)?.process) {
+      throw new Error('Server is already running');
+    }
+    await this.prepare(server);
+
+    const startCommand = resolveStartCommand(server, server.command);
+    const [cmd, ...args] = startCommand.text.trim().split(' ');
+    if (!cmd) throw new Error('Server has no start command');
+    const { env, missing } = secretStore.resolveEnv(server);
+    noteMissingSecrets(server, [...new Set([...missing, ...startCommand.missing])]);
+    const childProcess = spawn(cmd, args, {
+      cwd: server.path,
+      shell: true,
+      env: {
+        ...global.process.env,
+        ...env,
+        ...startCommand.secretEnv,
+        PYTHONUTF8: global.process.env.PYTHONUTF8 || '1',
+        PYTHONIOENCODING: global.process.env.PYTHONIOENCODING || 'utf-8',
+        LANG: global.process.env.LANG || 'C.UTF-8',
+        LC_ALL: global.process.env.LC_ALL || 'C.UTF-8',
+        TERM: global.process.env.TERM || 'xterm-256color',
+      },
+    });
+
+    logStore.append(server, 'system', `[${new Date().toISOString()}] START (from ${source}) requested\n`);
+    childProcess.stdout.on('data', (data) => logStore.append(server, 'stdout', data));
+    childProcess.stderr.on('data', (data) => logStore.append(server, 'stderr', data));
+
+    childProcess.on('close', (code, signal) => {
+      logStore.flush(server.id);
+      logStore.append(server, 'system', `[${new Date().toISOString()}] Process exited with code ${code}\n`);
+      // The runtime watcher reconciles the server row and records crashes
+      processRegistry.reportExit(serverId, childProcess, { code, signal });
+    });
+
+    childProcess.on('error', (err) => {
+      logStore.append(server, 'system', `[${new Date().toISOString()}] Process error: ${err.message}\n`);
+    });
+
+    processRegistry.set(serverId, {
+      process: childProcess,
+      bridgedPort: null,
+    });
+
+    return { pid: childProcess.pid, containerId: null };
+  }
+
+  async stop(server, { reason = null } = {}) {
+    const serverId = String(server.id);
+    const serverProcess = processRegistry.get(serverId)?.process;
+    if (!serverProcess) {
+      console.log(`[STOP] Server ${serverId} not found in running processes`);
+      return { stopped: false };
+    }
+
+    // Mark as intentional stop (so the close handler doesn't look like a crash)
+    processRegistry.markStopping(serverId);
+    console.log(`[STOP] Stopping process tree for PID ${serverProcess.pid}${reason ? ` (${reason})` : ''}`);
+    let outcome;
+    try {
+      outcome = await runStopProtocol(this, server, resolveStopConfig(server), {
+        log: (line) => appendServerLog(server, line),
+      });
+    } finally {
+      // Closing the Job Object kills what is left, so only after the protocol has run
+      try {
+        await jobManager.closeServerJob(serverId);
+      } catch (jobError) {
+        console.warn(`[STOP] Failed to cleanup Job Object for server ${serverId}:`, jobError.message);
+      }
+      if (processRegistry.get(serverId)?.process === serverProcess) processRegistry.delete(serverId);
+      processRegistry.removeStopping(serverId);
+    }
+    return { stopped: true, method: outcome.method };
+  }
+
+  async kill(server) {
+    const serverId = String(server.id);
+    const serverProcess = processRegistry.get(serverId)?.process;
+    if (!serverProcess) return { stopped: false };
+    processRegistry.markStopping(serverId);
+    try {
+      await killTree(serverProcess.pid, 'SIGKILL').catch(() => null);
+    } finally {
+      if (processRegistry.get(serverId)?.process === serverProcess) processRegistry.delete(serverId);
+      processRegistry.removeStopping(serverId);
+    }
+    return { stopped: true };
+  }
+
+  // tree-kill so children spawned through the shell get it too (and on Windows)
+  async signal(server, signal) {
+    const pid = processRegistry.get(server.id)?.process?.pid;
+    if (!pid) throw new Error('Server is not running');
+    await killTree(pid, signal);
+  }
+
+  async isRunning(server) {
+    return Boolean(processRegistry.get(server.id)?.process);
+  }
+
+  /**
+   * CPU and RSS of the tracked process and its direct children. With shell=true the tracked PID
+   * is the shell (cmd.exe on Windows) and the actual workload is a child.
+   */
+  async stats(server) {
+    // The stored pid covers processes the registry lost track of
+    const tracked = processRegistry.get(server.id)?.process?.pid;
+    const pid = tracked ? Number(tracked) : (Number(server.pid) || null);
+    const idle = { running: false, pid: null, cpuPercent: 0, memUsedBytes: 0, memLimitBytes: 0 };
+    if (!pid) return idle;
+
+    const procData = await si.processes();
+    const list = procData?.list || [];
+    const mainProc = list.find((p) => Number(p.pid) === pid);
+    const childProcs = list.filter((p) => {
+      const ppid = typeof p.ppid === 'number' ? p.ppid : (typeof p.parentPid === 'number' ? p.parentPid : null);
+      return ppid !== null && Number(ppid) === pid;
+    });
+    const procs = (mainProc ? [mainProc] : []).concat(childProcs);
+    if (!procs.length) return idle;
+
+    // systeminformation reports RSS in KB on most platforms and bytes on some
+    const rssBytes = (p) => {
+      const raw = typeof p.memRss === 'number' ? p.memRss : (typeof p.mem_rss === 'number' ? p.mem_rss : 0);
+      return raw > 0 && raw < 1024 * 1024 * 1024 ? raw * 1024 : raw;
+    };
+    return {
+      running: true,
+      pid: mainProc ? pid : Number(childProcs[0]?.pid || pid),
+      cpuPercent: procs.reduce((sum, p) => sum + (typeof p.cpu === 'number' ? p.cpu : 0), 0),
+      memUsedBytes: procs.reduce((sum, p) => sum + rssBytes(p), 0),
+      memLimitBytes: server.memory_limit_mb ? Number(server.memory_limit_mb) * 1024 * 1024 : 0,
+    };
+  }
+
+  async logs(server, { tail = 100 } = {}) {
+    return logStore.tail(server, tail).map((entry) => entry.text);
+  }
+
+  async exec(server, command, { timeoutMs = DEFAULT_EXEC_TIMEOUT_MS } = {}) {
+    return runCommand(String(command), [], {
+      cwd: server.path,
+      shell: true,
+      env: { ...global.process.env, ...parseEnvVars(server) },
+    }, timeoutMs);
+  }
+
+  /**
+   * Follow the server's log in the log store (the process writes its output there) and write to
+   * the process's stdin.
+   */
+  async attach(server, { onData = null, history = true } = {}) {
+    if (onData && history) {
+      const lines = logStore.tail(server, 200).map((entry) => entry.text).join('\n');
+      if (lines.trim()) onData(`${lines}\n`);
+    }
+
+    const onLine = ({ serverId, text }) => {
+      if (serverId === Number(server.id)) onData(`${text}\n`);
+    };
+    if (onData) logStore.on('line', onLine);
+
+    return {
+      write: (data) => new Promise((resolve, reject) => {
+        const stdin = processRegistry.get(server.id)?.process?.stdin;
+        if (!stdin?.writable) return reject(new Error('Server process does not accept console input'));
+        stdin.write(data, (err) => (err ? reject(err) : resolve()));
+      }),
+      detach: () => {
+        logStore.off('line', onLine);
+      },
+    };
+  }
+}
+
+/**
+ * Image and command for a container: the runtime preset's image, or the Ubuntu base image with
+ * the type-specific setup script in front of the start command (resolved by resolveStartCommand).
+ * Variables that come from secrets are returned apart in secretEnv, for an env-file instead of
+ * the container's Env.
+ */
+function buildContainerSpec(server) {
+  const { env, secretKeys, missing } = secretStore.resolveEnv(server);
+  const envVars = {};
+  const secretEnv = {};
+  for (const [key, value] of Object.entries(env)) {
+    if (secretKeys.includes(key) && NAME_RE.test(key)) secretEnv[key] = value;
+    else envVars[key] = value;
+  }
+  const presetImage = dockerRuntime.resolveImageForPreset(server.runtime_preset);
+  const resolved = resolveStartCommand(server, server.start_command || server.command || '');
+  const command = resolved.text;
+  Object.assign(secretEnv, resolved.secretEnv);
+  let disk = null;
+  if (server.disk_limit_mb) disk = Number(server.disk_limit_mb) / 1024;
+  return {
+    serverId: server.id,
+    image: server.image || presetImage || dockerRuntime.resolveUbuntuBaseImage(),
+    hostPath: server.path,
+    envVars,
+    secretEnv,
+    missingSecrets: [...new Set([...missing, ...resolved.missing])],
+    startCommand: presetImage || server.image
+      ? command
+      : dockerRuntime.buildUbuntuEntrypointForType({ type: server.type, startCommand: command })[2],
+    cpuLimitPercent: server.cpu_limit_percent,
+    memoryLimitMb: server.memory_limit_mb,
+    diskLimitGb: disk,
+    networkName: 'turbonox-net',
+  };
+}
+
+class DockerDriver extends RuntimeDriver {
+  get name() {
+    return 'docker';
+  }
+
+  get enforcesLimits() {
+    return true;
+  }
+
+  async prepare(server) {
+    fs.mkdirSync(server.path, { recursive: true });
+    await dockerRuntime.ensureImagePulled(buildContainerSpec(server).image);
+    return true;
+  }
+
+  // startContainerForServer replaces any existing container, so start doubles as a recreate.
+  // The secret env-file stays until the server stops, since daemon restarts source it again.
+  async start(server) {
+    const { secretEnv, missingSecrets, ...spec } = buildContainerSpec(server);
+    noteMissingSecrets(server, missingSecrets);
+    secretStore.removeEnvFile(secretEnvFileName(server));
+    const secretEnvFile = secretStore.writeEnvFile(secretEnvFileName(server), secretEnv);
+    const result = await dockerRuntime.startContainerForServer({ ...spec, secretEnvFile });
+    logStore.followContainer(server);
+    return { pid: null, containerId: result.containerId, result };
+  }
+
+  async stop(server) {
+    if (!(await this.isRunning(server))) {
+      secretStore.removeEnvFile(secretEnvFileName(server));
+      return { stopped: false };
+    }
+    const outcome = await runStopProtocol(this, server, resolveStopConfig(server), {
+      log: (line) => appendServerLog(server, line),
+    });
+    secretStore.removeEnvFile(secretEnvFileName(server));
+    return { stopped: true, method: outcome.method };
+  }
+
+  async kill(server) {
+    await dockerRuntime.killContainerForServer(server.id);
+    secretStore.removeEnvFile(secretEnvFileName(server));
+    return { stopped: true };
+  }
+
+  async signal(server, signal) {
+    await dockerRuntime.killContainerForServer(server.id, signal);
+  }
+
+  // Recreate the container so configuration changes apply
+  async restart(server, options = {}) {
+    return this.start(server, options);
+  }
+
+  async isRunning(server) {
+    const info = await dockerRuntime.getContainerInfo(server.id).catch(() => null);
+    return Boolean(info?.running);
+  }
+
+  async stats(server) {
+    const info = await dockerRuntime.getContainerInfo(server.id).catch(() => null);
+    if (!info?.running) return { running: false, pid: null, cpuPercent: 0, memUsedBytes: 0, memLimitBytes: 0 };
+    const usage = await dockerRuntime.getContainerStats(server.id);
+    return { running: true, pid: null, containerId: info.id, ...usage };
+  }
+
+  async logs(server, { tail = 100 } = {}) {
+    return dockerRuntime.getContainerLogs(server.id, tail);
+  }
+
+  async exec(server, command, { timeoutMs = DEFAULT_EXEC_TIMEOUT_MS } = {}) {
+    return dockerRuntime.execInContainer(server.id, String(command), { timeoutMs });
+  }
+
+  /**
+   * Follow the container's log stream for output, plus the panel's own notices (stop steps,
+   * backup hooks) that only go to output.log; input goes through an attach connection (see
+   * sendContainerInput).
+   */
+  async attach(server, { onData = null, history = true } = {}) {
+    const follower = onData
+      ? await dockerRuntime.followContainerLogs(server.id, { tail: history ? 200 : 0, onData })
+      : null;
+    const onNotice = ({ serverId, text }) => {
+      if (serverId === Number(server.id)) onData(text);
+    };
+    if (onData) serverNotices.on('notice', onNotice);
+    return {
+      write: (data) => dockerRuntime.sendContainerInput(server.id, data),
+      detach: () => {
+        if (follower) follower.close();
+        serverNotices.off('notice', onNotice);
+      },
+    };
+  }
+
+  async sendInput(server, line) {
+    return dockerRuntime.sendContainerInput(server.id, line);
+  }
+}
+
+class RemoteNodeDriver extends RuntimeDriver {
+  constructor() {
+    super();
+    this.manager = new RemoteNodeManager();
+  }
+
+  get name() {
+    return 'remote';
+  }
+
+  remoteError(error, action) {
+    const e = new Error(error?.message || `Failed to ${action} server on remote node`);
+    e.code = 'REMOTE_FAILED';
+    return e;
+  }
+
+  // Push the server definition to the node so it starts with the current configuration
+  async prepare(server) {
+    try {
+      await this.manager.createRemoteServer(server.node_id, {
+        id: String(server.id),
+        name: server.name,
+        path: server.path,
+        command: server.command,
+        start_command: server.start_command || null,
+        env_vars: parseEnvVars(server),
+      });
+    } catch (error) {
+      throw this.remoteError(error, 'prepare');
+    }
+    return true;
+  }
+
+  async start(server) {
+    try {
+      const result = await this.manager.startRemoteServer(server.node_id, String(server.id));
+      const pid = result?.data?.pid ? Number(result.data.pid) : null;
+      return { pid, containerId: null, result: result?.data };
+    } catch (error) {
+      throw this.remoteError(error, 'start');
+    }
+  }
+
+  async stop(server) {
+    try {
+      const result = await this.manager.stopRemoteServer(server.node_id, String(server.id));
+      return { stopped: true, result: result?.data };
+    } catch (error) {
+      throw this.remoteError(error, 'stop');
+    }
+  }
+
+  async restart(server, options = {}) {
+    await this.stop(server).catch(() => null);
+    await this.prepare(server);
+    return this.start(server, options);
+  }
+
+  async stats(server) {
+    try {
+      const result = await this.manager.getRemoteServers(server.node_id);
+      const list = Array.isArray(result?.data) ? result.data : (result?.data?.servers || []);
+      const remote = list.find((s) => String(s.id) === String(server.id));
+      const running = remote ? String(remote.status || '').toLowerCase() === 'running' : false;
+      return {
+        running,
+        pid: remote?.pid ? Number(remote.pid) : null,
+        cpuPercent: Number(remote?.cpu ?? remote?.cpuPercent ?? 0) || 0,
+        memUsedBytes: Number(remote?.memory ?? remote?.memUsedBytes ?? 0) || 0,
+        memLimitBytes: 0,
+      };
+    } catch (error) {
+      throw this.remoteError(error, 'query');
+    }
+  }
+
+  async logs(server) {
+    try {
+      const result = await this.manager.getRemoteServerLogs(server.node_id, String(server.id));
+      return Array.isArray(result?.data?.logs) ? result.data.logs : [];
+    } catch (error) {
+      throw this.remoteError(error, 'fetch logs of');
+    }
+  }
+
+  async exec(server, command) {
+    try {
+      const result = await this.manager.executeCustomCommand(server.node_id, String(command), server.path || null);
+      const data = result?.data || {};
+      return {
+        exitCode: typeof data.exitCode === 'number' ? data.exitCode : (typeof data.code === 'number' ? data.code : null),
+        stdout: String(data.stdout ?? data.output ?? ''),
+        stderr: String(data.stderr ?? ''),
+      };
+    } catch (error) {
+      throw this.remoteError(error, 'execute a command on');
+    }
+  }
+
+  /**
+   * The node agent has no streaming console; poll its log endpoint and emit new lines.
+   */
+  async attach(server, { onData = null, history = true } = {}) {
+    let interval = null;
+    if (onData) {
+      let seen = null;
+      const poll = async () => {
+        try {
+          const lines = await this.logs(server);
+          if (seen === null) {
+            if (history && lines.length) onData(`${lines.join('\n')}\n`);
+          } else if (lines.length > seen) {
+            onData(`${lines.slice(seen).join('\n')}\n`);
+          } else if (lines.length < seen && lines.length) {
+            onData(`${lines.join('\n')}\n`);
+          }
+          seen = lines.length;
+        } catch (err) {
+          onData(`[console] ${err.message}\n`);
+        }
+      };
+      poll();
+      interval = setInterval(poll, 2000);
+    }
+    return {
+      write: async () => {
+        throw new Error('Console input is not supported for servers on remote nodes');
+      },
+      detach: () => {
+        if (interval) clearInterval(interval);
+      },
+    };
+  }
+}
+
+const drivers = {
+  native: new NativeDriver(),
+  docker: new DockerDriver(),
+  remote: new RemoteNodeDriver(),
+};
+
+function getDriver(name) {
+  const driver = drivers[String(name || '').toLowerCase()];
+  if (!driver) throw new Error(`Unknown runtime driver: ${name}`);
+  return driver;
+}
+
+/**
+ * The driver a server is configured to start with.
+ */
+function getConfiguredDriverName(server) {
+  if (server?.node_id) return 'remote';
+  return String(server?.execution_mode || '').toLowerCase() === 'docker' ? 'docker' : 'native';
+}
+
+/**
+ * The driver that owns the server: the one that started it while it runs, else the configured one.
+ */
+function getDriverForServer(server) {
+  if (server?.runtime_driver && drivers[server.runtime_driver]) return drivers[server.runtime_driver];
+  return drivers[getConfiguredDriverName(server)];
+}
+
+const loadServer = (serverOrId) => {
+  if (serverOrId && typeof serverOrId === 'object') {
+    return getDatabase().prepare('SELECT * FROM servers WHERE id = ?').get(serverOrId.id) || serverOrId;
+  }
+  const row = getDatabase().prepare('SELECT * FROM servers WHERE id = ?').get(serverOrId);
+  if (!row) {
+    const err = new Error('Server not found');
+    err.code = 'NOT_FOUND';
+    throw err;
+  }
+  return row;
+};
+
+const markStopped = (serverId) => {
+  getDatabase().prepare('UPDATE servers SET status = ?, pid = NULL, runtime_driver = NULL WHERE id = ?').run('stopped', serverId);
+};
+
+/**
+ * Start a server with its configured driver and record the driver as its owner.
+ */
+async function startServer(serverOrId, { source = 'start' } = {}) {
+  const server = loadServer(serverOrId);
+  const driver = drivers[getConfiguredDriverName(server)];
+  if (server.runtime_driver && server.runtime_driver !== driver.name && await getDriver(server.runtime_driver).isRunning(server).catch(() => false)) {
+    throw new Error(`Server is still running under the ${server.runtime_driver} driver; stop it first`);
+  }
+  processRegistry.removeStopping(server.id);
+  const result = await driver.start(server, { source });
+  getDatabase().prepare('UPDATE servers SET status = ?, pid = ?, runtime_driver = ? WHERE id = ?')
+    .run('running', result.pid || result.containerId || null, driver.name, server.id);
+  return { ...result, driver: driver.name };
+}
+
+/**
+ * Stop a server through the driver that owns it.
+ */
+async function stopServer(serverOrId, options = {}) {
+  const server = loadServer(serverOrId);
+  const driver = getDriverForServer(server);
+  // Lets the runtime watcher tell this exit apart from a crash
+  processRegistry.markStopping(server.id);
+  const result = await driver.stop(server, options);
+  markStopped(server.id);
+  return { ...result, driver: driver.name };
+}
+
+async function killServer(serverOrId) {
+  const server = loadServer(serverOrId);
+  const driver = getDriverForServer(server);
+  processRegistry.markStopping(server.id);
+  const result = await driver.kill(server);
+  markStopped(server.id);
+  return { ...result, driver: driver.name };
+}
+
+/**
+ * Restart a server. If the configured driver changed, the old owner stops it and the new one
+ * starts it; otherwise the driver restarts it its own way.
+ */
+async function restartServer(serverOrId, { source = 'restart' } = {}) {
+  const server = loadServer(serverOrId);
+  const owner = getDriverForServer(server);
+  const configured = drivers[getConfiguredDriverName(server)];
+  processRegistry.markStopping(server.id);
+  let result;
+  if (owner !== configured) {
+    await owner.stop(server, { reason: 'restart' }).catch(() => null);
+    markStopped(server.id);
+    result = await configured.start(server, { source });
+  } else {
+    result = await configured.restart(server, { source });
+  }
+  getDatabase().prepare('UPDATE servers SET status = ?, pid = ?, runtime_driver = ? WHERE id = ?')
+    .run('running', result.pid || result.containerId || null, configured.name, server.id);
+  return { ...result, driver: configured.name };
+}
+
+module.exports = {
+  RuntimeDriver,
+  NativeDriver,
+  DockerDriver,
+  RemoteNodeDriver,
+  DRIVER_NAMES,
+  getDriver,
+  getConfiguredDriverName,
+  getDriverForServer,
+  buildContainerSpec,
+  secretEnvFileName,
+  resolveTemplateVars,
+  startServer,
+  stopServer,
+  killServer,
+  restartServer,
+  appendServerLog,
+  appendServerOutput,
+  serverNotices,
+};
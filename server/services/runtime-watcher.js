@@ -0,0 +1,262 @@
+/**
+ * Runtime watcher
+ *
+ * Keeps servers.status, pid and runtime_driver truthful when a server stops without going
+ * through the runtime-drivers dispatchers. Native process exits come from ProcessRegistry
+ * 'exit' events; Docker containers are followed through the Engine's event stream (start, die,
+ * oom, destroy). Stops that were requested (marked in ProcessRegistry) only clear their mark;
+ * anything else is written to the audit log as SERVER_CRASH (non-zero exit, signal or OOM) or
+ * SERVER_EXITED with the exit code, and emitted as an 'exit' event.
+ *
+ * reconcileAll() compares every row marked running with what is actually alive. index.js runs
+ * it once at boot, before autoStart, and the watcher repeats it periodically and whenever the
+ * Docker event stream reconnects, so events missed while it was down are caught up.
+ * Servers on remote nodes are left to their node.
+ */
+
+const EventEmitter = require('events');
+const { getDatabase } = require('../lib/database');
+const processRegistry = require('./ProcessRegistry');
+const AuditService = require('./AuditService');
+const { dockerEngine } = require('./docker-engine');
+
+const CONTAINER_NAME_RE = /^\/?turbonox-srv-(\d+)$/;
+const RECONNECT_DELAY_MS = 10 * 1000;
+const RECONCILE_INTERVAL_MS = 5 * 60 * 1000;
+
+const serverIdFromContainerName = (name) => {
+  const match = CONTAINER_NAME_RE.exec(String(name || ''));
+  return match ? Number(match[1]) : null;
+};
+
+const toExitCode = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+class RuntimeWatcher extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0);
+    this.started = false;
+    this.eventStream = null;
+    this.reconnectTimer = null;
+    this.reconcileTimer = null;
+    this.oomKilled = new Set();
+    this.onProcessExit = (event) => this.handleProcessExit(event);
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    processRegistry.on('exit', this.onProcessExit);
+    this.connectDockerEvents();
+    this.reconcileTimer = setInterval(() => {
+      this.reconcileAll().catch((e) => console.warn('[RUNTIME] Periodic reconcile failed:', e.message));
+    }, RECONCILE_INTERVAL_MS);
+    this.reconcileTimer.unref?.();
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+    processRegistry.off('exit', this.onProcessExit);
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.reconcileTimer);
+    this.reconnectTimer = null;
+    this.reconcileTimer = null;
+    if (this.eventStream) {
+      this.eventStream.close();
+      this.eventStream = null;
+    }
+  }
+
+  async connectDockerEvents({ reconcile = false } = {}) {
+    if (!this.started) return;
+    try {
+      const stream = await dockerEngine.events({
+        filters: { type: ['container'], event: ['start', 'die', 'oom', 'destroy'] },
+        onEvent: (event) => this.handleDockerEvent(event),
+      });
+      if (!this.started) {
+        stream.close();
+        return;
+      }
+      this.eventStream = stream;
+      if (reconcile) await this.reconcileAll();
+      stream.done.then(() => {
+        if (this.eventStream !== stream) return;
+        this.eventStream = null;
+        this.scheduleReconnect();
+      });
+    } catch {
+      // Docker is not installed or not running; keep trying quietly
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (!this.started || this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connectDockerEvents({ reconcile: true });
+    }, RECONNECT_DELAY_MS);
+    this.reconnectTimer.unref?.();
+  }
+
+  handleProcessExit({ serverId, pid, code, signal, intentional }) {
+    // Requested stops update the row themselves
+    if (intentional) return;
+    const id = Number(serverId);
+    const result = getDatabase()
+      .prepare("UPDATE servers SET status = 'stopped', pid = NULL, runtime_driver = NULL WHERE id = ? AND (runtime_driver = 'native' OR runtime_driver IS NULL)")
+      .run(id);
+    if (!result.changes) return;
+    this.recordExit(id, { driver: 'native', pid, exitCode: code ?? null, signal: signal || null, oomKilled: false });
+  }
+
+  handleDockerEvent(event) {
+    const attributes = event?.Actor?.Attributes || {};
+    const serverId = serverIdFromContainerName(attributes.name);
+    if (!serverId) return;
+    const action = event.Action || event.status;
+    const db = getDatabase();
+
+    try {
+      if (action === 'start') {
+        this.oomKilled.delete(serverId);
+        db.prepare("UPDATE servers SET status = 'running', pid = ?, runtime_driver = 'docker' WHERE id = ?")
+          .run(event.Actor.ID || event.id || null, serverId);
+        return;
+      }
+
+      if (action === 'oom') {
+        this.oomKilled.add(serverId);
+        AuditService.log(serverId, 'SERVER_OOM', 'system', 'Container ran out of memory', { driver: 'docker' });
+        return;
+      }
+
+      if (action === 'die') {
+        const oomKilled = this.oomKilled.delete(serverId);
+        const row = db.prepare('SELECT status, runtime_driver FROM servers WHERE id = ?').get(serverId);
+        const requested = processRegistry.isStopping(serverId);
+        processRegistry.removeStopping(serverId);
+        if (!row || requested || row.status !== 'running' || row.runtime_driver !== 'docker') return;
+        db.prepare("UPDATE servers SET status = 'stopped', pid = NULL, runtime_driver = NULL WHERE id = ?").run(serverId);
+        this.recordExit(serverId, { driver: 'docker', pid: null, exitCode: toExitCode(attributes.exitCode), signal: null, oomKilled });
+        return;
+      }
+
+      if (action === 'destroy') {
+        this.oomKilled.delete(serverId);
+        db.prepare("UPDATE servers SET status = 'stopped', pid = NULL, runtime_driver = NULL WHERE id = ? AND status = 'running' AND runtime_driver = 'docker'")
+          .run(serverId);
+      }
+    } catch (e) {
+      console.warn(`[RUNTIME] Failed to handle container ${action} for server ${serverId}:`, e.message);
+    }
+  }
+
+  recordExit(serverId, { driver, pid, exitCode, signal, oomKilled }) {
+    const crashed = oomKilled || Boolean(signal) || (exitCode !== null && exitCode !== 0);
+    const how = oomKilled
+      ? 'was killed after running out of memory'
+      : signal ? `was killed by ${signal}` : `exited with code ${exitCode ?? 'unknown'}`;
+    AuditService.log(serverId, crashed ? 'SERVER_CRASH' : 'SERVER_EXITED', 'system', `Server ${how}`, {
+      driver,
+      exitCode,
+      signal,
+      oomKilled,
+    });
+    console.warn(`[RUNTIME] Server ${serverId} (${driver}) ${how}`);
+    this.emit('exit', { serverId, driver, pid, exitCode, signal, oomKilled, crashed });
+  }
+
+  /**
+   * Bring every local server row in line with its runtime. Rows marked running whose process
+   * or container is gone are stopped; running turbonox containers are marked running. Docker
+   * rows are left alone when the daemon cannot be reached.
+   *
+   * @returns {Promise<{ alive: number[], stale: number[] }>} ids still running, and ids that
+   *   were marked running but had died
+   */
+  async reconcileAll() {
+    const db = getDatabase();
+    const alive = [];
+    const stale = [];
+
+    let containers = null;
+    try {
+      const listed = await dockerEngine.listContainers({ all: true, filters: { name: ['turbonox-srv-'] } });
+      containers = Array.isArray(listed) ? listed : null;
+    } catch {
+      containers = null;
+    }
+
+    const byServer = new Map();
+    for (const container of containers || []) {
+      const serverId = (container.Names || []).map(serverIdFromContainerName).find(Boolean);
+      if (serverId) byServer.set(serverId, container);
+    }
+
+    const markStale = (row, details, metadata) => {
+      db.prepare("UPDATE servers SET status = 'stopped', pid = NULL, runtime_driver = NULL WHERE id = ?").run(row.id);
+      AuditService.log(row.id, 'SERVER_RECONCILED', 'system', details, metadata);
+      console.log(`[RUNTIME] Server ${row.id}: ${details}`);
+      stale.push(Number(row.id));
+    };
+
+    const rows = db.prepare('SELECT id, status, pid, node_id, runtime_driver FROM servers WHERE node_id IS NULL').all();
+    for (const row of rows) {
+      const id = Number(row.id);
+      const container = byServer.get(id);
+
+      if (container && container.State === 'running') {
+        if (row.status !== 'running' || row.runtime_driver !== 'docker' || row.pid !== container.Id) {
+          db.prepare("UPDATE servers SET status = 'running', pid = ?, runtime_driver = 'docker' WHERE id = ?").run(container.Id, id);
+        }
+        alive.push(id);
+        continue;
+      }
+
+      if (row.status !== 'running') continue;
+
+      if (row.runtime_driver === 'docker') {
+        if (!containers) continue;
+        let state = {};
+        if (container) {
+          try {
+            state = (await dockerEngine.inspectContainer(container.Id)).State || {};
+          } catch {
+            state = {};
+          }
+        }
+        markStale(row, container ? `Container was no longer running (exit code ${state.ExitCode ?? 'unknown'})` : 'Container no longer exists', {
+          driver: 'docker',
+          exitCode: toExitCode(state.ExitCode),
+          oomKilled: Boolean(state.OOMKilled),
+        });
+        continue;
+      }
+
+      if (row.runtime_driver === 'remote') continue;
+
+      if (processRegistry.has(id)) {
+        alive.push(id);
+      } else {
+        markStale(row, 'Process was no longer running', { driver: 'native', pid: row.pid || null });
+      }
+    }
+
+    return { alive, stale };
+  }
+}
+
+const runtimeWatcher = new RuntimeWatcher();
+
+module.exports = {
+  RuntimeWatcher,
+  runtimeWatcher,
+  serverIdFromContainerName,
+};
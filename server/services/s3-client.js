@@ -0,0 +1,236 @@
+/**
+ * Minimal S3-compatible client (AWS S3, MinIO, Wasabi, R2, ...)
+ *
+ * Signs requests with AWS Signature V4 and talks to the REST API through axios, covering just what
+ * backup destinations need: single and multipart uploads, listing, streaming downloads and deletes.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4
+const encodeRfc3986 = (value) => encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const xmlUnescape = (value) => String(value)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const xmlValue = (xml, tag) => {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? xmlUnescape(match[1]) : null;
+};
+
+class S3Client {
+  /**
+   * @param {object} options
+   * @param {string} options.bucket
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {string} [options.region] - defaults to us-east-1
+   * @param {string} [options.endpoint] - custom endpoint for S3-compatible services, e.g. http://minio:9000
+   * @param {boolean} [options.forcePathStyle] - bucket in the path instead of the hostname (default when endpoint is set)
+   */
+  constructor({ bucket, accessKeyId, secretAccessKey, region = 'us-east-1', endpoint = null, forcePathStyle = null }) {
+    if (!bucket) throw new Error('S3 bucket is required');
+    if (!accessKeyId || !secretAccessKey) throw new Error('S3 access key id and secret access key are required');
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.region = region || 'us-east-1';
+    this.endpoint = endpoint ? String(endpoint).replace(/\/+$/, '') : null;
+    this.forcePathStyle = forcePathStyle === null || forcePathStyle === undefined ? Boolean(this.endpoint) : Boolean(forcePathStyle);
+  }
+
+  objectUrl(key = '') {
+    const encodedKey = String(key).split('/').map(encodeRfc3986).join('/');
+    const base = this.endpoint || `https://s3.${this.region}.amazonaws.com`;
+    const url = new URL(base);
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/+$/, '')}/${encodeRfc3986(this.bucket)}/${encodedKey}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${url.pathname.replace(/\/+$/, '')}/${encodedKey}`;
+    }
+    return url;
+  }
+
+  /**
+   * SigV4 Authorization for a request. Every header passed in is signed.
+   */
+  sign({ method, url, query = {}, headers = {}, payloadHash, date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+
+    const allHeaders = { ...headers, host: url.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+    const names = Object.keys(allHeaders).map((h) => h.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(allHeaders).map(([k, v]) => [k.toLowerCase(), String(v).trim().replace(/\s+/g, ' ')]));
+    const canonicalHeaders = names.map((h) => `${h}:${lowered[h]}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalQuery = Object.keys(query).sort()
+      .map((k) => `${encodeRfc3986(k)}=${encodeRfc3986(query[k] ?? '')}`)
+      .join('&');
+
+    const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const kDate = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+    const kRegion = hmac(kDate, this.region);
+    const kService = hmac(kRegion, 's3');
+    const kSigning = hmac(kService, 'aws4_request');
+    const signature = crypto.createHmac('sha256', kSigning).update(stringToSign).digest('hex');
+
+    return {
+      ...lowered,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  async request(method, key, { query = {}, headers = {}, body = null, responseType = 'text' } = {}) {
+    const url = this.objectUrl(key);
+    const payloadHash = body ? sha256(body) : EMPTY_SHA256;
+    const signed = this.sign({ method, url, query, headers, payloadHash });
+    const qs = Object.keys(query).sort().map((k) => `${encodeRfc3986(k)}=${encodeRfc3986(query[k] ?? '')}`).join('&');
+    delete signed.host;
+
+    const response = await axios({
+      method,
+      url: `${url.origin}${url.pathname}${qs ? `?${qs}` : ''}`,
+      headers: signed,
+      data: body || undefined,
+      responseType,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout: 5 * 60 * 1000,
+      validateStatus: () => true,
+      transformResponse: responseType === 'text' ? [(d) => d] : undefined,
+    });
+
+    if (response.status >= 300) {
+      let text = '';
+      if (responseType === 'stream') {
+        for await (const chunk of response.data) text += chunk.toString();
+      } else {
+        text = String(response.data || '');
+      }
+      const code = xmlValue(text, 'Code') || `HTTP ${response.status}`;
+      const message = xmlValue(text, 'Message') || text.slice(0, 200);
+      const err = new Error(`S3 ${method} ${key || '/'} failed: ${code}${message ? ` - ${message}` : ''}`);
+      err.status = response.status;
+      err.code = code;
+      throw err;
+    }
+    return response;
+  }
+
+  async putObject(key, body) {
+    await this.request('PUT', key, { body });
+  }
+
+  async createMultipartUpload(key) {
+    const res = await this.request('POST', key, { query: { uploads: '' } });
+    const uploadId = xmlValue(res.data, 'UploadId');
+    if (!uploadId) throw new Error('S3 did not return an UploadId');
+    return uploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    const res = await this.request('PUT', key, { query: { partNumber: String(partNumber), uploadId }, body });
+    return res.headers.etag;
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const xml = `<CompleteMultipartUpload>${parts
+      .map((p) => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`)
+      .join('')}</CompleteMultipartUpload>`;
+    const res = await this.request('POST', key, { query: { uploadId }, body: Buffer.from(xml) });
+    // S3 can report an error inside a 200 response for CompleteMultipartUpload
+    if (/<Error>/.test(res.data)) {
+      throw new Error(`S3 multipart upload failed: ${xmlValue(res.data, 'Code')} - ${xmlValue(res.data, 'Message')}`);
+    }
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await this.request('DELETE', key, { query: { uploadId } });
+  }
+
+  /**
+   * Upload a file, switching to multipart above partSize (parts are buffered one at a time).
+   */
+  async uploadFile(key, filePath, { partSize = 16 * 1024 * 1024 } = {}) {
+    const size = fs.statSync(filePath).size;
+    const effectivePartSize = Math.max(5 * 1024 * 1024, Number(partSize) || 0);
+    if (size <= effectivePartSize) {
+      await this.putObject(key, fs.readFileSync(filePath));
+      return { size };
+    }
+
+    const uploadId = await this.createMultipartUpload(key);
+    const parts = [];
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      let offset = 0;
+      let partNumber = 1;
+      while (offset < size) {
+        const length = Math.min(effectivePartSize, size - offset);
+        const buf = Buffer.alloc(length);
+        fs.readSync(fd, buf, 0, length, offset);
+        const etag = await this.uploadPart(key, uploadId, partNumber, buf);
+        parts.push({ partNumber, etag });
+        offset += length;
+        partNumber++;
+      }
+      await this.completeMultipartUpload(key, uploadId, parts);
+      return { size, parts: parts.length };
+    } catch (err) {
+      await this.abortMultipartUpload(key, uploadId).catch(() => {});
+      throw err;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  async listObjects(prefix = '') {
+    const objects = [];
+    let token = null;
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (token) query['continuation-token'] = token;
+      const res = await this.request('GET', '', { query });
+      const xml = String(res.data || '');
+      for (const match of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        objects.push({
+          key: xmlValue(match[1], 'Key'),
+          size: Number(xmlValue(match[1], 'Size') || 0),
+          lastModified: xmlValue(match[1], 'LastModified'),
+        });
+      }
+      token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+    } while (token);
+    return objects;
+  }
+
+  async getObjectStream(key) {
+    const res = await this.request('GET', key, { responseType: 'stream' });
+    return res.data;
+  }
+
+  async deleteObject(key) {
+    await this.request('DELETE', key);
+  }
+
+  async headBucket() {
+    await this.request('GET', '', { query: { 'list-type': '2', 'max-keys': '1' } });
+  }
+}
+
+module.exports = { S3Client };
@@ -0,0 +1,386 @@
+/**
+ * Secret store
+ *
+ * Encrypted values for server environment variables. A secret belongs to one server, or is a
+ * shared secret of a panel user that all of their servers can use. Values are encrypted with
+ * AES-256-GCM under the panel master key and never returned by the API; every change adds a
+ * version (the newest MAX_VERSIONS are kept) and an older version can be restored as a new one.
+ *
+ * Servers reference secrets from env_vars as ${secret:NAME}: the server's own secret NAME, else
+ * its owner's shared secret NAME. Flagging a variable secret on create/update
+ * ({ "DB_PASSWORD": { "secret": true, "value": "..." } }) stores the value here and leaves
+ * "${secret:DB_PASSWORD}" in env_vars, so API responses and backup snapshots only carry the
+ * reference. References are resolved when the server starts: native processes get them in
+ * their environment, containers through a mounted env-file that the start command sources, so
+ * the values are neither on a command line nor in the container's configuration. Startup
+ * commands can use them too (see resolveTemplateVars in runtime-drivers).
+ *
+ * Master key: TURBONOX_SECRETS_KEY (32 bytes as hex or base64) or, without it, secrets.key in
+ * the app directory, generated on first use. Rotating the file key writes secrets.key.next,
+ * re-encrypts every version and then replaces secrets.key; a rotation cut short is completed
+ * on the next start. Backup destination credentials are encrypted under the same key and
+ * re-encrypted with it (see backup-destinations). To change TURBONOX_SECRETS_KEY, set the old
+ * one as TURBONOX_SECRETS_PREVIOUS_KEY for one start.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getDatabase } = require('../lib/database');
+const { getAppDir } = require('../lib/paths');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const MAX_VERSIONS = 10;
+const MAX_VALUE_BYTES = 64 * 1024;
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+const REF_RE = /\$\{secret:([A-Za-z_][A-Za-z0-9_]{0,127})\}/g;
+
+function secretError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const invalid = (message) => secretError('INVALID_SECRET_REQUEST', message);
+
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+function parseKey(raw, label) {
+  const value = String(raw || '').trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) throw new Error(`${label} must be 32 bytes, as hex or base64`);
+  return key;
+}
+
+// Single-quoted for sh, so the env-file can be sourced
+const shellQuote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+function toPublicSecret(row) {
+  return {
+    name: row.name,
+    scope: row.server_id ? 'server' : 'shared',
+    version: row.current_version,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// { serverId } or { userId } -> WHERE clause and its parameter
+function scopeWhere(scope) {
+  if (scope?.serverId) return ['server_id = ?', scope.serverId];
+  if (scope?.userId) return ['server_id IS NULL AND panel_user_id = ?', scope.userId];
+  throw new Error('Secret scope needs a serverId or userId');
+}
+
+class SecretStore {
+  constructor() {
+    this.keyring = null;
+  }
+
+  keyPath() {
+    return path.join(getAppDir(), 'secrets.key');
+  }
+
+  /**
+   * Load the master key(s): { current: { id, key, source }, keys: Map(id -> key) }.
+   */
+  getKeyring() {
+    if (this.keyring) return this.keyring;
+    const keys = new Map();
+    const add = (key, source) => {
+      const entry = { id: keyId(key), key, source };
+      keys.set(entry.id, key);
+      return entry;
+    };
+
+    let current = null;
+    if (process.env.TURBONOX_SECRETS_PREVIOUS_KEY) add(parseKey(process.env.TURBONOX_SECRETS_PREVIOUS_KEY, 'TURBONOX_SECRETS_PREVIOUS_KEY'), 'env');
+    const file = this.keyPath();
+    if (fs.existsSync(file)) current = add(parseKey(fs.readFileSync(file, 'utf8'), file), 'file');
+    if (fs.existsSync(`${file}.next`)) current = add(parseKey(fs.readFileSync(`${file}.next`, 'utf8'), `${file}.next`), 'next');
+    if (process.env.TURBONOX_SECRETS_KEY) {
+      current = add(parseKey(process.env.TURBONOX_SECRETS_KEY, 'TURBONOX_SECRETS_KEY'), 'env');
+    } else if (!current) {
+      const key = crypto.randomBytes(32);
+      fs.writeFileSync(file, key.toString('hex'), { mode: 0o600 });
+      console.log(`[SECRETS] Generated the master key ${file}`);
+      current = add(key, 'file');
+    }
+    this.keyring = { current, keys };
+    return this.keyring;
+  }
+
+  /**
+   * Re-encrypt versions written under an older key and finish a file key rotation that was
+   * cut short. Returns the number of versions re-encrypted.
+   */
+  start() {
+    try {
+      const count = this.reencryptAll();
+      const { current } = this.getKeyring();
+      if (current.source === 'next') fs.renameSync(`${this.keyPath()}.next`, this.keyPath());
+      if (count) console.log(`[SECRETS] Re-encrypted ${count} secret(s) under key ${current.id}`);
+      return count;
+    } catch (e) {
+      console.error('[SECRETS] Failed to re-encrypt secrets:', e.message);
+      return 0;
+    }
+  }
+
+  encrypt(value, aad) {
+    const { current } = this.getKeyring();
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return { ciphertext: Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64'), keyId: current.id };
+  }
+
+  decrypt(row, aad) {
+    const key = this.getKeyring().keys.get(row.key_id);
+    if (!key) throw secretError('SECRET_KEY_MISSING', `The master key ${row.key_id} for this secret is not available`);
+    const buf = Buffer.from(row.ciphertext, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, buf.subarray(0, IV_BYTES));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    return Buffer.concat([decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Re-encrypt secret versions and backup destination credentials that are not under the
+   * current key. Returns how many were rewritten.
+   */
+  reencryptAll() {
+    const db = getDatabase();
+    const { current } = this.getKeyring();
+    const stale = db.prepare('SELECT * FROM secret_versions WHERE key_id != ?').all(current.id);
+    const update = db.prepare('UPDATE secret_versions SET ciphertext = ?, key_id = ? WHERE id = ?');
+    db.transaction(() => {
+      for (const row of stale) {
+        const aad = `${row.secret_id}:${row.version}`;
+        const { ciphertext, keyId: id } = this.encrypt(this.decrypt(row, aad), aad);
+        update.run(ciphertext, id, row.id);
+      }
+    })();
+    const { reencryptConfigs } = require('./backup-destinations');
+    return stale.length + reencryptConfigs();
+  }
+
+  /**
+   * Replace the file master key and re-encrypt everything under the new one.
+   */
+  rotateMasterKey() {
+    if (process.env.TURBONOX_SECRETS_KEY) {
+      throw invalid('The master key is set by TURBONOX_SECRETS_KEY; change it there and start once with TURBONOX_SECRETS_PREVIOUS_KEY');
+    }
+    const previous = this.getKeyring().current.id;
+    fs.writeFileSync(`${this.keyPath()}.next`, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    this.keyring = null;
+    const count = this.reencryptAll();
+    fs.renameSync(`${this.keyPath()}.next`, this.keyPath());
+    this.keyring = null;
+    return { previousKeyId: previous, keyId: this.getKeyring().current.id, reencrypted: count };
+  }
+
+  getRow(scope, name) {
+    const [where, param] = scopeWhere(scope);
+    return getDatabase().prepare(`SELECT * FROM secrets WHERE ${where} AND name = ?`).get(param, name) || null;
+  }
+
+  list(scope) {
+    const [where, param] = scopeWhere(scope);
+    return getDatabase().prepare(`SELECT * FROM secrets WHERE ${where} ORDER BY name`).all(param).map(toPublicSecret);
+  }
+
+  /**
+   * Create a secret or rotate it to a new version.
+   */
+  set(scope, name, value, createdBy = 'system') {
+    if (!NAME_RE.test(String(name || ''))) throw invalid('Secret names are letters, digits and _ and cannot start with a digit');
+    if (typeof value !== 'string') throw invalid('value must be a string');
+    if (Buffer.byteLength(value) > MAX_VALUE_BYTES) throw invalid(`Secret values are at most ${MAX_VALUE_BYTES} bytes`);
+    const db = getDatabase();
+    return db.transaction(() => {
+      let row = this.getRow(scope, name);
+      let version = 1;
+      if (row) {
+        version = row.current_version + 1;
+        db.prepare('UPDATE secrets SET current_version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(version, row.id);
+      } else {
+        const id = db.prepare('INSERT INTO secrets (server_id, panel_user_id, name, created_by) VALUES (?, ?, ?, ?)')
+          .run(scope.serverId || null, scope.serverId ? null : scope.userId, name, createdBy).lastInsertRowid;
+        row = { id };
+      }
+      const { ciphertext, keyId: id } = this.encrypt(value, `${row.id}:${version}`);
+      db.prepare('INSERT INTO secret_versions (secret_id, version, ciphertext, key_id, created_by) VALUES (?, ?, ?, ?, ?)')
+        .run(row.id, version, ciphertext, id, createdBy);
+      db.prepare('DELETE FROM secret_versions WHERE secret_id = ? AND version <= ?').run(row.id, version - MAX_VERSIONS);
+      return toPublicSecret(db.prepare('SELECT * FROM secrets WHERE id = ?').get(row.id));
+    })();
+  }
+
+  remove(scope, name) {
+    const row = this.getRow(scope, name);
+    if (!row) return false;
+    getDatabase().prepare('DELETE FROM secrets WHERE id = ?').run(row.id);
+    return true;
+  }
+
+  versions(scope, name) {
+    const row = this.getRow(scope, name);
+    if (!row) throw secretError('SECRET_NOT_FOUND', 'Secret not found');
+    return getDatabase().prepare('SELECT version, key_id, created_by, created_at FROM secret_versions WHERE secret_id = ? ORDER BY version DESC')
+      .all(row.id)
+      .map((v) => ({ version: v.version, current: v.version === row.current_version, createdBy: v.created_by, createdAt: v.created_at }));
+  }
+
+  /**
+   * Make an older version current again (as a new version).
+   */
+  restoreVersion(scope, name, version, createdBy = 'system') {
+    const row = this.getRow(scope, name);
+    if (!row) throw secretError('SECRET_NOT_FOUND', 'Secret not found');
+    const old = getDatabase().prepare('SELECT * FROM secret_versions WHERE secret_id = ? AND version = ?').get(row.id, Number(version));
+    if (!old) throw secretError('SECRET_NOT_FOUND', `Version ${version} not found`);
+    return this.set(scope, name, this.decrypt(old, `${row.id}:${old.version}`), createdBy);
+  }
+
+  valueOf(row) {
+    const current = getDatabase().prepare('SELECT * FROM secret_versions WHERE secret_id = ? AND version = ?').get(row.id, row.current_version);
+    return current ? this.decrypt(current, `${row.id}:${current.version}`) : null;
+  }
+
+  /**
+   * Value of NAME for a server: its own secret, else its owner's shared secret. Null if neither.
+   */
+  resolveValue(server, name) {
+    const row = this.getRow({ serverId: server.id }, name)
+      || (server.panel_user_id ? this.getRow({ userId: server.panel_user_id }, name) : null);
+    return row ? this.valueOf(row) : null;
+  }
+
+  /**
+   * Replace ${secret:NAME} references in text. Unknown names become '' and are added to
+   * `missing`.
+   */
+  resolveRefs(text, server, missing = []) {
+    const s = String(text ?? '');
+    if (!s.includes('${secret:')) return s;
+    return s.replace(REF_RE, (_, name) => {
+      let value = null;
+      try {
+        value = this.resolveValue(server, name);
+      } catch (e) {
+        console.warn(`[SECRETS] Cannot read secret ${name} for server ${server.id}:`, e.message);
+      }
+      if (value === null) {
+        missing.push(name);
+        return '';
+      }
+      return value;
+    });
+  }
+
+  /**
+   * The server's env_vars with references resolved: { env, secretKeys, missing }, where
+   * secretKeys are the variables whose value came from a secret.
+   */
+  resolveEnv(server) {
+    let parsed = {};
+    try {
+      parsed = server?.env_vars ? JSON.parse(server.env_vars) : {};
+    } catch {
+      parsed = {};
+    }
+    const env = {};
+    const secretKeys = [];
+    const missing = [];
+    for (const [key, raw] of Object.entries(parsed && typeof parsed === 'object' ? parsed : {})) {
+      const value = raw === undefined || raw === null ? '' : String(raw);
+      if (value.includes('${secret:')) secretKeys.push(key);
+      env[key] = this.resolveRefs(value, server, missing);
+    }
+    return { env, secretKeys, missing: [...new Set(missing)] };
+  }
+
+  /**
+   * Split env vars from a create/update request: entries flagged { secret: true, value } are
+   * replaced by a ${secret:KEY} reference and returned in `secrets` (value undefined when the
+   * client kept the existing secret).
+   */
+  splitEnvVars(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return { envVars: input, secrets: {} };
+    const envVars = {};
+    const secrets = {};
+    for (const [key, value] of Object.entries(input)) {
+      if (value && typeof value === 'object' && value.secret) {
+        if (!NAME_RE.test(key)) throw invalid(`Secret variables need a name of letters, digits and _: ${key}`);
+        if (value.value !== undefined && typeof value.value !== 'string') throw invalid(`The value of ${key} must be a string`);
+        if (value.value !== undefined && Buffer.byteLength(value.value) > MAX_VALUE_BYTES) throw invalid(`Secret values are at most ${MAX_VALUE_BYTES} bytes`);
+        envVars[key] = `\${secret:${key}}`;
+        secrets[key] = value.value;
+      } else {
+        envVars[key] = value;
+      }
+    }
+    return { envVars, secrets };
+  }
+
+  /**
+   * Store the values returned by splitEnvVars as the server's secrets. Returns the names that
+   * got a new version.
+   */
+  storeServerSecrets(serverId, secrets, createdBy) {
+    const changed = [];
+    for (const [name, value] of Object.entries(secrets || {})) {
+      if (value === undefined) continue;
+      const row = this.getRow({ serverId }, name);
+      if (row && this.valueOf(row) === value) continue;
+      this.set({ serverId }, name, value, createdBy);
+      changed.push(name);
+    }
+    return changed;
+  }
+
+  envFilePath(name) {
+    return path.join(getAppDir(), 'run', 'secrets', `${name}.env`);
+  }
+
+  /**
+   * Write vars as a sourceable env-file for a container mount. Returns its path, or null when
+   * there is nothing to write. The directory is 0700, so on the host only the panel can read it;
+   * the file itself is 0644 so a non-root user inside the container can source it.
+   */
+  writeEnvFile(name, vars) {
+    const lines = Object.entries(vars || {})
+      .filter(([key]) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(key))
+      .map(([key, value]) => `${key}=${shellQuote(value)}`);
+    if (!lines.length) return null;
+    const file = this.envFilePath(name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.chmodSync(path.dirname(file), 0o700);
+    fs.writeFileSync(file, `${lines.join('\n')}\n`, { mode: 0o644 });
+    fs.chmodSync(file, 0o644);
+    return file;
+  }
+
+  removeEnvFile(name) {
+    try {
+      fs.rmSync(this.envFilePath(name), { force: true });
+    } catch {
+      // ignore
+    }
+  }
+}
+
+const secretStore = new SecretStore();
+
+module.exports = {
+  NAME_RE,
+  REF_RE,
+  SecretStore,
+  secretStore,
+};
@@ -0,0 +1,115 @@
+/**
+ * Server console
+ *
+ * Who may watch and type into a server's console, and what happens to a typed command: it is
+ * written to the server through its runtime driver (stdin of the native process, an attach
+ * connection to the container), kept in console_history for the user's command history and
+ * written to the audit log as CONSOLE_COMMAND.
+ *
+ * Owners and admins may do both. Members of an active session on the owner's account may watch
+ * with servers.view and type with servers.console or servers.control.
+ */
+
+const { getDatabase } = require('../lib/database');
+const AuditService = require('./AuditService');
+
+const MAX_COMMAND_LENGTH = 4096;
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 500;
+// Per user and server; older entries are pruned as new ones arrive
+const HISTORY_KEEP = 1000;
+
+function getSessionPermissions(db, accountId, ownerAccountId) {
+  try {
+    const rows = db.prepare(
+      `SELECT sm.permissions_json
+       FROM session_members sm
+       JOIN sessions s ON s.id = sm.session_id
+       WHERE sm.account_id = ? AND s.owner_account_id = ? AND s.status = 'active'`
+    ).all(accountId, ownerAccountId);
+    return rows.map((r) => {
+      try {
+        const perms = r.permissions_json ? JSON.parse(r.permissions_json) : {};
+        return perms?.servers && typeof perms.servers === 'object' ? perms.servers : {};
+      } catch {
+        return {};
+      }
+    });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * What a user may do with a server's console: { canView, canSend }.
+ */
+function getConsoleAccess(db, user, serverRow) {
+  if (!user?.id || !serverRow) return { canView: false, canSend: false };
+  if (user.role === 'admin') return { canView: true, canSend: true };
+  if (serverRow.panel_user_id && Number(serverRow.panel_user_id) === Number(user.id)) {
+    return { canView: true, canSend: true };
+  }
+  const sessions = serverRow.owner_account_id ? getSessionPermissions(db, user.id, serverRow.owner_account_id) : [];
+  const canSend = sessions.some((p) => Boolean(p.console || p.control));
+  return { canView: canSend || sessions.some((p) => Boolean(p.view)), canSend };
+}
+
+function getUserIdentity(user) {
+  if (!user) return 'unknown';
+  if (user.name && user.email) return `${user.name} (${user.email})`;
+  return String(user.name || user.email || user.id);
+}
+
+/**
+ * Split console input into the commands to send: one per non-empty line.
+ */
+function parseConsoleInput(data) {
+  const text = String(data ?? '');
+  if (text.length > MAX_COMMAND_LENGTH) {
+    const err = new Error(`Console input is limited to ${MAX_COMMAND_LENGTH} characters`);
+    err.code = 'INVALID_COMMAND';
+    throw err;
+  }
+  return text.split(/\r?\n|\r/).map((line) => line.replace(/\s+$/, '')).filter((line) => line.trim().length > 0);
+}
+
+/**
+ * Send one command to the server through an attached console handle ({ write }), then record
+ * it in the user's history and the audit log.
+ */
+async function sendConsoleCommand(serverRow, user, command, handle) {
+  await handle.write(`${command}\n`);
+
+  const db = getDatabase();
+  try {
+    db.prepare('INSERT INTO console_history (server_id, user_id, command) VALUES (?, ?, ?)').run(serverRow.id, user.id, command);
+    db.prepare(
+      `DELETE FROM console_history WHERE server_id = ? AND user_id = ? AND id NOT IN (
+        SELECT id FROM console_history WHERE server_id = ? AND user_id = ? ORDER BY id DESC LIMIT ?
+      )`
+    ).run(serverRow.id, user.id, serverRow.id, user.id, HISTORY_KEEP);
+  } catch (e) {
+    console.warn(`[CONSOLE] Failed to record history for server ${serverRow.id}:`, e.message);
+  }
+  AuditService.log(serverRow.id, 'CONSOLE_COMMAND', getUserIdentity(user), command, { userId: user.id });
+}
+
+/**
+ * A user's recent commands for a server, oldest first.
+ */
+function getConsoleHistory(serverId, userId, limit = DEFAULT_HISTORY_LIMIT) {
+  const n = Math.min(MAX_HISTORY_LIMIT, Math.max(1, Number(limit) || DEFAULT_HISTORY_LIMIT));
+  const rows = getDatabase().prepare(
+    'SELECT command, created_at FROM console_history WHERE server_id = ? AND user_id = ? ORDER BY id DESC LIMIT ?'
+  ).all(serverId, userId, n);
+  return rows.reverse();
+}
+
+module.exports = {
+  MAX_COMMAND_LENGTH,
+  getConsoleAccess,
+  getUserIdentity,
+  parseConsoleInput,
+  sendConsoleCommand,
+  getConsoleHistory,
+};
@@ -0,0 +1,604 @@
+/**
+ * Server file manager
+ *
+ * File operations on a local server's directory for /api/servers/:id/files. Every path is
+ * relative to server.path and confined to it:
+ *
+ *   - '..' and absolute paths cannot leave the directory (they resolve against it)
+ *   - symbolic links are resolved, and a path whose real location is outside the directory is
+ *     refused; operations on a link itself (delete, rename, move, copy) only need its parent
+ *     directory to be inside
+ *   - archives are checked entry by entry before anything is extracted, and links inside them
+ *     are skipped
+ *
+ * Uploads are chunked and resumable: uploadManager.create() registers the target and size, chunks are
+ * appended at the offset the client last saw (a mismatch answers with the offset the server
+ * has), and the last chunk moves the file into place. Partial uploads live in the app's uploads
+ * directory and expire after UPLOAD_TTL_MS without a chunk.
+ *
+ * Errors carry err.code: FILE_NOT_FOUND, FILE_EXISTS, INVALID_FILE_REQUEST, PATH_OUTSIDE_SERVER,
+ * FILE_TOO_LARGE and UPLOAD_OFFSET_MISMATCH (with err.received).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const { getDatabase } = require('../lib/database');
+const { getUploadsDir } = require('../lib/paths');
+
+const MAX_LIST_ENTRIES = 5000;
+const MAX_READ_BYTES = 5 * 1024 * 1024;
+const MAX_WRITE_BYTES = 50 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024 * 1024;
+const MAX_CHUNK_BYTES = 16 * 1024 * 1024;
+const MAX_EXTRACT_BYTES = 20 * 1024 * 1024 * 1024;
+const MAX_EXTRACT_ENTRIES = 100000;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const UPLOAD_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MODE_RE = /^[0-7]{3,4}$/;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function fileError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+const invalid = (message) => fileError('INVALID_FILE_REQUEST', message);
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+}
+
+// realpath of a path that may not exist yet: the deepest existing ancestor, plus the rest
+function realpathPartial(target) {
+  const missing = [];
+  let current = target;
+  for (;;) {
+    try {
+      return path.join(fs.realpathSync(current), ...missing.reverse());
+    } catch (e) {
+      if (e.code !== 'ENOENT' && e.code !== 'ENOTDIR') throw e;
+      const parent = path.dirname(current);
+      if (parent === current) throw e;
+      missing.push(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function serverRoot(server) {
+  if (server.node_id) throw invalid('Files of servers on remote nodes are not available here');
+  if (!server.path) throw fileError('FILE_NOT_FOUND', 'Server has no directory');
+  try {
+    return fs.realpathSync(path.resolve(server.path));
+  } catch {
+    throw fileError('FILE_NOT_FOUND', 'Server directory does not exist');
+  }
+}
+
+/**
+ * Resolve a path relative to the server directory.
+ *
+ * @param {boolean} [options.follow] - resolve the path itself if it is a symbolic link (reading,
+ *   writing, listing); otherwise only its parent is resolved (acting on the link)
+ * @returns {{ root: string, abs: string, rel: string }} rel is '/'-separated, '' for the root
+ */
+function resolvePath(server, relPath, { follow = true } = {}) {
+  const root = serverRoot(server);
+  const raw = String(relPath ?? '');
+  if (raw.includes('\0')) throw invalid('Invalid path');
+  const lexical = path.resolve(root, raw.replace(/\\/g, '/').replace(/^\/+/, ''));
+  if (!isInside(root, lexical)) throw fileError('PATH_OUTSIDE_SERVER', 'Path is outside the server directory');
+  const rel = path.relative(root, lexical).split(path.sep).join('/');
+  if (lexical === root) return { root, abs: root, rel };
+
+  let abs = path.join(realpathPartial(path.dirname(lexical)), path.basename(lexical));
+  if (follow) {
+    let link = null;
+    try {
+      link = fs.lstatSync(abs).isSymbolicLink();
+    } catch {
+      link = false;
+    }
+    if (link) {
+      try {
+        abs = fs.realpathSync(abs);
+      } catch {
+        throw invalid(`'${rel}' is a broken symbolic link`);
+      }
+    }
+  }
+  if (!isInside(root, abs)) throw fileError('PATH_OUTSIDE_SERVER', `'${rel}' points outside the server directory`);
+  return { root, abs, rel };
+}
+
+function statOrNull(target, { follow = true } = {}) {
+  try {
+    return follow ? fs.statSync(target) : fs.lstatSync(target);
+  } catch {
+    return null;
+  }
+}
+
+function requireStat(resolved, options) {
+  const stat = statOrNull(resolved.abs, options);
+  if (!stat) throw fileError('FILE_NOT_FOUND', `'${resolved.rel || '/'}' does not exist`);
+  return stat;
+}
+
+function describe(rel, name, stat, absPath) {
+  const entry = {
+    name,
+    path: rel,
+    type: stat.isSymbolicLink() ? 'symlink' : stat.isDirectory() ? 'directory' : stat.isFile() ? 'file' : 'other',
+    size: stat.isFile() ? stat.size : null,
+    mode: (stat.mode & 0o7777).toString(8).padStart(4, '0'),
+    modifiedAt: stat.mtime.toISOString(),
+  };
+  if (entry.type === 'symlink') {
+    try {
+      entry.target = fs.readlinkSync(absPath);
+    } catch {
+      entry.target = null;
+    }
+  }
+  return entry;
+}
+
+const joinRel = (dir, name) => (dir ? `${dir}/${name}` : name);
+
+/**
+ * Entries of a directory, directories first.
+ */
+function list(server, relPath = '') {
+  const resolved = resolvePath(server, relPath);
+  if (!requireStat(resolved).isDirectory()) throw invalid(`'${resolved.rel}' is not a directory`);
+  const names = fs.readdirSync(resolved.abs);
+  const entries = [];
+  for (const name of names.slice(0, MAX_LIST_ENTRIES)) {
+    const abs = path.join(resolved.abs, name);
+    const stat = statOrNull(abs, { follow: false });
+    if (stat) entries.push(describe(joinRel(resolved.rel, name), name, stat, abs));
+  }
+  entries.sort((a, b) => (b.type === 'directory') - (a.type === 'directory') || a.name.localeCompare(b.name));
+  return { path: resolved.rel, entries, truncated: names.length > MAX_LIST_ENTRIES };
+}
+
+/**
+ * Content of a file: utf8 text, or base64 when it looks binary (NUL bytes).
+ */
+function readFile(server, relPath) {
+  const resolved = resolvePath(server, relPath);
+  const stat = requireStat(resolved);
+  if (!stat.isFile()) throw invalid(`'${resolved.rel}' is not a file`);
+  if (stat.size > MAX_READ_BYTES) throw fileError('FILE_TOO_LARGE', `'${resolved.rel}' is larger than ${MAX_READ_BYTES / 1024 / 1024} MiB; download it instead`);
+  const data = fs.readFileSync(resolved.abs);
+  const binary = data.subarray(0, 8192).includes(0);
+  return {
+    path: resolved.rel,
+    size: stat.size,
+    modifiedAt: stat.mtime.toISOString(),
+    encoding: binary ? 'base64' : 'utf8',
+    content: data.toString(binary ? 'base64' : 'utf8'),
+  };
+}
+
+// Write through a temporary file in the same directory so readers never see half a file
+function writeAtomic(target, data, mode = null) {
+  const tmp = path.join(path.dirname(target), `.${path.basename(target)}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    fs.writeFileSync(tmp, data, mode !== null ? { mode } : undefined);
+    if (mode !== null) fs.chmodSync(tmp, mode);
+    fs.renameSync(tmp, target);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Create or replace a file. Parent directories are created.
+ */
+function writeFile(server, relPath, content, { encoding = 'utf8', overwrite = true } = {}) {
+  if (!['utf8', 'base64'].includes(encoding)) throw invalid('encoding must be utf8 or base64');
+  if (typeof content !== 'string') throw invalid('content must be a string');
+  const resolved = resolvePath(server, relPath);
+  if (!resolved.rel) throw invalid('A file path is required');
+  const data = Buffer.from(content, encoding);
+  if (data.length > MAX_WRITE_BYTES) throw fileError('FILE_TOO_LARGE', `Content is larger than ${MAX_WRITE_BYTES / 1024 / 1024} MiB; upload it instead`);
+
+  const existing = statOrNull(resolved.abs);
+  if (existing && !existing.isFile()) throw invalid(`'${resolved.rel}' is not a file`);
+  if (existing && !overwrite) throw fileError('FILE_EXISTS', `'${resolved.rel}' already exists`);
+  fs.mkdirSync(path.dirname(resolved.abs), { recursive: true });
+  writeAtomic(resolved.abs, data, existing ? existing.mode & 0o7777 : null);
+  return describe(resolved.rel, path.basename(resolved.abs), fs.lstatSync(resolved.abs), resolved.abs);
+}
+
+function mkdir(server, relPath) {
+  const resolved = resolvePath(server, relPath);
+  if (!resolved.rel) throw invalid('A directory path is required');
+  const existing = statOrNull(resolved.abs);
+  if (existing) throw fileError('FILE_EXISTS', `'${resolved.rel}' already exists`);
+  fs.mkdirSync(resolved.abs, { recursive: true });
+  return describe(resolved.rel, path.basename(resolved.abs), fs.lstatSync(resolved.abs), resolved.abs);
+}
+
+// Source and destination of a move or copy (links are moved or copied as links)
+function resolvePair(server, from, to, overwrite) {
+  const source = resolvePath(server, from, { follow: false });
+  if (!source.rel) throw invalid('The server directory itself cannot be moved or copied');
+  const sourceStat = requireStat(source, { follow: false });
+  const destination = resolvePath(server, to, { follow: false });
+  if (!destination.rel) throw invalid('A destination path is required');
+  if (destination.abs === source.abs) throw invalid('Source and destination are the same');
+  if (sourceStat.isDirectory() && isInside(source.abs, destination.abs)) throw invalid('A directory cannot be moved or copied into itself');
+  const destinationStat = statOrNull(destination.abs, { follow: false });
+  if (destinationStat) {
+    if (!overwrite) throw fileError('FILE_EXISTS', `'${destination.rel}' already exists`);
+    if (destinationStat.isDirectory() !== sourceStat.isDirectory()) throw invalid(`'${destination.rel}' exists and is not a ${sourceStat.isDirectory() ? 'directory' : 'file'}`);
+  }
+  return { source, sourceStat, destination, destinationStat };
+}
+
+function move(server, from, to, { overwrite = false } = {}) {
+  const { source, destination, destinationStat } = resolvePair(server, from, to, overwrite);
+  fs.mkdirSync(path.dirname(destination.abs), { recursive: true });
+  if (destinationStat?.isDirectory()) fs.rmSync(destination.abs, { recursive: true, force: true });
+  fs.renameSync(source.abs, destination.abs);
+  return describe(destination.rel, path.basename(destination.abs), fs.lstatSync(destination.abs), destination.abs);
+}
+
+/**
+ * Rename within the same directory.
+ */
+function rename(server, relPath, name, { overwrite = false } = {}) {
+  const newName = String(name ?? '');
+  if (!newName || newName === '.' || newName === '..' || /[/\\\0]/.test(newName)) throw invalid('name must be a file name without slashes');
+  const source = resolvePath(server, relPath, { follow: false });
+  const parent = source.rel.includes('/') ? source.rel.slice(0, source.rel.lastIndexOf('/')) : '';
+  return move(server, source.rel, joinRel(parent, newName), { overwrite });
+}
+
+function copy(server, from, to, { overwrite = false } = {}) {
+  const { source, sourceStat, destination, destinationStat } = resolvePair(server, from, to, overwrite);
+  fs.mkdirSync(path.dirname(destination.abs), { recursive: true });
+  if (destinationStat?.isDirectory()) fs.rmSync(destination.abs, { recursive: true, force: true });
+  if (sourceStat.isSymbolicLink()) {
+    fs.symlinkSync(fs.readlinkSync(source.abs), destination.abs);
+  } else {
+    fs.cpSync(source.abs, destination.abs, { recursive: true, force: true, verbatimSymlinks: true, preserveTimestamps: true });
+  }
+  return describe(destination.rel, path.basename(destination.abs), fs.lstatSync(destination.abs), destination.abs);
+}
+
+/**
+ * Delete files, links and directories (recursively). Links are removed, not what they point to.
+ */
+function remove(server, relPaths) {
+  const paths = Array.isArray(relPaths) ? relPaths : [relPaths];
+  if (!paths.length) throw invalid('paths is required');
+  const resolved = paths.map((p) => {
+    const r = resolvePath(server, p, { follow: false });
+    if (!r.rel) throw invalid('The server directory itself cannot be deleted');
+    requireStat(r, { follow: false });
+    return r;
+  });
+  for (const r of resolved) fs.rmSync(r.abs, { recursive: true, force: true });
+  return resolved.map((r) => r.rel);
+}
+
+function chmod(server, relPath, mode) {
+  const value = String(mode ?? '');
+  if (!MODE_RE.test(value)) throw invalid('mode must be octal, e.g. 644 or 0755');
+  const resolved = resolvePath(server, relPath);
+  requireStat(resolved);
+  fs.chmodSync(resolved.abs, parseInt(value, 8));
+  return describe(resolved.rel, path.basename(resolved.abs), fs.lstatSync(resolved.abs), resolved.abs);
+}
+
+/**
+ * Zip files and directories into a new archive. Symbolic links are not followed or stored.
+ */
+async function compress(server, relPaths, destinationRel, { overwrite = false } = {}) {
+  const paths = Array.isArray(relPaths) ? relPaths : [relPaths];
+  if (!paths.length) throw invalid('paths is required');
+  const sources = paths.map((p) => {
+    const r = resolvePath(server, p, { follow: false });
+    if (!r.rel) throw invalid('Compress the files in the server directory, not the directory itself');
+    requireStat(r, { follow: false });
+    return r;
+  });
+  const destination = resolvePath(server, destinationRel);
+  if (!destination.rel || !/\.zip$/i.test(destination.rel)) throw invalid('destination must be a .zip file');
+  const destinationStat = statOrNull(destination.abs);
+  if (destinationStat && (!overwrite || !destinationStat.isFile())) throw fileError('FILE_EXISTS', `'${destination.rel}' already exists`);
+
+  const tmp = `${destination.abs}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const output = fs.createWriteStream(tmp);
+  const done = pipeline(archive, output);
+
+  let files = 0;
+  const add = (abs, name) => {
+    const stat = fs.lstatSync(abs);
+    if (stat.isSymbolicLink()) return;
+    if (stat.isDirectory()) {
+      const children = fs.readdirSync(abs);
+      if (!children.length) archive.append(Buffer.alloc(0), { name: `${name}/`, mode: stat.mode & 0o7777 });
+      for (const child of children) {
+        if (path.join(abs, child) !== tmp) add(path.join(abs, child), `${name}/${child}`);
+      }
+    } else if (stat.isFile()) {
+      archive.file(abs, { name, mode: stat.mode & 0o7777, date: stat.mtime });
+      files += 1;
+    }
+  };
+  try {
+    for (const source of sources) add(source.abs, path.basename(source.abs));
+    await archive.finalize();
+    await done;
+    fs.renameSync(tmp, destination.abs);
+  } catch (e) {
+    archive.abort();
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+  return { ...describe(destination.rel, path.basename(destination.abs), fs.lstatSync(destination.abs), destination.abs), files };
+}
+
+/**
+ * Extract a zip archive into a directory (created if missing). Every entry is checked first:
+ * nothing is written when an entry would land outside the directory or overwrite a file without
+ * `overwrite`. Link entries are skipped.
+ */
+async function decompress(server, relPath, destinationRel, { overwrite = false } = {}) {
+  const archivePath = resolvePath(server, relPath);
+  if (!requireStat(archivePath).isFile()) throw invalid(`'${archivePath.rel}' is not a file`);
+  const destination = resolvePath(server, destinationRel ?? '');
+  const destinationStat = statOrNull(destination.abs);
+  if (destinationStat && !destinationStat.isDirectory()) throw invalid(`'${destination.rel}' is not a directory`);
+
+  let directory;
+  try {
+    directory = await unzipper.Open.file(archivePath.abs);
+  } catch (e) {
+    throw invalid(`'${archivePath.rel}' is not a readable zip archive: ${e.message}`);
+  }
+  if (directory.files.length > MAX_EXTRACT_ENTRIES) throw fileError('FILE_TOO_LARGE', `Archive has more than ${MAX_EXTRACT_ENTRIES} entries`);
+
+  const plan = [];
+  let declaredBytes = 0;
+  let skipped = 0;
+  for (const entry of directory.files) {
+    const name = String(entry.path || '').replace(/\\/g, '/');
+    if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+      skipped += 1;
+      continue;
+    }
+    if (!name || name.includes('\0') || name.startsWith('/') || /^[a-zA-Z]:/.test(name)) throw invalid(`Archive entry '${name}' has an absolute path`);
+    const target = resolvePath(server, joinRel(destination.rel, name.replace(/\/+$/, '')), { follow: false });
+    if (!isInside(destination.abs, target.abs) || target.abs === destination.abs) {
+      if (target.abs === destination.abs && entry.type === 'Directory') continue;
+      throw invalid(`Archive entry '${name}' would be extracted outside '${destination.rel || '/'}'`);
+    }
+    const existing = statOrNull(target.abs, { follow: false });
+    if (entry.type === 'Directory') {
+      if (existing && !existing.isDirectory()) throw fileError('FILE_EXISTS', `'${target.rel}' already exists and is not a directory`);
+    } else {
+      if (existing && (!overwrite || !existing.isFile())) throw fileError('FILE_EXISTS', `'${target.rel}' already exists`);
+      declaredBytes += Number(entry.uncompressedSize) || 0;
+    }
+    plan.push({ entry, target });
+  }
+  if (declaredBytes > MAX_EXTRACT_BYTES) throw fileError('FILE_TOO_LARGE', 'Archive is too large to extract');
+
+  // The sizes in the archive are not trusted: extraction stops when the output exceeds them
+  let written = 0;
+  let files = 0;
+  for (const { entry, target } of plan) {
+    // Re-resolve now that parents exist, so a link created by an earlier entry cannot redirect us
+    const current = resolvePath(server, target.rel, { follow: false });
+    if (entry.type === 'Directory') {
+      fs.mkdirSync(current.abs, { recursive: true });
+      continue;
+    }
+    fs.mkdirSync(path.dirname(current.abs), { recursive: true });
+    const limit = Number(entry.uncompressedSize) || 0;
+    let entryBytes = 0;
+    const counter = new Transform({
+      transform(chunk, _enc, cb) {
+        entryBytes += chunk.length;
+        written += chunk.length;
+        if (entryBytes > limit || written > MAX_EXTRACT_BYTES) return cb(fileError('FILE_TOO_LARGE', `Archive entry '${entry.path}' is larger than it claims`));
+        cb(null, chunk);
+      },
+    });
+    const tmp = `${current.abs}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      await pipeline(entry.stream(), counter, fs.createWriteStream(tmp));
+      fs.renameSync(tmp, current.abs);
+    } catch (e) {
+      fs.rmSync(tmp, { force: true });
+      throw e;
+    }
+    const mode = (entry.externalFileAttributes >>> 16) & 0o777;
+    if (mode) fs.chmodSync(current.abs, mode);
+    files += 1;
+  }
+  return { path: destination.rel, files, bytes: written, skippedLinks: skipped };
+}
+
+/**
+ * Absolute path and stat of a file to download (Range requests are served by the route).
+ */
+function resolveDownload(server, relPath) {
+  const resolved = resolvePath(server, relPath);
+  const stat = requireStat(resolved);
+  if (!stat.isFile()) throw invalid(`'${resolved.rel}' is not a file; compress it to download`);
+  return { ...resolved, stat };
+}
+
+/**
+ * Resumable chunked uploads.
+ */
+class UploadManager {
+  constructor() {
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.prune();
+    this.timer = setInterval(() => this.prune(), UPLOAD_PRUNE_INTERVAL_MS);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  partPath(id) {
+    return path.join(getUploadsDir(), `${id}.part`);
+  }
+
+  received(id) {
+    return statOrNull(this.partPath(id))?.size ?? 0;
+  }
+
+  toStatus(row) {
+    return {
+      id: row.id,
+      serverId: row.server_id,
+      path: row.target_path,
+      size: row.size_bytes,
+      received: this.received(row.id),
+      overwrite: Boolean(row.overwrite),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  get(id) {
+    return getDatabase().prepare('SELECT * FROM file_uploads WHERE id = ?').get(String(id)) || null;
+  }
+
+  /**
+   * Register an upload of `size` bytes to relPath.
+   */
+  create(server, userId, relPath, size, { overwrite = false } = {}) {
+    const total = Number(size);
+    if (!Number.isInteger(total) || total < 0) throw invalid('size must be a byte count');
+    if (total > MAX_UPLOAD_BYTES) throw fileError('FILE_TOO_LARGE', 'File is too large to upload');
+    const resolved = resolvePath(server, relPath);
+    if (!resolved.rel) throw invalid('A file path is required');
+    const existing = statOrNull(resolved.abs);
+    if (existing && (!overwrite || !existing.isFile())) throw fileError('FILE_EXISTS', `'${resolved.rel}' already exists`);
+
+    const id = crypto.randomBytes(16).toString('hex');
+    fs.mkdirSync(getUploadsDir(), { recursive: true });
+    fs.writeFileSync(this.partPath(id), '');
+    getDatabase().prepare(
+      'INSERT INTO file_uploads (id, server_id, panel_user_id, target_path, size_bytes, overwrite) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(id, server.id, userId ?? null, resolved.rel, total, overwrite ? 1 : 0);
+    return this.toStatus(this.get(id));
+  }
+
+  /**
+   * Append a chunk at `offset`. Returns the status, plus `file` once the upload is complete.
+   */
+  append(server, row, offset, chunk) {
+    const start = Number(offset);
+    const received = this.received(row.id);
+    if (!Number.isInteger(start) || start !== received) {
+      throw fileError('UPLOAD_OFFSET_MISMATCH', `Expected offset ${received}`, { received });
+    }
+    if (chunk.length > MAX_CHUNK_BYTES) throw fileError('FILE_TOO_LARGE', `Chunks are limited to ${MAX_CHUNK_BYTES / 1024 / 1024} MiB`);
+    if (received + chunk.length > row.size_bytes) throw invalid('Chunk goes past the declared size');
+
+    fs.appendFileSync(this.partPath(row.id), chunk);
+    getDatabase().prepare('UPDATE file_uploads SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+    const status = this.toStatus(row);
+    if (status.received < row.size_bytes) return status;
+    return { ...status, file: this.finish(server, row) };
+  }
+
+  finish(server, row) {
+    // Checked again: the directory may have changed since the upload started
+    const resolved = resolvePath(server, row.target_path);
+    const existing = statOrNull(resolved.abs);
+    if (existing && (!row.overwrite || !existing.isFile())) throw fileError('FILE_EXISTS', `'${resolved.rel}' already exists`);
+    fs.mkdirSync(path.dirname(resolved.abs), { recursive: true });
+    const part = this.partPath(row.id);
+    try {
+      fs.renameSync(part, resolved.abs);
+    } catch (e) {
+      if (e.code !== 'EXDEV') throw e;
+      // The uploads directory is on another filesystem
+      const tmp = `${resolved.abs}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        fs.copyFileSync(part, tmp);
+        fs.renameSync(tmp, resolved.abs);
+      } catch (copyErr) {
+        fs.rmSync(tmp, { force: true });
+        throw copyErr;
+      }
+      fs.rmSync(part, { force: true });
+    }
+    getDatabase().prepare('DELETE FROM file_uploads WHERE id = ?').run(row.id);
+    return describe(resolved.rel, path.basename(resolved.abs), fs.lstatSync(resolved.abs), resolved.abs);
+  }
+
+  cancel(row) {
+    fs.rmSync(this.partPath(row.id), { force: true });
+    getDatabase().prepare('DELETE FROM file_uploads WHERE id = ?').run(row.id);
+  }
+
+  /**
+   * Drop uploads without a chunk for UPLOAD_TTL_MS, and partial files nobody tracks.
+   */
+  prune() {
+    try {
+      const db = getDatabase();
+      const cutoff = new Date(Date.now() - UPLOAD_TTL_MS).toISOString().replace('T', ' ').slice(0, 19);
+      for (const row of db.prepare('SELECT * FROM file_uploads WHERE updated_at < ?').all(cutoff)) this.cancel(row);
+
+      const known = new Set(db.prepare('SELECT id FROM file_uploads').all().map((r) => `${r.id}.part`));
+      const dir = getUploadsDir();
+      for (const name of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+        if (name.endsWith('.part') && !known.has(name)) fs.rmSync(path.join(dir, name), { force: true });
+      }
+    } catch (e) {
+      console.warn('[FILES] Upload cleanup failed:', e.message);
+    }
+  }
+}
+
+const uploadManager = new UploadManager();
+
+module.exports = {
+  MAX_CHUNK_BYTES,
+  resolvePath,
+  list,
+  readFile,
+  writeFile,
+  mkdir,
+  rename,
+  move,
+  copy,
+  remove,
+  chmod,
+  compress,
+  decompress,
+  resolveDownload,
+  UploadManager,
+  uploadManager,
+};
@@ -0,0 +1,161 @@
+/**
+ * Server terminals
+ *
+ * Interactive shells for the /api/servers/terminal WebSocket, on a real pseudo-terminal so
+ * full-screen programs (vim, htop, less) and line editing work:
+ *
+ *   - servers whose container is running get `docker exec -it` into the container,
+ *   - everything else gets a local shell (bash, or PowerShell on Windows) through node-pty in
+ *     the server's directory.
+ *
+ * Both honour resize. Output is decoded as UTF-8 without splitting multi-byte characters.
+ * A terminal nobody typed into for terminal.idle_timeout_minutes (setting, default 30, 0 to
+ * disable) is closed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const pty = require('node-pty');
+const { getDatabase } = require('../lib/database');
+const dockerRuntime = require('./docker-runtime');
+const runtimeDrivers = require('./runtime-drivers');
+
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 30;
+const DEFAULT_SIZE = { cols: 80, rows: 24 };
+
+const clampSize = (cols, rows) => ({
+  cols: Math.min(1000, Math.max(1, Math.floor(Number(cols)) || DEFAULT_SIZE.cols)),
+  rows: Math.min(500, Math.max(1, Math.floor(Number(rows)) || DEFAULT_SIZE.rows)),
+});
+
+function getIdleTimeoutMs() {
+  try {
+    const raw = getDatabase().prepare("SELECT value FROM settings WHERE key = 'terminal.idle_timeout_minutes'").get()?.value;
+    const minutes = raw === undefined || raw === null || raw === '' ? DEFAULT_IDLE_TIMEOUT_MINUTES : Number(raw);
+    return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+  } catch {
+    return DEFAULT_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+  }
+}
+
+function resolveLocalShell() {
+  if (process.platform === 'win32') return { file: 'powershell.exe', args: ['-NoLogo'] };
+  const bash = ['/bin/bash', '/usr/bin/bash'].find((p) => fs.existsSync(p));
+  return { file: bash || process.env.SHELL || '/bin/sh', args: [] };
+}
+
+function openLocalTerminal(server, { cols, rows, onData, onExit }) {
+  const shell = resolveLocalShell();
+  const proc = pty.spawn(shell.file, shell.args, {
+    name: 'xterm-256color',
+    cols,
+    rows,
+    cwd: path.resolve(server.path),
+    env: {
+      ...process.env,
+      TERM: 'xterm-256color',
+      LANG: process.env.LANG || 'C.UTF-8',
+      LC_ALL: process.env.LC_ALL || 'C.UTF-8',
+    },
+  });
+  proc.onData((data) => onData(data));
+  proc.onExit(({ exitCode }) => onExit(exitCode));
+  return {
+    kind: 'local',
+    write: (data) => proc.write(data),
+    resize: (c, r) => proc.resize(c, r),
+    close: () => {
+      try {
+        proc.kill();
+      } catch {
+        // already gone
+      }
+    },
+  };
+}
+
+async function openContainerTerminal(server, { cols, rows, onData, onExit }) {
+  const decoder = new StringDecoder('utf8');
+  const exec = await dockerRuntime.openContainerTerminal(server.id, {
+    cols,
+    rows,
+    onData: (chunk) => {
+      const text = decoder.write(chunk);
+      if (text) onData(text);
+    },
+    onExit: () => onExit(null),
+  });
+  return {
+    kind: 'container',
+    write: (data) => exec.write(data).catch(() => null),
+    resize: (c, r) => exec.resize(c, r).catch(() => null),
+    close: () => exec.close(),
+  };
+}
+
+/**
+ * Open a terminal for a server. onData(text) receives output, onExit(code) runs once when the
+ * shell ends (code is null when unknown) or the terminal was closed for being idle; onIdle()
+ * runs right before an idle close.
+ *
+ * @returns {Promise<{ kind: 'local'|'container', write(data), resize(cols, rows), close() }>}
+ */
+async function openServerTerminal(server, { cols, rows, onData, onExit, onIdle = null } = {}) {
+  if (!server?.path || !fs.existsSync(server.path)) {
+    throw new Error('Server path does not exist');
+  }
+  const driver = runtimeDrivers.getDriverForServer(server);
+  if (driver.name === 'remote') {
+    throw new Error('Terminals for servers on remote nodes are opened through the node');
+  }
+
+  let exited = false;
+  let idleTimer = null;
+  const finish = (code) => {
+    if (exited) return;
+    exited = true;
+    clearTimeout(idleTimer);
+    onExit(code);
+  };
+
+  const size = clampSize(cols, rows);
+  const inContainer = driver.name === 'docker' && await driver.isRunning(server).catch(() => false);
+  const terminal = inContainer
+    ? await openContainerTerminal(server, { ...size, onData, onExit: finish })
+    : openLocalTerminal(server, { ...size, onData, onExit: finish });
+
+  const idleMs = getIdleTimeoutMs();
+  const touch = () => {
+    if (!idleMs || exited) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      if (onIdle) onIdle(idleMs);
+      terminal.close();
+      finish(null);
+    }, idleMs);
+    idleTimer.unref?.();
+  };
+  touch();
+
+  return {
+    kind: terminal.kind,
+    write: (data) => {
+      touch();
+      terminal.write(String(data));
+    },
+    resize: (c, r) => {
+      const next = clampSize(c, r);
+      terminal.resize(next.cols, next.rows);
+    },
+    close: () => {
+      clearTimeout(idleTimer);
+      terminal.close();
+    },
+  };
+}
+
+module.exports = {
+  openServerTerminal,
+  getIdleTimeoutMs,
+};
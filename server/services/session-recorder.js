@@ -0,0 +1,388 @@
+/**
+ * Session recorder
+ *
+ * Optional recording of the terminal and console WebSocket sessions (server terminals, node
+ * shells, SSH profile shells and server consoles) for compliance and debugging. Each session is
+ * written as an asciicast v2 file (https://docs.asciinema.org/manual/asciicast/v2/) under
+ * <app dir>/recordings: a JSON header line, then one [seconds, code, data] line per event, where
+ * code is "o" for output, "i" for input and "r" for a resize ("COLSxROWS"). Who, when and which
+ * server, node or profile are kept in the header and in session_recordings, and the audit entry
+ * for the session carries the recording id.
+ *
+ * Settings:
+ *   recording.enabled         'true' to record (off by default)
+ *   recording.record_input    'true' to also record keystrokes, which may include passwords
+ *   recording.retention_days  recordings older than this are deleted (default 30, 0 keeps them)
+ *   recording.max_total_mb    oldest recordings are deleted above this total (default 0, no cap)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { getDatabase } = require('../lib/database');
+const { getRecordingsDir } = require('../lib/paths');
+
+const KINDS = ['terminal', 'node-shell', 'ssh-profile', 'console'];
+const DEFAULTS = { enabled: false, recordInput: false, retentionDays: 30, maxTotalMb: 0 };
+const SETTING_KEYS = {
+  enabled: 'recording.enabled',
+  recordInput: 'recording.record_input',
+  retentionDays: 'recording.retention_days',
+  maxTotalMb: 'recording.max_total_mb',
+};
+// A single session stops recording (and is marked truncated) past this size
+const MAX_RECORDING_BYTES = 256 * 1024 * 1024;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_EVENT_PAGE = 5000;
+const MAX_EVENT_PAGE = 50000;
+
+function readSetting(db, key) {
+  try {
+    return db.prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value;
+  } catch {
+    return undefined;
+  }
+}
+
+function invalidSettings(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_RECORDING_SETTINGS';
+  return err;
+}
+
+/**
+ * One session being recorded. Events after close() are ignored.
+ */
+class Recording {
+  constructor(row, stream, { recordInput, onClose = () => {} }) {
+    this.id = row.id;
+    this.onClose = onClose;
+    this.filePath = row.file_path;
+    this.stream = stream;
+    this.recordInput = recordInput;
+    this.startedAt = Date.now();
+    this.bytes = 0;
+    this.truncated = false;
+    this.closed = false;
+  }
+
+  write(line) {
+    if (this.closed || this.truncated) return;
+    const data = `${line}\n`;
+    const length = Buffer.byteLength(data);
+    if (this.bytes + length > MAX_RECORDING_BYTES) {
+      this.truncated = true;
+      return;
+    }
+    this.bytes += length;
+    this.stream.write(data);
+  }
+
+  event(code, data) {
+    const seconds = Math.round(Date.now() - this.startedAt) / 1000;
+    this.write(JSON.stringify([seconds, code, String(data)]));
+  }
+
+  output(data) {
+    if (data === undefined || data === null || data === '') return;
+    this.event('o', Buffer.isBuffer(data) ? data.toString('utf8') : data);
+  }
+
+  input(data) {
+    if (!this.recordInput || data === undefined || data === null || data === '') return;
+    this.event('i', data);
+  }
+
+  resize(cols, rows) {
+    const c = Math.floor(Number(cols));
+    const r = Math.floor(Number(rows));
+    if (c > 0 && r > 0) this.event('r', `${c}x${r}`);
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    const durationMs = Date.now() - this.startedAt;
+    this.stream.end(() => {
+      let size = this.bytes;
+      try {
+        size = fs.statSync(this.filePath).size;
+      } catch {
+        // keep the counted size
+      }
+      try {
+        getDatabase().prepare(
+          "UPDATE session_recordings SET status = 'complete', ended_at = ?, duration_ms = ?, size_bytes = ?, truncated = ? WHERE id = ?"
+        ).run(new Date().toISOString(), durationMs, size, this.truncated ? 1 : 0, this.id);
+      } catch (e) {
+        console.warn(`[RECORDING] Failed to finish recording ${this.id}:`, e.message);
+      }
+    });
+    this.onClose(this);
+  }
+}
+
+class SessionRecorder {
+  constructor() {
+    this.pruneTimer = null;
+    this.active = new Map();
+  }
+
+  /**
+   * Mark recordings cut off by a previous process as interrupted and start pruning.
+   */
+  start() {
+    if (this.pruneTimer) return;
+    try {
+      const db = getDatabase();
+      const stale = db.prepare("SELECT id, file_path FROM session_recordings WHERE status = 'recording'").all();
+      for (const row of stale) {
+        let size = 0;
+        try {
+          size = fs.statSync(row.file_path).size;
+        } catch {
+          size = 0;
+        }
+        db.prepare("UPDATE session_recordings SET status = 'interrupted', size_bytes = ? WHERE id = ?").run(size, row.id);
+      }
+      if (stale.length) console.warn(`[RECORDING] Marked ${stale.length} interrupted recording(s)`);
+    } catch (e) {
+      console.warn('[RECORDING] Startup check failed:', e.message);
+    }
+    this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+    for (const recording of [...this.active.values()]) recording.close();
+  }
+
+  getSettings() {
+    const db = getDatabase();
+    const bool = (key, fallback) => {
+      const raw = readSetting(db, key);
+      return raw === undefined || raw === null || raw === '' ? fallback : String(raw) === 'true';
+    };
+    const int = (key, fallback) => {
+      const raw = readSetting(db, key);
+      const n = Number(raw);
+      return raw === undefined || raw === null || raw === '' || !Number.isFinite(n) || n < 0 ? fallback : Math.floor(n);
+    };
+    return {
+      enabled: bool(SETTING_KEYS.enabled, DEFAULTS.enabled),
+      recordInput: bool(SETTING_KEYS.recordInput, DEFAULTS.recordInput),
+      retentionDays: int(SETTING_KEYS.retentionDays, DEFAULTS.retentionDays),
+      maxTotalMb: int(SETTING_KEYS.maxTotalMb, DEFAULTS.maxTotalMb),
+    };
+  }
+
+  /**
+   * Update the settings sent in body ({ enabled, recordInput, retentionDays, maxTotalMb }).
+   * Throws with err.code = 'INVALID_RECORDING_SETTINGS'.
+   */
+  updateSettings(body = {}) {
+    const updates = {};
+    for (const field of ['enabled', 'recordInput']) {
+      if (body[field] !== undefined) updates[SETTING_KEYS[field]] = body[field] ? 'true' : 'false';
+    }
+    for (const field of ['retentionDays', 'maxTotalMb']) {
+      if (body[field] === undefined) continue;
+      const n = Number(body[field]);
+      if (!Number.isInteger(n) || n < 0) throw invalidSettings(`${field} must be a non-negative integer`);
+      updates[SETTING_KEYS[field]] = String(n);
+    }
+    const db = getDatabase();
+    const upsert = db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)');
+    db.transaction(() => {
+      for (const [key, value] of Object.entries(updates)) upsert.run(key, value);
+    })();
+    if (updates[SETTING_KEYS.retentionDays] || updates[SETTING_KEYS.maxTotalMb]) this.prune();
+    return this.getSettings();
+  }
+
+  /**
+   * Start recording a session when recording is enabled. Returns a Recording, or null.
+   *
+   * @param {object} session
+   * @param {string} session.kind - 'terminal', 'node-shell', 'ssh-profile' or 'console'
+   * @param {object} session.user - the connected panel user
+   */
+  begin({ kind, serverId = null, nodeId = null, profileId = null, user = null, identity = null, title = null, cols = 80, rows = 24 }) {
+    if (!KINDS.includes(kind)) throw new Error(`Unknown session kind: ${kind}`);
+    const settings = this.getSettings();
+    if (!settings.enabled) return null;
+
+    const db = getDatabase();
+    const startedAt = new Date();
+    try {
+      const dir = path.join(getRecordingsDir(), startedAt.toISOString().slice(0, 7));
+      fs.mkdirSync(dir, { recursive: true });
+
+      const result = db.prepare(
+        `INSERT INTO session_recordings (kind, server_id, node_id, profile_id, user_id, user_identity, title, cols, rows, started_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        kind,
+        serverId ?? null,
+        nodeId === null || nodeId === undefined ? null : String(nodeId),
+        profileId ?? null,
+        user?.id ?? null,
+        identity,
+        title,
+        cols,
+        rows,
+        startedAt.toISOString()
+      );
+      const id = Number(result.lastInsertRowid);
+      const stamp = startedAt.toISOString().replace(/[:.]/g, '-');
+      const filePath = path.join(dir, `${stamp}-${kind}-${id}.cast`);
+      db.prepare('UPDATE session_recordings SET file_path = ? WHERE id = ?').run(filePath, id);
+
+      const stream = fs.createWriteStream(filePath, { flags: 'wx' });
+      stream.on('error', (e) => console.warn(`[RECORDING] Write failed for recording ${id}:`, e.message));
+      const recording = new Recording({ id, file_path: filePath }, stream, {
+        recordInput: settings.recordInput,
+        onClose: () => this.active.delete(id),
+      });
+      recording.write(JSON.stringify({
+        version: 2,
+        width: cols,
+        height: rows,
+        timestamp: Math.floor(startedAt.getTime() / 1000),
+        title: title || undefined,
+        env: { TERM: 'xterm-256color' },
+        turbonox: {
+          recordingId: id,
+          kind,
+          serverId: serverId ?? null,
+          nodeId: nodeId ?? null,
+          profileId: profileId ?? null,
+          userId: user?.id ?? null,
+          user: identity,
+          inputRecorded: settings.recordInput,
+        },
+      }));
+      this.active.set(id, recording);
+      return recording;
+    } catch (e) {
+      console.warn(`[RECORDING] Could not start recording a ${kind} session:`, e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read a recording's header and a page of its events. from/to are seconds; maxIdle (seconds)
+   * shortens longer pauses the way asciinema's idle_time_limit does.
+   *
+   * @returns {Promise<{ header, events: Array<[number, string, string]>, next: number|null }>}
+   *   next is the event index to continue from, or null at the end
+   */
+  async readEvents(row, { offset = 0, limit = DEFAULT_EVENT_PAGE, from = null, to = null, maxIdle = null } = {}) {
+    const pageSize = Math.min(MAX_EVENT_PAGE, Math.max(1, Math.floor(Number(limit)) || DEFAULT_EVENT_PAGE));
+    const start = Math.max(0, Math.floor(Number(offset)) || 0);
+    const idle = Number(maxIdle) > 0 ? Number(maxIdle) : null;
+
+    const input = fs.createReadStream(row.file_path, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let header = null;
+    const events = [];
+    let index = 0;
+    let next = null;
+    let last = 0;
+    let shift = 0;
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        if (!header) {
+          header = JSON.parse(line);
+          continue;
+        }
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          // a session cut off mid-write
+          continue;
+        }
+        if (idle && event[0] - last > idle) shift += event[0] - last - idle;
+        last = event[0];
+        const time = Math.round((event[0] - shift) * 1000) / 1000;
+        if ((from !== null && event[0] < Number(from)) || (to !== null && event[0] > Number(to))) continue;
+        if (index++ < start) continue;
+        if (events.length >= pageSize) {
+          next = index - 1;
+          break;
+        }
+        events.push([time, event[1], event[2]]);
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+    return { header, events, next };
+  }
+
+  /**
+   * Remove a recording's file and row.
+   */
+  remove(row) {
+    try {
+      if (row.file_path) fs.rmSync(row.file_path, { force: true });
+    } catch (e) {
+      console.warn(`[RECORDING] Failed to delete ${row.file_path}:`, e.message);
+    }
+    getDatabase().prepare('DELETE FROM session_recordings WHERE id = ?').run(row.id);
+  }
+
+  /**
+   * Apply retention: delete recordings past retention_days, then the oldest ones while the total
+   * is above max_total_mb. Recordings still being written are kept.
+   */
+  prune() {
+    let removed = 0;
+    try {
+      const db = getDatabase();
+      const { retentionDays, maxTotalMb } = this.getSettings();
+      const finished = "status != 'recording'";
+
+      if (retentionDays > 0) {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        for (const row of db.prepare(`SELECT id, file_path FROM session_recordings WHERE ${finished} AND started_at < ?`).all(cutoff)) {
+          this.remove(row);
+          removed += 1;
+        }
+      }
+
+      if (maxTotalMb > 0) {
+        const limit = maxTotalMb * 1024 * 1024;
+        let total = db.prepare('SELECT COALESCE(SUM(size_bytes), 0) AS total FROM session_recordings').get().total;
+        if (total > limit) {
+          for (const row of db.prepare(`SELECT id, file_path, size_bytes FROM session_recordings WHERE ${finished} ORDER BY started_at ASC`).all()) {
+            if (total <= limit) break;
+            this.remove(row);
+            total -= Number(row.size_bytes) || 0;
+            removed += 1;
+          }
+        }
+      }
+
+      if (removed) console.log(`[RECORDING] Retention removed ${removed} recording(s)`);
+    } catch (e) {
+      console.warn('[RECORDING] Retention failed:', e.message);
+    }
+    return { removed };
+  }
+}
+
+const sessionRecorder = new SessionRecorder();
+
+module.exports = {
+  KINDS,
+  MAX_RECORDING_BYTES,
+  Recording,
+  SessionRecorder,
+  sessionRecorder,
+};
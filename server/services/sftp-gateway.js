@@ -0,0 +1,517 @@
+/**
+ * SFTP gateway
+ *
+ * An embedded SFTP server (ssh2) so users can reach their server files with FileZilla, WinSCP
+ * and the like without a shell on the host. No shell, exec or forwarding is offered; sessions
+ * only get the sftp subsystem.
+ *
+ * Log in as <panel email>.<server id> (e.g. alice@example.com.12) with the panel password or a
+ * panel API key (services/panel-api-keys). The session's root is that server's directory; paths
+ * are confined to it exactly as for /api/servers/:id/files (services/server-files), so links out
+ * of the directory are refused. Access follows the same permissions: 'files.read' to log in,
+ * 'files.write' for any change, so session members without write permission get a read-only
+ * view. Logins, changes and transfers (bytes per file, logged when the file is closed) go to
+ * the audit log.
+ *
+ * Settings (read at startup):
+ *   sftp.enabled  'true' to listen (default off)
+ *   sftp.port     default 2022
+ *   sftp.host     bind address, default 0.0.0.0
+ *
+ * The host key is generated on first start and kept in the app directory (sftp_host_key).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+const { Server, utils: sshUtils } = require('ssh2');
+const { STATUS_CODE, OPEN_MODE, flagsToString } = require('ssh2/lib/protocol/SFTP');
+const { getDatabase } = require('../lib/database');
+const { getAppDir } = require('../lib/paths');
+const AuditService = require('./AuditService');
+const { resolvePath } = require('./server-files');
+const panelApiKeys = require('./panel-api-keys');
+const { getUserIdentity } = require('./server-console');
+const { canAccessServer } = require('../routes/servers');
+
+const DEFAULT_PORT = 2022;
+const MAX_READ_CHUNK = 256 * 1024;
+const READDIR_BATCH = 100;
+const MAX_HANDLES = 256;
+const FAILED_LOGIN_LIMIT = 10;
+const FAILED_LOGIN_WINDOW_MS = 5 * 60 * 1000;
+const WRITE_FLAGS = OPEN_MODE.WRITE | OPEN_MODE.APPEND | OPEN_MODE.CREAT | OPEN_MODE.TRUNC;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Split a login name into the panel email and the server id: the part after the last '.'.
+ */
+function parseUsername(username) {
+  const value = String(username || '').trim();
+  const dot = value.lastIndexOf('.');
+  if (dot <= 0) return null;
+  const serverId = Number(value.slice(dot + 1));
+  if (!Number.isInteger(serverId) || serverId <= 0) return null;
+  return { email: value.slice(0, dot).toLowerCase(), serverId };
+}
+
+function toAttrs(stat) {
+  return {
+    mode: stat.mode,
+    uid: 0,
+    gid: 0,
+    size: stat.size,
+    atime: Math.floor(stat.atimeMs / 1000),
+    mtime: Math.floor(stat.mtimeMs / 1000),
+  };
+}
+
+// `ls -l` style line, shown by clients that do not parse the attributes
+function longname(name, stat) {
+  const type = stat.isDirectory() ? 'd' : stat.isSymbolicLink() ? 'l' : '-';
+  let perms = '';
+  for (let shift = 6; shift >= 0; shift -= 3) {
+    const bits = (stat.mode >> shift) & 7;
+    perms += `${bits & 4 ? 'r' : '-'}${bits & 2 ? 'w' : '-'}${bits & 1 ? 'x' : '-'}`;
+  }
+  const date = stat.mtime;
+  const when = `${MONTHS[date.getMonth()]} ${String(date.getDate()).padStart(2)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return `${type}${perms} 1 turbonox turbonox ${String(stat.size).padStart(10)} ${when} ${name}`;
+}
+
+function statusFor(err) {
+  if (!err) return STATUS_CODE.FAILURE;
+  if (err.code === 'PATH_OUTSIDE_SERVER' || err.code === 'EACCES' || err.code === 'EPERM' || err.code === 'READ_ONLY') return STATUS_CODE.PERMISSION_DENIED;
+  if (err.code === 'FILE_NOT_FOUND' || err.code === 'ENOENT' || err.code === 'ENOTDIR') return STATUS_CODE.NO_SUCH_FILE;
+  return STATUS_CODE.FAILURE;
+}
+
+/**
+ * One SFTP channel: the virtual file system of one server for one user.
+ */
+class SftpSession {
+  constructor(sftp, { server, user, canWrite, remoteAddress }) {
+    this.sftp = sftp;
+    this.server = server;
+    this.user = user;
+    this.identity = getUserIdentity(user);
+    this.canWrite = canWrite;
+    this.remoteAddress = remoteAddress;
+    this.handles = new Map();
+    this.nextHandle = 1;
+
+    const handlers = {
+      OPEN: this.open,
+      READ: this.read,
+      WRITE: this.write,
+      CLOSE: this.close,
+      FSTAT: this.fstat,
+      FSETSTAT: this.fsetstat,
+      STAT: (id, p) => this.stat(id, p, true),
+      LSTAT: (id, p) => this.stat(id, p, false),
+      SETSTAT: this.setstat,
+      OPENDIR: this.opendir,
+      READDIR: this.readdir,
+      REMOVE: this.remove,
+      RMDIR: this.rmdir,
+      MKDIR: this.mkdir,
+      RENAME: this.rename,
+      REALPATH: this.realpath,
+      READLINK: this.readlink,
+    };
+    for (const [event, handler] of Object.entries(handlers)) {
+      sftp.on(event, (reqId, ...args) => {
+        Promise.resolve()
+          .then(() => handler.call(this, reqId, ...args))
+          // fs errors name host paths; the status code says enough
+          .catch((err) => sftp.status(reqId, statusFor(err), err?.syscall ? undefined : err?.message));
+      });
+    }
+    // Links could point anywhere; they are listed and followed (inside the root) but not created
+    sftp.on('SYMLINK', (reqId) => sftp.status(reqId, STATUS_CODE.OP_UNSUPPORTED));
+    sftp.on('EXTENDED', (reqId) => sftp.status(reqId, STATUS_CODE.OP_UNSUPPORTED));
+    sftp.on('close', () => this.closeAll());
+    sftp.on('error', () => this.closeAll());
+  }
+
+  // '/a/../b' -> 'b'; '..' never goes above the root
+  toRel(virtualPath) {
+    return path.posix.normalize(`/${String(virtualPath || '').replace(/\\/g, '/')}`).replace(/^\/+/, '');
+  }
+
+  resolve(virtualPath, options) {
+    return resolvePath(this.server, this.toRel(virtualPath), options);
+  }
+
+  requireWrite() {
+    if (this.canWrite) return;
+    const err = new Error('Read-only access');
+    err.code = 'READ_ONLY';
+    throw err;
+  }
+
+  addHandle(entry) {
+    if (this.handles.size >= MAX_HANDLES) throw new Error('Too many open handles');
+    const handle = Buffer.alloc(4);
+    handle.writeUInt32BE(this.nextHandle++);
+    this.handles.set(handle.toString('hex'), entry);
+    return handle;
+  }
+
+  getHandle(handle, type) {
+    const entry = this.handles.get(Buffer.from(handle).toString('hex'));
+    if (!entry || entry.type !== type) {
+      const err = new Error('Invalid handle');
+      err.code = 'INVALID_HANDLE';
+      throw err;
+    }
+    return entry;
+  }
+
+  audit(action, details, metadata = {}) {
+    AuditService.log(this.server.id, action, this.identity, details, { via: 'sftp', remoteAddress: this.remoteAddress, ...metadata });
+  }
+
+  async open(reqId, filename, flags, attrs) {
+    const writing = (flags & WRITE_FLAGS) !== 0;
+    if (writing) this.requireWrite();
+    const resolved = this.resolve(filename);
+    if (!resolved.rel) throw new Error('Not a file');
+    const fd = await fs.promises.open(resolved.abs, flagsToString(flags) || 'r', attrs?.mode ? attrs.mode & 0o777 : 0o644);
+    const stat = await fd.stat();
+    if (!stat.isFile()) {
+      await fd.close();
+      throw new Error('Not a file');
+    }
+    const handle = this.addHandle({ type: 'file', fd, rel: resolved.rel, writing, bytesRead: 0, bytesWritten: 0 });
+    this.sftp.handle(reqId, handle);
+  }
+
+  async read(reqId, handle, offset, length) {
+    const entry = this.getHandle(handle, 'file');
+    const buf = Buffer.alloc(Math.min(length, MAX_READ_CHUNK));
+    const { bytesRead } = await entry.fd.read(buf, 0, buf.length, offset);
+    if (!bytesRead) return this.sftp.status(reqId, STATUS_CODE.EOF);
+    entry.bytesRead += bytesRead;
+    this.sftp.data(reqId, buf.subarray(0, bytesRead));
+  }
+
+  async write(reqId, handle, offset, data) {
+    const entry = this.getHandle(handle, 'file');
+    if (!entry.writing) throw Object.assign(new Error('File was not opened for writing'), { code: 'EACCES' });
+    await entry.fd.write(data, 0, data.length, offset);
+    entry.bytesWritten += data.length;
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async close(reqId, handle) {
+    const key = Buffer.from(handle).toString('hex');
+    const entry = this.handles.get(key);
+    if (!entry) throw new Error('Invalid handle');
+    this.handles.delete(key);
+    if (entry.type === 'file') {
+      await entry.fd.close();
+      this.auditTransfer(entry);
+    }
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  auditTransfer(entry) {
+    if (entry.bytesWritten || (entry.writing && !entry.bytesRead)) {
+      this.audit('SFTP_FILE_UPLOADED', `Uploaded /${entry.rel} (${entry.bytesWritten} bytes)`, { path: entry.rel, bytes: entry.bytesWritten });
+    }
+    if (entry.bytesRead) {
+      this.audit('SFTP_FILE_DOWNLOADED', `Downloaded /${entry.rel} (${entry.bytesRead} bytes)`, { path: entry.rel, bytes: entry.bytesRead });
+    }
+  }
+
+  async fstat(reqId, handle) {
+    const entry = this.getHandle(handle, 'file');
+    this.sftp.attrs(reqId, toAttrs(await entry.fd.stat()));
+  }
+
+  async stat(reqId, filename, follow) {
+    const resolved = this.resolve(filename, { follow });
+    const stat = follow ? await fs.promises.stat(resolved.abs) : await fs.promises.lstat(resolved.abs);
+    this.sftp.attrs(reqId, toAttrs(stat));
+  }
+
+  async applyAttrs(target, attrs, fd = null) {
+    if (attrs.size !== undefined) await (fd ? fd.truncate(attrs.size) : fs.promises.truncate(target, attrs.size));
+    if (attrs.mode !== undefined) await (fd ? fd.chmod(attrs.mode & 0o7777) : fs.promises.chmod(target, attrs.mode & 0o7777));
+    if (attrs.atime !== undefined && attrs.mtime !== undefined) {
+      await (fd ? fd.utimes(attrs.atime, attrs.mtime) : fs.promises.utimes(target, attrs.atime, attrs.mtime));
+    }
+    // uid/gid are ignored: files keep the panel's owner
+  }
+
+  async setstat(reqId, filename, attrs) {
+    this.requireWrite();
+    const resolved = this.resolve(filename);
+    await this.applyAttrs(resolved.abs, attrs || {});
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async fsetstat(reqId, handle, attrs) {
+    this.requireWrite();
+    const entry = this.getHandle(handle, 'file');
+    await this.applyAttrs(null, attrs || {}, entry.fd);
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async opendir(reqId, dirPath) {
+    const resolved = this.resolve(dirPath);
+    const stat = await fs.promises.stat(resolved.abs);
+    if (!stat.isDirectory()) throw Object.assign(new Error('Not a directory'), { code: 'ENOTDIR' });
+    this.sftp.handle(reqId, this.addHandle({ type: 'dir', abs: resolved.abs, names: null }));
+  }
+
+  async readdir(reqId, handle) {
+    const entry = this.getHandle(handle, 'dir');
+    if (!entry.names) entry.names = await fs.promises.readdir(entry.abs);
+    if (!entry.names.length) return this.sftp.status(reqId, STATUS_CODE.EOF);
+    const batch = entry.names.splice(0, READDIR_BATCH);
+    const names = [];
+    for (const name of batch) {
+      const stat = await fs.promises.lstat(path.join(entry.abs, name)).catch(() => null);
+      if (stat) names.push({ filename: name, longname: longname(name, stat), attrs: toAttrs(stat) });
+    }
+    if (!names.length) return this.readdir(reqId, handle);
+    this.sftp.name(reqId, names);
+  }
+
+  async remove(reqId, filename) {
+    this.requireWrite();
+    const resolved = this.resolve(filename, { follow: false });
+    if (!resolved.rel) throw Object.assign(new Error('Permission denied'), { code: 'EPERM' });
+    await fs.promises.unlink(resolved.abs);
+    this.audit('SFTP_FILE_DELETED', `Deleted /${resolved.rel}`, { path: resolved.rel });
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async rmdir(reqId, dirPath) {
+    this.requireWrite();
+    const resolved = this.resolve(dirPath, { follow: false });
+    if (!resolved.rel) throw Object.assign(new Error('Permission denied'), { code: 'EPERM' });
+    await fs.promises.rmdir(resolved.abs);
+    this.audit('SFTP_DIRECTORY_DELETED', `Deleted directory /${resolved.rel}`, { path: resolved.rel });
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async mkdir(reqId, dirPath, attrs) {
+    this.requireWrite();
+    const resolved = this.resolve(dirPath, { follow: false });
+    if (!resolved.rel) throw new Error('Directory exists');
+    await fs.promises.mkdir(resolved.abs, { mode: attrs?.mode ? attrs.mode & 0o777 : 0o755 });
+    this.audit('SFTP_DIRECTORY_CREATED', `Created directory /${resolved.rel}`, { path: resolved.rel });
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  async rename(reqId, oldPath, newPath) {
+    this.requireWrite();
+    const from = this.resolve(oldPath, { follow: false });
+    const to = this.resolve(newPath, { follow: false });
+    if (!from.rel || !to.rel) throw Object.assign(new Error('Permission denied'), { code: 'EPERM' });
+    // SFTP v3: renaming onto an existing name fails
+    if (await fs.promises.lstat(to.abs).then(() => true, () => false)) throw new Error('Target exists');
+    await fs.promises.rename(from.abs, to.abs);
+    this.audit('SFTP_FILE_RENAMED', `Renamed /${from.rel} to /${to.rel}`, { from: from.rel, to: to.rel });
+    this.sftp.status(reqId, STATUS_CODE.OK);
+  }
+
+  realpath(reqId, virtualPath) {
+    const normalized = `/${this.toRel(virtualPath)}`;
+    this.sftp.name(reqId, [{ filename: normalized, longname: normalized, attrs: {} }]);
+  }
+
+  async readlink(reqId, linkPath) {
+    const resolved = this.resolve(linkPath, { follow: false });
+    const target = await fs.promises.readlink(resolved.abs);
+    // Only show where a link points when that is inside the root, as a path in the root
+    const absolute = path.resolve(path.dirname(resolved.abs), target);
+    const root = resolved.root;
+    if (absolute !== root && !absolute.startsWith(root + path.sep)) {
+      throw Object.assign(new Error('Link points outside the server directory'), { code: 'PATH_OUTSIDE_SERVER' });
+    }
+    const shown = path.isAbsolute(target) ? `/${path.relative(root, absolute).split(path.sep).join('/')}` : target;
+    this.sftp.name(reqId, [{ filename: shown, longname: shown, attrs: {} }]);
+  }
+
+  closeAll() {
+    for (const entry of this.handles.values()) {
+      if (entry.type !== 'file') continue;
+      entry.fd.close().catch(() => null);
+      this.auditTransfer(entry);
+    }
+    this.handles.clear();
+  }
+}
+
+class SftpGateway {
+  constructor() {
+    this.server = null;
+    this.failures = new Map();
+    this.address = null;
+  }
+
+  getSettings() {
+    const read = (key) => {
+      try {
+        return getDatabase().prepare('SELECT value FROM settings WHERE key = ?').get(key)?.value ?? null;
+      } catch {
+        return null;
+      }
+    };
+    const port = Number(read('sftp.port'));
+    return {
+      enabled: String(read('sftp.enabled')) === 'true',
+      port: Number.isInteger(port) && port > 0 && port < 65536 ? port : DEFAULT_PORT,
+      host: read('sftp.host') || '0.0.0.0',
+    };
+  }
+
+  loadHostKey() {
+    const keyPath = path.join(getAppDir(), 'sftp_host_key');
+    if (!fs.existsSync(keyPath)) {
+      const { private: privateKey } = sshUtils.generateKeyPairSync('ed25519');
+      fs.writeFileSync(keyPath, privateKey, { mode: 0o600 });
+      console.log(`[SFTP] Generated host key ${keyPath}`);
+    }
+    return fs.readFileSync(keyPath);
+  }
+
+  /**
+   * SHA256 fingerprint of the host key, for users to compare on first connect.
+   */
+  getFingerprint() {
+    const parsed = sshUtils.parseKey(this.loadHostKey());
+    const key = Array.isArray(parsed) ? parsed[0] : parsed;
+    const hash = crypto.createHash('sha256').update(key.getPublicSSH()).digest('base64').replace(/=+$/, '');
+    return `SHA256:${hash}`;
+  }
+
+  async start() {
+    if (this.server) return;
+    const settings = this.getSettings();
+    if (!settings.enabled) return;
+
+    this.server = new Server({ hostKeys: [this.loadHostKey()] }, (client, info) => this.onClient(client, info));
+    this.server.on('error', (err) => console.error('[SFTP] Server error:', err.message));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(settings.port, settings.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    }).catch((err) => {
+      this.server = null;
+      throw err;
+    });
+    this.address = `${settings.host}:${settings.port}`;
+    console.log(`[SFTP] Listening on ${this.address} (${this.getFingerprint()})`);
+  }
+
+  stop() {
+    if (!this.server) return;
+    this.server.close();
+    this.server = null;
+    this.address = null;
+  }
+
+  isThrottled(ip) {
+    const entry = this.failures.get(ip);
+    if (!entry) return false;
+    if (Date.now() - entry.since > FAILED_LOGIN_WINDOW_MS) {
+      this.failures.delete(ip);
+      return false;
+    }
+    return entry.count >= FAILED_LOGIN_LIMIT;
+  }
+
+  recordFailure(ip) {
+    const entry = this.failures.get(ip);
+    if (entry && Date.now() - entry.since <= FAILED_LOGIN_WINDOW_MS) entry.count += 1;
+    else this.failures.set(ip, { count: 1, since: Date.now() });
+  }
+
+  /**
+   * Check a login. Resolves with { user, server, canWrite } or null.
+   */
+  async authenticate(username, password) {
+    const parsed = parseUsername(username);
+    if (!parsed || !password) return null;
+    const db = getDatabase();
+    const user = db.prepare('SELECT * FROM panel_users WHERE email = ? AND is_active = 1').get(parsed.email);
+    if (!user) return null;
+
+    let valid = false;
+    if (panelApiKeys.isApiKey(password)) {
+      valid = panelApiKeys.verifyKey(db, password)?.id === user.id;
+    } else {
+      valid = await bcrypt.compare(String(password), user.password);
+    }
+    if (!valid) return null;
+
+    // Same rules as the HTTP API: admins manage nodes only, see adminRestrictionMiddleware
+    if (user.role === 'admin') return null;
+    const server = db.prepare('SELECT * FROM servers WHERE id = ?').get(parsed.serverId);
+    if (!server || server.node_id || !server.path) return null;
+    if (!canAccessServer(db, user.id, server, 'files.read', user.role)) return null;
+    return {
+      user: { id: user.id, email: user.email, name: user.name, role: user.role },
+      server,
+      canWrite: canAccessServer(db, user.id, server, 'files.write', user.role),
+    };
+  }
+
+  onClient(client, info) {
+    const ip = info?.ip || 'unknown';
+    let session = null;
+
+    client.on('authentication', (ctx) => {
+      if (ctx.method !== 'password') return ctx.reject(['password']);
+      if (this.isThrottled(ip)) return ctx.reject();
+      this.authenticate(ctx.username, ctx.password).then((result) => {
+        if (!result) {
+          this.recordFailure(ip);
+          return ctx.reject();
+        }
+        session = result;
+        AuditService.log(result.server.id, 'SFTP_LOGIN', getUserIdentity(result.user), `SFTP login from ${ip}`, {
+          remoteAddress: ip,
+          readOnly: !result.canWrite,
+          method: panelApiKeys.isApiKey(ctx.password) ? 'api-key' : 'password',
+        });
+        ctx.accept();
+      }).catch((err) => {
+        console.error('[SFTP] Authentication error:', err.message);
+        ctx.reject();
+      });
+    });
+
+    client.on('ready', () => {
+      client.on('session', (accept) => {
+        const sshSession = accept();
+        sshSession.on('sftp', (acceptSftp) => {
+          new SftpSession(acceptSftp(), { ...session, remoteAddress: ip });
+        });
+        for (const kind of ['pty', 'shell', 'exec', 'subsystem', 'env', 'x11', 'auth-agent', 'signal', 'window-change']) {
+          sshSession.on(kind, (_accept, reject) => reject?.());
+        }
+      });
+      client.on('tcpip', (_accept, reject) => reject());
+      client.on('request', (_accept, reject) => reject?.());
+    });
+
+    client.on('error', () => null);
+  }
+}
+
+const sftpGateway = new SftpGateway();
+
+module.exports = {
+  parseUsername,
+  SftpGateway,
+  sftpGateway,
+};
@@ -0,0 +1,175 @@
+/**
+ * SSH profiles
+ *
+ * Saved SSH targets a user may open a terminal to (/api/servers/terminal?profileId=). They
+ * replace the old raw connection strings, which were handed to the `ssh` binary as arguments.
+ * A profile is a validated host, port, username and password or private key, plus the host key
+ * fingerprint the user confirmed when saving it: connections are made with ssh2 and refused when
+ * the server presents a different key.
+ *
+ * Profiles belong to the panel user who created them. Passwords, keys and passphrases are never
+ * returned by the API.
+ */
+
+const net = require('net');
+const { utils: sshUtils } = require('ssh2');
+const { SshService } = require('./SshService');
+
+const HOSTNAME_RE = /^(?=.{1,253}$)[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+const USERNAME_RE = /^[a-zA-Z0-9_][a-zA-Z0-9_.-]{0,63}$/;
+const FINGERPRINT_RE = /^SHA256:[A-Za-z0-9+/]{43}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_SECRET_LENGTH = 16 * 1024;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SSH_PROFILE';
+  return err;
+}
+
+/**
+ * Validate a create (no `existing`) or update body. Returns the columns to write; secrets that
+ * are not sent keep their stored value. Throws with err.code = 'INVALID_SSH_PROFILE'.
+ */
+function parseProfileInput(body = {}, existing = null) {
+  const columns = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (has('name') || !existing) {
+    const name = String(body.name ?? '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) throw invalid(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    columns.name = name;
+  }
+  if (has('host') || !existing) {
+    const host = String(body.host ?? '').trim();
+    if (!net.isIP(host) && !HOSTNAME_RE.test(host)) throw invalid('host must be a hostname or IP address');
+    columns.host = host;
+  }
+  if (has('port') || !existing) {
+    const port = body.port === undefined || body.port === null || body.port === '' ? 22 : Number(body.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw invalid('port must be between 1 and 65535');
+    columns.port = port;
+  }
+  if (has('username') || !existing) {
+    const username = String(body.username ?? '').trim();
+    if (!USERNAME_RE.test(username)) throw invalid('username may only contain letters, digits, "_", "." and "-"');
+    columns.username = username;
+  }
+
+  for (const [field, column] of [['password', 'password'], ['privateKey', 'private_key'], ['passphrase', 'passphrase']]) {
+    if (!has(field)) continue;
+    const value = body[field] === null || body[field] === '' ? null : String(body[field]);
+    if (value && value.length > MAX_SECRET_LENGTH) throw invalid(`${field} is too long`);
+    columns[column] = value;
+  }
+
+  const merged = { ...(existing || {}), ...columns };
+  if (!merged.password && !merged.private_key) throw invalid('a password or privateKey is required');
+  if (has('privateKey') || (has('passphrase') && merged.private_key)) {
+    if (merged.private_key) {
+      const parsed = sshUtils.parseKey(merged.private_key, merged.passphrase || undefined);
+      if (parsed instanceof Error) throw invalid(`privateKey could not be read: ${parsed.message}`);
+    }
+  }
+
+  if (has('hostKey')) {
+    const hostKey = body.hostKey ? String(body.hostKey).trim() : null;
+    if (hostKey && !FINGERPRINT_RE.test(hostKey)) throw invalid('hostKey must be a SHA256 fingerprint (SHA256:...)');
+    columns.host_key = hostKey;
+  }
+
+  return columns;
+}
+
+/**
+ * A profile row as SshService expects a node.
+ */
+function toConnectionTarget(row) {
+  return {
+    id: `ssh-profile:${row.id || 'test'}`,
+    name: row.name,
+    ip_address: row.host,
+    ssh_port: row.port || 22,
+    ssh_user: row.username,
+    ssh_password: row.password || undefined,
+    ssh_key: row.private_key || undefined,
+    ssh_passphrase: row.passphrase || undefined,
+    host_key: row.host_key || null,
+  };
+}
+
+/**
+ * Log in once with the profile to prove the credentials and host key. Rejects with
+ * err.code = 'SSH_HOST_KEY_UNVERIFIED' (and err.fingerprint) when the key is not the confirmed one.
+ */
+async function verifyProfile(row) {
+  let conn;
+  try {
+    conn = await SshService.getConnection({ ...toConnectionTarget(row), id: `ssh-profile-test:${Date.now()}:${Math.random()}` }, { forceNew: true, strictHostKey: true });
+  } catch (e) {
+    if (e?.code === 'SSH_HOST_KEY_UNVERIFIED') {
+      const err = new Error(e.message);
+      err.code = e.code;
+      err.fingerprint = e.fingerprint;
+      throw err;
+    }
+    throw e;
+  }
+  try {
+    conn.end();
+  } catch {
+    // already closed
+  }
+}
+
+/**
+ * A profile owned by userId, or null.
+ */
+function getProfileForUser(db, profileId, userId) {
+  return db.prepare('SELECT * FROM ssh_profiles WHERE id = ? AND panel_user_id = ?').get(profileId, userId) || null;
+}
+
+/**
+ * API representation: everything but the secrets.
+ */
+function toPublicProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    host: row.host,
+    port: row.port,
+    username: row.username,
+    authType: row.private_key ? 'key' : 'password',
+    hasPassphrase: Boolean(row.passphrase),
+    hostKey: row.host_key,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Open an interactive shell on a profile's host.
+ *
+ * @returns {Promise<{ conn, stream }>} the ssh2 client (end it when done) and the shell channel
+ */
+async function openProfileShell(row, { cols = 80, rows = 24 } = {}) {
+  const conn = await SshService.getConnection({ ...toConnectionTarget(row), id: `ssh-profile-shell:${row.id}:${Date.now()}:${Math.random()}` }, { forceNew: true, strictHostKey: true });
+  return await new Promise((resolve, reject) => {
+    conn.shell({ term: 'xterm-256color', cols, rows }, (err, stream) => {
+      if (err) {
+        try { conn.end(); } catch { }
+        return reject(err);
+      }
+      resolve({ conn, stream });
+    });
+  });
+}
+
+module.exports = {
+  parseProfileInput,
+  toConnectionTarget,
+  verifyProfile,
+  getProfileForUser,
+  toPublicProfile,
+  openProfileShell,
+};
@@ -0,0 +1,148 @@
+/**
+ * Graceful stop protocol
+ *
+ * Game servers and databases need to save before they go down, so a stop escalates in steps:
+ *
+ *   1. write the stop command(s) to the server's console and wait up to grace_seconds for it to
+ *      exit ("^C" sends SIGINT instead of a line, like pressing Ctrl+C),
+ *   2. send `signal` (SIGTERM by default) and wait up to signal_grace_seconds,
+ *   3. kill it.
+ *
+ * A server declares its stop behaviour as `stop` in its metadata, or inherits it from its egg
+ * (including a Pterodactyl egg's config.stop) or template:
+ *
+ *   {
+ *     "command": "stop",           // or ["save-all", "stop"], "^C", "quit"
+ *     "grace_seconds": 30,
+ *     "signal": "SIGTERM",
+ *     "signal_grace_seconds": 10
+ *   }
+ *
+ * A plain string is shorthand for { "command": ... }. Without a command the protocol starts at
+ * the signal step. Every step is written to the server's console.
+ */
+
+const { getTemplateById } = require('./templates-store');
+
+const CTRL_C = '^C';
+const SIGNALS = ['SIGTERM', 'SIGINT', 'SIGQUIT', 'SIGHUP', 'SIGUSR1', 'SIGUSR2'];
+const DEFAULT_GRACE_SECONDS = 30;
+const DEFAULT_SIGNAL_GRACE_SECONDS = 10;
+const MAX_GRACE_SECONDS = 3600;
+const POLL_INTERVAL_MS = 250;
+
+const parseMetadata = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const toSeconds = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.min(MAX_GRACE_SECONDS, n) : fallback;
+};
+
+/**
+ * Normalize a stop declaration (string or object) into
+ * { commands, graceSeconds, signal, signalGraceSeconds }.
+ */
+function normalizeStopConfig(raw) {
+  const source = typeof raw === 'string' ? { command: raw } : (raw && typeof raw === 'object' ? raw : {});
+  const list = Array.isArray(source.command ?? source.commands) ? (source.command ?? source.commands) : [source.command ?? source.commands];
+  const commands = list.map((c) => String(c ?? '').trim()).filter(Boolean);
+  const signal = String(source.signal || '').toUpperCase();
+  return {
+    commands,
+    graceSeconds: toSeconds(source.grace_seconds, DEFAULT_GRACE_SECONDS),
+    signal: SIGNALS.includes(signal) ? signal : 'SIGTERM',
+    signalGraceSeconds: toSeconds(source.signal_grace_seconds, DEFAULT_SIGNAL_GRACE_SECONDS),
+  };
+}
+
+/**
+ * Stop configuration for a server: server metadata, then the egg snapshot in its metadata, then
+ * its template.
+ */
+function resolveStopConfig(server) {
+  const meta = parseMetadata(server?.metadata);
+  let raw = meta.stop || meta.egg?.stop || meta.egg?.ptdl?.config?.stop || null;
+  if (!raw) {
+    const match = /^(?:template|egg):(.+)$/.exec(String(server?.type || ''));
+    if (match) {
+      try {
+        raw = getTemplateById(match[1].trim())?.stop || null;
+      } catch {
+        raw = null;
+      }
+    }
+  }
+  return normalizeStopConfig(raw);
+}
+
+/**
+ * Poll driver.isRunning until it reports false or timeoutMs passes. Resolves true once stopped.
+ */
+async function waitForExit(driver, server, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    if (!(await driver.isRunning(server).catch(() => false))) return true;
+    if (Date.now() >= deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, Math.min(POLL_INTERVAL_MS, Math.max(0, deadline - Date.now()))));
+  }
+}
+
+/**
+ * Run the protocol against a driver that implements sendInput, signal, kill and isRunning.
+ * log(line) receives each escalation step. Resolves with { method } where method is
+ * 'command', 'signal' or 'kill' (the step that stopped the server).
+ */
+async function runStopProtocol(driver, server, config, { log = () => {} } = {}) {
+  if (config.commands.length) {
+    let sent = false;
+    for (const command of config.commands) {
+      try {
+        if (command === CTRL_C) {
+          log('STOP sending ^C (SIGINT)');
+          await driver.signal(server, 'SIGINT');
+        } else {
+          log(`STOP sending stop command: ${command}`);
+          await driver.sendInput(server, command);
+        }
+        sent = true;
+      } catch (err) {
+        log(`STOP could not send stop command: ${err.message}`);
+        break;
+      }
+    }
+    if (sent) {
+      log(`STOP waiting up to ${config.graceSeconds}s for the server to exit`);
+      if (await waitForExit(driver, server, config.graceSeconds * 1000)) return { method: 'command' };
+      log(`STOP server still running after ${config.graceSeconds}s`);
+    }
+  }
+
+  log(`STOP sending ${config.signal}${config.signalGraceSeconds ? `, waiting up to ${config.signalGraceSeconds}s` : ''}`);
+  try {
+    await driver.signal(server, config.signal);
+    if (await waitForExit(driver, server, config.signalGraceSeconds * 1000)) return { method: 'signal' };
+    log(`STOP server still running after ${config.signal}; killing`);
+  } catch (err) {
+    log(`STOP could not send ${config.signal} (${err.message}); killing`);
+  }
+
+  await driver.kill(server);
+  return { method: 'kill' };
+}
+
+module.exports = {
+  CTRL_C,
+  normalizeStopConfig,
+  resolveStopConfig,
+  runStopProtocol,
+  waitForExit,
+};
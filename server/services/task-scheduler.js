@@ -0,0 +1,498 @@
+/**
+ * Scheduled server tasks
+ *
+ * Per-server tasks on a cron expression (5 fields, or 6 with seconds, optionally in an IANA
+ * timezone), each a chain of steps run in order:
+ *
+ *   {
+ *     "action": "command",          // command | restart | start | stop | backup | exec
+ *     "payload": "say Restarting",  // the console line (command) or shell command (exec)
+ *     "delaySeconds": 60,           // wait before this step
+ *     "onlyIfRunning": true,        // skip the step when the server is not running
+ *     "continueOnFailure": false,   // go on with the next step when this one fails
+ *     "timeoutSeconds": 60,         // exec only
+ *     "options": { "incremental": true }  // backup only, as for POST /api/backups
+ *   }
+ *
+ * `exec` runs a one-off shell command in the server's runtime (the server directory on the
+ * host, or inside its container) and keeps the tail of its output in the run. A task with
+ * onlyIfRunning is skipped as a whole when the server is not running, and a run that is due
+ * while the previous one still goes is skipped. Every run is recorded in server_task_runs with
+ * the result of each step (the newest MAX_RUNS_PER_TASK are kept) and its outcome is copied to
+ * the task as last_status / last_error. Steps are announced in the server's console.
+ */
+
+const schedule = require('node-schedule');
+const cronstrue = require('cronstrue');
+const { getDatabase } = require('../lib/database');
+const AuditService = require('./AuditService');
+const CoreOrchestrator = require('./CoreOrchestrator');
+const runtimeDrivers = require('./runtime-drivers');
+const { restartSupervisor } = require('./restart-supervisor');
+const { backupJobs } = require('./backup-jobs');
+
+const ACTIONS = ['command', 'restart', 'start', 'stop', 'backup', 'exec'];
+const MAX_STEPS = 20;
+const MAX_DELAY_SECONDS = 3600;
+const MAX_PAYLOAD_LENGTH = 4000;
+const DEFAULT_EXEC_TIMEOUT_SECONDS = 60;
+const MAX_EXEC_TIMEOUT_SECONDS = 3600;
+const MAX_OUTPUT_KEPT = 4000;
+const MAX_RUNS_PER_TASK = 100;
+const MAX_NAME_LENGTH = 100;
+
+function taskError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const invalid = (message) => taskError('INVALID_TASK_REQUEST', message);
+
+const parseJson = (raw, fallback) => {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const tail = (text) => {
+  const s = String(text || '');
+  return s.length > MAX_OUTPUT_KEPT ? s.slice(-MAX_OUTPUT_KEPT) : s;
+};
+
+const toInt = (value, fallback, min, max, label) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw invalid(`${label} must be a whole number from ${min} to ${max}`);
+  return n;
+};
+
+function validateTimezone(timezone) {
+  if (timezone === undefined || timezone === null || timezone === '') return null;
+  const tz = String(timezone);
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+  } catch {
+    throw invalid(`Unknown timezone: ${tz}`);
+  }
+  return tz;
+}
+
+/**
+ * Check a cron expression (and timezone). Returns { cron, timezone, description, nextRunAt }.
+ */
+function describeSchedule(cron, timezone = null) {
+  const expr = String(cron || '').trim().replace(/\s+/g, ' ');
+  const fields = expr.split(' ').length;
+  if (!expr || fields < 5 || fields > 6) throw invalid('cron must have 5 fields (or 6 with seconds)');
+  const tz = validateTimezone(timezone);
+  const probe = schedule.scheduleJob(tz ? { rule: expr, tz } : expr, () => {});
+  if (!probe) throw invalid(`Invalid cron expression: ${expr}`);
+  const next = probe.nextInvocation();
+  probe.cancel();
+  let description = null;
+  try {
+    description = cronstrue.toString(expr, { use24HourTimeFormat: true });
+  } catch {
+    description = null;
+  }
+  return { cron: expr, timezone: tz, description, nextRunAt: next ? new Date(next).toISOString() : null };
+}
+
+/**
+ * Validate and normalize a task's steps.
+ */
+function normalizeSteps(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) throw invalid('steps must be a non-empty array');
+  if (raw.length > MAX_STEPS) throw invalid(`At most ${MAX_STEPS} steps per task`);
+  return raw.map((step, i) => {
+    const label = `steps[${i}]`;
+    if (!step || typeof step !== 'object') throw invalid(`${label} must be an object`);
+    const action = String(step.action || '');
+    if (!ACTIONS.includes(action)) throw invalid(`${label}.action must be one of ${ACTIONS.join(', ')}`);
+    const normalized = {
+      action,
+      delaySeconds: toInt(step.delaySeconds, 0, 0, MAX_DELAY_SECONDS, `${label}.delaySeconds`),
+      onlyIfRunning: Boolean(step.onlyIfRunning),
+      continueOnFailure: Boolean(step.continueOnFailure),
+    };
+    if (action === 'command' || action === 'exec') {
+      const payload = String(step.payload ?? '').trim();
+      if (!payload || payload.length > MAX_PAYLOAD_LENGTH) throw invalid(`${label}.payload is required (at most ${MAX_PAYLOAD_LENGTH} characters)`);
+      normalized.payload = payload;
+    }
+    if (action === 'exec') {
+      normalized.timeoutSeconds = toInt(step.timeoutSeconds, DEFAULT_EXEC_TIMEOUT_SECONDS, 1, MAX_EXEC_TIMEOUT_SECONDS, `${label}.timeoutSeconds`);
+    }
+    if (action === 'backup' && step.options && typeof step.options === 'object') {
+      normalized.options = step.options;
+    }
+    return normalized;
+  });
+}
+
+function toPublicRun(row) {
+  return {
+    id: row.id,
+    taskId: row.task_id,
+    trigger: row.trigger,
+    status: row.status,
+    steps: parseJson(row.steps, []),
+    error: row.error,
+    requestedBy: row.requested_by,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+// Resolves after ms, or rejects once the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) return reject(signal.reason);
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+class TaskScheduler {
+  constructor() {
+    this.jobs = new Map();
+    // taskId -> AbortController of the run in progress
+    this.running = new Map();
+  }
+
+  /**
+   * Fail runs cut off by a previous process and schedule every enabled task.
+   */
+  start() {
+    const db = getDatabase();
+    try {
+      const interrupted = 'Interrupted by a panel restart';
+      db.prepare("UPDATE server_task_runs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE status = 'running'").run(interrupted);
+      db.prepare("UPDATE server_tasks SET last_status = 'failed', last_error = ? WHERE last_status = 'running'").run(interrupted);
+      const tasks = db.prepare('SELECT * FROM server_tasks WHERE enabled = 1').all();
+      for (const task of tasks) this.scheduleTask(task);
+      if (tasks.length) console.log('[TASKS] Scheduled', tasks.length, 'tasks');
+    } catch (e) {
+      console.error('[TASKS] Failed to load tasks:', e.message);
+    }
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      try { job.cancel(); } catch { }
+    }
+    this.jobs.clear();
+    for (const controller of this.running.values()) controller.abort(new Error('The panel is shutting down'));
+  }
+
+  scheduleTask(task) {
+    this.unscheduleTask(task.id);
+    if (!task.enabled) return;
+    const job = schedule.scheduleJob(task.timezone ? { rule: task.cron_expr, tz: task.timezone } : task.cron_expr, () => {
+      // Re-read the row so edits since scheduling apply; the server may be gone with its tasks
+      const current = getDatabase().prepare('SELECT * FROM server_tasks WHERE id = ? AND enabled = 1').get(task.id);
+      if (!current) {
+        this.unscheduleTask(task.id);
+        return;
+      }
+      this.execute(current, { trigger: 'schedule' }).done.catch((err) => {
+        console.error('[TASKS] Task', task.id, 'failed:', err.message);
+      });
+    });
+    if (job) {
+      this.jobs.set(task.id, job);
+    } else {
+      console.error(`[TASKS] Task ${task.id} has an invalid schedule: ${task.cron_expr}`);
+    }
+  }
+
+  unscheduleTask(taskId) {
+    const job = this.jobs.get(taskId);
+    if (!job) return;
+    try { job.cancel(); } catch { }
+    this.jobs.delete(taskId);
+  }
+
+  toPublicTask(row) {
+    let description = null;
+    try {
+      description = cronstrue.toString(row.cron_expr, { use24HourTimeFormat: true });
+    } catch {
+      description = null;
+    }
+    const next = this.jobs.get(row.id)?.nextInvocation();
+    return {
+      id: row.id,
+      serverId: row.server_id,
+      name: row.name,
+      cron: row.cron_expr,
+      timezone: row.timezone,
+      description,
+      enabled: Boolean(row.enabled),
+      onlyIfRunning: Boolean(row.only_if_running),
+      steps: parseJson(row.steps, []),
+      running: this.running.has(row.id),
+      nextRunAt: next ? new Date(next).toISOString() : null,
+      lastRunAt: row.last_run_at,
+      lastStatus: row.last_status,
+      lastError: row.last_error,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
+
+  getRow(serverId, taskId) {
+    return getDatabase().prepare('SELECT * FROM server_tasks WHERE id = ? AND server_id = ?').get(taskId, serverId) || null;
+  }
+
+  list(serverId) {
+    return getDatabase().prepare('SELECT * FROM server_tasks WHERE server_id = ? ORDER BY id').all(serverId).map((row) => this.toPublicTask(row));
+  }
+
+  get(serverId, taskId) {
+    const row = this.getRow(serverId, taskId);
+    return row ? this.toPublicTask(row) : null;
+  }
+
+  /**
+   * Create a task from { name, cron, timezone, enabled, onlyIfRunning, steps }.
+   */
+  create(serverId, input, createdBy) {
+    const name = String(input?.name ?? '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) throw invalid(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    const { cron, timezone } = describeSchedule(input?.cron, input?.timezone);
+    const steps = normalizeSteps(input?.steps);
+    const result = getDatabase().prepare(`
+      INSERT INTO server_tasks (server_id, name, cron_expr, timezone, enabled, only_if_running, steps, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(serverId, name, cron, timezone, input?.enabled === false ? 0 : 1, input?.onlyIfRunning ? 1 : 0, JSON.stringify(steps), createdBy);
+    const row = this.getRow(serverId, result.lastInsertRowid);
+    this.scheduleTask(row);
+    return this.toPublicTask(row);
+  }
+
+  /**
+   * Change any of the fields accepted by create.
+   */
+  update(serverId, taskId, input) {
+    const existing = this.getRow(serverId, taskId);
+    if (!existing) throw taskError('TASK_NOT_FOUND', 'Task not found');
+    const next = { ...existing };
+    if (input.name !== undefined) {
+      next.name = String(input.name ?? '').trim();
+      if (!next.name || next.name.length > MAX_NAME_LENGTH) throw invalid(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+    if (input.cron !== undefined || input.timezone !== undefined) {
+      const checked = describeSchedule(
+        input.cron !== undefined ? input.cron : existing.cron_expr,
+        input.timezone !== undefined ? input.timezone : existing.timezone
+      );
+      next.cron_expr = checked.cron;
+      next.timezone = checked.timezone;
+    }
+    if (input.steps !== undefined) next.steps = JSON.stringify(normalizeSteps(input.steps));
+    if (input.enabled !== undefined) next.enabled = input.enabled ? 1 : 0;
+    if (input.onlyIfRunning !== undefined) next.only_if_running = input.onlyIfRunning ? 1 : 0;
+
+    getDatabase().prepare(`
+      UPDATE server_tasks SET name = ?, cron_expr = ?, timezone = ?, enabled = ?, only_if_running = ?, steps = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(next.name, next.cron_expr, next.timezone, next.enabled, next.only_if_running, next.steps, existing.id);
+    const row = this.getRow(serverId, taskId);
+    this.scheduleTask(row);
+    return this.toPublicTask(row);
+  }
+
+  /**
+   * Delete a task, stopping a run in progress. Returns false when there is no such task.
+   */
+  remove(serverId, taskId) {
+    const row = this.getRow(serverId, taskId);
+    if (!row) return false;
+    this.unscheduleTask(row.id);
+    this.running.get(row.id)?.abort(new Error('The task was deleted'));
+    getDatabase().prepare('DELETE FROM server_tasks WHERE id = ?').run(row.id);
+    return true;
+  }
+
+  listRuns(serverId, taskId, { limit = 20 } = {}) {
+    const n = Math.min(MAX_RUNS_PER_TASK, Math.max(1, Number(limit) || 20));
+    return getDatabase()
+      .prepare('SELECT * FROM server_task_runs WHERE task_id = ? AND server_id = ? ORDER BY id DESC LIMIT ?')
+      .all(taskId, serverId, n)
+      .map(toPublicRun);
+  }
+
+  /**
+   * Run a task now (manual runs ignore `enabled`). Returns { run, done }: run is the new record
+   * (already final when the run was skipped), done settles with the finished record.
+   */
+  execute(task, { trigger = 'manual', requestedBy = 'scheduler' } = {}) {
+    const db = getDatabase();
+    const insertRun = (status, error = null) => db.prepare(`
+      INSERT INTO server_task_runs (task_id, server_id, trigger, status, steps, error, requested_by, finished_at)
+      VALUES (?, ?, ?, ?, '[]', ?, ?, ${status === 'running' ? 'NULL' : 'CURRENT_TIMESTAMP'})
+    `).run(task.id, task.server_id, trigger, status, error, requestedBy).lastInsertRowid;
+    const getRun = (id) => toPublicRun(db.prepare('SELECT * FROM server_task_runs WHERE id = ?').get(id));
+    const skip = (reason) => {
+      const run = getRun(insertRun('skipped', reason));
+      this.pruneRuns(task.id);
+      return { run, done: Promise.resolve(run) };
+    };
+
+    if (this.running.has(task.id)) return skip('The previous run is still in progress');
+    const controller = new AbortController();
+    this.running.set(task.id, controller);
+
+    const runId = insertRun('running');
+    db.prepare("UPDATE server_tasks SET last_run_at = CURRENT_TIMESTAMP, last_status = 'running', last_error = NULL WHERE id = ?").run(task.id);
+    const done = this.runSteps(task, runId, controller.signal)
+      .then(({ status, error }) => {
+        db.prepare('UPDATE server_task_runs SET status = ?, error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, error, runId);
+        db.prepare('UPDATE server_tasks SET last_status = ?, last_error = ? WHERE id = ?').run(status, error, task.id);
+        if (status === 'failed') {
+          AuditService.log(task.server_id, 'TASK_FAILED', 'system', `Task "${task.name}" failed: ${error}`, { taskId: task.id, runId });
+        }
+        return getRun(runId);
+      })
+      .finally(() => {
+        this.running.delete(task.id);
+        this.pruneRuns(task.id);
+      });
+    return { run: getRun(runId), done };
+  }
+
+  async isRunning(server) {
+    return runtimeDrivers.getDriverForServer(server).isRunning(server).catch(() => false);
+  }
+
+  async runSteps(task, runId, signal) {
+    const db = getDatabase();
+    const loadServer = () => db.prepare('SELECT * FROM servers WHERE id = ?').get(task.server_id);
+    const steps = parseJson(task.steps, []);
+    const results = [];
+    const save = () => db.prepare('UPDATE server_task_runs SET steps = ? WHERE id = ?').run(JSON.stringify(results), runId);
+
+    let server = loadServer();
+    if (!server) return { status: 'failed', error: 'Server not found' };
+    if (task.only_if_running && !(await this.isRunning(server))) {
+      return { status: 'skipped', error: 'The server is not running' };
+    }
+
+    let failure = null;
+    for (const [index, step] of steps.entries()) {
+      const result = { index, action: step.action, status: 'running', startedAt: null };
+      try {
+        if (step.delaySeconds) await sleep(step.delaySeconds * 1000, signal);
+        result.startedAt = new Date().toISOString();
+        results.push(result);
+        save();
+
+        server = loadServer();
+        if (!server) throw new Error('Server not found');
+        if (step.onlyIfRunning && !(await this.isRunning(server))) {
+          result.status = 'skipped';
+          result.error = 'The server is not running';
+        } else {
+          if (!server.node_id) runtimeDrivers.appendServerLog(server, `TASK "${task.name}" step ${index + 1}: ${step.action}${step.payload ? ` ${step.payload}` : ''}`);
+          Object.assign(result, await this.runStep(server, step, task));
+          result.status = 'succeeded';
+        }
+      } catch (err) {
+        if (!results.includes(result)) results.push(result);
+        if (err.output) Object.assign(result, err.output);
+        result.status = 'failed';
+        result.error = err.message;
+        failure = failure || `Step ${index + 1} (${step.action}): ${err.message}`;
+        if (signal.aborted || !step.continueOnFailure) {
+          result.finishedAt = new Date().toISOString();
+          save();
+          break;
+        }
+      }
+      result.finishedAt = new Date().toISOString();
+      save();
+    }
+    return failure ? { status: 'failed', error: failure } : { status: 'succeeded', error: null };
+  }
+
+  /**
+   * Run one step against the server. Resolves with extra fields for the step's result.
+   */
+  async runStep(server, step, task) {
+    const driver = runtimeDrivers.getDriverForServer(server);
+    switch (step.action) {
+      case 'command': {
+        if (!(await this.isRunning(server))) throw new Error('Server is not running');
+        await driver.sendInput(server, step.payload);
+        return {};
+      }
+      case 'start': {
+        if (await this.isRunning(server)) return { note: 'Already running' };
+        const result = await CoreOrchestrator.start(server.id, { source: 'task' });
+        return { driver: result.driver };
+      }
+      case 'stop': {
+        if (!(await this.isRunning(server))) return { note: 'Already stopped' };
+        restartSupervisor.reset(server.id);
+        await runtimeDrivers.stopServer(server, { userIdentity: `task:${task.id}` });
+        AuditService.log(server.id, 'SERVER_STOP', `task:${task.id}`, `Server stopped by task "${task.name}"`);
+        return {};
+      }
+      case 'restart': {
+        restartSupervisor.reset(server.id);
+        const result = await runtimeDrivers.restartServer(server, { source: 'task' });
+        AuditService.log(server.id, 'SERVER_RESTART', `task:${task.id}`, `Server restarted by task "${task.name}"`);
+        return { driver: result.driver };
+      }
+      case 'backup': {
+        const job = await backupJobs.run({
+          serverId: server.id,
+          trigger: 'scheduled',
+          options: step.options || {},
+          requestedBy: `task:${task.id}`,
+        });
+        return { backupId: job.backup_id, jobId: job.id };
+      }
+      case 'exec': {
+        const { exitCode, stdout, stderr } = await driver.exec(server, step.payload, { timeoutMs: step.timeoutSeconds * 1000 });
+        const output = { exitCode, stdout: tail(stdout), stderr: tail(stderr) };
+        if (exitCode !== 0) {
+          const err = new Error(`Exited with code ${exitCode}`);
+          throw Object.assign(err, { output });
+        }
+        return output;
+      }
+      default:
+        throw new Error(`Unknown action: ${step.action}`);
+    }
+  }
+
+  pruneRuns(taskId) {
+    try {
+      getDatabase().prepare(`
+        DELETE FROM server_task_runs WHERE task_id = ? AND id NOT IN (
+          SELECT id FROM server_task_runs WHERE task_id = ? ORDER BY id DESC LIMIT ?
+        )
+      `).run(taskId, taskId, MAX_RUNS_PER_TASK);
+    } catch (e) {
+      console.warn(`[TASKS] Failed to prune runs of task ${taskId}:`, e.message);
+    }
+  }
+}
+
+const taskScheduler = new TaskScheduler();
+
+module.exports = {
+  ACTIONS,
+  TaskScheduler,
+  taskScheduler,
+  describeSchedule,
+  normalizeSteps,
+};
@@ -90,6 +90,8 @@ function normalizeTemplatePayload(raw, dirPath, source) {
     install_command: raw?.install_command || '',
     start_command: raw?.start_command || '',
     runtime_preset: raw?.runtime_preset || '',
+    backup_hooks: raw?.backup_hooks && typeof raw.backup_hooks === 'object' ? raw.backup_hooks : null,
+    stop: raw?.stop && ['string', 'object'].includes(typeof raw.stop) ? raw.stop : null,
     icon: fs.existsSync(path.join(dirPath, 'icon.png')) ? 'icon.png' : null,
     _path: dirPath,
   };
@@ -201,6 +203,8 @@ function writeInstalledTemplate(template) {
     default_port: template.default_port ?? null,
     defaults: template.defaults && typeof template.defaults === 'object' ? template.defaults : null,
     variables: Array.isArray(template.variables) ? template.variables : [],
+    backup_hooks: template.backup_hooks && typeof template.backup_hooks === 'object' ? template.backup_hooks : null,
+    stop: template.stop && ['string', 'object'].includes(typeof template.stop) ? template.stop : null,
   };
 
   fs.writeFileSync(path.join(tDir, 'template.json'), JSON.stringify(normalized, null, 2), 'utf8');
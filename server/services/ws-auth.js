@@ -0,0 +1,93 @@
+/**
+ * WebSocket authentication
+ *
+ * Browsers cannot set an Authorization header on a WebSocket, and a JWT in the query string
+ * ends up in proxy and access logs. Clients therefore trade their JWT for a ticket at
+ * POST /api/auth/ws-ticket and connect with ?ticket=. A ticket is random, single-use, expires
+ * after TICKET_TTL_MS and can be bound to one WebSocket path.
+ *
+ * Non-browser clients may still send the JWT itself (Authorization: Bearer, or ?token=).
+ * Either way the upgrade is refused before the handshake when no valid user comes with it.
+ */
+
+const crypto = require('crypto');
+
+const TICKET_TTL_MS = 30 * 1000;
+const MAX_TICKETS = 10000;
+const WS_PATHS = ['/api/servers/terminal', '/api/servers/console', '/api/backups/jobs'];
+
+// ticket -> { user, path, expiresAt }
+const tickets = new Map();
+
+function pruneTickets(now = Date.now()) {
+  for (const [ticket, entry] of tickets) {
+    if (entry.expiresAt <= now) tickets.delete(ticket);
+  }
+}
+
+/**
+ * Issue a ticket for an authenticated user. With `path`, the ticket only opens that WebSocket.
+ *
+ * @returns {{ ticket: string, expiresAt: string }}
+ */
+function issueTicket(user, { path = null } = {}) {
+  const now = Date.now();
+  pruneTickets(now);
+  if (path && !WS_PATHS.includes(path)) {
+    const err = new Error(`path must be one of ${WS_PATHS.join(', ')}`);
+    err.code = 'INVALID_WS_PATH';
+    throw err;
+  }
+  if (tickets.size >= MAX_TICKETS) {
+    const err = new Error('Too many pending WebSocket tickets');
+    err.code = 'WS_TICKETS_EXHAUSTED';
+    throw err;
+  }
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = now + TICKET_TTL_MS;
+  tickets.set(ticket, {
+    user: { id: user.id, email: user.email, name: user.name, role: user.role },
+    path: path || null,
+    expiresAt,
+  });
+  return { ticket, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Redeem a ticket for `path`. Returns its user, or null when the ticket is unknown, expired,
+ * already used or bound to another path.
+ */
+function consumeTicket(ticket, path) {
+  if (!ticket) return null;
+  const entry = tickets.get(String(ticket));
+  if (!entry) return null;
+  tickets.delete(String(ticket));
+  if (entry.expiresAt <= Date.now()) return null;
+  if (entry.path && entry.path !== path) return null;
+  return entry.user;
+}
+
+/**
+ * The user an upgrade request authenticates as, or null.
+ */
+function authenticateUpgrade(request, query, path) {
+  if (query?.ticket) return consumeTicket(query.ticket, path);
+
+  const header = String(request?.headers?.authorization || '');
+  const token = header.startsWith('Bearer ') ? header.substring(7) : query?.token;
+  if (!token) return null;
+  try {
+    // Required here: routes/auth requires this module for the ticket endpoint
+    return require('../routes/auth').verifyToken(String(token));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  TICKET_TTL_MS,
+  WS_PATHS,
+  issueTicket,
+  consumeTicket,
+  authenticateUpgrade,
+};